@@ -1,14 +1,21 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import PriceChart from './PriceChart';
+import PremiumChart from './PremiumChart';
 import ErrorBoundary from './ErrorBoundary';
 
 function App() {
   const [prices, setPrices] = useState([]);
   const [opportunities, setOpportunities] = useState([]);
+  const [exchangeStatus, setExchangeStatus] = useState([]);
   const [connected, setConnected] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [ws, setWs] = useState(null);
+  const [pairs, setPairs] = useState(['BTC/JPY']);
+  const [selectedPair, setSelectedPair] = useState('BTC/JPY');
+  const [tradeStats, setTradeStats] = useState([]);
+  const [premiums, setPremiums] = useState([]);
+  const [thresholds, setThresholds] = useState(null);
 
   const connectWebSocket = useCallback(() => {
     const websocket = new WebSocket('ws://localhost:3001');
@@ -24,8 +31,16 @@ function App() {
       if (data.type === 'price_update' || data.type === 'initial_data') {
         setPrices(data.prices || []);
         setOpportunities(data.opportunities || []);
+        setExchangeStatus(data.exchangeStatus || []);
+        setTradeStats(data.tradeStats || []);
+        setPremiums(data.premiums || []);
+        if (data.thresholds) setThresholds(data.thresholds);
         setLastUpdate(new Date().toLocaleString('ja-JP'));
       }
+
+      if (data.type === 'trade_update') {
+        setTradeStats(data.tradeStats || []);
+      }
     };
     
     websocket.onclose = () => {
@@ -57,7 +72,21 @@ function App() {
       }
     };
 
+    // 監視対象の通貨ペア一覧
+    const fetchPairs = async () => {
+      try {
+        const response = await axios.get('/api/exchanges');
+        if (response.data.pairs && response.data.pairs.length > 0) {
+          setPairs(response.data.pairs);
+          setSelectedPair(response.data.pairs[0]);
+        }
+      } catch (error) {
+        console.error('Error fetching trading pairs:', error);
+      }
+    };
+
     fetchInitialData();
+    fetchPairs();
     connectWebSocket();
 
     return () => {
@@ -67,12 +96,14 @@ function App() {
     };
   }, [connectWebSocket]);
 
+  // XRPなど1単位が安い通貨は小数点以下も表示
   const formatPrice = (price) => {
+    const decimals = Math.abs(price) < 1000 ? 3 : 0;
     return new Intl.NumberFormat('ja-JP', {
       style: 'currency',
       currency: 'JPY',
       minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      maximumFractionDigits: decimals
     }).format(price);
   };
 
@@ -80,49 +111,185 @@ function App() {
     return new Date(timestamp).toLocaleTimeString('ja-JP');
   };
 
+  const statusLabels = {
+    healthy: '正常',
+    degraded: '不安定',
+    down: '停止中',
+    maintenance: 'メンテナンス中',
+    unknown: '-'
+  };
+
+  const pairPrices = prices.filter(price => (price.pair || 'BTC/JPY') === selectedPair);
+  const pairOpportunities = opportunities.filter(opp => opp.type !== 'triangular' && (opp.pair || 'BTC/JPY') === selectedPair);
+  const triangularOpportunities = opportunities.filter(opp => opp.type === 'triangular');
+  const baseAsset = selectedPair.split('/')[0];
+  const pairTradeStats = tradeStats.filter(stat => stat.pair === selectedPair);
+  const pairPremium = premiums.find(premium => premium.pair === selectedPair) || null;
+
+  // 有効な検知閾値の表示（経路ごとの設定がある場合は件数も）
+  const formatThreshold = (threshold) => (threshold.unit === 'jpy'
+    ? `手数料控除後${formatPrice(threshold.value)}以上の利益なし`
+    : `${threshold.value}%以上の価格差なし`);
+  const pairRouteThresholds = thresholds
+    ? thresholds.routes.filter(route => !route.pair || route.pair === selectedPair)
+    : [];
+  const thresholdText = thresholds
+    ? `${formatThreshold(thresholds.default)}${pairRouteThresholds.length > 0 ? `・経路別の閾値 ${pairRouteThresholds.length}件` : ''}`
+    : '0.1%以上の価格差なし';
+  const volumeWindowMinutes = tradeStats.length > 0 ? Math.round(tradeStats[0].windowMs / 60000) : null;
+
+  const formatVolume = (volume) => {
+    return volume.toLocaleString('ja-JP', { maximumFractionDigits: volume < 10 ? 4 : 2 });
+  };
+
+  // 価格が取得できていない取引所も稼働状況とともに表示する（選択中の通貨ペアに対応する取引所のみ）
+  const priceRows = exchangeStatus.length > 0
+    ? exchangeStatus
+      .filter(status => !status.pairs || status.pairs.includes(selectedPair))
+      .map(status => ({
+        status,
+        price: pairPrices.find(price => price.exchange === status.name) || { exchange: status.name }
+      }))
+    : pairPrices.map(price => ({ status: null, price }));
+
   return (
     <ErrorBoundary>
       <div className="container">
       <div className="header">
-        <h1>🪙 BTC アービトラージ監視システム</h1>
+        <h1>🪙 暗号資産 アービトラージ監視システム</h1>
         <div className={`status ${connected ? 'connected' : 'disconnected'}`}>
           {connected ? '🟢 リアルタイム接続中' : '🔴 接続待機中...'}
         </div>
       </div>
 
+      {pairs.length > 1 && (
+        <div className="pair-selector">
+          <label htmlFor="pair">通貨ペア: </label>
+          <select id="pair" value={selectedPair} onChange={(e) => setSelectedPair(e.target.value)}>
+            {pairs.map(pair => (
+              <option key={pair} value={pair}>{pair}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       <div className="price-table">
-        <h3>📊 現在の BTC/JPY 価格</h3>
+        <h3>📊 現在の {selectedPair} 価格</h3>
         <table>
           <thead>
             <tr>
               <th>取引所</th>
               <th>買値 (Bid)</th>
               <th>売値 (Ask)</th>
+              <th>出来高{volumeWindowMinutes && ` (${volumeWindowMinutes}分)`}</th>
+              <th>VWAP</th>
               <th>更新時刻</th>
+              <th>状態</th>
             </tr>
           </thead>
           <tbody>
-            {prices.map((price, index) => (
-              <tr key={index}>
-                <td>{price.exchange}</td>
-                <td className="price bid">{price.bid ? formatPrice(price.bid) : '-'}</td>
-                <td className="price ask">{price.ask ? formatPrice(price.ask) : '-'}</td>
-                <td>{formatTime(price.timestamp)}</td>
-              </tr>
-            ))}
+            {priceRows.map(({ status, price }, index) => {
+              const volume = pairTradeStats.find(stat => stat.exchange === price.exchange);
+              return (
+                <tr
+                  key={index}
+                  className={status && status.status !== 'healthy' ? 'unhealthy' : ''}
+                  title={status && status.lastError ? `最終エラー: ${status.lastError}` : undefined}
+                >
+                  <td>
+                    {price.exchange}
+                    {(price.isReference || (status && status.type === 'reference')) && (
+                      <span className="reference-badge">参考指数</span>
+                    )}
+                    {(price.isOverseas || (status && status.type === 'overseas')) && (
+                      <span
+                        className="overseas-badge"
+                        title={price.isOverseas
+                          ? `${price.originalBid} / ${price.originalAsk} ${price.currency}（USD/JPY ${price.fxRate.toFixed(3)} で換算）`
+                          : undefined}
+                      >
+                        海外
+                      </span>
+                    )}
+                  </td>
+                  <td className="price bid">{price.bid ? formatPrice(price.bid) : '-'}</td>
+                  <td className="price ask">{price.ask ? formatPrice(price.ask) : '-'}</td>
+                  <td
+                    className="volume"
+                    title={volume ? `${volume.tradeCount}件（買い ${formatVolume(volume.buyVolume)} / 売り ${formatVolume(volume.sellVolume)}）` : undefined}
+                  >
+                    {volume ? `${formatVolume(volume.volume)} ${baseAsset}` : '-'}
+                  </td>
+                  <td className="price vwap">{volume && volume.vwap ? formatPrice(volume.vwap) : '-'}</td>
+                  <td
+                    className={price.isStale ? 'stale-quote' : ''}
+                    title={price.sourceTimestamp ? `取引所時刻: ${new Date(price.sourceTimestamp).toLocaleString('ja-JP')}` : undefined}
+                  >
+                    {price.timestamp ? formatTime(price.timestamp) : '-'}
+                    {price.isStale && ` (${Math.round(price.quoteAge / 1000)}秒前・比較対象外)`}
+                  </td>
+                  <td
+                    className={`exchange-status ${status ? status.status : ''}`}
+                    title={status && status.maintenance
+                      ? (status.maintenance.active
+                        ? `${status.maintenance.note || 'メンテナンス'}（${formatTime(status.maintenance.endsAt)}まで・比較対象外）`
+                        : status.maintenance.nextStartsAt
+                          ? `次回メンテナンス: ${new Date(status.maintenance.nextStartsAt).toLocaleString('ja-JP')}`
+                          : undefined)
+                      : undefined}
+                  >
+                    {status ? statusLabels[status.status] : '-'}
+                    {status && status.streaming && ' (WS)'}
+                    {status && status.rejectedQuotes && status.rejectedQuotes.total > 0 && (
+                      <span
+                        className="rejected-count"
+                        title={`最終除外理由: ${status.rejectedQuotes.lastReason} (${status.rejectedQuotes.lastDetail})`}
+                      >
+                        除外 {status.rejectedQuotes.total}件
+                      </span>
+                    )}
+                    {status && status.rateLimit && status.rateLimit.skipped > 0 && (
+                      <span
+                        className="rate-limited"
+                        title={`APIリクエスト残り ${status.rateLimit.remaining}/${status.rateLimit.limit}（${status.rateLimit.interval / 1000}秒あたり）`}
+                      >
+                        制限 {status.rateLimit.skipped}件
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
           </tbody>
         </table>
       </div>
 
+      <div className="premium-section">
+        <h3>🌏 日本プレミアム</h3>
+        {pairPremium ? (
+          <div className="premium-summary">
+            <span className={`premium-value ${pairPremium.premium >= 0 ? 'positive' : 'negative'}`}>
+              {pairPremium.premium > 0 ? '+' : ''}{pairPremium.premium.toFixed(3)}%
+            </span>
+            <span>国内 {formatPrice(pairPremium.domesticPrice)}（{pairPremium.domesticVenues.length}社の中央値）</span>
+            <span>海外 {formatPrice(pairPremium.overseasPrice)}（{pairPremium.overseasVenues.join('・')}）</span>
+            <span>USD/JPY {pairPremium.fxRate.toFixed(3)}</span>
+          </div>
+        ) : (
+          <div className="premium-summary">海外取引所または為替レートの取得待ち</div>
+        )}
+        <PremiumChart premium={pairPremium} pair={selectedPair} />
+      </div>
+
       <div className="chart-section">
         <h3>📈 価格チャート</h3>
-        <PriceChart prices={prices} ws={ws} />
+        <PriceChart prices={pairPrices} pair={selectedPair} ws={ws} />
       </div>
 
       <div className="opportunities">
-        <h3>⚡ アービトラージ機会 ({opportunities.length}件)</h3>
-        {opportunities.length > 0 ? (
-          opportunities.map((opp, index) => (
+        <h3>⚡ アービトラージ機会 ({pairOpportunities.length}件)</h3>
+        {pairOpportunities.length > 0 ? (
+          pairOpportunities.map((opp, index) => (
             <div key={index} className={`opportunity-item ${!opp.isProfitableAfterFees ? 'unprofitable' : ''}`}>
               <div className="opportunity-header">
                 <div>
@@ -139,14 +306,65 @@ function App() {
                 買い: {formatPrice(opp.priceFrom)} (Ask) | 
                 売り: {formatPrice(opp.priceTo)} (Bid) | 
                 理論差額: {formatPrice(opp.priceDifference)}
+                {opp.zScore !== null && opp.zScore !== undefined && (
+                  <> | zスコア: {opp.zScore.toFixed(1)}（平常 {opp.spreadMean.toFixed(2)}%）</>
+                )}
+                {opp.confidence !== null && opp.confidence !== undefined && (
+                  <> | <span className={`confidence ${opp.confidence >= 0.5 ? 'high' : 'low'}`}>信頼度: {Math.round(opp.confidence * 100)}%</span></>
+                )}
               </div>
               <div className="net-profit-info">
-                <span className="label">手数料考慮後（1 BTC）:</span>
-                <span className={`net-profit ${opp.isProfitableAfterFees ? 'profitable' : 'unprofitable'}`}>
+                <span className="label">手数料考慮後（{opp.tradeSize || 1} {baseAsset}）:</span>
+                <span className={`net-profit ${opp.netProfit > 0 ? 'profitable' : 'unprofitable'}`}>
                   {opp.netProfit > 0 ? '+' : ''}{formatPrice(opp.netProfit)}
                 </span>
                 <span className="total-fees"> (手数料: {formatPrice(opp.totalFees)})</span>
+                {opp.riskAdjustedProfit !== null && opp.riskAdjustedProfit !== undefined && (
+                  <div className="price-risk">
+                    送金{Math.round(opp.transferMinutes)}分の価格変動 ±{opp.transferVolatility.toFixed(2)}% |
+                    リスク考慮後: <span className={`net-profit ${opp.riskAdjustedProfit > 0 ? 'profitable' : 'unprofitable'}`}>
+                      {opp.riskAdjustedProfit > 0 ? '+' : ''}{formatPrice(opp.riskAdjustedProfit)}
+                    </span>
+                    {' '}| 損失の確率: {(opp.lossProbability * 100).toFixed(1)}%
+                  </div>
+                )}
               </div>
+              {opp.costModels && (
+                <div className="cost-models">
+                  {[['transfer', '送金モデル'], ['inventory', '在庫モデル']].map(([model, label]) => (
+                    <div key={model} className={`cost-model ${opp.costModel === model ? 'selected' : ''}`}>
+                      <span className="label">{label}:</span>
+                      <span className={`net-profit ${opp.costModels[model].netProfit > 0 ? 'profitable' : 'unprofitable'}`}>
+                        {opp.costModels[model].netProfit > 0 ? '+' : ''}{formatPrice(opp.costModels[model].netProfit)}
+                      </span>
+                      <span className="total-fees"> (手数料: {formatPrice(opp.costModels[model].totalFees)})</span>
+                      {opp.costModels[model].netProfitAtSize !== null && (
+                        <span className="total-fees"> | 板で約定可能: {formatPrice(opp.costModels[model].netProfitAtSize)}</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {opp.executableSize !== null && opp.executableSize !== undefined && (
+                <div className="net-profit-info depth-info">
+                  <span className="label">板で約定可能（{parseFloat(opp.executableSize.toFixed(4))} {baseAsset}）:</span>
+                  <span className={`net-profit ${opp.netProfitAtSize > 0 ? 'profitable' : 'unprofitable'}`}>
+                    {opp.netProfitAtSize > 0 ? '+' : ''}{formatPrice(opp.netProfitAtSize)}
+                  </span>
+                  {opp.executableSize > 0 && (
+                    <div className="depth-details">
+                      平均約定: 買い {formatPrice(opp.averageBuyPrice)} / 売り {formatPrice(opp.averageSellPrice)} | 
+                      スリッページ: {formatPrice(opp.slippageCost)}（買い {opp.buySlippage.toFixed(3)}% / 売り {opp.sellSlippage.toFixed(3)}%）
+                    </div>
+                  )}
+                </div>
+              )}
+              {(opp.optimalSize || opp.breakEvenSize) && (
+                <div className="depth-details">
+                  {opp.optimalSize && <>最適数量: {parseFloat(opp.optimalSize.toFixed(4))} {baseAsset}（{formatPrice(opp.netProfitAtOptimalSize)}） | </>}
+                  損益分岐: {opp.breakEvenSize ? `${parseFloat(opp.breakEvenSize.toFixed(4))} ${baseAsset}` : '板の範囲で回収不可'}
+                </div>
+              )}
               {opp.feeBreakdown && (
                 <div className="fee-breakdown">
                   <details>
@@ -155,7 +373,7 @@ function App() {
                       <div>買い取引手数料 ({opp.exchangeFrom}): {formatPrice(opp.feeBreakdown.buyExchange.tradingFee)}</div>
                       <div>売り取引手数料 ({opp.exchangeTo}): {formatPrice(opp.feeBreakdown.sellExchange.tradingFee)}</div>
                       <div>JPY出金手数料: {formatPrice(opp.feeBreakdown.sellExchange.jpyWithdrawalFee)}</div>
-                      <div>BTC送金手数料: {formatPrice(opp.feeBreakdown.buyExchange.btcWithdrawalFee)}</div>
+                      <div>{baseAsset}送金手数料: {formatPrice(opp.feeBreakdown.buyExchange.btcWithdrawalFee)}</div>
                       <div>ネットワーク手数料: {formatPrice(opp.feeBreakdown.networkFee)}</div>
                     </div>
                   </details>
@@ -171,11 +389,42 @@ function App() {
           ))
         ) : (
           <div className="no-opportunities">
-            現在、アービトラージ機会はありません（0.1%以上の価格差なし）
+            現在、アービトラージ機会はありません（{thresholdText}）
           </div>
         )}
       </div>
 
+      {triangularOpportunities.length > 0 && (
+        <div className="opportunities">
+          <h3>🔺 三角裁定 ({triangularOpportunities.length}件)</h3>
+          {triangularOpportunities.map((opp, index) => (
+            <div key={index} className={`opportunity-item triangular ${!opp.isProfitableAfterFees ? 'unprofitable' : ''}`}>
+              <div className="opportunity-header">
+                <div>
+                  <strong>{opp.exchangeFrom}</strong>: {opp.pair}
+                </div>
+                <div className="percentage-group">
+                  <div className="percentage gross">理論: +{opp.percentageDifference.toFixed(2)}%</div>
+                  <div className={`percentage net ${opp.isProfitableAfterFees ? 'profitable' : 'unprofitable'}`}>
+                    実際: {opp.netProfitPercentage > 0 ? '+' : ''}{opp.netProfitPercentage.toFixed(2)}%
+                  </div>
+                </div>
+              </div>
+              <div className="profit-info">
+                {opp.legs.map(leg => `${leg.side === 'buy' ? '買い' : '売り'} ${leg.pair} @ ${leg.price}`).join(' → ')}
+              </div>
+              <div className="net-profit-info">
+                <span className="label">手数料考慮後（{opp.tradeSize || 1} {opp.legs[0].pair.split('/')[0]} 相当）:</span>
+                <span className={`net-profit ${opp.netProfit > 0 ? 'profitable' : 'unprofitable'}`}>
+                  {opp.netProfit > 0 ? '+' : ''}{formatPrice(opp.netProfit)}
+                </span>
+                <span className="total-fees"> (取引手数料: {formatPrice(opp.totalFees)}、送金なし)</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {lastUpdate && (
         <div className="last-update">
           最終更新: {lastUpdate}
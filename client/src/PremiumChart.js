@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import 'chartjs-adapter-date-fns';
+import axios from 'axios';
+
+// Chart.js のコンポーネント登録は PriceChart で実施済み
+const MAX_REALTIME_POINTS = 500;
+
+const PremiumChart = ({ premium, pair = 'BTC/JPY' }) => {
+  const [points, setPoints] = useState([]);
+  const [timeRange, setTimeRange] = useState(24);
+
+  const fetchPremiumHistory = async () => {
+    try {
+      const response = await axios.get(`/api/premium-history?hours=${timeRange}&pair=${encodeURIComponent(pair)}`);
+      setPoints(response.data.premiumHistory.map(record => ({
+        x: new Date(record.timestamp),
+        y: record.premium_percentage
+      })));
+    } catch (error) {
+      console.error('Error fetching premium history:', error);
+    }
+  };
+
+  useEffect(() => {
+    setPoints([]);
+    fetchPremiumHistory();
+    const interval = setInterval(fetchPremiumHistory, 30000); // 30秒ごとに更新
+    return () => clearInterval(interval);
+  }, [timeRange, pair]);
+
+  // WebSocketで受信した最新のプレミアムを追加
+  useEffect(() => {
+    if (!premium) return;
+    const point = { x: new Date(premium.timestamp), y: premium.premium };
+    setPoints(prevPoints => {
+      const last = prevPoints[prevPoints.length - 1];
+      if (last && last.x.getTime() >= point.x.getTime()) return prevPoints;
+      const threshold = Date.now() - timeRange * 60 * 60 * 1000;
+      return [...prevPoints, point]
+        .filter(p => p.x.getTime() > threshold)
+        .slice(-MAX_REALTIME_POINTS);
+    });
+  }, [premium]);
+
+  const chartData = {
+    datasets: [{
+      label: '日本プレミアム',
+      data: points,
+      borderColor: '#e17055',
+      backgroundColor: '#e17055',
+      borderWidth: 2,
+      fill: false,
+      tension: 0.1,
+      pointRadius: 1,
+      pointHoverRadius: 4
+    }]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      title: {
+        display: true,
+        text: `${pair} 日本プレミアム推移 (過去${timeRange}時間)`
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.parsed.y > 0 ? '+' : ''}${context.parsed.y.toFixed(3)}%`
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'time',
+        time: { displayFormats: { hour: 'HH:mm', minute: 'HH:mm' } },
+        min: new Date(Date.now() - timeRange * 60 * 60 * 1000),
+        max: new Date()
+      },
+      y: {
+        type: 'linear',
+        title: { display: true, text: 'プレミアム (%)' },
+        ticks: { callback: (value) => `${value}%` },
+        grace: '10%'
+      }
+    }
+  };
+
+  return (
+    <div className="price-chart">
+      <div className="chart-controls">
+        <div className="control-group">
+          <label htmlFor="premiumTimeRange">表示期間: </label>
+          <select
+            id="premiumTimeRange"
+            value={timeRange}
+            onChange={(e) => setTimeRange(parseInt(e.target.value))}
+          >
+            <option value={1}>1時間</option>
+            <option value={6}>6時間</option>
+            <option value={24}>24時間</option>
+            <option value={72}>3日間</option>
+            <option value={168}>1週間</option>
+          </select>
+        </div>
+      </div>
+      <div className="chart-container">
+        <Line data={chartData} options={options} />
+      </div>
+    </div>
+  );
+};
+
+export default PremiumChart;
@@ -25,7 +25,7 @@ ChartJS.register(
   TimeScale
 );
 
-const PriceChart = ({ prices, ws }) => {
+const PriceChart = ({ prices, pair = 'BTC/JPY', ws }) => {
   const [chartData, setChartData] = useState({
     datasets: []
   });
@@ -33,20 +33,47 @@ const PriceChart = ({ prices, ws }) => {
   const [realtimeData, setRealtimeData] = useState({});
   const chartRef = useRef();
 
-  const exchangeColors = {
-    'bitFlyer': '#ff6b6b',
-    'Coincheck': '#4ecdc4', 
-    'Zaif': '#45b7d1',
-    'GMOコイン': '#96ceb4',
-    'bitbank': '#ffeaa7'
-  };
+  const [exchangeColors, setExchangeColors] = useState({});
+  const [referenceFeeds, setReferenceFeeds] = useState([]);
+
+  // 取引所ごとの色はサーバーのアダプター定義から取得
+  useEffect(() => {
+    const fetchExchangeColors = async () => {
+      try {
+        const response = await axios.get('/api/exchanges');
+        const colors = {};
+        response.data.exchanges.forEach(exchange => {
+          colors[exchange.name] = exchange.color;
+        });
+        setExchangeColors(colors);
+        const references = response.data.exchanges
+          .filter(exchange => exchange.type === 'reference')
+          .map(exchange => exchange.name);
+        setReferenceFeeds(references);
+
+        // 色の取得より先に描画されたデータセットにも反映
+        setChartData(prevData => ({
+          datasets: prevData.datasets.map(dataset => ({
+            ...dataset,
+            borderColor: colors[dataset.label] || '#666',
+            backgroundColor: colors[dataset.label] || '#666',
+            borderDash: references.includes(dataset.label) ? [6, 4] : []
+          }))
+        }));
+      } catch (error) {
+        console.error('Error fetching exchange list:', error);
+      }
+    };
+
+    fetchExchangeColors();
+  }, []);
 
   const fetchPriceHistory = async () => {
     try {
-      const response = await axios.get(`/api/price-history?hours=${timeRange}`);
+      const response = await axios.get(`/api/price-history?hours=${timeRange}&pair=${encodeURIComponent(pair)}`);
       const priceHistory = response.data.priceHistory;
       
-      console.log(`Fetched ${priceHistory.length} records for ${timeRange} hours`);
+      console.log(`Fetched ${priceHistory.length} ${pair} records for ${timeRange} hours`);
       
       // データを取引所ごとにグループ化
       const groupedData = {};
@@ -66,6 +93,7 @@ const PriceChart = ({ prices, ws }) => {
         data: groupedData[exchange],
         borderColor: exchangeColors[exchange] || '#666',
         backgroundColor: exchangeColors[exchange] || '#666',
+        borderDash: referenceFeeds.includes(exchange) ? [6, 4] : [], // 参考指数は破線
         borderWidth: 2,
         fill: false,
         tension: 0.1,
@@ -184,7 +212,7 @@ const PriceChart = ({ prices, ws }) => {
         chartRef.current.destroy?.();
       }
     };
-  }, [timeRange]);
+  }, [timeRange, pair]);
 
   // コンポーネントアンマウント時のクリーンアップ
   useEffect(() => {
@@ -218,7 +246,7 @@ const PriceChart = ({ prices, ws }) => {
         },
         title: {
           display: true,
-          text: `BTC/JPY 価格推移 (過去${timeRange}時間)`
+          text: `${pair} 価格推移 (過去${timeRange}時間)`
         },
         tooltip: {
           mode: 'index',
@@ -297,7 +325,7 @@ const PriceChart = ({ prices, ws }) => {
         </div>
         <div className="control-group">
           <a 
-            href={`http://localhost:3001/api/export-csv?hours=${timeRange}`}
+            href={`http://localhost:3001/api/export-csv?hours=${timeRange}&pair=${encodeURIComponent(pair)}`}
             download
             className="export-button"
           >
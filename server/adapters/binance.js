@@ -0,0 +1,27 @@
+/**
+ * Binance public API adapter (overseas, USDT-quoted)
+ *
+ * Quotes are in USDT and converted to JPY by ExchangeAPI with the USD/JPY
+ * rate (USDT is treated as USD). Used for the Japan premium only: it is not
+ * a venue for domestic arbitrage detection.
+ */
+module.exports = {
+  id: 'binance',
+  name: 'Binance',
+  type: 'overseas',
+  quoteCurrency: 'USDT',
+  color: '#f0b90b',
+  symbols: {
+    'BTC/JPY': 'BTCUSDT',
+    'ETH/JPY': 'ETHUSDT',
+    'XRP/JPY': 'XRPUSDT'
+  },
+  rateLimit: { requests: 600, interval: 60 * 1000 }, // 重み付き上限（1分あたり6000）より十分に少なく設定
+  tickerUrl: (symbol) => `https://api.binance.com/api/v3/ticker/24hr?symbol=${symbol}`,
+  parseTicker: (data) => ({
+    price: data.lastPrice,
+    bid: data.bidPrice,
+    ask: data.askPrice,
+    timestamp: data.closeTime // UNIXミリ秒
+  })
+};
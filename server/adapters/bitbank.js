@@ -0,0 +1,149 @@
+const { hmacSha256 } = require('../utils');
+
+// エラー時もHTTP 200で success が0になる
+function checkSuccess(data) {
+  if (data.success !== 1) {
+    throw new Error(`bitbank private API error ${data.data && data.data.code}`);
+  }
+  return data.data;
+}
+
+/**
+ * bitbank public and private API adapter
+ */
+module.exports = {
+  id: 'bitbank',
+  name: 'bitbank',
+  color: '#ffeaa7',
+  symbols: {
+    'BTC/JPY': 'btc_jpy',
+    'ETH/JPY': 'eth_jpy',
+    'XRP/JPY': 'xrp_jpy',
+    'ETH/BTC': 'eth_btc'
+  },
+  rateLimit: { requests: 10, interval: 1000 }, // 1秒あたり10回まで
+  tickerUrl: (symbol) => `https://public.bitbank.cc/${symbol}/ticker`,
+  parseTicker: (data) => ({
+    price: data.data.last,
+    bid: data.data.buy,
+    ask: data.data.sell,
+    timestamp: data.data.timestamp // UNIXミリ秒
+  }),
+  orderBookUrl: (symbol) => `https://public.bitbank.cc/${symbol}/depth`,
+  parseOrderBook: (data) => ({
+    bids: data.data.bids,
+    asks: data.data.asks
+  }),
+  tradesUrl: (symbol) => `https://public.bitbank.cc/${symbol}/transactions`,
+  parseTrades: (data) => data.data.transactions.map(trade => ({
+    id: trade.transaction_id,
+    price: trade.price,
+    size: trade.amount,
+    side: trade.side,
+    timestamp: trade.executed_at // UNIXミリ秒
+  })),
+  // Socket.IO (Engine.IO v4) のフレームを直接扱う
+  stream: {
+    url: 'wss://stream.bitbank.cc/socket.io/?EIO=4&transport=websocket',
+    format: 'text',
+    subscribe: () => [],
+    parseMessage: (raw, symbols, send) => {
+      if (raw === '2') {
+        send('3'); // ping -> pong
+        return null;
+      }
+      if (raw.startsWith('0')) {
+        send('40'); // Engine.IO open -> Socket.IO connect
+        return null;
+      }
+      if (raw.startsWith('40')) {
+        symbols.forEach(symbol => send(`42${JSON.stringify(['join-room', `ticker_${symbol}`])}`));
+        return null;
+      }
+      if (!raw.startsWith('42')) return null;
+
+      const [event, payload] = JSON.parse(raw.slice(2));
+      if (event !== 'message' || !payload) return null;
+      const symbol = symbols.find(s => payload.room_name === `ticker_${s}`);
+      if (!symbol) return null;
+      const ticker = payload.message.data;
+      return {
+        symbol,
+        price: ticker.last,
+        bid: ticker.buy,
+        ask: ticker.sell,
+        timestamp: ticker.timestamp
+      };
+    }
+  },
+  // Private API: ACCESS-SIGNATURE = HMAC-SHA256(nonce + path)（GET）/ HMAC-SHA256(nonce + body)（POST）
+  private: {
+    baseUrl: 'https://api.bitbank.cc',
+    sign: ({ method, path, body, nonce }, credential) => ({
+      'ACCESS-KEY': credential.key,
+      'ACCESS-NONCE': String(nonce),
+      'ACCESS-SIGNATURE': hmacSha256(credential.secret, `${nonce}${method === 'GET' ? path : body}`)
+    }),
+    balancesPath: '/v1/user/assets',
+    parseBalances: (data) => checkSuccess(data).assets.map(asset => ({
+      currency: asset.asset,
+      total: asset.onhand_amount,
+      available: asset.free_amount
+    })),
+    openOrdersPath: (symbol) => `/v1/user/spot/active_orders?pair=${symbol}`,
+    parseOpenOrders: (data) => checkSuccess(data).orders.map(order => ({
+      id: order.order_id,
+      side: order.side,
+      price: order.price,
+      size: order.start_amount,
+      remaining: order.remaining_amount,
+      timestamp: order.ordered_at // UNIXミリ秒
+    })),
+    // IOCがないため通常の指値注文（残りは呼び出し側が取り消す）
+    orderRequest: (symbol, { side, size, price }) => ({
+      path: '/v1/user/spot/order',
+      body: { pair: symbol, amount: String(size), price: String(price), side, type: 'limit' }
+    }),
+    parseOrderId: (data) => checkSuccess(data).order_id,
+    orderStatusPath: (symbol, id) => `/v1/user/spot/order?pair=${symbol}&order_id=${id}`,
+    parseOrderStatus: (data) => {
+      const order = checkSuccess(data);
+      const states = { UNFILLED: 'open', PARTIALLY_FILLED: 'open', FULLY_FILLED: 'filled' };
+      return {
+        status: states[order.status] || 'canceled',
+        filledSize: order.executed_amount,
+        averagePrice: order.average_price
+      };
+    },
+    fillsPath: (symbol) => `/v1/user/spot/trade_history?pair=${symbol}&count=100`,
+    parseFills: (data) => checkSuccess(data).trades.map(fill => ({
+      orderId: fill.order_id,
+      side: fill.side,
+      price: fill.price,
+      size: fill.amount,
+      timestamp: fill.executed_at // UNIXミリ秒
+    })),
+    cancelRequest: (symbol, id) => ({
+      method: 'POST',
+      path: '/v1/user/spot/cancel_order',
+      body: { pair: symbol, order_id: Number(id) }
+    })
+  },
+  fees: {
+    tradingFee: {
+      maker: -0.0002, // -0.02% (マイナス手数料)
+      taker: 0.0012   // 0.12%
+    },
+    withdrawalFee: {
+      jpy: 550,      // 550円
+      btc: 0.0006,   // 0.0006 BTC
+      eth: 0.0025,   // 0.0025 ETH
+      xrp: 0.15      // 0.15 XRP
+    }
+  },
+  // 送金時間の目安：出金の処理時間（分）と入金に必要な承認数
+  transfer: {
+    withdrawalMinutes: 30,
+    confirmations: { btc: 3, eth: 30, xrp: 1 }
+  }
+};
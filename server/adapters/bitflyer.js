@@ -0,0 +1,131 @@
+const { hmacSha256 } = require('../utils');
+
+/**
+ * bitFlyer Lightning public and private API adapter
+ */
+module.exports = {
+  id: 'bitflyer',
+  name: 'bitFlyer',
+  color: '#ff6b6b',
+  symbols: {
+    'BTC/JPY': 'BTC_JPY',
+    'ETH/JPY': 'ETH_JPY',
+    'XRP/JPY': 'XRP_JPY',
+    'ETH/BTC': 'ETH_BTC'
+  },
+  rateLimit: { requests: 500, interval: 5 * 60 * 1000 }, // 公開API: 同一IPから5分間に500回まで
+  maintenance: [{ start: '04:00', end: '04:10', note: '日次メンテナンス' }], // 毎日 4:00〜4:10頃（日本時間）
+  tickerUrl: (symbol) => `https://api.bitflyer.com/v1/ticker?product_code=${symbol}`,
+  parseTicker: (data) => ({
+    price: data.ltp,
+    bid: data.best_bid,
+    ask: data.best_ask,
+    timestamp: data.timestamp // UTC (タイムゾーン表記なしの場合あり)
+  }),
+  orderBookUrl: (symbol) => `https://api.bitflyer.com/v1/board?product_code=${symbol}`,
+  parseOrderBook: (data) => ({
+    bids: data.bids,
+    asks: data.asks
+  }),
+  tradesUrl: (symbol) => `https://api.bitflyer.com/v1/executions?product_code=${symbol}&count=100`,
+  parseTrades: (data) => data.map(trade => ({
+    id: trade.id,
+    price: trade.price,
+    size: trade.size,
+    side: trade.side, // 'BUY' | 'SELL'（板寄せ時は空文字）
+    timestamp: trade.exec_date
+  })),
+  // Lightning Realtime API (JSON-RPC 2.0 over WebSocket)
+  stream: {
+    url: 'wss://ws.lightstream.bitflyer.com/json-rpc',
+    subscribe: (symbols) => symbols.map(symbol => (
+      { jsonrpc: '2.0', method: 'subscribe', params: { channel: `lightning_ticker_${symbol}` } }
+    )),
+    parseMessage: (message, symbols) => {
+      if (message.method !== 'channelMessage') return null;
+      const symbol = symbols.find(s => message.params.channel === `lightning_ticker_${s}`);
+      if (!symbol) return null;
+      const ticker = message.params.message;
+      return {
+        symbol,
+        price: ticker.ltp,
+        bid: ticker.best_bid,
+        ask: ticker.best_ask,
+        timestamp: ticker.timestamp
+      };
+    }
+  },
+  // Private API: ACCESS-SIGN = HMAC-SHA256(timestamp + method + path + body)
+  private: {
+    baseUrl: 'https://api.bitflyer.com',
+    sign: ({ method, path, body, nonce }, credential) => ({
+      'ACCESS-KEY': credential.key,
+      'ACCESS-TIMESTAMP': String(nonce),
+      'ACCESS-SIGN': hmacSha256(credential.secret, `${nonce}${method}${path}${body}`)
+    }),
+    balancesPath: '/v1/me/getbalance',
+    parseBalances: (data) => data.map(balance => ({
+      currency: balance.currency_code,
+      total: balance.amount,
+      available: balance.available
+    })),
+    openOrdersPath: (symbol) => `/v1/me/getchildorders?product_code=${symbol}&child_order_state=ACTIVE`,
+    parseOpenOrders: (data) => data.map(order => ({
+      id: order.child_order_acceptance_id,
+      side: order.side,
+      price: order.price,
+      size: order.size,
+      remaining: order.outstanding_size,
+      timestamp: order.child_order_date
+    })),
+    // 指値のIOC注文（約定しなかった分は取引所側で失効）
+    orderRequest: (symbol, { side, size, price }) => ({
+      path: '/v1/me/sendchildorder',
+      body: { product_code: symbol, child_order_type: 'LIMIT', side: side.toUpperCase(), price, size, time_in_force: 'IOC' }
+    }),
+    parseOrderId: (data) => data.child_order_acceptance_id,
+    orderStatusPath: (symbol, id) => `/v1/me/getchildorders?product_code=${symbol}&child_order_acceptance_id=${id}`,
+    // 受付直後は一覧に現れないことがあるため、その間は未約定の注文として扱う
+    parseOrderStatus: (data) => {
+      const order = data[0];
+      if (!order) return { status: 'open', filledSize: 0 };
+      const states = { ACTIVE: 'open', COMPLETED: 'filled' };
+      return {
+        status: states[order.child_order_state] || 'canceled',
+        filledSize: order.executed_size,
+        averagePrice: order.average_price
+      };
+    },
+    fillsPath: (symbol) => `/v1/me/getexecutions?product_code=${symbol}&count=100`,
+    parseFills: (data) => data.map(fill => ({
+      orderId: fill.child_order_acceptance_id,
+      side: fill.side,
+      price: fill.price,
+      size: fill.size,
+      timestamp: fill.exec_date
+    })),
+    cancelRequest: (symbol, id) => ({
+      method: 'POST',
+      path: '/v1/me/cancelchildorder',
+      body: { product_code: symbol, child_order_acceptance_id: id }
+    })
+  },
+  fees: {
+    tradingFee: {
+      maker: 0.0001, // 0.01%
+      taker: 0.0015  // 0.15% (varies by volume)
+    },
+    withdrawalFee: {
+      jpy: 550,      // 三井住友銀行以外: 550円
+      jpySMBC: 330,  // 三井住友銀行: 330円
+      btc: 0.0004,   // 0.0004 BTC
+      eth: 0.005,    // 0.005 ETH
+      xrp: 0         // 無料
+    }
+  },
+  // 送金時間の目安：出金の処理時間（分）と入金に必要な承認数
+  transfer: {
+    withdrawalMinutes: 30,
+    confirmations: { btc: 3, eth: 30, xrp: 1 }
+  }
+};
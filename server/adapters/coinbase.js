@@ -0,0 +1,27 @@
+/**
+ * Coinbase Exchange public API adapter (overseas, USD-quoted)
+ *
+ * Quotes are in USD and converted to JPY by ExchangeAPI with the USD/JPY
+ * rate. Used for the Japan premium only: it is not a venue for domestic
+ * arbitrage detection.
+ */
+module.exports = {
+  id: 'coinbase',
+  name: 'Coinbase',
+  type: 'overseas',
+  quoteCurrency: 'USD',
+  color: '#0052ff',
+  symbols: {
+    'BTC/JPY': 'BTC-USD',
+    'ETH/JPY': 'ETH-USD',
+    'XRP/JPY': 'XRP-USD'
+  },
+  rateLimit: { requests: 10, interval: 1000 }, // 公開API: 1秒あたり10回まで
+  tickerUrl: (symbol) => `https://api.exchange.coinbase.com/products/${symbol}/ticker`,
+  parseTicker: (data) => ({
+    price: data.price,
+    bid: data.bid,
+    ask: data.ask,
+    timestamp: data.time
+  })
+};
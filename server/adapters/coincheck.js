@@ -0,0 +1,133 @@
+const { hmacSha256 } = require('../utils');
+
+function checkSuccess(data) {
+  if (!data.success) {
+    throw new Error(`Coincheck private API error: ${data.error}`);
+  }
+  return data;
+}
+
+/**
+ * Coincheck public and private API adapter
+ */
+module.exports = {
+  id: 'coincheck',
+  name: 'Coincheck',
+  color: '#4ecdc4',
+  symbols: {
+    'BTC/JPY': 'btc_jpy'
+  },
+  rateLimit: { requests: 60, interval: 60 * 1000 }, // 上限は公表されていないため控えめに設定
+  tickerUrl: (symbol) => `https://coincheck.com/api/ticker?pair=${symbol}`,
+  parseTicker: (data) => ({
+    price: data.last,
+    bid: data.bid,
+    ask: data.ask,
+    timestamp: data.timestamp // UNIX秒
+  }),
+  orderBookUrl: (symbol) => `https://coincheck.com/api/order_books?pair=${symbol}`,
+  parseOrderBook: (data) => ({
+    bids: data.bids,
+    asks: data.asks
+  }),
+  tradesUrl: (symbol) => `https://coincheck.com/api/trades?pair=${symbol}`,
+  parseTrades: (data) => data.data.map(trade => ({
+    id: trade.id,
+    price: trade.rate,
+    size: trade.amount,
+    side: trade.order_type,
+    timestamp: trade.created_at
+  })),
+  // 板の差分配信のみのため、接続時にREST板で初期化してから差分を適用する
+  stream: {
+    url: 'wss://ws-api.coincheck.com/',
+    seedOrderBook: true,
+    subscribe: (symbols) => symbols.map(symbol => (
+      { type: 'subscribe', channel: `${symbol}-orderbook` }
+    )),
+    parseMessage: (message, symbols) => {
+      if (!Array.isArray(message) || !symbols.includes(message[0]) || !message[1]) return null;
+      return {
+        symbol: message[0],
+        bids: message[1].bids,
+        asks: message[1].asks
+      };
+    }
+  },
+  // Private API: ACCESS-SIGNATURE = HMAC-SHA256(nonce + URL + body)
+  private: {
+    baseUrl: 'https://coincheck.com',
+    sign: ({ url, body, nonce }, credential) => ({
+      'ACCESS-KEY': credential.key,
+      'ACCESS-NONCE': String(nonce),
+      'ACCESS-SIGNATURE': hmacSha256(credential.secret, `${nonce}${url}${body}`)
+    }),
+    balancesPath: '/api/accounts/balance',
+    // 通貨ごとに利用可能額（jpy）と注文中の額（jpy_reserved）が並ぶ
+    parseBalances: (data) => Object.keys(checkSuccess(data))
+      .filter(field => /^[a-z]+$/.test(field) && data[`${field}_reserved`] !== undefined)
+      .map(currency => ({
+        currency,
+        total: parseFloat(data[currency]) + parseFloat(data[`${currency}_reserved`]),
+        available: data[currency]
+      })),
+    // 未約定注文は全通貨ペア分が返るため symbol で絞り込む（元の注文数量は返らない）
+    openOrdersPath: () => '/api/exchange/orders/opens',
+    parseOpenOrders: (data, symbol) => checkSuccess(data).orders
+      .filter(order => order.pair === symbol)
+      .map(order => ({
+        id: order.id,
+        side: order.order_type,
+        price: order.rate,
+        size: order.pending_amount,
+        remaining: order.pending_amount,
+        timestamp: order.created_at
+      })),
+    // IOCがないため通常の指値注文（残りは呼び出し側が取り消す）
+    orderRequest: (symbol, { side, size, price }) => ({
+      path: '/api/exchange/orders',
+      body: { pair: symbol, order_type: side, rate: price, amount: size }
+    }),
+    parseOrderId: (data) => checkSuccess(data).id,
+    orderStatusPath: (symbol, id) => `/api/exchange/orders/${id}`,
+    parseOrderStatus: (data) => {
+      const order = checkSuccess(data);
+      const states = { NEW: 'open', PARTIALLY_FILLED: 'open', FILLED: 'filled' };
+      return {
+        status: states[order.status] || 'canceled',
+        filledSize: order.executed_amount,
+        averagePrice: null
+      };
+    },
+    // 約定は全通貨ペア分が返るため symbol で絞り込む（数量は funds の基軸通貨の増減）
+    fillsPath: () => '/api/exchange/orders/transactions',
+    parseFills: (data, symbol) => checkSuccess(data).transactions
+      .filter(fill => fill.pair === symbol)
+      .map(fill => ({
+        orderId: fill.order_id,
+        side: fill.side,
+        price: fill.rate,
+        size: Math.abs(parseFloat(fill.funds[symbol.split('_')[0]])),
+        timestamp: fill.created_at
+      })),
+    cancelRequest: (symbol, id) => ({
+      method: 'DELETE',
+      path: `/api/exchange/orders/${id}`
+    })
+  },
+  fees: {
+    tradingFee: {
+      maker: 0.0000, // 0% (取引所)
+      taker: 0.0000  // 0% (取引所)
+    },
+    withdrawalFee: {
+      jpy: 407,      // 407円
+      btc: 0.0005    // 0.0005 BTC
+    }
+  },
+  // 送金時間の目安：出金の処理時間（分）と入金に必要な承認数
+  transfer: {
+    withdrawalMinutes: 60,
+    confirmations: { btc: 3 }
+  }
+};
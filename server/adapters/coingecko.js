@@ -0,0 +1,26 @@
+/**
+ * CoinGecko aggregate JPY index prices (reference feed)
+ *
+ * This is a cross-venue index price, not an order book: it has no bid/ask
+ * and cannot be traded, so it is displayed and stored as a reference price
+ * but never used as a venue in arbitrage detection.
+ */
+module.exports = {
+  id: 'coingecko',
+  name: 'CoinGecko指数',
+  type: 'reference',
+  color: '#a29bfe',
+  symbols: {
+    'BTC/JPY': 'bitcoin',
+    'ETH/JPY': 'ethereum',
+    'XRP/JPY': 'ripple'
+  },
+  rateLimit: { requests: 30, interval: 60 * 1000 }, // 無料プラン: 1分間に30回まで
+  tickerUrl: (symbol) => `https://api.coingecko.com/api/v3/simple/price?ids=${symbol}&vs_currencies=jpy&include_last_updated_at=true`,
+  parseTicker: (data, symbol) => ({
+    price: data[symbol].jpy,
+    bid: null,
+    ask: null,
+    timestamp: data[symbol].last_updated_at // UNIX秒
+  })
+};
@@ -0,0 +1,138 @@
+const { hmacSha256 } = require('../utils');
+
+// エラー時もHTTP 200で status が0以外になる
+function checkStatus(data) {
+  if (data.status !== 0) {
+    const message = (data.messages || [])[0] || {};
+    throw new Error(`GMO private API error ${message.message_code}: ${message.message_string}`);
+  }
+  return data.data;
+}
+
+/**
+ * GMOコイン public and private API adapter
+ */
+module.exports = {
+  id: 'gmo',
+  name: 'GMOコイン',
+  color: '#96ceb4',
+  symbols: {
+    'BTC/JPY': 'BTC_JPY',
+    'ETH/JPY': 'ETH_JPY',
+    'XRP/JPY': 'XRP_JPY'
+  },
+  rateLimit: { requests: 6, interval: 1000 }, // 1秒あたり6回まで
+  tickerUrl: (symbol) => `https://api.coin.z.com/public/v1/ticker?symbol=${symbol}`,
+  parseTicker: (data) => {
+    const ticker = data.data[0]; // データは配列の最初の要素
+    return {
+      price: ticker.last,
+      bid: ticker.bid,
+      ask: ticker.ask,
+      timestamp: ticker.timestamp
+    };
+  },
+  orderBookUrl: (symbol) => `https://api.coin.z.com/public/v1/orderbooks?symbol=${symbol}`,
+  parseOrderBook: (data) => ({
+    bids: data.data.bids,
+    asks: data.data.asks
+  }),
+  tradesUrl: (symbol) => `https://api.coin.z.com/public/v1/trades?symbol=${symbol}&count=100`,
+  // 約定IDがないため、ExchangeAPI が時刻・価格・数量から識別子を作る
+  parseTrades: (data) => data.data.list.map(trade => ({
+    price: trade.price,
+    size: trade.size,
+    side: trade.side,
+    timestamp: trade.timestamp
+  })),
+  stream: {
+    url: 'wss://api.coin.z.com/ws/public/v1',
+    subscribe: (symbols) => symbols.map(symbol => (
+      { command: 'subscribe', channel: 'ticker', symbol }
+    )),
+    parseMessage: (message, symbols) => {
+      if (message.channel !== 'ticker' || !symbols.includes(message.symbol)) return null;
+      return {
+        symbol: message.symbol,
+        price: message.last,
+        bid: message.bid,
+        ask: message.ask,
+        timestamp: message.timestamp
+      };
+    }
+  },
+  // Private API: API-SIGN = HMAC-SHA256(timestamp + method + path + body)、path は /private を除く
+  private: {
+    baseUrl: 'https://api.coin.z.com/private',
+    sign: ({ method, path, body, nonce }, credential) => ({
+      'API-KEY': credential.key,
+      'API-TIMESTAMP': String(nonce),
+      'API-SIGN': hmacSha256(credential.secret, `${nonce}${method}${path.split('?')[0]}${body}`)
+    }),
+    balancesPath: '/v1/account/assets',
+    parseBalances: (data) => checkStatus(data).map(asset => ({
+      currency: asset.symbol,
+      total: asset.amount,
+      available: asset.available
+    })),
+    openOrdersPath: (symbol) => `/v1/activeOrders?symbol=${symbol}`,
+    // 注文がない場合は data に list が含まれない
+    parseOpenOrders: (data) => (checkStatus(data).list || []).map(order => ({
+      id: order.orderId,
+      side: order.side,
+      price: order.price,
+      size: order.size,
+      remaining: parseFloat(order.size) - parseFloat(order.executedSize),
+      timestamp: order.timestamp
+    })),
+    // 指値のFAK注文（約定しなかった分は取引所側で失効）
+    orderRequest: (symbol, { side, size, price }) => ({
+      path: '/v1/order',
+      body: { symbol, side: side.toUpperCase(), executionType: 'LIMIT', timeInForce: 'FAK', price: String(price), size: String(size) }
+    }),
+    parseOrderId: (data) => checkStatus(data),
+    orderStatusPath: (symbol, id) => `/v1/orders?orderId=${id}`,
+    // 平均約定価格は返らない（呼び出し側で指値を使う）
+    parseOrderStatus: (data) => {
+      const order = (checkStatus(data).list || [])[0];
+      if (!order) return { status: 'open', filledSize: 0 };
+      const states = { WAITING: 'open', ORDERED: 'open', MODIFYING: 'open', CANCELLING: 'open', EXECUTED: 'filled' };
+      return {
+        status: states[order.status] || 'canceled',
+        filledSize: order.executedSize,
+        averagePrice: null
+      };
+    },
+    fillsPath: (symbol) => `/v1/latestExecutions?symbol=${symbol}&count=100`,
+    // 約定がない場合は data に list が含まれない
+    parseFills: (data) => (checkStatus(data).list || []).map(fill => ({
+      orderId: fill.orderId,
+      side: fill.side,
+      price: fill.price,
+      size: fill.size,
+      timestamp: fill.timestamp
+    })),
+    cancelRequest: (symbol, id) => ({
+      method: 'POST',
+      path: '/v1/cancelOrder',
+      body: { orderId: Number(id) }
+    })
+  },
+  fees: {
+    tradingFee: {
+      maker: -0.0001, // -0.01% (マイナス手数料)
+      taker: 0.0005   // 0.05%
+    },
+    withdrawalFee: {
+      jpy: 0,        // 無料
+      btc: 0,        // 無料
+      eth: 0,        // 無料
+      xrp: 0         // 無料
+    }
+  },
+  // 送金時間の目安：出金の処理時間（分）と入金に必要な承認数
+  transfer: {
+    withdrawalMinutes: 30,
+    confirmations: { btc: 3, eth: 30, xrp: 1 }
+  }
+};
@@ -0,0 +1,222 @@
+/**
+ * Exchange adapter registry
+ *
+ * Each adapter is a self-contained description of one venue:
+ *   id          - stable identifier used in configuration
+ *   name        - display name (used as the `exchange` field of quotes)
+ *   type        - 'exchange' (default, tradable venue), 'reference' (index price
+ *                 that is shown and stored but never traded in detection) or
+ *                 'overseas' (foreign venue compared for the Japan premium only)
+ *   quoteCurrency - currency the venue quotes in (default 'JPY'); other currencies
+ *                 are converted to JPY with the FX feed (see fx.js), so `symbols`
+ *                 maps the JPY pair (e.g. 'BTC/JPY') to the venue's USD market
+ *   color       - chart colour for the dashboard
+ *   symbols     - mapping from pair (e.g. 'BTC/JPY') to the venue's own symbol
+ *   tickerUrl   - (symbol) => ticker endpoint URL
+ *   parseTicker - (data, symbol) => { price, bid, ask, timestamp }
+ *                 timestamp is the venue's own quote time (ISO string, UNIX
+ *                 seconds or milliseconds); omit it if the venue has none
+ *   orderBookUrl   - (symbol) => order book endpoint URL (optional)
+ *   parseOrderBook - (data, symbol) => { bids, asks } as [price, size] tuples
+ *                    or { price, size } objects; normalized by ExchangeAPI
+ *   tradesUrl   - (symbol) => recent public trades (executions) endpoint URL (optional)
+ *   parseTrades - (data, symbol) => [{ id, price, size, side, timestamp }]; side is
+ *                 'buy'/'sell' in any case, id may be omitted if the venue has none
+ *   stream      - public WebSocket feed (optional, see streams.js):
+ *                 { url, format, seedOrderBook, subscribe(symbols), parseMessage(message, symbols, send) }
+ *                 parseMessage returns the update tagged with the venue `symbol` it belongs to
+ *   rateLimit   - { requests, interval } public API budget per interval ms (optional)
+ *   maintenance - scheduled maintenance windows in JST (optional, see maintenance.js):
+ *                 [{ days, start, end, note }] recurring or [{ from, to, note }] one-off
+ *   private     - authenticated API (optional, see private-api.js):
+ *                 { baseUrl, sign(request, credential) => headers, balancesPath, parseBalances(data),
+ *                   openOrdersPath(symbol), parseOpenOrders(data, symbol),
+ *                   orderRequest(symbol, { side, size, price }) => { path, body }, parseOrderId(data),
+ *                   orderStatusPath(symbol, id), parseOrderStatus(data) => { status, filledSize, averagePrice },
+ *                   fillsPath(symbol), parseFills(data, symbol) => [{ orderId, side, price, size, timestamp }],
+ *                   cancelRequest(symbol, id) => { method, path, body } }
+ *                 sign receives { method, path, url, body, nonce }; path is relative to baseUrl;
+ *                 order status is 'open', 'filled' or 'canceled' (also used for expired/rejected)
+ *   fees        - { tradingFee: { maker, taker }, withdrawalFee: { jpy, btc } }
+ *                 (tradable venues only)
+ *   transfer    - { withdrawalMinutes, confirmations: { btc, eth, ... } } time a withdrawal takes to be
+ *                 sent and deposit confirmations required per asset (optional, see fees.js)
+ *
+ * Venues can be enabled, disabled or added without code changes through
+ * the ENABLED_EXCHANGES / DISABLED_EXCHANGES environment variables
+ * (comma-separated ids) or a JSON file referenced by EXCHANGE_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const bitflyer = require('./bitflyer');
+const coincheck = require('./coincheck');
+const zaif = require('./zaif');
+const gmo = require('./gmo');
+const bitbank = require('./bitbank');
+const coingecko = require('./coingecko');
+const binance = require('./binance');
+const coinbase = require('./coinbase');
+
+const builtinAdapters = [bitflyer, coincheck, zaif, gmo, bitbank, coingecko, binance, coinbase];
+
+/**
+ * Resolve a dotted path such as 'data.0.last' against an object
+ * @param {Object} obj - Source object
+ * @param {string} fieldPath - Dotted path
+ * @returns {*} Resolved value or undefined
+ */
+function getPath(obj, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Split a comma-separated list into trimmed, non-empty entries
+ * @param {string|string[]} value - List value
+ * @returns {string[]|undefined} Parsed list
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Build an adapter from a declarative definition (as found in a JSON config file).
+ * `tickerUrl` may contain a `{symbol}` placeholder and `fields` maps price/bid/ask
+ * (and optionally timestamp) to dotted paths in the response body, with
+ * `{symbol}` substituted as well.
+ * `orderBookUrl` / `orderBookFields` ({ bids, asks }) work the same way.
+ * @param {Object} definition - Declarative adapter definition
+ * @returns {Object} Adapter
+ */
+function createAdapter(definition) {
+  const { id, name, tickerUrl, fields } = definition;
+  const hasParser = typeof definition.parseTicker === 'function';
+
+  if (!id || !name || !tickerUrl || (!fields && !hasParser)) {
+    throw new Error(`Invalid exchange definition "${id || name || 'unknown'}": id, name, tickerUrl and fields are required`);
+  }
+
+  return {
+    color: '#666',
+    symbols: {},
+    ...definition,
+    tickerUrl: typeof tickerUrl === 'function'
+      ? tickerUrl
+      : (symbol) => tickerUrl.replace(/\{symbol\}/g, symbol),
+    parseTicker: hasParser
+      ? definition.parseTicker
+      : (data, symbol) => {
+        const resolve = (fieldPath) => getPath(data, fieldPath.replace(/\{symbol\}/g, symbol));
+        // 参考指数は気配値を持たないため、bid/ask未指定時はnullとする
+        const fallback = definition.type === 'reference' ? null : fields.price;
+        return {
+          price: resolve(fields.price),
+          bid: fields.bid || fallback ? resolve(fields.bid || fallback) : null,
+          ask: fields.ask || fallback ? resolve(fields.ask || fallback) : null,
+          timestamp: fields.timestamp ? resolve(fields.timestamp) : undefined
+        };
+      },
+    ...createOrderBookParser(definition)
+  };
+}
+
+/**
+ * Build the order book part of a declarative adapter, if one is configured
+ * @param {Object} definition - Declarative adapter definition
+ * @returns {Object} { orderBookUrl, parseOrderBook } or an empty object
+ */
+function createOrderBookParser(definition) {
+  const { orderBookUrl, orderBookFields } = definition;
+  if (!orderBookUrl) return {};
+
+  return {
+    orderBookUrl: typeof orderBookUrl === 'function'
+      ? orderBookUrl
+      : (symbol) => orderBookUrl.replace(/\{symbol\}/g, symbol),
+    parseOrderBook: typeof definition.parseOrderBook === 'function'
+      ? definition.parseOrderBook
+      : (data) => ({
+        bids: getPath(data, (orderBookFields && orderBookFields.bids) || 'bids'),
+        asks: getPath(data, (orderBookFields && orderBookFields.asks) || 'asks')
+      })
+  };
+}
+
+/**
+ * Read the JSON exchange configuration file, if any
+ * @param {string} [configPath] - Path to the JSON file (defaults to EXCHANGE_CONFIG)
+ * @returns {Object} Parsed configuration ({ enabled, disabled, exchanges })
+ */
+function readExchangeConfig(configPath = process.env.EXCHANGE_CONFIG) {
+  if (!configPath) return {};
+
+  const resolved = path.resolve(configPath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read exchange config ${resolved}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Get every known adapter (built-in plus configured), regardless of enabled state.
+ * Configured entries with a built-in id override that adapter's fields.
+ * @param {Object} [config] - Exchange configuration ({ exchanges })
+ * @returns {Object[]} Adapters
+ */
+function getAllAdapters(config = readExchangeConfig()) {
+  const adapters = builtinAdapters.map(adapter => ({ ...adapter }));
+
+  (config.exchanges || []).forEach(definition => {
+    const index = adapters.findIndex(adapter => adapter.id === definition.id);
+    if (index >= 0) {
+      const merged = { ...adapters[index], ...definition };
+      if (definition.fields) delete merged.parseTicker;
+      if (definition.orderBookFields) delete merged.parseOrderBook;
+      adapters[index] = createAdapter(merged);
+    } else {
+      adapters.push(createAdapter(definition));
+    }
+  });
+
+  return adapters;
+}
+
+/**
+ * Load the adapters that should be polled.
+ * Explicit options take precedence over the config file, which takes
+ * precedence over environment variables.
+ * @param {Object} [options] - Selection options
+ * @param {string|string[]} [options.enabled] - Only these ids are enabled
+ * @param {string|string[]} [options.disabled] - These ids are disabled
+ * @param {Object[]} [options.exchanges] - Additional declarative adapters
+ * @param {string} [options.configPath] - JSON config path
+ * @returns {Object[]} Enabled adapters in registration order
+ */
+function loadAdapters(options = {}) {
+  const fileConfig = readExchangeConfig(options.configPath);
+  const config = {
+    exchanges: [...(fileConfig.exchanges || []), ...(options.exchanges || [])]
+  };
+
+  const enabled = parseList(options.enabled) || parseList(fileConfig.enabled) || parseList(process.env.ENABLED_EXCHANGES);
+  const disabled = parseList(options.disabled) || parseList(fileConfig.disabled) || parseList(process.env.DISABLED_EXCHANGES) || [];
+
+  return getAllAdapters(config).filter(adapter => {
+    if (enabled) return enabled.includes(adapter.id);
+    if (disabled.includes(adapter.id)) return false;
+    return adapter.enabled !== false;
+  });
+}
+
+module.exports = {
+  builtinAdapters,
+  createAdapter,
+  getAllAdapters,
+  loadAdapters,
+  readExchangeConfig
+};
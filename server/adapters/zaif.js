@@ -0,0 +1,49 @@
+/**
+ * Zaif public API adapter
+ */
+module.exports = {
+  id: 'zaif',
+  name: 'Zaif',
+  color: '#45b7d1',
+  symbols: {
+    'BTC/JPY': 'btc_jpy',
+    'ETH/JPY': 'eth_jpy'
+  },
+  rateLimit: { requests: 60, interval: 60 * 1000 }, // 上限は公表されていないため控えめに設定
+  tickerUrl: (symbol) => `https://api.zaif.jp/api/1/ticker/${symbol}`,
+  // Zaif のティッカーには時刻が含まれないため、鮮度は受信時刻で判定される
+  parseTicker: (data) => ({
+    price: data.last,
+    bid: data.bid,
+    ask: data.ask
+  }),
+  orderBookUrl: (symbol) => `https://api.zaif.jp/api/1/depth/${symbol}`,
+  parseOrderBook: (data) => ({
+    bids: data.bids,
+    asks: data.asks
+  }),
+  tradesUrl: (symbol) => `https://api.zaif.jp/api/1/trades/${symbol}`,
+  parseTrades: (data) => data.map(trade => ({
+    id: trade.tid,
+    price: trade.price,
+    size: trade.amount,
+    side: trade.trade_type === 'bid' ? 'buy' : 'sell',
+    timestamp: trade.date // UNIX秒
+  })),
+  fees: {
+    tradingFee: {
+      maker: 0.0000, // 0% (maker)
+      taker: 0.0010  // 0.1% (taker)
+    },
+    withdrawalFee: {
+      jpy: 385,      // 385円
+      btc: 0.0001,   // 0.0001 BTC + mining fee
+      eth: 0.01      // 0.01 ETH (目安)
+    }
+  },
+  // 送金時間の目安：出金の処理時間（分）と入金に必要な承認数
+  transfer: {
+    withdrawalMinutes: 60,
+    confirmations: { btc: 3, eth: 30 }
+  }
+};
@@ -1,43 +1,460 @@
 const FeeCalculator = require('./fees');
-const { getJapanTime } = require('./utils');
+const { walkOrderBooks, optimizeTradeSize } = require('./depth');
+const OpportunityTracker = require('./lifecycle');
+const { ThresholdConfig } = require('./thresholds');
+const { getJapanTime, getBaseAsset, getQuoteAsset, normalCdf } = require('./utils');
+
+const COST_MODELS = ['transfer', 'inventory'];
+const DETECTION_MODES = ['threshold', 'zscore'];
+const RANKINGS = ['confidence', 'netProfit'];
+// 信頼度の各要素の重み（値のない要素は除いて正規化）
+const CONFIDENCE_WEIGHTS = {
+  freshness: 0.2,
+  depth: 0.3,
+  reliability: 0.2,
+  persistence: 0.3
+};
 
 class ArbitrageDetector {
-  constructor(database) {
+  /**
+   * @param {Database} database - Opportunity storage (optional)
+   * @param {Object} [options]
+   * @param {number} [options.maxQuoteAge] - Quotes older than this (ms) are not compared
+   *   (defaults to QUOTE_MAX_AGE_MS or 15000)
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   * @param {MaintenanceCalendar} [options.maintenance] - Quotes of exchanges under maintenance are not compared
+   * @param {number} [options.tradeSize] - Size (base asset) the fee-adjusted profit is evaluated at
+   *   (defaults to ARBITRAGE_TRADE_SIZE or 1)
+   * @param {string} [options.costModel] - 'transfer' or 'inventory' (defaults to ARBITRAGE_COST_MODEL or 'transfer')
+   * @param {number} [options.rebalanceTrades] - Trades per rebalance in the inventory model
+   *   (defaults to INVENTORY_REBALANCE_TRADES or 10)
+   * @param {ThresholdConfig} [options.thresholds] - Per-route thresholds in % or JPY (defaults to
+   *   ARBITRAGE_THRESHOLDS_FILE and ARBITRAGE_THRESHOLD)
+   * @param {SpreadModel} [options.spreadModel] - Per-route spread statistics for z-scores
+   * @param {string} [options.detectionMode] - 'threshold' (the route's threshold) or 'zscore' (z-score >= zScoreThreshold,
+   *   falling back to the threshold for routes without statistics); defaults to DETECTION_MODE or 'threshold'
+   * @param {number} [options.zScoreThreshold] - Defaults to ZSCORE_THRESHOLD or 3
+   * @param {VolatilityModel} [options.volatilityModel] - Realized volatility per pair for the price risk during transfers
+   * @param {number} [options.riskAversion] - Standard deviations of profit deducted for the risk-adjusted profit
+   *   (defaults to PRICE_RISK_AVERSION or 1)
+   * @param {Function} [options.reliability] - (exchange) => recent success rate of the venue (0-1) or null
+   * @param {string} [options.ranking] - 'confidence' (profitable first, then by confidence) or 'netProfit'
+   *   (profitable first, then by profit); defaults to OPPORTUNITY_RANKING or 'confidence'
+   * @param {number} [options.minConfidence] - Opportunities below this confidence are not alerted on
+   *   (defaults to ALERT_MIN_CONFIDENCE or 0)
+   * @param {number} [options.persistenceHorizon] - Spreads lasting this long (ms) get full persistence
+   *   (defaults to CONFIDENCE_PERSISTENCE_MS or 30000)
+   */
+  constructor(database, options = {}) {
     this.db = database;
-    this.threshold = 0.1; // 0.1% threshold for arbitrage opportunities
+    // 経路ごとの閾値（実行中に管理APIから変更され、次の検知から反映）
+    this.thresholds = options.thresholds || new ThresholdConfig();
+    // 手数料控除後の利益を評価する数量（基軸通貨単位）
+    this.tradeSize = options.tradeSize || parseFloat(process.env.ARBITRAGE_TRADE_SIZE) || 1;
+    // 手数料控除後の利益の算出方法（transfer: 取引ごとに送金・出金、inventory: 両取引所の在庫で売買し定期的に再配分）
+    const costModel = options.costModel || process.env.ARBITRAGE_COST_MODEL;
+    this.costModel = COST_MODELS.includes(costModel) ? costModel : 'transfer';
+    this.rebalanceTrades = options.rebalanceTrades || parseInt(process.env.INVENTORY_REBALANCE_TRADES, 10) || 10;
+    // 経路ごとの価格差の平均・標準偏差（zscore モードでは固定の閾値の代わりに統計的な乖離で判定）
+    this.spreadModel = options.spreadModel || null;
+    const detectionMode = options.detectionMode || process.env.DETECTION_MODE;
+    this.detectionMode = DETECTION_MODES.includes(detectionMode) ? detectionMode : 'threshold';
+    this.zScoreThreshold = options.zScoreThreshold || parseFloat(process.env.ZSCORE_THRESHOLD) || 3;
+    // 送金中の価格変動リスク（通貨ペアごとの実現ボラティリティから推定）
+    this.volatilityModel = options.volatilityModel || null;
+    // 0 も有効な値（価格変動リスクを差し引かない）
+    const riskAversion = options.riskAversion !== undefined ? Number(options.riskAversion) : parseFloat(process.env.PRICE_RISK_AVERSION);
+    this.riskAversion = Number.isFinite(riskAversion) && riskAversion >= 0 ? riskAversion : 1;
+    // 価格の鮮度・板の厚み・取引所の安定性・価格差の持続性から算出する信頼度
+    this.reliability = options.reliability || null;
+    const ranking = options.ranking || process.env.OPPORTUNITY_RANKING;
+    this.ranking = RANKINGS.includes(ranking) ? ranking : 'confidence';
+    this.minConfidence = options.minConfidence || parseFloat(process.env.ALERT_MIN_CONFIDENCE) || 0;
+    this.persistenceHorizon = options.persistenceHorizon || parseInt(process.env.CONFIDENCE_PERSISTENCE_MS, 10) || 30000;
+    this.maxQuoteAge = options.maxQuoteAge || parseInt(process.env.QUOTE_MAX_AGE_MS, 10) || 15000;
+    this.now = options.now || (() => Date.now());
+    this.maintenance = options.maintenance || null;
     this.feeCalculator = new FeeCalculator();
+    // 連続して検出された機会をエピソード（開始・更新・終了）にまとめる
+    this.episodes = new OpportunityTracker({ now: this.now });
+  }
+
+  /**
+   * Age of a quote in ms, measured from the older of the exchange's own
+   * timestamp and our receive time (so a venue clock running ahead of ours
+   * cannot make a quote look fresher than when we received it)
+   * @param {Object} quote - Quote with sourceTimestamp / receivedAt
+   * @param {number} [now] - Current epoch ms
+   * @returns {number|null} Age in ms, or null if the quote carries no time information
+   */
+  getQuoteAge(quote, now = this.now()) {
+    const times = [Date.parse(quote.sourceTimestamp), quote.receivedAt].filter(Number.isFinite);
+    if (times.length === 0) return null;
+    return Math.max(0, now - Math.min(...times));
+  }
+
+  isStale(quote, now = this.now()) {
+    const age = this.getQuoteAge(quote, now);
+    return age !== null && age > this.maxQuoteAge;
+  }
+
+  isUnderMaintenance(quote, now = this.now()) {
+    return this.maintenance !== null && this.maintenance.isUnderMaintenance(quote.exchange, now);
+  }
+
+  // 配信用に各価格へ鮮度情報（quoteAge, isStale）を付与したコピーを返す
+  flagStaleQuotes(prices, now = this.now()) {
+    return prices.map(price => ({
+      ...price,
+      quoteAge: this.getQuoteAge(price, now),
+      isStale: this.isStale(price, now)
+    }));
+  }
+
+  /**
+   * Usual spread of a route and how far the current one is from it
+   * @returns {{zScore: number|null, spreadMean: number|null, spreadStd: number|null}} All null without a
+   *   spread model or enough history for the route
+   */
+  getSpreadStats(pair, exchangeFrom, exchangeTo, spread) {
+    const zScore = this.spreadModel ? this.spreadModel.getZScore(pair, exchangeFrom, exchangeTo, spread) : null;
+    if (zScore === null) return { zScore: null, spreadMean: null, spreadStd: null };
+    const stats = this.spreadModel.getStats(pair, exchangeFrom, exchangeTo);
+    return { zScore, spreadMean: stats.mean, spreadStd: stats.std };
+  }
+
+  // 機会として扱うか（zscore モードでも統計のない経路は経路の閾値で判定）
+  isSignal(pair, exchangeFrom, exchangeTo, percentageDiff, netProfit, zScore) {
+    if (this.detectionMode === 'zscore' && zScore !== null) return zScore >= this.zScoreThreshold;
+    return this.thresholds.isMet(pair, exchangeFrom, exchangeTo, percentageDiff, netProfit);
+  }
+
+  /**
+   * Price risk while the bought asset is on its way to the sell venue. The
+   * sell price is taken as a driftless random walk with the pair's realized
+   * volatility over the transfer, so the profit is normal around netProfit.
+   * The inventory model sells at the same time as it buys and carries none.
+   * @param {number} size - Size in the base asset
+   * @param {number} sellPrice - Price the asset is sold at
+   * @param {number} netProfit - Expected profit after fees at that size
+   * @returns {{transferMinutes: number, transferVolatility: number|null, profitStd: number|null,
+   *   riskAdjustedProfit: number|null, lossProbability: number|null}} transferVolatility is the standard
+   *   deviation of the sell price over the transfer in %; riskAdjustedProfit deducts riskAversion of profitStd.
+   *   All but transferMinutes are null until the pair has a volatility estimate
+   */
+  assessPriceRisk(exchangeFrom, exchangeTo, pair, size, sellPrice, netProfit, model = this.costModel) {
+    const transferMinutes = this.feeCalculator.getTransferDuration(exchangeFrom, exchangeTo, getBaseAsset(pair));
+    const volatility = this.volatilityModel ? this.volatilityModel.getVolatility(pair) : null;
+    if (volatility === null) {
+      return { transferMinutes, transferVolatility: null, profitStd: null, riskAdjustedProfit: null, lossProbability: null };
+    }
+
+    const exposure = volatility * Math.sqrt(model === 'transfer' ? transferMinutes : 0);
+    const profitStd = size * sellPrice * exposure;
+    return {
+      transferMinutes,
+      transferVolatility: exposure * 100,
+      profitStd,
+      riskAdjustedProfit: netProfit - this.riskAversion * profitStd,
+      lossProbability: profitStd > 0 ? normalCdf(-netProfit / profitStd) : (netProfit < 0 ? 1 : 0)
+    };
   }
 
-  detectArbitrageOpportunities(prices) {
+  /**
+   * How far an opportunity can be trusted, from 0 to 1. Each factor is
+   * scored from 0 to 1 and averaged with CONFIDENCE_WEIGHTS, leaving out
+   * factors without data:
+   *   freshness   - 1 for a brand-new quote, 0 at maxQuoteAge (older of the venues)
+   *   depth       - executable size by the order books relative to the trade size
+   *   reliability - recent request success rate of the less reliable venue
+   *   persistence - how long spreads on the route last, relative to persistenceHorizon
+   * @param {Object} opportunity - Opportunity with quoteAge and executableSize
+   * @returns {{confidence: number, confidenceFactors: Object}}
+   */
+  assessConfidence(opportunity, now = this.now()) {
+    const ratio = (value) => Math.min(1, Math.max(0, value));
+    const reliabilities = this.reliability
+      ? [...new Set([opportunity.exchangeFrom, opportunity.exchangeTo])].map(this.reliability).filter(Number.isFinite)
+      : [];
+    const confidenceFactors = {
+      freshness: opportunity.quoteAge !== null && opportunity.quoteAge !== undefined
+        ? ratio(1 - opportunity.quoteAge / this.maxQuoteAge)
+        : null,
+      depth: opportunity.executableSize !== null && opportunity.executableSize !== undefined
+        ? ratio(opportunity.executableSize / opportunity.tradeSize)
+        : null,
+      reliability: reliabilities.length > 0 ? Math.min(...reliabilities) : null,
+      persistence: ratio(this.episodes.getPersistence(opportunity, now) / this.persistenceHorizon)
+    };
+    return { confidence: this.scoreConfidence(confidenceFactors), confidenceFactors };
+  }
+
+  scoreConfidence(factors) {
+    let weighted = 0;
+    let weights = 0;
+    Object.keys(CONFIDENCE_WEIGHTS).forEach(factor => {
+      if (factors[factor] === null) return;
+      weighted += CONFIDENCE_WEIGHTS[factor] * factors[factor];
+      weights += CONFIDENCE_WEIGHTS[factor];
+    });
+    return weights > 0 ? weighted / weights : 0;
+  }
+
+  // 通知・自動執行の対象とする信頼度か
+  isAlertable(opportunity) {
+    return opportunity.confidence >= this.minConfidence;
+  }
+
+  // 選択中（または指定した）コストモデルでの手数料と利益（FeeCalculator と同じ形式）
+  calculateCosts(exchangeFrom, exchangeTo, size, buyPrice, sellPrice, asset, model = this.costModel) {
+    return model === 'inventory'
+      ? this.feeCalculator.calculateInventoryCosts(exchangeFrom, exchangeTo, size, buyPrice, sellPrice, asset, this.rebalanceTrades)
+      : this.feeCalculator.calculateArbitrageCosts(exchangeFrom, exchangeTo, size, buyPrice, sellPrice, asset);
+  }
+
+  /**
+   * Net profit of an opportunity under every cost model, whichever one is selected
+   * @param {Object} opportunity - Opportunity with its prices and depth fields
+   * @param {number} size - Size the netProfit is evaluated at
+   * @returns {Object} { transfer, inventory }, each { netProfit, netProfitPercentage, totalFees, netProfitAtSize }
+   *   (netProfitAtSize at the executable size, null without order books)
+   */
+  compareCostModels(opportunity, size) {
+    const asset = getBaseAsset(opportunity.pair || 'BTC/JPY');
+    const results = {};
+    COST_MODELS.forEach(model => {
+      const costs = this.calculateCosts(opportunity.exchangeFrom, opportunity.exchangeTo, size,
+        opportunity.priceFrom, opportunity.priceTo, asset, model);
+      let netProfitAtSize = null;
+      if (opportunity.executableSize > 0) {
+        netProfitAtSize = this.calculateCosts(opportunity.exchangeFrom, opportunity.exchangeTo, opportunity.executableSize,
+          opportunity.averageBuyPrice, opportunity.averageSellPrice, asset, model).netProfit;
+      } else if (opportunity.executableSize === 0) {
+        netProfitAtSize = 0;
+      }
+      results[model] = {
+        netProfit: costs.netProfit,
+        netProfitPercentage: (costs.netProfit / (opportunity.priceFrom * size)) * 100,
+        totalFees: costs.totalCosts.total,
+        netProfitAtSize
+      };
+    });
+    return results;
+  }
+
+  // 取引所・通貨ペアの板（古い板は使わない）
+  findOrderBook(orderBooks, exchange, pair, now = this.now()) {
+    const book = orderBooks.find(b => b.exchange === exchange && (b.pair || 'BTC/JPY') === pair);
+    return book && !this.isStale(book, now) ? book : null;
+  }
+
+  /**
+   * Size an opportunity by walking the buy venue's asks and the sell venue's
+   * bids (see depth.js), then charge all costs at that size
+   * @param {string} exchangeFrom - Buy venue (display name)
+   * @param {string} exchangeTo - Sell venue (display name)
+   * @param {string} pair
+   * @param {Object[]} orderBooks - Order books from ExchangeAPI#getAllOrderBooks
+   * @param {number} [now]
+   * @returns {Object} executableSize, averageBuyPrice, averageSellPrice, buySlippage / sellSlippage (%),
+   *   slippageCost (JPY) and netProfitAtSize, all null when either book is missing
+   */
+  calculateDepthSizing(exchangeFrom, exchangeTo, pair, orderBooks, now = this.now()) {
+    const buyBook = this.findOrderBook(orderBooks, exchangeFrom, pair, now);
+    const sellBook = this.findOrderBook(orderBooks, exchangeTo, pair, now);
+    if (!buyBook || !sellBook) {
+      return {
+        executableSize: null,
+        averageBuyPrice: null,
+        averageSellPrice: null,
+        buySlippage: null,
+        sellSlippage: null,
+        slippageCost: null,
+        netProfitAtSize: null
+      };
+    }
+
+    const fill = walkOrderBooks(buyBook.asks, sellBook.bids, {
+      buyFeeRate: this.feeCalculator.getTradingFee(exchangeFrom).taker,
+      sellFeeRate: this.feeCalculator.getTradingFee(exchangeTo).taker
+    });
+    // 出金・送金の固定費はサイズによらないため、板の範囲で取れる全量に対して差し引く
+    const netProfitAtSize = fill.size > 0
+      ? this.calculateCosts(exchangeFrom, exchangeTo, fill.size,
+        fill.averageBuyPrice, fill.averageSellPrice, getBaseAsset(pair)).netProfit
+      : 0;
+    return {
+      executableSize: fill.size,
+      averageBuyPrice: fill.averageBuyPrice,
+      averageSellPrice: fill.averageSellPrice,
+      buySlippage: fill.buySlippage,
+      sellSlippage: fill.sellSlippage,
+      slippageCost: fill.slippageCost,
+      netProfitAtSize
+    };
+  }
+
+  /**
+   * Size with the highest net profit and the break-even size (see depth.js
+   * optimizeTradeSize). Without both order books only the break-even size at
+   * the best ask / bid is known, since the quotes say nothing about depth.
+   * @param {string} exchangeFrom - Buy venue (display name)
+   * @param {string} exchangeTo - Sell venue (display name)
+   * @param {string} pair
+   * @param {number} buyPrice - Best ask of the buy venue
+   * @param {number} sellPrice - Best bid of the sell venue
+   * @param {Object[]} orderBooks - Order books from ExchangeAPI#getAllOrderBooks
+   * @param {number} [now]
+   * @returns {{optimalSize: number|null, netProfitAtOptimalSize: number|null, breakEvenSize: number|null}}
+   */
+  optimizeSize(exchangeFrom, exchangeTo, pair, buyPrice, sellPrice, orderBooks, now = this.now()) {
+    const asset = getBaseAsset(pair);
+    const netProfitAt = (size, averageBuyPrice, averageSellPrice) => this.calculateCosts(
+      exchangeFrom, exchangeTo, size, averageBuyPrice, averageSellPrice, asset).netProfit;
+
+    const buyBook = this.findOrderBook(orderBooks, exchangeFrom, pair, now);
+    const sellBook = this.findOrderBook(orderBooks, exchangeTo, pair, now);
+    if (buyBook && sellBook) {
+      const result = optimizeTradeSize(buyBook.asks, sellBook.bids, netProfitAt);
+      return {
+        optimalSize: result.optimalSize,
+        netProfitAtOptimalSize: result.maxNetProfit,
+        breakEvenSize: result.breakEvenSize
+      };
+    }
+
+    // 最良気配のみの場合、利益は数量に比例して増える（固定費 = 数量0での損失）
+    const fixedCost = -netProfitAt(0, buyPrice, sellPrice);
+    const marginPerUnit = netProfitAt(1, buyPrice, sellPrice) + fixedCost;
+    return {
+      optimalSize: null,
+      netProfitAtOptimalSize: null,
+      breakEvenSize: marginPerUnit > 0 ? fixedCost / marginPerUnit : null
+    };
+  }
+
+  /**
+   * Re-evaluate the fee-adjusted profit of opportunities at another trade size
+   * (e.g. the `size` query parameter of /api/prices)
+   * @param {Object[]} opportunities - Opportunities from detectArbitrageOpportunities
+   * @param {number} size - Size in the base asset
+   * @returns {Object[]} Copies with tradeSize, netProfit, netProfitPercentage, totalFees, feeBreakdown,
+   *   costModels, price risk and confidence at that size, re-sorted
+   */
+  evaluateAtSize(opportunities, size) {
+    return opportunities.map(opportunity => {
+      if (opportunity.type === 'triangular') {
+        // 三角裁定の手数料は取引額に比例するため利益率は数量によらない
+        const notional = size * opportunity.priceFrom;
+        return {
+          ...opportunity,
+          tradeSize: size,
+          netProfit: notional * (opportunity.netRate - 1),
+          totalFees: notional * (opportunity.grossRate - opportunity.netRate)
+        };
+      }
+
+      // 板の厚みの評価は数量に対する約定可能数量で決まる
+      let confidence = {};
+      if (opportunity.confidenceFactors && opportunity.confidenceFactors.depth !== null) {
+        const confidenceFactors = { ...opportunity.confidenceFactors, depth: Math.min(1, opportunity.executableSize / size) };
+        confidence = { confidence: this.scoreConfidence(confidenceFactors), confidenceFactors };
+      }
+
+      const feeAnalysis = this.calculateCosts(
+        opportunity.exchangeFrom,
+        opportunity.exchangeTo,
+        size,
+        opportunity.priceFrom,
+        opportunity.priceTo,
+        getBaseAsset(opportunity.pair || 'BTC/JPY')
+      );
+      const hasDepth = opportunity.netProfitAtSize !== null && opportunity.netProfitAtSize !== undefined;
+      return {
+        ...opportunity,
+        tradeSize: size,
+        netProfit: feeAnalysis.netProfit,
+        netProfitPercentage: (feeAnalysis.netProfit / (opportunity.priceFrom * size)) * 100,
+        totalFees: feeAnalysis.totalCosts.total,
+        feeBreakdown: feeAnalysis.costBreakdown,
+        costModels: this.compareCostModels(opportunity, size),
+        ...this.assessPriceRisk(
+          opportunity.exchangeFrom,
+          opportunity.exchangeTo,
+          opportunity.pair || 'BTC/JPY',
+          size,
+          opportunity.priceTo,
+          feeAnalysis.netProfit
+        ),
+        ...confidence,
+        isProfitableAfterFees: hasDepth ? opportunity.isProfitableAfterFees : feeAnalysis.netProfit > 0
+      };
+    }).sort((a, b) => this.compareOpportunities(a, b));
+  }
+
+  /**
+   * @param {Object[]} allPrices - Current quotes
+   * @param {Object[]} [orderBooks] - Current order books ({ exchange, pair, bids, asks, receivedAt }); when both
+   *   venues of an opportunity have one, it is sized by depth and judged profitable at that size
+   * @returns {Object[]} Opportunities with a confidence score, profitable ones first (then by confidence or
+   *   profit, see options.ranking)
+   */
+  detectArbitrageOpportunities(allPrices, orderBooks = []) {
     const opportunities = [];
+    const now = this.now();
+    
+    // 参考指数（取引不可の集計価格）と海外取引所（円で取引できない）は取引所として比較しない
+    // 古い価格・メンテナンス中の止まった価格との比較は実在しない価格差を生むため除外する
+    const prices = allPrices.filter(price => !price.isReference && !price.isOverseas &&
+      !this.isStale(price, now) && !this.isUnderMaintenance(price, now));
     
-    if (prices.length < 2) return opportunities;
+    if (prices.length < 2) {
+      // 比較できる価格がなくなった機会も終了させる
+      this.trackEpisodes(opportunities);
+      return opportunities;
+    }
 
     for (let i = 0; i < prices.length; i++) {
       for (let j = i + 1; j < prices.length; j++) {
         const exchange1 = prices[i];
         const exchange2 = prices[j];
         
+        // 異なる通貨ペア同士は比較しない
+        const pair = exchange1.pair || 'BTC/JPY';
+        if (pair !== (exchange2.pair || 'BTC/JPY')) continue;
+        // 手数料・送金コストは円建てで計算するため、円建てでない通貨ペア（ETH/BTC など）は三角裁定にのみ使う
+        if (getQuoteAsset(pair) !== 'jpy') continue;
+        const asset = getBaseAsset(pair);
+        // 比較に使う2つの価格のうち古い方の経過時間
+        const ages = [this.getQuoteAge(exchange1, now), this.getQuoteAge(exchange2, now)].filter(age => age !== null);
+        const quoteAge = ages.length > 0 ? Math.max(...ages) : null;
+        
         // Check if exchange1.ask < exchange2.bid (buy at exchange1, sell at exchange2)
         if (exchange1.ask && exchange2.bid && exchange1.ask < exchange2.bid) {
           const priceDiff = exchange2.bid - exchange1.ask;
           const percentageDiff = (priceDiff / exchange1.ask) * 100;
           
-          // Calculate fee-adjusted profit for 1 BTC
-          const feeAnalysis = this.feeCalculator.calculateArbitrageCosts(
+          // Calculate fee-adjusted profit for the configured trade size
+          const feeAnalysis = this.calculateCosts(
             exchange1.exchange,
             exchange2.exchange,
-            1, // 1 BTC
+            this.tradeSize,
             exchange1.ask,
-            exchange2.bid
+            exchange2.bid,
+            asset
           );
           
-          const netProfitPercentage = (feeAnalysis.netProfit / exchange1.ask) * 100;
+          const netProfitPercentage = (feeAnalysis.netProfit / (exchange1.ask * this.tradeSize)) * 100;
           
-          if (percentageDiff >= this.threshold) {
+          const spreadStats = this.getSpreadStats(pair, exchange1.exchange, exchange2.exchange, percentageDiff);
+          if (this.isSignal(pair, exchange1.exchange, exchange2.exchange, percentageDiff, feeAnalysis.netProfit, spreadStats.zScore)) {
+            const depth = this.calculateDepthSizing(exchange1.exchange, exchange2.exchange, pair, orderBooks, now);
+            const sizing = this.optimizeSize(exchange1.exchange, exchange2.exchange, pair, exchange1.ask, exchange2.bid, orderBooks, now);
             const opportunity = {
+              type: 'cross-exchange',
               exchangeFrom: exchange1.exchange,
               exchangeTo: exchange2.exchange,
+              pair,
               priceFrom: exchange1.ask,
               priceTo: exchange2.bid,
               bidFrom: exchange1.bid,
@@ -46,21 +463,32 @@ class ArbitrageDetector {
               askTo: exchange2.ask,
               priceDifference: priceDiff,
               percentageDifference: percentageDiff,
-              timestamp: getJapanTime(),
+              // この経路の普段の価格差（spreadMean / spreadStd）から何標準偏差離れているか
+              ...spreadStats,
+              timestamp: getJapanTime(new Date(now)),
+              quoteAge,
               profit: priceDiff,
-              // 手数料を考慮した実際の利益
+              // 手数料を考慮した実際の利益（tradeSize 単位で売買した場合）
+              tradeSize: this.tradeSize,
               netProfit: feeAnalysis.netProfit,
               netProfitPercentage: netProfitPercentage,
               totalFees: feeAnalysis.totalCosts.total,
               feeBreakdown: feeAnalysis.costBreakdown,
-              isProfitableAfterFees: feeAnalysis.netProfit > 0
+              costModel: this.costModel,
+              // 送金中の価格変動を織り込んだ利益と損失確率
+              ...this.assessPriceRisk(exchange1.exchange, exchange2.exchange, pair, this.tradeSize, exchange2.bid, feeAnalysis.netProfit),
+              // 板の厚みで約定できる数量と、その数量での平均約定価格・スリッページ・利益
+              ...depth,
+              // 利益が最大になる数量と、固定費を回収できる最小の数量
+              ...sizing,
+              // 板があれば実際に約定できる数量での利益で判定
+              isProfitableAfterFees: depth.netProfitAtSize !== null ? depth.netProfitAtSize > 0 : feeAnalysis.netProfit > 0
             };
+            // 送金モデルと在庫モデルの利益を並べて表示するため両方で算出
+            opportunity.costModels = this.compareCostModels(opportunity, this.tradeSize);
+            Object.assign(opportunity, this.assessConfidence(opportunity, now));
             
             opportunities.push(opportunity);
-            
-            if (this.db) {
-              this.db.saveArbitrageOpportunity(opportunity).catch(console.error);
-            }
           }
         }
         
@@ -69,21 +497,27 @@ class ArbitrageDetector {
           const priceDiff = exchange1.bid - exchange2.ask;
           const percentageDiff = (priceDiff / exchange2.ask) * 100;
           
-          // Calculate fee-adjusted profit for 1 BTC
-          const feeAnalysis = this.feeCalculator.calculateArbitrageCosts(
+          // Calculate fee-adjusted profit for the configured trade size
+          const feeAnalysis = this.calculateCosts(
             exchange2.exchange,
             exchange1.exchange,
-            1, // 1 BTC
+            this.tradeSize,
             exchange2.ask,
-            exchange1.bid
+            exchange1.bid,
+            asset
           );
           
-          const netProfitPercentage = (feeAnalysis.netProfit / exchange2.ask) * 100;
+          const netProfitPercentage = (feeAnalysis.netProfit / (exchange2.ask * this.tradeSize)) * 100;
           
-          if (percentageDiff >= this.threshold) {
+          const spreadStats = this.getSpreadStats(pair, exchange2.exchange, exchange1.exchange, percentageDiff);
+          if (this.isSignal(pair, exchange2.exchange, exchange1.exchange, percentageDiff, feeAnalysis.netProfit, spreadStats.zScore)) {
+            const depth = this.calculateDepthSizing(exchange2.exchange, exchange1.exchange, pair, orderBooks, now);
+            const sizing = this.optimizeSize(exchange2.exchange, exchange1.exchange, pair, exchange2.ask, exchange1.bid, orderBooks, now);
             const opportunity = {
+              type: 'cross-exchange',
               exchangeFrom: exchange2.exchange,
               exchangeTo: exchange1.exchange,
+              pair,
               priceFrom: exchange2.ask,
               priceTo: exchange1.bid,
               bidFrom: exchange2.bid,
@@ -92,40 +526,194 @@ class ArbitrageDetector {
               askTo: exchange1.ask,
               priceDifference: priceDiff,
               percentageDifference: percentageDiff,
-              timestamp: getJapanTime(),
+              // この経路の普段の価格差（spreadMean / spreadStd）から何標準偏差離れているか
+              ...spreadStats,
+              timestamp: getJapanTime(new Date(now)),
+              quoteAge,
               profit: priceDiff,
-              // 手数料を考慮した実際の利益
+              // 手数料を考慮した実際の利益（tradeSize 単位で売買した場合）
+              tradeSize: this.tradeSize,
               netProfit: feeAnalysis.netProfit,
               netProfitPercentage: netProfitPercentage,
               totalFees: feeAnalysis.totalCosts.total,
               feeBreakdown: feeAnalysis.costBreakdown,
-              isProfitableAfterFees: feeAnalysis.netProfit > 0
+              costModel: this.costModel,
+              // 送金中の価格変動を織り込んだ利益と損失確率
+              ...this.assessPriceRisk(exchange2.exchange, exchange1.exchange, pair, this.tradeSize, exchange1.bid, feeAnalysis.netProfit),
+              // 板の厚みで約定できる数量と、その数量での平均約定価格・スリッページ・利益
+              ...depth,
+              // 利益が最大になる数量と、固定費を回収できる最小の数量
+              ...sizing,
+              // 板があれば実際に約定できる数量での利益で判定
+              isProfitableAfterFees: depth.netProfitAtSize !== null ? depth.netProfitAtSize > 0 : feeAnalysis.netProfit > 0
             };
+            // 送金モデルと在庫モデルの利益を並べて表示するため両方で算出
+            opportunity.costModels = this.compareCostModels(opportunity, this.tradeSize);
+            Object.assign(opportunity, this.assessConfidence(opportunity, now));
             
             opportunities.push(opportunity);
-            
-            if (this.db) {
-              this.db.saveArbitrageOpportunity(opportunity).catch(console.error);
-            }
           }
         }
       }
     }
     
-    // Sort by net profit (after fees) instead of gross percentage difference
-    return opportunities.sort((a, b) => {
-      // First sort by profitability after fees, then by net profit amount
-      if (a.isProfitableAfterFees !== b.isProfitableAfterFees) {
-        return b.isProfitableAfterFees - a.isProfitableAfterFees;
-      }
-      return b.netProfit - a.netProfit;
+    // 同一取引所内の三角裁定（送金を伴わない）も同じ一覧で扱う
+    opportunities.push(...this.detectTriangularOpportunities(prices, now));
+    
+    // Sort by net profit (after fees, at the executable size when depth is known) instead of gross percentage difference
+    opportunities.sort((a, b) => this.compareOpportunities(a, b));
+    this.trackEpisodes(opportunities);
+    return opportunities;
+  }
+
+  /**
+   * Triangular cycles within one exchange: JPY is converted into one asset,
+   * that asset into a second one and the second back into JPY (e.g. buy
+   * BTC/JPY, buy ETH/BTC, sell ETH/JPY). Every leg is taken at the touch
+   * (buying the base at the ask, selling it at the bid) and pays the venue's
+   * taker fee; nothing is withdrawn or sent, so there are no fixed costs.
+   * @param {Object[]} prices - Fresh, tradable quotes of every exchange and pair
+   * @param {number} [now]
+   * @returns {Object[]} Opportunities with type 'triangular' that reach their route's threshold. pair is
+   *   the route (e.g. 'JPY→BTC→ETH→JPY'), legs the three orders, grossRate / netRate the JPY returned per JPY
+   *   before / after fees; netProfit is for tradeSize of the first asset
+   */
+  detectTriangularOpportunities(prices, now = this.now()) {
+    const opportunities = [];
+    const quotesByExchange = new Map();
+    prices.forEach(price => {
+      if (!quotesByExchange.has(price.exchange)) quotesByExchange.set(price.exchange, new Map());
+      quotesByExchange.get(price.exchange).set(price.pair || 'BTC/JPY', price);
     });
+
+    quotesByExchange.forEach((quotes, exchange) => {
+      if (quotes.size < 3) return;
+      const feeRate = this.feeCalculator.getTradingFee(exchange).taker;
+      // from を to に替える注文（to/from があれば to を買い、from/to があれば from を売る）
+      const convert = (from, to) => {
+        const buy = quotes.get(`${to}/${from}`);
+        if (buy && buy.ask > 0) return { pair: `${to}/${from}`, side: 'buy', price: buy.ask, rate: 1 / buy.ask, quote: buy };
+        const sell = quotes.get(`${from}/${to}`);
+        if (sell && sell.bid > 0) return { pair: `${from}/${to}`, side: 'sell', price: sell.bid, rate: sell.bid, quote: sell };
+        return null;
+      };
+      const assets = [...new Set([...quotes.keys()].flatMap(pair => pair.split('/')))].filter(asset => asset !== 'JPY');
+
+      assets.forEach(first => assets.forEach(second => {
+        if (first === second) return;
+        const legs = [convert('JPY', first), convert(first, second), convert(second, 'JPY')];
+        if (legs.includes(null)) return;
+
+        const grossRate = legs.reduce((rate, leg) => rate * leg.rate, 1);
+        const percentageDiff = (grossRate - 1) * 100;
+        const netRate = grossRate * Math.pow(1 - feeRate, legs.length);
+        const notional = this.tradeSize * legs[0].price;
+        const route = `JPY→${first}→${second}→JPY`;
+        if (!this.thresholds.isMet(route, exchange, exchange, percentageDiff, notional * (netRate - 1))) return;
+
+        const ages = legs.map(leg => this.getQuoteAge(leg.quote, now)).filter(age => age !== null);
+        const opportunity = {
+          type: 'triangular',
+          exchangeFrom: exchange,
+          exchangeTo: exchange,
+          pair: route,
+          legs: legs.map(({ pair, side, price }) => ({ pair, side, price })),
+          priceFrom: legs[0].price,
+          priceTo: legs[2].price,
+          grossRate,
+          netRate,
+          feeRate,
+          priceDifference: notional * (grossRate - 1),
+          percentageDifference: percentageDiff,
+          zScore: null,
+          spreadMean: null,
+          spreadStd: null,
+          timestamp: getJapanTime(new Date(now)),
+          quoteAge: ages.length > 0 ? Math.max(...ages) : null,
+          profit: notional * (grossRate - 1),
+          // 手数料は3回の取引手数料のみ（tradeSize 単位の最初の通貨を買う円で一巡した場合）
+          tradeSize: this.tradeSize,
+          netProfit: notional * (netRate - 1),
+          netProfitPercentage: (netRate - 1) * 100,
+          totalFees: notional * (grossRate - netRate),
+          feeBreakdown: null,
+          // 同じ取引所内で完結するため送金はない
+          transferMinutes: null,
+          transferVolatility: null,
+          profitStd: null,
+          riskAdjustedProfit: null,
+          lossProbability: null,
+          executableSize: null,
+          netProfitAtSize: null,
+          optimalSize: null,
+          netProfitAtOptimalSize: null,
+          breakEvenSize: null,
+          isProfitableAfterFees: netRate > 1
+        };
+        Object.assign(opportunity, this.assessConfidence(opportunity, now));
+        opportunities.push(opportunity);
+      }));
+    });
+
+    return opportunities;
+  }
+
+  /**
+   * Fold a detection cycle into opportunity episodes and store them. The
+   * opportunity itself is saved once when its episode opens instead of on
+   * every detection; the episode row is written on open, on a new peak and
+   * on close.
+   * @param {Object[]} opportunities - Opportunities of the cycle
+   * @returns {Object[]} Lifecycle events (see OpportunityTracker)
+   */
+  trackEpisodes(opportunities) {
+    const events = this.episodes.update(opportunities);
+    if (this.db) {
+      events.forEach(event => {
+        if (event.type === 'open') {
+          this.db.saveArbitrageOpportunity(event.opportunity).catch(console.error);
+        }
+        this.db.saveEpisode(event.episode).catch(console.error);
+      });
+    }
+    return events;
+  }
+
+  compareOpportunities(a, b) {
+    // First sort by profitability after fees, then by confidence (ranking 'confidence') and net profit amount
+    if (a.isProfitableAfterFees !== b.isProfitableAfterFees) {
+      return b.isProfitableAfterFees - a.isProfitableAfterFees;
+    }
+    if (this.ranking === 'confidence' && a.confidence !== b.confidence) {
+      return (b.confidence || 0) - (a.confidence || 0);
+    }
+    return this.getExpectedProfit(b) - this.getExpectedProfit(a);
+  }
+
+  // 板で約定できる数量での利益（板がなければ tradeSize での利益）
+  getExpectedProfit(opportunity) {
+    return opportunity.netProfitAtSize !== null && opportunity.netProfitAtSize !== undefined
+      ? opportunity.netProfitAtSize
+      : opportunity.netProfit;
   }
 
   formatOpportunityMessage(opportunity) {
-    return `Arbitrage Opportunity: Buy at ${opportunity.exchangeFrom} (Ask: ¥${opportunity.priceFrom.toLocaleString()}) ` +
+    if (opportunity.type === 'triangular') {
+      return `Triangular Opportunity [${opportunity.exchangeFrom}]: ${opportunity.pair} ` +
+             `(${opportunity.legs.map(leg => `${leg.side} ${leg.pair} @ ${leg.price}`).join(', ')}) ` +
+             `for ${opportunity.percentageDifference.toFixed(2)}% (net ${opportunity.netProfitPercentage.toFixed(2)}%)` +
+             this.formatConfidence(opportunity);
+    }
+    return `Arbitrage Opportunity [${opportunity.pair || 'BTC/JPY'}]: Buy at ${opportunity.exchangeFrom} (Ask: ¥${opportunity.priceFrom.toLocaleString()}) ` +
            `and sell at ${opportunity.exchangeTo} (Bid: ¥${opportunity.priceTo.toLocaleString()}) ` +
-           `for ${opportunity.percentageDifference.toFixed(2)}% profit`;
+           `for ${opportunity.percentageDifference.toFixed(2)}% profit` +
+           (opportunity.executableSize ? ` (${parseFloat(opportunity.executableSize.toFixed(8))} executable, ` +
+             `net ¥${Math.round(opportunity.netProfitAtSize).toLocaleString()})` : '') +
+           this.formatConfidence(opportunity);
+  }
+
+  formatConfidence(opportunity) {
+    return opportunity.confidence !== undefined ? ` [confidence ${Math.round(opportunity.confidence * 100)}%]` : '';
   }
 
   calculatePotentialProfit(opportunity, amount = 1) {
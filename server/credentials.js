@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+/**
+ * API credentials for the exchanges' private APIs.
+ *
+ * Credentials are read from <EXCHANGE ID>_API_KEY / <EXCHANGE ID>_API_SECRET
+ * (e.g. BITFLYER_API_KEY) or from a file encrypted with AES-256-GCM
+ * (PRIVATE_API_CREDENTIALS_FILE, passphrase in PRIVATE_API_PASSPHRASE);
+ * environment variables take precedence. The plain file is
+ *   { "bitflyer": { "key": "...", "secret": "..." }, "gmo": { ... } }
+ * and is encrypted with:
+ *   PRIVATE_API_PASSPHRASE=... node server/credentials.js credentials.json credentials.enc
+ * Credentials print as "[REDACTED]" in logs and JSON so they are never written out.
+ */
+
+const PRIVATE_EXCHANGES = ['bitflyer', 'gmo', 'bitbank', 'coincheck'];
+const REDACTED = '[REDACTED]';
+
+class ApiCredential {
+  /**
+   * @param {string} key - API key
+   * @param {string} secret - API secret
+   */
+  constructor(key, secret) {
+    // 列挙されないようにして、オブジェクトの展開やログ出力に含めない
+    Object.defineProperty(this, 'key', { value: key });
+    Object.defineProperty(this, 'secret', { value: secret });
+  }
+
+  toJSON() {
+    return REDACTED;
+  }
+
+  toString() {
+    return REDACTED;
+  }
+
+  [util.inspect.custom]() {
+    return REDACTED;
+  }
+}
+
+// パスフレーズから鍵を導出（scrypt）
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Encrypt credentials with a passphrase
+ * @param {Object} credentials - { <exchange id>: { key, secret } }
+ * @param {string} passphrase
+ * @returns {string} JSON text { version, salt, iv, tag, data } (base64 fields)
+ */
+function encryptCredentials(credentials, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, null, 2);
+}
+
+/**
+ * Decrypt a file produced by encryptCredentials
+ * @param {string} text - Encrypted file contents
+ * @param {string} passphrase
+ * @returns {Object} { <exchange id>: { key, secret } }
+ * @throws {Error} If the passphrase is wrong or the file was modified
+ */
+function decryptCredentials(text, passphrase) {
+  const encrypted = JSON.parse(text);
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(encrypted.salt, 'base64')),
+    Buffer.from(encrypted.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+function readCredentialsFile(file, passphrase) {
+  if (!file) return {};
+
+  const resolved = path.resolve(file);
+  if (!passphrase) {
+    console.error(`PRIVATE_API_PASSPHRASE is required to read ${resolved}`);
+    return {};
+  }
+  try {
+    return decryptCredentials(fs.readFileSync(resolved, 'utf8'), passphrase);
+  } catch (error) {
+    // 復号のエラーメッセージには認証情報は含まれない
+    console.error(`Failed to read credentials file ${resolved}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Load private API credentials
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @param {string} [options.file] - Encrypted file (defaults to PRIVATE_API_CREDENTIALS_FILE)
+ * @param {string} [options.passphrase] - Passphrase (defaults to PRIVATE_API_PASSPHRASE)
+ * @returns {Object} ApiCredential by exchange id, only for exchanges with both a key and a secret
+ */
+function loadCredentials(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file !== undefined ? options.file : env.PRIVATE_API_CREDENTIALS_FILE;
+  const passphrase = options.passphrase !== undefined ? options.passphrase : env.PRIVATE_API_PASSPHRASE;
+  const stored = readCredentialsFile(file, passphrase);
+
+  const credentials = {};
+  PRIVATE_EXCHANGES.forEach(exchangeId => {
+    const prefix = exchangeId.toUpperCase();
+    const entry = stored[exchangeId] || {};
+    const key = env[`${prefix}_API_KEY`] || entry.key;
+    const secret = env[`${prefix}_API_SECRET`] || entry.secret;
+    if (key && secret) {
+      credentials[exchangeId] = new ApiCredential(key, secret);
+    }
+  });
+  return credentials;
+}
+
+if (require.main === module) {
+  const [input, output] = process.argv.slice(2);
+  const passphrase = process.env.PRIVATE_API_PASSPHRASE;
+  if (!input || !output || !passphrase) {
+    console.error('Usage: PRIVATE_API_PASSPHRASE=... node server/credentials.js <credentials.json> <output file>');
+    process.exit(1);
+  }
+
+  const credentials = JSON.parse(fs.readFileSync(path.resolve(input), 'utf8'));
+  fs.writeFileSync(path.resolve(output), encryptCredentials(credentials, passphrase), { mode: 0o600 });
+  console.log(`Encrypted credentials for ${Object.keys(credentials).join(', ')} written to ${output}`);
+}
+
+module.exports = {
+  ApiCredential,
+  loadCredentials,
+  encryptCredentials,
+  decryptCredentials,
+  PRIVATE_EXCHANGES
+};
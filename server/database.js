@@ -2,8 +2,10 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
 class Database {
-  constructor() {
-    const dbPath = path.join(__dirname, 'arbitrage.db');
+  /**
+   * @param {string} [dbPath] - SQLite file (defaults to server/arbitrage.db; ':memory:' for an in-memory database)
+   */
+  constructor(dbPath = path.join(__dirname, 'arbitrage.db')) {
     this.db = new sqlite3.Database(dbPath);
     this.init();
   }
@@ -14,10 +16,13 @@ class Database {
         CREATE TABLE IF NOT EXISTS price_history (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           exchange TEXT NOT NULL,
+          pair TEXT DEFAULT 'BTC/JPY',
           price REAL NOT NULL,
           bid REAL,
           ask REAL,
+          is_reference BOOLEAN DEFAULT 0,
           timestamp TEXT NOT NULL,
+          source_timestamp TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
@@ -27,6 +32,8 @@ class Database {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           exchange_from TEXT NOT NULL,
           exchange_to TEXT NOT NULL,
+          pair TEXT DEFAULT 'BTC/JPY',
+          type TEXT DEFAULT 'cross-exchange',
           price_from REAL NOT NULL,
           price_to REAL NOT NULL,
           price_difference REAL NOT NULL,
@@ -35,11 +42,113 @@ class Database {
           net_profit_percentage REAL,
           total_fees REAL,
           is_profitable_after_fees BOOLEAN,
+          z_score REAL,
+          risk_adjusted_profit REAL,
+          loss_probability REAL,
+          confidence REAL,
+          executable_size REAL,
+          net_profit_at_size REAL,
           timestamp TEXT NOT NULL,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS trades (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          exchange TEXT NOT NULL,
+          pair TEXT NOT NULL,
+          trade_id TEXT NOT NULL,
+          price REAL NOT NULL,
+          size REAL NOT NULL,
+          side TEXT,
+          executed_at TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS japan_premium (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          pair TEXT NOT NULL,
+          premium_percentage REAL NOT NULL,
+          domestic_price REAL NOT NULL,
+          overseas_price REAL NOT NULL,
+          fx_rate REAL,
+          timestamp TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 自動執行の記録（dry-runを含む）。注文は execution_orders に1件ずつ
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS executions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          execution_id TEXT NOT NULL UNIQUE,
+          mode TEXT NOT NULL,
+          pair TEXT NOT NULL,
+          exchange_from TEXT NOT NULL,
+          exchange_to TEXT NOT NULL,
+          size REAL NOT NULL,
+          filled_size REAL,
+          net_position REAL,
+          status TEXT NOT NULL,
+          unwind_policy TEXT,
+          expected_profit REAL,
+          realized_profit REAL,
+          timestamp TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS execution_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          execution_id TEXT NOT NULL,
+          leg TEXT NOT NULL,
+          exchange TEXT NOT NULL,
+          side TEXT NOT NULL,
+          order_id TEXT,
+          price REAL,
+          size REAL NOT NULL,
+          filled_size REAL,
+          average_price REAL,
+          status TEXT NOT NULL,
+          error TEXT,
+          timestamp TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 機会のエピソード（同じ経路で連続して検出された機会の開始から終了まで）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS opportunity_episodes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          episode_id TEXT NOT NULL UNIQUE,
+          type TEXT DEFAULT 'cross-exchange',
+          pair TEXT NOT NULL,
+          exchange_from TEXT NOT NULL,
+          exchange_to TEXT NOT NULL,
+          status TEXT NOT NULL,
+          started_at TEXT NOT NULL,
+          ended_at TEXT,
+          duration_ms INTEGER,
+          peak_spread REAL,
+          average_spread REAL,
+          last_spread REAL,
+          peak_net_profit REAL,
+          last_net_profit REAL,
+          observations INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 前回の終了時に継続中だったエピソードは終了を観測できないため中断扱いにする
+      this.db.run("UPDATE opportunity_episodes SET status = 'interrupted' WHERE status = 'open'");
+
+      // 取得のたびに同じ約定が返るため、取引所・通貨ペア・約定IDで重複を防ぐ
+      this.db.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_trades_unique ON trades (exchange, pair, trade_id)");
+
       // Migration: Add bid/ask columns if they don't exist
       this.db.all("PRAGMA table_info(price_history)", (err, columns) => {
         if (err) {
@@ -49,6 +158,9 @@ class Database {
         
         const hasBid = columns.some(col => col.name === 'bid');
         const hasAsk = columns.some(col => col.name === 'ask');
+        const hasIsReference = columns.some(col => col.name === 'is_reference');
+        const hasPair = columns.some(col => col.name === 'pair');
+        const hasSourceTimestamp = columns.some(col => col.name === 'source_timestamp');
         
         if (!hasBid) {
           this.db.run("ALTER TABLE price_history ADD COLUMN bid REAL", (err) => {
@@ -63,6 +175,27 @@ class Database {
             else console.log('Added ask column to price_history table');
           });
         }
+
+        if (!hasIsReference) {
+          this.db.run("ALTER TABLE price_history ADD COLUMN is_reference BOOLEAN DEFAULT 0", (err) => {
+            if (err) console.error('Error adding is_reference column:', err);
+            else console.log('Added is_reference column to price_history table');
+          });
+        }
+
+        if (!hasPair) {
+          this.db.run("ALTER TABLE price_history ADD COLUMN pair TEXT DEFAULT 'BTC/JPY'", (err) => {
+            if (err) console.error('Error adding pair column:', err);
+            else console.log('Added pair column to price_history table');
+          });
+        }
+
+        if (!hasSourceTimestamp) {
+          this.db.run("ALTER TABLE price_history ADD COLUMN source_timestamp TEXT", (err) => {
+            if (err) console.error('Error adding source_timestamp column:', err);
+            else console.log('Added source_timestamp column to price_history table');
+          });
+        }
       });
 
       // Migration: Add fee-related columns to arbitrage_opportunities if they don't exist
@@ -76,6 +209,14 @@ class Database {
         const hasNetProfitPercentage = columns.some(col => col.name === 'net_profit_percentage');
         const hasTotalFees = columns.some(col => col.name === 'total_fees');
         const hasProfitableFlag = columns.some(col => col.name === 'is_profitable_after_fees');
+        const hasPair = columns.some(col => col.name === 'pair');
+        const hasExecutableSize = columns.some(col => col.name === 'executable_size');
+        const hasNetProfitAtSize = columns.some(col => col.name === 'net_profit_at_size');
+        const hasType = columns.some(col => col.name === 'type');
+        const hasZScore = columns.some(col => col.name === 'z_score');
+        const hasRiskAdjustedProfit = columns.some(col => col.name === 'risk_adjusted_profit');
+        const hasLossProbability = columns.some(col => col.name === 'loss_probability');
+        const hasConfidence = columns.some(col => col.name === 'confidence');
         
         if (!hasNetProfit) {
           this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN net_profit REAL", (err) => {
@@ -104,6 +245,77 @@ class Database {
             else console.log('Added is_profitable_after_fees column to arbitrage_opportunities table');
           });
         }
+
+        if (!hasPair) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN pair TEXT DEFAULT 'BTC/JPY'", (err) => {
+            if (err) console.error('Error adding pair column:', err);
+            else console.log('Added pair column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasExecutableSize) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN executable_size REAL", (err) => {
+            if (err) console.error('Error adding executable_size column:', err);
+            else console.log('Added executable_size column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasNetProfitAtSize) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN net_profit_at_size REAL", (err) => {
+            if (err) console.error('Error adding net_profit_at_size column:', err);
+            else console.log('Added net_profit_at_size column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasType) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN type TEXT DEFAULT 'cross-exchange'", (err) => {
+            if (err) console.error('Error adding type column:', err);
+            else console.log('Added type column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasZScore) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN z_score REAL", (err) => {
+            if (err) console.error('Error adding z_score column:', err);
+            else console.log('Added z_score column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasRiskAdjustedProfit) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN risk_adjusted_profit REAL", (err) => {
+            if (err) console.error('Error adding risk_adjusted_profit column:', err);
+            else console.log('Added risk_adjusted_profit column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasLossProbability) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN loss_probability REAL", (err) => {
+            if (err) console.error('Error adding loss_probability column:', err);
+            else console.log('Added loss_probability column to arbitrage_opportunities table');
+          });
+        }
+
+        if (!hasConfidence) {
+          this.db.run("ALTER TABLE arbitrage_opportunities ADD COLUMN confidence REAL", (err) => {
+            if (err) console.error('Error adding confidence column:', err);
+            else console.log('Added confidence column to arbitrage_opportunities table');
+          });
+        }
+      });
+
+      // Migration: Add the opportunity type to opportunity_episodes if it doesn't exist
+      this.db.all("PRAGMA table_info(opportunity_episodes)", (err, columns) => {
+        if (err) {
+          console.error('Error checking opportunity_episodes table info:', err);
+          return;
+        }
+
+        if (!columns.some(col => col.name === 'type')) {
+          this.db.run("ALTER TABLE opportunity_episodes ADD COLUMN type TEXT DEFAULT 'cross-exchange'", (err) => {
+            if (err) console.error('Error adding type column:', err);
+            else console.log('Added type column to opportunity_episodes table');
+          });
+        }
       });
     });
   }
@@ -119,7 +331,7 @@ class Database {
       this.db.serialize(() => {
         this.db.run("BEGIN TRANSACTION");
         
-        const stmt = this.db.prepare("INSERT INTO price_history (exchange, price, bid, ask, timestamp) VALUES (?, ?, ?, ?, ?)");
+        const stmt = this.db.prepare("INSERT INTO price_history (exchange, pair, price, bid, ask, is_reference, timestamp, source_timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
         
         let completed = 0;
         let hasError = false;
@@ -127,7 +339,7 @@ class Database {
         for (const price of prices) {
           if (hasError) break;
           
-          stmt.run([price.exchange, price.price, price.bid, price.ask, price.timestamp], (err) => {
+          stmt.run([price.exchange, price.pair || 'BTC/JPY', price.price, price.bid, price.ask, price.isReference ? 1 : 0, price.timestamp, price.sourceTimestamp || null], (err) => {
             if (err && !hasError) {
               hasError = true;
               this.db.run("ROLLBACK");
@@ -155,18 +367,114 @@ class Database {
     });
   }
 
+  // 既に保存済みの約定は無視される
+  saveTrades(trades) {
+    return new Promise((resolve, reject) => {
+      if (trades.length === 0) {
+        resolve();
+        return;
+      }
+
+      this.db.serialize(() => {
+        this.db.run("BEGIN TRANSACTION");
+
+        const stmt = this.db.prepare("INSERT OR IGNORE INTO trades (exchange, pair, trade_id, price, size, side, executed_at) VALUES (?, ?, ?, ?, ?, ?, ?)");
+
+        let completed = 0;
+        let hasError = false;
+
+        for (const trade of trades) {
+          if (hasError) break;
+
+          stmt.run([trade.exchange, trade.pair, trade.tradeId, trade.price, trade.size, trade.side, trade.executedAt], (err) => {
+            if (err && !hasError) {
+              hasError = true;
+              this.db.run("ROLLBACK");
+              reject(err);
+              return;
+            }
+
+            completed++;
+            if (completed === trades.length && !hasError) {
+              stmt.finalize((finalizeErr) => {
+                if (finalizeErr) {
+                  this.db.run("ROLLBACK");
+                  reject(finalizeErr);
+                } else {
+                  this.db.run("COMMIT", (commitErr) => {
+                    if (commitErr) reject(commitErr);
+                    else resolve();
+                  });
+                }
+              });
+            }
+          });
+        }
+      });
+    });
+  }
+
+  savePremiums(premiums) {
+    return new Promise((resolve, reject) => {
+      if (premiums.length === 0) {
+        resolve();
+        return;
+      }
+
+      this.db.serialize(() => {
+        this.db.run("BEGIN TRANSACTION");
+
+        const stmt = this.db.prepare("INSERT INTO japan_premium (pair, premium_percentage, domestic_price, overseas_price, fx_rate, timestamp) VALUES (?, ?, ?, ?, ?, ?)");
+
+        let completed = 0;
+        let hasError = false;
+
+        for (const premium of premiums) {
+          if (hasError) break;
+
+          stmt.run([premium.pair, premium.premium, premium.domesticPrice, premium.overseasPrice, premium.fxRate || null, premium.timestamp], (err) => {
+            if (err && !hasError) {
+              hasError = true;
+              this.db.run("ROLLBACK");
+              reject(err);
+              return;
+            }
+
+            completed++;
+            if (completed === premiums.length && !hasError) {
+              stmt.finalize((finalizeErr) => {
+                if (finalizeErr) {
+                  this.db.run("ROLLBACK");
+                  reject(finalizeErr);
+                } else {
+                  this.db.run("COMMIT", (commitErr) => {
+                    if (commitErr) reject(commitErr);
+                    else resolve();
+                  });
+                }
+              });
+            }
+          });
+        }
+      });
+    });
+  }
+
   saveArbitrageOpportunity(opportunity) {
     return new Promise((resolve, reject) => {
       const stmt = this.db.prepare(`
         INSERT INTO arbitrage_opportunities 
-        (exchange_from, exchange_to, price_from, price_to, price_difference, percentage_difference, 
-         net_profit, net_profit_percentage, total_fees, is_profitable_after_fees, timestamp) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (exchange_from, exchange_to, pair, type, price_from, price_to, price_difference, percentage_difference, 
+         net_profit, net_profit_percentage, total_fees, is_profitable_after_fees, z_score, risk_adjusted_profit, loss_probability,
+         confidence, executable_size, net_profit_at_size, timestamp) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       stmt.run([
         opportunity.exchangeFrom,
         opportunity.exchangeTo,
+        opportunity.pair || 'BTC/JPY',
+        opportunity.type || 'cross-exchange',
         opportunity.priceFrom,
         opportunity.priceTo,
         opportunity.priceDifference,
@@ -175,6 +483,12 @@ class Database {
         opportunity.netProfitPercentage || null,
         opportunity.totalFees || null,
         opportunity.isProfitableAfterFees || false,
+        opportunity.zScore !== undefined ? opportunity.zScore : null,
+        opportunity.riskAdjustedProfit !== undefined ? opportunity.riskAdjustedProfit : null,
+        opportunity.lossProbability !== undefined ? opportunity.lossProbability : null,
+        opportunity.confidence !== undefined ? opportunity.confidence : null,
+        opportunity.executableSize !== undefined ? opportunity.executableSize : null,
+        opportunity.netProfitAtSize !== undefined ? opportunity.netProfitAtSize : null,
         opportunity.timestamp
       ], (err) => {
         if (err) reject(err);
@@ -185,6 +499,170 @@ class Database {
     });
   }
 
+  // 執行結果と、その全注文（両レッグと反対売買）を1トランザクションで保存
+  saveExecution(execution) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run("BEGIN TRANSACTION");
+
+        let completed = 0;
+        let hasError = false;
+
+        const commit = () => {
+          this.db.run("COMMIT", (commitErr) => {
+            if (commitErr) reject(commitErr);
+            else resolve();
+          });
+        };
+
+        this.db.run(
+          `INSERT INTO executions (execution_id, mode, pair, exchange_from, exchange_to, size, filled_size, net_position,
+           status, unwind_policy, expected_profit, realized_profit, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            execution.id,
+            execution.mode,
+            execution.pair,
+            execution.exchangeFrom,
+            execution.exchangeTo,
+            execution.size,
+            execution.filledSize,
+            execution.netPosition,
+            execution.status,
+            execution.unwindPolicy,
+            execution.expectedProfit,
+            execution.realizedProfit,
+            execution.timestamp
+          ],
+          (err) => {
+            if (err) {
+              hasError = true;
+              this.db.run("ROLLBACK");
+              reject(err);
+              return;
+            }
+            if (execution.orders.length === 0) commit();
+          }
+        );
+
+        const stmt = this.db.prepare("INSERT INTO execution_orders (execution_id, leg, exchange, side, order_id, price, size, filled_size, average_price, status, error, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+
+        for (const order of execution.orders) {
+          stmt.run([execution.id, order.leg, order.exchange, order.side, order.orderId, order.price, order.size, order.filledSize, order.averagePrice, order.status, order.error, order.timestamp], (err) => {
+            // 先に失敗していれば ROLLBACK・reject 済み
+            if (hasError) return;
+            if (err) {
+              hasError = true;
+              this.db.run("ROLLBACK");
+              reject(err);
+              return;
+            }
+
+            completed++;
+            if (completed === execution.orders.length) {
+              stmt.finalize((finalizeErr) => {
+                if (finalizeErr) {
+                  this.db.run("ROLLBACK");
+                  reject(finalizeErr);
+                  return;
+                }
+                commit();
+              });
+            }
+          });
+        }
+      });
+    });
+  }
+
+  // エピソードは開始時に追加し、以降は同じ episode_id の行を更新
+  saveEpisode(episode) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO opportunity_episodes 
+         (episode_id, type, pair, exchange_from, exchange_to, status, started_at, ended_at, duration_ms, 
+          peak_spread, average_spread, last_spread, peak_net_profit, last_net_profit, observations) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) 
+         ON CONFLICT(episode_id) DO UPDATE SET 
+           status = excluded.status, ended_at = excluded.ended_at, duration_ms = excluded.duration_ms, 
+           peak_spread = excluded.peak_spread, average_spread = excluded.average_spread, last_spread = excluded.last_spread, 
+           peak_net_profit = excluded.peak_net_profit, last_net_profit = excluded.last_net_profit, observations = excluded.observations`,
+        [
+          episode.id,
+          episode.type,
+          episode.pair,
+          episode.exchangeFrom,
+          episode.exchangeTo,
+          episode.status,
+          episode.startedAt,
+          episode.endedAt,
+          episode.duration,
+          episode.peakSpread,
+          episode.averageSpread,
+          episode.lastSpread,
+          episode.peakNetProfit,
+          episode.lastNetProfit,
+          episode.observations
+        ],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  // 指定時間内に開始したエピソード（新しい順、pair を指定した場合はその通貨ペアのみ）
+  getEpisodes(hours = 24, pair = null, limit = 200) {
+    return new Promise((resolve, reject) => {
+      const hoursAgo = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const params = pair ? [hoursAgo, pair, limit] : [hoursAgo, limit];
+      // created_at（CURRENT_TIMESTAMP）と同じ形式に揃えて比較する
+      this.db.all(
+        `SELECT * FROM opportunity_episodes 
+         WHERE created_at >= datetime(?)${pair ? ' AND pair = ?' : ''} 
+         ORDER BY id DESC LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // 直近の執行結果（新しい順）。各執行に注文の一覧（orders）を付ける
+  getExecutions(limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        "SELECT * FROM executions ORDER BY id DESC LIMIT ?",
+        [limit],
+        (err, executions) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (executions.length === 0) {
+            resolve([]);
+            return;
+          }
+
+          const ids = executions.map(execution => execution.execution_id);
+          this.db.all(
+            `SELECT * FROM execution_orders WHERE execution_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id ASC`,
+            ids,
+            (ordersErr, orders) => {
+              if (ordersErr) reject(ordersErr);
+              else resolve(executions.map(execution => ({
+                ...execution,
+                orders: orders.filter(order => order.execution_id === execution.execution_id)
+              })));
+            }
+          );
+        }
+      );
+    });
+  }
+
   getRecentPrices(limit = 100) {
     return new Promise((resolve, reject) => {
       this.db.all(
@@ -211,15 +689,55 @@ class Database {
     });
   }
 
-  getPriceHistory(hours = 24) {
+  // pair を指定した場合はその通貨ペアのみ
+  getPriceHistory(hours = 24, pair = null) {
     return new Promise((resolve, reject) => {
       const hoursAgo = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const params = pair ? [hoursAgo, pair] : [hoursAgo];
+      // created_at は CURRENT_TIMESTAMP（'YYYY-MM-DD HH:MM:SS'、UTC）のため、ISO形式の基準時刻を datetime() で揃えて比較する
       this.db.all(
-        `SELECT exchange, price, bid, ask, timestamp, created_at 
+        `SELECT exchange, pair, price, bid, ask, is_reference, timestamp, source_timestamp, created_at 
          FROM price_history 
-         WHERE created_at >= ? 
+         WHERE created_at >= datetime(?)${pair ? ' AND pair = ?' : ''} 
+         ORDER BY created_at ASC`,
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // 日本プレミアムの推移（pair を指定した場合はその通貨ペアのみ）
+  getPremiumHistory(hours = 24, pair = null) {
+    return new Promise((resolve, reject) => {
+      const hoursAgo = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const params = pair ? [hoursAgo, pair] : [hoursAgo];
+      // created_at（CURRENT_TIMESTAMP）と同じ形式に揃えて比較する
+      this.db.all(
+        `SELECT pair, premium_percentage, domestic_price, overseas_price, fx_rate, timestamp, created_at 
+         FROM japan_premium 
+         WHERE created_at >= datetime(?)${pair ? ' AND pair = ?' : ''} 
          ORDER BY created_at ASC`,
-        [hoursAgo],
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  }
+
+  // 新しい約定から順に取得（pair を指定した場合はその通貨ペアのみ）
+  getRecentTrades(limit = 100, pair = null) {
+    return new Promise((resolve, reject) => {
+      const params = pair ? [pair, limit] : [limit];
+      this.db.all(
+        `SELECT exchange, pair, trade_id, price, size, side, executed_at, created_at 
+         FROM trades${pair ? ' WHERE pair = ?' : ''} 
+         ORDER BY executed_at DESC LIMIT ?`,
+        params,
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -239,7 +757,34 @@ class Database {
           }
           console.log('Cleared price_history table');
         });
+
+        this.db.run("DELETE FROM trades", (err) => {
+          if (err) {
+            console.error('Error clearing trades:', err);
+            reject(err);
+            return;
+          }
+          console.log('Cleared trades table');
+        });
+
+        this.db.run("DELETE FROM japan_premium", (err) => {
+          if (err) {
+            console.error('Error clearing japan_premium:', err);
+            reject(err);
+            return;
+          }
+          console.log('Cleared japan_premium table');
+        });
         
+        this.db.run("DELETE FROM opportunity_episodes", (err) => {
+          if (err) {
+            console.error('Error clearing opportunity_episodes:', err);
+            reject(err);
+            return;
+          }
+          console.log('Cleared opportunity_episodes table');
+        });
+
         this.db.run("DELETE FROM arbitrage_opportunities", (err) => {
           if (err) {
             console.error('Error clearing arbitrage_opportunities:', err);
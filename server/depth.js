@@ -0,0 +1,167 @@
+/**
+ * Order book depth for cross-exchange arbitrage.
+ *
+ * An opportunity's best ask and best bid often carry only a few thousandths
+ * of a BTC. Walking the buy venue's asks and the sell venue's bids together
+ * shows how much can actually be moved: levels are matched cheapest ask
+ * against highest bid, and the walk stops at the first slice whose sell
+ * proceeds no longer cover its buy cost after taker fees. Every slice taken
+ * adds profit, so the resulting size is the largest one worth trading; fixed
+ * costs (withdrawals, network fee) are left to the caller. optimizeTradeSize
+ * searches the same books with the caller's full cost model.
+ */
+
+const EPSILON = 1e-12;
+
+/**
+ * @param {Array<{price: number, size: number}>} asks - Buy venue asks, best first
+ * @param {Array<{price: number, size: number}>} bids - Sell venue bids, best first
+ * @param {Object} [options]
+ * @param {number} [options.buyFeeRate] - Taker fee rate on the buy venue
+ * @param {number} [options.sellFeeRate] - Taker fee rate on the sell venue
+ * @param {number} [options.maxSize] - Stop at this size
+ * @returns {{size: number, averageBuyPrice: number|null, averageSellPrice: number|null,
+ *   buySlippage: number, sellSlippage: number, slippageCost: number}}
+ *   Slippage is the % the average fill is worse than the best level, slippageCost the JPY lost to it
+ */
+function walkOrderBooks(asks, bids, options = {}) {
+  const { buyFeeRate = 0, sellFeeRate = 0, maxSize = Infinity } = options;
+  let size = 0;
+  let buyValue = 0;
+  let sellValue = 0;
+  let askIndex = 0;
+  let bidIndex = 0;
+  let askLeft = asks.length > 0 ? asks[0].size : 0;
+  let bidLeft = bids.length > 0 ? bids[0].size : 0;
+
+  while (askIndex < asks.length && bidIndex < bids.length && size < maxSize - EPSILON) {
+    const ask = asks[askIndex].price;
+    const bid = bids[bidIndex].price;
+    if (bid * (1 - sellFeeRate) <= ask * (1 + buyFeeRate)) break;
+
+    const slice = Math.min(askLeft, bidLeft, maxSize - size);
+    size += slice;
+    buyValue += slice * ask;
+    sellValue += slice * bid;
+    askLeft -= slice;
+    bidLeft -= slice;
+
+    if (askLeft <= EPSILON && ++askIndex < asks.length) askLeft = asks[askIndex].size;
+    if (bidLeft <= EPSILON && ++bidIndex < bids.length) bidLeft = bids[bidIndex].size;
+  }
+
+  if (size <= EPSILON) {
+    return { size: 0, averageBuyPrice: null, averageSellPrice: null, buySlippage: 0, sellSlippage: 0, slippageCost: 0 };
+  }
+
+  const averageBuyPrice = buyValue / size;
+  const averageSellPrice = sellValue / size;
+  const bestAsk = asks[0].price;
+  const bestBid = bids[0].price;
+  return {
+    size,
+    averageBuyPrice,
+    averageSellPrice,
+    buySlippage: (averageBuyPrice - bestAsk) / bestAsk * 100,
+    sellSlippage: (bestBid - averageSellPrice) / bestBid * 100,
+    slippageCost: (buyValue - bestAsk * size) + (bestBid * size - sellValue)
+  };
+}
+
+/**
+ * Cumulative fills when buying up the asks and selling into the bids, one
+ * point per slice boundary, for as long as the bid still exceeds the ask
+ * (past that point every extra unit loses money before fees)
+ * @param {Array<{price: number, size: number}>} asks - Buy venue asks, best first
+ * @param {Array<{price: number, size: number}>} bids - Sell venue bids, best first
+ * @returns {Array<{size: number, buyValue: number, sellValue: number, ask: number, bid: number}>}
+ *   ask / bid are the prices of the slice ending at the point
+ */
+function buildFillCurve(asks, bids) {
+  const points = [];
+  let size = 0;
+  let buyValue = 0;
+  let sellValue = 0;
+  let askIndex = 0;
+  let bidIndex = 0;
+  let askLeft = asks.length > 0 ? asks[0].size : 0;
+  let bidLeft = bids.length > 0 ? bids[0].size : 0;
+
+  while (askIndex < asks.length && bidIndex < bids.length) {
+    const ask = asks[askIndex].price;
+    const bid = bids[bidIndex].price;
+    if (bid <= ask) break;
+
+    const slice = Math.min(askLeft, bidLeft);
+    size += slice;
+    buyValue += slice * ask;
+    sellValue += slice * bid;
+    askLeft -= slice;
+    bidLeft -= slice;
+    points.push({ size, buyValue, sellValue, ask, bid });
+
+    if (askLeft <= EPSILON && ++askIndex < asks.length) askLeft = asks[askIndex].size;
+    if (bidLeft <= EPSILON && ++bidIndex < bids.length) bidLeft = bids[bidIndex].size;
+  }
+  return points;
+}
+
+// 推移上の任意の数量での平均約定価格（推移の範囲外は null）
+function fillAt(curve, size) {
+  const index = curve.findIndex(point => point.size >= size - EPSILON);
+  if (index === -1 || size <= 0) return null;
+  const previous = index > 0 ? curve[index - 1] : { size: 0, buyValue: 0, sellValue: 0 };
+  const point = curve[index];
+  const extra = size - previous.size;
+  return {
+    averageBuyPrice: (previous.buyValue + extra * point.ask) / size,
+    averageSellPrice: (previous.sellValue + extra * point.bid) / size
+  };
+}
+
+/**
+ * Trade size with the highest net profit, and the smallest size that breaks
+ * even. Fixed costs (withdrawals, network fee) make small sizes unprofitable
+ * while walking deeper into the books makes large ones worse, so the net
+ * profit is evaluated at every slice boundary of the fill curve; the
+ * break-even size is searched by bisection inside the first slice that
+ * turns profitable.
+ * @param {Array<{price: number, size: number}>} asks - Buy venue asks, best first
+ * @param {Array<{price: number, size: number}>} bids - Sell venue bids, best first
+ * @param {Function} netProfitAt - (size, averageBuyPrice, averageSellPrice) => net profit in JPY
+ * @returns {{optimalSize: number|null, maxNetProfit: number|null, breakEvenSize: number|null}}
+ *   optimalSize is null when no size is profitable, breakEvenSize when the books never pay for the fixed costs
+ */
+function optimizeTradeSize(asks, bids, netProfitAt) {
+  const curve = buildFillCurve(asks, bids);
+  const netAt = (size) => {
+    const fill = fillAt(curve, size);
+    return fill ? netProfitAt(size, fill.averageBuyPrice, fill.averageSellPrice) : null;
+  };
+
+  let best = null;
+  let breakEvenSize = null;
+  curve.forEach((point, index) => {
+    const net = netAt(point.size);
+    if (best === null || net > best.net) best = { size: point.size, net };
+
+    if (breakEvenSize === null && net >= 0) {
+      let low = index > 0 ? curve[index - 1].size : 0;
+      let high = point.size;
+      for (let i = 0; i < 40; i++) {
+        const middle = (low + high) / 2;
+        if (netAt(middle) >= 0) high = middle;
+        else low = middle;
+      }
+      breakEvenSize = high;
+    }
+  });
+
+  return {
+    optimalSize: best && best.net > 0 ? best.size : null,
+    maxNetProfit: best && best.net > 0 ? best.net : null,
+    breakEvenSize
+  };
+}
+
+module.exports = { walkOrderBooks, buildFillCurve, optimizeTradeSize };
@@ -1,125 +1,383 @@
 const axios = require('axios');
-const { getJapanTime } = require('./utils');
+const { getJapanTime, parseTradingPairs, parseRateLimits, parseSourceTime } = require('./utils');
+const { loadAdapters } = require('./adapters');
+const HealthTracker = require('./health');
+const QuoteValidator = require('./validation');
+const RateLimiter = require('./rate-limit');
+const FxRates = require('./fx');
+const MaintenanceCalendar = require('./maintenance');
+
+/**
+ * Normalize raw order book levels into { price, size } objects.
+ * Accepts [price, size] tuples or { price, size|amount } objects with
+ * string or numeric values, drops malformed levels and sorts best-first.
+ * @param {Array} levels - Raw levels from the exchange
+ * @param {string} side - 'bids' (descending) or 'asks' (ascending)
+ * @param {number} depth - Maximum number of levels to keep
+ * @returns {Array<{price: number, size: number}>} Normalized levels
+ */
+function normalizeLevels(levels, side, depth) {
+  if (!Array.isArray(levels)) return [];
+
+  return levels
+    .map(level => {
+      const [price, size] = Array.isArray(level)
+        ? level
+        : [level.price, level.size !== undefined ? level.size : level.amount];
+      return { price: parseFloat(price), size: parseFloat(size) };
+    })
+    .filter(level => Number.isFinite(level.price) && Number.isFinite(level.size) && level.price > 0 && level.size > 0)
+    .sort((a, b) => (side === 'bids' ? b.price - a.price : a.price - b.price))
+    .slice(0, depth);
+}
+
+/**
+ * Normalize raw public trades, dropping malformed ones.
+ * Trades without a venue id get one derived from time, price, size and side
+ * so repeated fetches of the same trade can be recognised.
+ * @param {Array} trades - Trades from adapter.parseTrades
+ * @returns {Array<{tradeId: string, price: number, size: number, side: string|null, executedAt: string}>}
+ */
+function normalizeTrades(trades) {
+  if (!Array.isArray(trades)) return [];
+
+  return trades
+    .map(trade => {
+      const time = parseSourceTime(trade.timestamp);
+      const side = String(trade.side || '').toLowerCase();
+      const normalized = {
+        price: parseFloat(trade.price),
+        size: parseFloat(trade.size),
+        side: side === 'buy' || side === 'sell' ? side : null,
+        executedAt: time === null ? null : new Date(time).toISOString()
+      };
+      normalized.tradeId = trade.id !== undefined && trade.id !== null
+        ? String(trade.id)
+        : `${normalized.executedAt}:${normalized.price}:${normalized.size}:${normalized.side}`;
+      return normalized;
+    })
+    .filter(trade => Number.isFinite(trade.price) && Number.isFinite(trade.size) &&
+      trade.price > 0 && trade.size > 0 && trade.executedAt !== null);
+}
 
 class ExchangeAPI {
-  constructor() {
-    this.exchanges = {
-      bitflyer: 'https://api.bitflyer.com/v1/ticker?product_code=BTC_JPY',
-      coincheck: 'https://coincheck.com/api/ticker',
-      zaif: 'https://api.zaif.jp/api/1/ticker/btc_jpy',
-      gmo: 'https://api.coin.z.com/public/v1/ticker?symbol=BTC_JPY',
-      bitbank: 'https://public.bitbank.cc/btc_jpy/ticker',
-      bitpoint: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=jpy'
-    };
+  /**
+   * @param {Object} [options] - Adapter selection options (see adapters/index.js loadAdapters)
+   * @param {Object[]} [options.adapters] - Use these adapters instead of the configured registry
+   * @param {HealthTracker} [options.health] - Shared health tracker / circuit breaker
+   * @param {QuoteValidator} [options.validator] - Quote sanity checks shared with the stream manager
+   * @param {RateLimiter} [options.rateLimiter] - Per-exchange request budgets (defaults to each adapter's
+   *   rateLimit, overridden by EXCHANGE_RATE_LIMITS)
+   * @param {FxRates} [options.fx] - USD/JPY rate used to convert overseas quotes to JPY
+   * @param {MaintenanceCalendar} [options.maintenance] - Scheduled maintenance windows (defaults to each
+   *   adapter's maintenance plus MAINTENANCE_CALENDAR)
+   * @param {Object} [options.http] - HTTP client with axios' get(url, config) (e.g. a recorder or replayer)
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   * @param {string|string[]} [options.pairs] - Monitored pairs (defaults to TRADING_PAIRS or 'BTC/JPY')
+   * @param {string} [options.baseUrl] - Serve every venue from this host instead (defaults to EXCHANGE_BASE_URL)
+   */
+  constructor(options = {}) {
+    this.adapters = options.adapters || loadAdapters(options);
+    this.health = options.health || new HealthTracker();
+    this.validator = options.validator || new QuoteValidator();
+    this.http = options.http || axios;
+    this.now = options.now || (() => Date.now());
+    this.pairs = parseTradingPairs(options.pairs || process.env.TRADING_PAIRS);
+    this.defaultPair = this.pairs[0];
+    this.timeout = 5000;
+    this.orderBookDepth = options.orderBookDepth || 50; // 保持する板の段数
+    this.baseUrl = options.baseUrl || process.env.EXCHANGE_BASE_URL || null;
+    this.rateLimiter = options.rateLimiter || new RateLimiter({
+      limits: { ...this.getAdapterRateLimits(), ...parseRateLimits(process.env.EXCHANGE_RATE_LIMITS) },
+      now: this.now
+    });
+    this.fx = options.fx || new FxRates({
+      http: this.http,
+      now: this.now,
+      resolveUrl: url => this.resolveUrl({ id: 'fx' }, url)
+    });
+    this.maintenance = options.maintenance || new MaintenanceCalendar({ adapters: this.adapters, now: this.now });
   }
 
-  async getBitFlyerPrice() {
-    try {
-      const response = await axios.get(this.exchanges.bitflyer, { timeout: 5000 });
+  // アダプターに定義された公開APIのリクエスト上限
+  getAdapterRateLimits() {
+    const limits = {};
+    this.adapters.forEach(adapter => {
+      if (adapter.rateLimit) limits[adapter.id] = adapter.rateLimit;
+    });
+    return limits;
+  }
+
+  /**
+   * Rewrite an adapter URL to the configured base URL (e.g. the local mock exchange),
+   * keeping the path and query under the adapter id: https://api.bitflyer.com/v1/ticker
+   * becomes http://localhost:3100/bitflyer/v1/ticker. WebSocket URLs keep a ws scheme.
+   * @param {Object} adapter - Exchange adapter
+   * @param {string} url - URL as defined by the adapter
+   * @returns {string} URL to request
+   */
+  resolveUrl(adapter, url) {
+    if (!this.baseUrl) return url;
+
+    const target = new URL(url);
+    const base = new URL(this.baseUrl);
+    if (target.protocol === 'ws:' || target.protocol === 'wss:') {
+      base.protocol = base.protocol === 'https:' ? 'wss:' : 'ws:';
+    }
+    const prefix = base.pathname.replace(/\/$/, '');
+    return `${base.protocol}//${base.host}${prefix}/${adapter.id}${target.pathname}${target.search}`;
+  }
+
+  getAdapter(exchangeId) {
+    return this.adapters.find(adapter => adapter.id === exchangeId) || null;
+  }
+
+  // 監視対象のうち、その取引所が対応している通貨ペア
+  getSupportedPairs(adapter) {
+    return this.pairs.filter(pair => adapter.symbols[pair]);
+  }
+
+  // 取引所IDと表示名の一覧（UIの色分けなどに使用）
+  getExchangeList() {
+    return this.adapters.map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      type: adapter.type || 'exchange',
+      currency: adapter.quoteCurrency || 'JPY',
+      color: adapter.color,
+      pairs: this.getSupportedPairs(adapter)
+    }));
+  }
+
+  /**
+   * Recent success rate of an exchange's requests
+   * @param {string} exchange - Display name (as in quotes) or id
+   * @returns {number|null} See HealthTracker#getReliability; null for unknown exchanges
+   */
+  getReliability(exchange) {
+    const adapter = this.adapters.find(candidate => candidate.name === exchange || candidate.id === exchange);
+    return adapter ? this.health.getReliability(adapter.id) : null;
+  }
+
+  // 取引所ごとの稼働状況（連続失敗回数・最終成功時刻・平均レイテンシ・サーキット状態）
+  // メンテナンス中の取引所は status を 'maintenance' とする
+  getHealthStatus() {
+    return this.adapters.map(adapter => {
+      const health = this.health.getStatus(adapter.id);
+      const maintenance = this.maintenance.getStatus(adapter.id);
       return {
-        exchange: 'bitFlyer',
-        price: parseFloat(response.data.ltp),
-        bid: parseFloat(response.data.best_bid),
-        ask: parseFloat(response.data.best_ask),
-        timestamp: getJapanTime()
+        id: adapter.id,
+        name: adapter.name,
+        type: adapter.type || 'exchange',
+        pairs: this.getSupportedPairs(adapter),
+        ...health,
+        status: maintenance.active ? 'maintenance' : health.status,
+        maintenance,
+        rejectedQuotes: this.validator.getStatus(adapter.name),
+        rateLimit: this.rateLimiter.getStatus(adapter.id)
       };
-    } catch (error) {
-      console.error('BitFlyer API Error:', error.message);
-      return null;
+    });
+  }
+
+  // REST・ストリーム共通の価格データ形式に変換
+  // timestamp は受信時刻（日本時間）、sourceTimestamp は取引所側の時刻（UTC、提供されない場合はnull）
+  // 海外取引所の価格は fxRate で円換算し、元の通貨建ての価格も残す
+  buildQuote(adapter, pair, ticker, fxRate = 1) {
+    const sourceTime = parseSourceTime(ticker.timestamp);
+    const price = parseFloat(ticker.price);
+    const bid = ticker.bid === null ? null : parseFloat(ticker.bid);
+    const ask = ticker.ask === null ? null : parseFloat(ticker.ask);
+    const quote = {
+      exchange: adapter.name,
+      pair,
+      price: price * fxRate,
+      bid: bid === null ? null : bid * fxRate,
+      ask: ask === null ? null : ask * fxRate,
+      timestamp: getJapanTime(new Date(this.now())),
+      sourceTimestamp: sourceTime === null ? null : new Date(sourceTime).toISOString(),
+      receivedAt: this.now()
+    };
+    // 参考指数は取引できないため、検知対象外であることを明示する
+    if (adapter.type === 'reference') {
+      quote.isReference = true;
     }
+    // 海外取引所は日本プレミアムの算出にのみ使い、裁定の検知対象にはしない
+    if (adapter.type === 'overseas') {
+      Object.assign(quote, {
+        isOverseas: true,
+        currency: adapter.quoteCurrency || 'JPY',
+        fxRate,
+        originalPrice: price,
+        originalBid: bid,
+        originalAsk: ask
+      });
+    }
+    return quote;
   }
 
-  async getCoincheckPrice() {
+  async fetchTicker(adapter, pair = this.defaultPair) {
+    const symbol = adapter.symbols[pair];
+    if (!symbol) return null;
+    // メンテナンス中は止まった価格が返るため取得しない
+    if (this.maintenance.isUnderMaintenance(adapter.id)) return null;
+
+    // 円建てでない取引所は為替レートが取れない間は円換算できないため見送る
+    const currency = adapter.quoteCurrency || 'JPY';
+    let fxRate = 1;
+    if (currency !== 'JPY') {
+      await this.fx.refresh();
+      fxRate = this.fx.getRate(currency);
+      if (fxRate === null) return null;
+    }
+
+    // サーキットブレーカーが開いている取引所はバックオフ期間中スキップ（リクエスト上限の枠は消費しない）
+    if (this.health.isBackingOff(adapter.id)) return null;
+    // リクエスト上限に達している取引所は今回の取得を見送る（次回の取得で再試行）
+    if (!this.rateLimiter.tryAcquire(adapter.id)) return null;
+    // 枠を確保してから half-open の試行を始める（試行が送られないまま half-open に留まらないように）
+    if (!this.health.canRequest(adapter.id)) return null;
+
+    const startedAt = Date.now();
     try {
-      const response = await axios.get(this.exchanges.coincheck, { timeout: 5000 });
-      return {
-        exchange: 'Coincheck',
-        price: parseFloat(response.data.last),
-        bid: parseFloat(response.data.bid),
-        ask: parseFloat(response.data.ask),
-        timestamp: getJapanTime()
-      };
+      const response = await this.http.get(this.resolveUrl(adapter, adapter.tickerUrl(symbol)), { timeout: this.timeout });
+      const quote = this.buildQuote(adapter, pair, adapter.parseTicker(response.data, symbol), fxRate);
+      this.health.recordSuccess(adapter.id, Date.now() - startedAt);
+      // 欠損・交差した気配値は検知にもDBにも流さない
+      return this.validator.validate(quote) ? quote : null;
     } catch (error) {
-      console.error('Coincheck API Error:', error.message);
+      this.health.recordFailure(adapter.id, error, Date.now() - startedAt);
+      console.error(`${adapter.name} API Error:`, error.message);
       return null;
     }
   }
 
-  async getZaifPrice() {
-    try {
-      const response = await axios.get(this.exchanges.zaif, { timeout: 5000 });
-      return {
-        exchange: 'Zaif',
-        price: parseFloat(response.data.last),
-        bid: parseFloat(response.data.bid),
-        ask: parseFloat(response.data.ask),
-        timestamp: getJapanTime()
-      };
-    } catch (error) {
-      console.error('Zaif API Error:', error.message);
+  async getPrice(exchangeId, pair = this.defaultPair) {
+    const adapter = this.getAdapter(exchangeId);
+    if (!adapter) {
+      console.error(`Unknown or disabled exchange: ${exchangeId}`);
       return null;
     }
+    return this.fetchTicker(adapter, pair);
   }
 
-  async getGMOPrice() {
+  async fetchOrderBook(adapter, pair = this.defaultPair) {
+    const symbol = adapter.symbols[pair];
+    if (!adapter.orderBookUrl || !symbol) return null;
+    if (this.maintenance.isUnderMaintenance(adapter.id)) return null;
+    if (this.health.isBackingOff(adapter.id)) return null;
+    // 板情報は明示的に要求されるため、上限に達していても短時間なら順番待ちする
+    if (!(await this.rateLimiter.acquire(adapter.id))) return null;
+    if (!this.health.canRequest(adapter.id)) return null;
+
+    const startedAt = Date.now();
     try {
-      const response = await axios.get(this.exchanges.gmo, { timeout: 5000 });
-      const data = response.data.data[0]; // データは配列の最初の要素
+      const response = await this.http.get(this.resolveUrl(adapter, adapter.orderBookUrl(symbol)), { timeout: this.timeout });
+      const book = adapter.parseOrderBook(response.data, symbol);
+      this.health.recordSuccess(adapter.id, Date.now() - startedAt);
       return {
-        exchange: 'GMOコイン',
-        price: parseFloat(data.last),
-        bid: parseFloat(data.bid),
-        ask: parseFloat(data.ask),
-        timestamp: getJapanTime()
+        exchange: adapter.name,
+        pair,
+        bids: normalizeLevels(book.bids, 'bids', this.orderBookDepth),
+        asks: normalizeLevels(book.asks, 'asks', this.orderBookDepth),
+        timestamp: getJapanTime(new Date(this.now())),
+        receivedAt: this.now()
       };
     } catch (error) {
-      console.error('GMO API Error:', error.message);
+      this.health.recordFailure(adapter.id, error, Date.now() - startedAt);
+      console.error(`${adapter.name} Order Book API Error:`, error.message);
       return null;
     }
   }
 
-  async getBitbankPrice() {
-    try {
-      const response = await axios.get(this.exchanges.bitbank, { timeout: 5000 });
-      return {
-        exchange: 'bitbank',
-        price: parseFloat(response.data.data.last),
-        bid: parseFloat(response.data.data.buy),
-        ask: parseFloat(response.data.data.sell),
-        timestamp: getJapanTime()
-      };
-    } catch (error) {
-      console.error('bitbank API Error:', error.message);
+  async getOrderBook(exchangeId, pair = this.defaultPair) {
+    const adapter = this.getAdapter(exchangeId);
+    if (!adapter) {
+      console.error(`Unknown or disabled exchange: ${exchangeId}`);
       return null;
     }
+    return this.fetchOrderBook(adapter, pair);
   }
 
-  async getBitPointPrice() {
+  // 板情報を提供する取引所のみ取得（取得失敗した取引所は除外）
+  async getAllOrderBooks(pair = this.defaultPair) {
+    const promises = this.adapters
+      .filter(adapter => adapter.orderBookUrl && adapter.symbols[pair])
+      .map(adapter => this.fetchOrderBook(adapter, pair));
+
+    const results = await Promise.allSettled(promises);
+    return results
+      .filter(result => result.status === 'fulfilled' && result.value !== null)
+      .map(result => result.value);
+  }
+
+  // 直近の約定履歴（古い順）
+  async fetchTrades(adapter, pair = this.defaultPair) {
+    const symbol = adapter.symbols[pair];
+    if (!adapter.tradesUrl || !symbol) return null;
+    if (this.maintenance.isUnderMaintenance(adapter.id)) return null;
+    if (!this.health.isAvailable(adapter.id)) return null;
+    if (!this.rateLimiter.tryAcquire(adapter.id)) return null;
+
     try {
-      const response = await axios.get(this.exchanges.bitpoint, { timeout: 5000 });
-      const price = response.data.bitcoin.jpy;
-      return {
-        exchange: 'BITPoint',
-        price: parseFloat(price),
-        bid: parseFloat(price), // CoinGecko doesn't provide bid/ask, using price as approximation
-        ask: parseFloat(price),
-        timestamp: getJapanTime()
-      };
+      const response = await this.http.get(this.resolveUrl(adapter, adapter.tradesUrl(symbol)), { timeout: this.timeout });
+      return normalizeTrades(adapter.parseTrades(response.data, symbol))
+        .map(trade => ({ exchange: adapter.name, pair, ...trade }))
+        .sort((a, b) => a.executedAt.localeCompare(b.executedAt));
     } catch (error) {
-      console.error('BITPoint API Error:', error.message);
+      // 約定履歴は補助的な情報のため、失敗しても価格取得のサーキットブレーカーには数えない
+      console.error(`${adapter.name} Trades API Error:`, error.message);
       return null;
     }
   }
 
-  async getAllPrices() {
-    const promises = [
-      this.getBitFlyerPrice(),
-      this.getCoincheckPrice(),
-      this.getZaifPrice(),
-      this.getGMOPrice(),
-      this.getBitbankPrice(),
-      this.getBitPointPrice()
-    ];
+  async getTrades(exchangeId, pair = this.defaultPair) {
+    const adapter = this.getAdapter(exchangeId);
+    if (!adapter) {
+      console.error(`Unknown or disabled exchange: ${exchangeId}`);
+      return null;
+    }
+    return this.fetchTrades(adapter, pair);
+  }
+
+  /**
+   * Fetch recent trades for every exchange and monitored pair that publishes them
+   * @param {Object} [options]
+   * @param {string} [options.pair] - Only fetch this pair
+   * @returns {Promise<Object[]>} Trades of all venues (failed venues are left out)
+   */
+  async getAllTrades(options = {}) {
+    const pairs = options.pair ? [options.pair] : this.pairs;
+    const promises = [];
+    pairs.forEach(pair => {
+      this.adapters
+        .filter(adapter => adapter.tradesUrl && adapter.symbols[pair])
+        .forEach(adapter => promises.push(this.fetchTrades(adapter, pair)));
+    });
+
+    const results = await Promise.allSettled(promises);
+    return results
+      .filter(result => result.status === 'fulfilled' && result.value !== null)
+      .flatMap(result => result.value);
+  }
+
+  /**
+   * Fetch tickers for every enabled exchange and monitored pair it supports
+   * @param {Object} [options]
+   * @param {string} [options.pair] - Only fetch this pair
+   * @param {Array<{exchangeId: string, pair: string}>} [options.exclude] - Exchange/pair combinations
+   *   to skip (e.g. those served by a live stream)
+   */
+  async getAllPrices(options = {}) {
+    const exclude = options.exclude || [];
+    const pairs = options.pair ? [options.pair] : this.pairs;
+    const promises = [];
+
+    pairs.forEach(pair => {
+      this.adapters
+        .filter(adapter => adapter.symbols[pair])
+        .filter(adapter => !exclude.some(entry => entry.exchangeId === adapter.id && entry.pair === pair))
+        .forEach(adapter => promises.push(this.fetchTicker(adapter, pair)));
+    });
 
     const results = await Promise.allSettled(promises);
     const prices = results
@@ -130,4 +388,4 @@ class ExchangeAPI {
   }
 }
 
-module.exports = ExchangeAPI;
\ No newline at end of file
+module.exports = ExchangeAPI;
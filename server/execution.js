@@ -0,0 +1,433 @@
+const { getJapanTime, sleep } = require('./utils');
+
+/**
+ * Order execution for detected arbitrage opportunities.
+ *
+ * For an opportunity the engine sends the buy leg (at the ask of the cheaper
+ * exchange) and the sell leg (at the bid of the dearer one) at the same time
+ * as limit orders that do not rest on the book. When the legs fill by
+ * different amounts, the leftover position is handled by the unwind policy
+ * (EXECUTION_UNWIND_POLICY):
+ *   close    - trade the excess back on the exchange where it was filled (default)
+ *   complete - fill the missing amount on the other leg's exchange, then close what is left
+ *   none     - keep the position and report the execution as unbalanced
+ * Unwind orders accept up to EXECUTION_UNWIND_SLIPPAGE_PERCENT worse than the
+ * original fill, which bounds the loss of a failed leg.
+ *
+ * Dry-run (the default) fills orders against the current order book instead of
+ * sending them; live trading needs EXECUTION_MODE=live and private API credentials
+ * for both exchanges. Every execution and order is stored (executions /
+ * execution_orders) in both modes.
+ */
+
+const UNWIND_POLICIES = ['close', 'complete', 'none'];
+const EPSILON = 1e-9;
+
+function roundSize(size) {
+  return Math.round(size * 1e8) / 1e8 || 0; // -0 を 0 に
+}
+
+// 呼値に合わせる（円建て1単位が安い通貨は小数点以下3桁）。約定しやすい側に丸める
+function roundPrice(price, side) {
+  const unit = price >= 1000 ? 1 : 0.001;
+  const rounded = side === 'buy' ? Math.ceil(price / unit) * unit : Math.floor(price / unit) * unit;
+  return unit < 1 ? Math.round(rounded * 1000) / 1000 : rounded;
+}
+
+/**
+ * Dry-run broker: fills an order against the exchange's current order book
+ * like an immediate-or-cancel order (levels at or better than the limit price,
+ * up to the order size); nothing is sent to the exchange.
+ */
+class SimulatedBroker {
+  /**
+   * @param {ExchangeAPI} exchangeAPI - Source of order books (may point at the mock exchange)
+   */
+  constructor(exchangeAPI) {
+    this.exchangeAPI = exchangeAPI;
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {Object} order - { exchangeId, pair, side, size, price }
+   * @returns {Promise<Object>} { orderId, filledSize, averagePrice, error }
+   */
+  async executeOrder(order) {
+    const book = await this.exchangeAPI.getOrderBook(order.exchangeId, order.pair);
+    if (!book) {
+      return { orderId: null, filledSize: 0, averagePrice: null, error: 'Order book unavailable' };
+    }
+
+    const levels = order.side === 'buy' ? book.asks : book.bids;
+    let filledSize = 0;
+    let value = 0;
+    for (const level of levels) {
+      const acceptable = order.side === 'buy' ? level.price <= order.price : level.price >= order.price;
+      if (!acceptable || filledSize >= order.size - EPSILON) break;
+      const size = Math.min(level.size, order.size - filledSize);
+      filledSize += size;
+      value += size * level.price;
+    }
+
+    this.sequence++;
+    return {
+      orderId: `dry-run-${this.sequence}`,
+      filledSize: roundSize(filledSize),
+      averagePrice: filledSize > 0 ? value / filledSize : null,
+      error: null
+    };
+  }
+}
+
+/**
+ * Live broker: sends the order through the private API and polls it until it
+ * is closed; an order still open after `fillTimeout` is cancelled and its
+ * final fill is read back. When the placement times out (or fails with a 5xx)
+ * the order may still have reached the exchange: it is looked up among the
+ * open orders and recent fills until `fillTimeout`, and reported with an
+ * unknown fill (filledSize null) if it cannot be found.
+ */
+class LiveBroker {
+  /**
+   * @param {PrivateAPI} privateAPI
+   * @param {Object} [options]
+   * @param {number} [options.fillTimeout] - ms to wait for fills (defaults to EXECUTION_FILL_TIMEOUT_MS or 5000)
+   * @param {number} [options.pollInterval] - ms between status requests
+   */
+  constructor(privateAPI, options = {}) {
+    this.privateAPI = privateAPI;
+    this.fillTimeout = options.fillTimeout !== undefined
+      ? options.fillTimeout
+      : parseInt(process.env.EXECUTION_FILL_TIMEOUT_MS, 10) || 5000;
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 500;
+  }
+
+  /**
+   * @param {Object} order - { exchangeId, pair, side, size, price }
+   * @returns {Promise<Object>} { orderId, filledSize, averagePrice, error }; filledSize is null
+   *   when the final state of a sent order could not be read, or a placement with an unknown outcome
+   *   could not be found
+   */
+  async executeOrder(order) {
+    const { exchangeId, pair } = order;
+    const sentAt = Date.now();
+    const placement = await this.privateAPI.placeOrder(exchangeId, order);
+    const deadline = Date.now() + this.fillTimeout;
+    if (placement.status === 'rejected') {
+      return { orderId: null, filledSize: 0, averagePrice: null, error: `Order rejected: ${placement.error}` };
+    }
+
+    let orderId = placement.orderId;
+    if (orderId === null) {
+      orderId = await this.findOrder(order, sentAt, deadline);
+      if (orderId === null) {
+        return { orderId: null, filledSize: null, averagePrice: null, error: `Order state unknown: ${placement.error}` };
+      }
+    }
+
+    let state = await this.privateAPI.getOrder(exchangeId, pair, orderId);
+    while (!state || state.status === 'open') {
+      if (Date.now() >= deadline) {
+        await this.privateAPI.cancelOrder(exchangeId, pair, orderId);
+        state = await this.privateAPI.getOrder(exchangeId, pair, orderId);
+        break;
+      }
+      await sleep(this.pollInterval);
+      state = await this.privateAPI.getOrder(exchangeId, pair, orderId);
+    }
+
+    if (!state) {
+      return { orderId, filledSize: null, averagePrice: null, error: 'Order status unavailable' };
+    }
+    // 平均約定価格を返さない取引所は指値で約定したものとみなす
+    const averagePrice = state.averagePrice !== null ? state.averagePrice : order.price;
+    return {
+      orderId,
+      filledSize: state.filledSize,
+      averagePrice: state.filledSize > 0 ? averagePrice : null,
+      error: null
+    };
+  }
+
+  // 送信結果の分からない注文を未約定の注文・約定履歴から探す（見つからなければ null）
+  async findOrder(order, sentAt, deadline) {
+    let orderId = await this.privateAPI.findOrder(order.exchangeId, order, sentAt);
+    while (orderId === null && Date.now() < deadline) {
+      await sleep(this.pollInterval);
+      orderId = await this.privateAPI.findOrder(order.exchangeId, order, sentAt);
+    }
+    return orderId;
+  }
+}
+
+class ExecutionEngine {
+  /**
+   * @param {Object} options
+   * @param {ExchangeAPI} options.exchangeAPI - Adapters and order books
+   * @param {PrivateAPI} [options.privateAPI] - Order placement (live mode)
+   * @param {Database} [options.database] - Execution storage
+   * @param {string} [options.mode] - 'dry-run' or 'live' (defaults to EXECUTION_MODE, dry-run unless 'live')
+   * @param {string} [options.unwindPolicy] - 'close', 'complete' or 'none' (defaults to EXECUTION_UNWIND_POLICY or 'close')
+   * @param {number} [options.orderSize] - Size per execution in the base asset (defaults to EXECUTION_ORDER_SIZE or 0.001)
+   * @param {number} [options.unwindSlippage] - % an unwind order may be worse than the original fill
+   *   (defaults to EXECUTION_UNWIND_SLIPPAGE_PERCENT or 0.5)
+   * @param {Object} [options.broker] - Order executor with executeOrder(order) (defaults by mode)
+   * @param {Function} [options.now] - Clock returning epoch ms
+   */
+  constructor(options = {}) {
+    this.exchangeAPI = options.exchangeAPI;
+    this.privateAPI = options.privateAPI || null;
+    this.db = options.database || null;
+    this.mode = (options.mode || process.env.EXECUTION_MODE) === 'live' ? 'live' : 'dry-run';
+
+    const unwindPolicy = options.unwindPolicy || process.env.EXECUTION_UNWIND_POLICY || 'close';
+    if (!UNWIND_POLICIES.includes(unwindPolicy)) {
+      console.warn(`Unknown unwind policy "${unwindPolicy}", using "close"`);
+    }
+    this.unwindPolicy = UNWIND_POLICIES.includes(unwindPolicy) ? unwindPolicy : 'close';
+    this.orderSize = options.orderSize || parseFloat(process.env.EXECUTION_ORDER_SIZE) || 0.001;
+    this.unwindSlippage = options.unwindSlippage !== undefined
+      ? options.unwindSlippage
+      : parseFloat(process.env.EXECUTION_UNWIND_SLIPPAGE_PERCENT) || 0.5;
+    this.broker = options.broker || (this.mode === 'live'
+      ? new LiveBroker(this.privateAPI)
+      : new SimulatedBroker(this.exchangeAPI));
+    this.now = options.now || (() => Date.now());
+    this.busy = false;
+    this.sequence = 0;
+    this.recentExecutions = []; // 新しい順
+    this.maxRecent = 50;
+  }
+
+  // 表示名またはIDから取引所IDを引く
+  getExchangeId(exchange) {
+    const adapter = this.exchangeAPI.adapters.find(a => a.name === exchange || a.id === exchange);
+    return adapter ? adapter.id : null;
+  }
+
+  // 設定の数量。板の厚みで約定できる数量が分かっていればそれを上限とする
+  getOrderSize(opportunity) {
+    const executableSize = opportunity.executableSize;
+    return executableSize > 0 ? Math.min(this.orderSize, roundSize(executableSize)) : this.orderSize;
+  }
+
+  /**
+   * Reason an opportunity cannot be executed now
+   * @param {Object} opportunity - Opportunity from ArbitrageDetector
+   * @returns {string|null} Null if it can be executed
+   */
+  getSkipReason(opportunity) {
+    if (this.busy) return 'another execution is in progress';
+    if (opportunity.type === 'triangular') return 'triangular opportunities are not executed';
+
+    const exchangeIds = [this.getExchangeId(opportunity.exchangeFrom), this.getExchangeId(opportunity.exchangeTo)];
+    if (exchangeIds.includes(null)) return 'unknown exchange';
+    if (this.mode === 'live') {
+      const missing = exchangeIds.find(id => !this.privateAPI || !this.privateAPI.isConfigured(id));
+      if (missing) return `no private API credentials for ${missing}`;
+    }
+    return null;
+  }
+
+  /**
+   * Execute an opportunity: send both legs at once, then unwind any imbalance
+   * @param {Object} opportunity - Opportunity from ArbitrageDetector
+   * @param {number} [size] - Size in the base asset (defaults to getOrderSize)
+   * @returns {Promise<Object|null>} Execution record (see summarize), or null if skipped
+   */
+  async execute(opportunity, size = this.getOrderSize(opportunity)) {
+    const reason = this.getSkipReason(opportunity);
+    if (reason) {
+      console.warn(`Execution skipped (${opportunity.exchangeFrom} -> ${opportunity.exchangeTo}): ${reason}`);
+      return null;
+    }
+
+    this.busy = true;
+    try {
+      this.sequence++;
+      const execution = {
+        id: `${this.mode}-${this.now()}-${this.sequence}`,
+        mode: this.mode,
+        pair: opportunity.pair || 'BTC/JPY',
+        exchangeFrom: opportunity.exchangeFrom,
+        exchangeTo: opportunity.exchangeTo,
+        size,
+        priceFrom: opportunity.priceFrom,
+        priceTo: opportunity.priceTo,
+        expectedProfit: (opportunity.priceTo - opportunity.priceFrom) * size,
+        unwindPolicy: this.unwindPolicy,
+        orders: [],
+        timestamp: getJapanTime(new Date(this.now()))
+      };
+
+      // 片方の約定を待ってからもう片方を出すと価格差が消えるため、両方を同時に出す
+      await Promise.all([
+        this.sendOrder(execution, 'buy', opportunity.exchangeFrom, 'buy', opportunity.priceFrom, size),
+        this.sendOrder(execution, 'sell', opportunity.exchangeTo, 'sell', opportunity.priceTo, size)
+      ]);
+      await this.unwind(execution);
+      this.summarize(execution);
+
+      this.recentExecutions = [execution, ...this.recentExecutions].slice(0, this.maxRecent);
+      if (this.db) {
+        this.db.saveExecution(execution).catch(console.error);
+      }
+      console.log(this.formatExecutionMessage(execution));
+      return execution;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Send one order through the broker and record it on the execution
+   * @returns {Promise<Object>} Order record { leg, exchange, side, price, size, orderId, filledSize,
+   *   averagePrice, status ('filled' | 'partial' | 'unfilled' | 'failed' | 'unknown'), error, timestamp }
+   */
+  async sendOrder(execution, leg, exchange, side, price, size) {
+    const order = { exchangeId: this.getExchangeId(exchange), pair: execution.pair, side, size: roundSize(size), price: roundPrice(price, side) };
+    let result;
+    try {
+      result = await this.broker.executeOrder(order);
+    } catch (error) {
+      // 注文が取引所に届いたかどうか分からないため約定数量は不明とする（反対売買は行わない）
+      result = { orderId: null, filledSize: null, averagePrice: null, error: error.message };
+    }
+
+    let status = 'unfilled';
+    if (result.filledSize === null) status = 'unknown';
+    else if (result.filledSize >= order.size - EPSILON) status = 'filled';
+    else if (result.filledSize > 0) status = 'partial';
+    else if (result.error) status = 'failed';
+
+    const record = {
+      leg,
+      exchange,
+      side,
+      price: order.price,
+      size: order.size,
+      orderId: result.orderId,
+      filledSize: result.filledSize,
+      averagePrice: result.averagePrice,
+      status,
+      error: result.error,
+      timestamp: getJapanTime(new Date(this.now()))
+    };
+    execution.orders.push(record);
+    return record;
+  }
+
+  // 買いの約定数量 − 売りの約定数量
+  getNetPosition(execution) {
+    const position = execution.orders.reduce((sum, order) => {
+      const filled = order.filledSize || 0;
+      return sum + (order.side === 'buy' ? filled : -filled);
+    }, 0);
+    return roundSize(position);
+  }
+
+  // 両方の取引所で約定した数量（complete の補完注文を含み、close の反対売買は含まない）
+  getMatchedSize(execution) {
+    const filled = (exchange, side) => execution.orders
+      .filter(order => order.exchange === exchange && order.side === side)
+      .reduce((sum, order) => sum + (order.filledSize || 0), 0);
+    return roundSize(Math.min(filled(execution.exchangeFrom, 'buy'), filled(execution.exchangeTo, 'sell')));
+  }
+
+  getLeg(execution, leg) {
+    return execution.orders.find(order => order.leg === leg);
+  }
+
+  /**
+   * Apply the unwind policy to the position left by unevenly filled legs
+   * @param {Object} execution
+   */
+  async unwind(execution) {
+    // 約定状況が不明な注文があれば、誤った反対売買を避けて手動確認に回す
+    if (this.unwindPolicy === 'none' || execution.orders.some(order => order.status === 'unknown')) return;
+    if (Math.abs(this.getNetPosition(execution)) < EPSILON) return;
+
+    const slippage = this.unwindSlippage / 100;
+    const buy = this.getLeg(execution, 'buy');
+    const sell = this.getLeg(execution, 'sell');
+
+    // complete: 約定が足りない側の取引所で残りを約定させる
+    if (this.unwindPolicy === 'complete') {
+      const position = this.getNetPosition(execution);
+      if (position > 0) {
+        await this.sendOrder(execution, 'unwind', execution.exchangeTo, 'sell', sell.price * (1 - slippage), position);
+      } else {
+        await this.sendOrder(execution, 'unwind', execution.exchangeFrom, 'buy', buy.price * (1 + slippage), -position);
+      }
+      // 補完注文の約定が不明なら、反対売買すると逆側の持ち高を作りかねないため手動確認に回す
+      if (execution.orders.some(order => order.status === 'unknown')) return;
+    }
+
+    // close: 多く約定した側の取引所で反対売買して持ち高を解消する
+    const position = this.getNetPosition(execution);
+    if (Math.abs(position) < EPSILON) return;
+    if (position > 0) {
+      await this.sendOrder(execution, 'unwind', execution.exchangeFrom, 'sell', (buy.averagePrice || buy.price) * (1 - slippage), position);
+    } else {
+      await this.sendOrder(execution, 'unwind', execution.exchangeTo, 'buy', (sell.averagePrice || sell.price) * (1 + slippage), -position);
+    }
+  }
+
+  /**
+   * Add the outcome to an execution:
+   *   filledSize     - size bought on exchangeFrom and sold on exchangeTo, including orders
+   *                    completing a leg (the arbitraged amount)
+   *   netPosition    - base asset left over (bought - sold); 0 unless unbalanced
+   *   realizedProfit - JPY sold - JPY bought over all fills (before fees); null while a position is open
+   *   status         - 'completed' | 'partial' (both legs filled the same smaller size) |
+   *                    'unwound' (an imbalance was completed or closed) | 'unbalanced' (position left open) |
+   *                    'failed' (nothing filled)
+   * @param {Object} execution
+   */
+  summarize(execution) {
+    const netPosition = this.getNetPosition(execution);
+    const hasUnknown = execution.orders.some(order => order.status === 'unknown');
+    const anyFilled = execution.orders.some(order => order.filledSize > 0);
+    const value = (side) => execution.orders
+      .filter(order => order.side === side && order.filledSize > 0)
+      .reduce((sum, order) => sum + order.filledSize * order.averagePrice, 0);
+
+    execution.filledSize = this.getMatchedSize(execution);
+    execution.netPosition = netPosition;
+    const balanced = !hasUnknown && Math.abs(netPosition) < EPSILON;
+    execution.realizedProfit = balanced ? value('sell') - value('buy') : null;
+
+    if (!balanced) execution.status = anyFilled || hasUnknown ? 'unbalanced' : 'failed';
+    else if (!anyFilled) execution.status = 'failed';
+    else if (execution.orders.some(order => order.leg === 'unwind')) execution.status = 'unwound';
+    else if (execution.filledSize >= execution.size - EPSILON) execution.status = 'completed';
+    else execution.status = 'partial';
+    return execution;
+  }
+
+  formatExecutionMessage(execution) {
+    const profit = execution.realizedProfit === null
+      ? `open position ${execution.netPosition}`
+      : `profit ¥${Math.round(execution.realizedProfit).toLocaleString()}`;
+    return `[${execution.mode}] Execution ${execution.status} [${execution.pair}]: ` +
+           `buy ${execution.exchangeFrom} / sell ${execution.exchangeTo} ` +
+           `${execution.filledSize}/${execution.size} filled, ${profit}`;
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      unwindPolicy: this.unwindPolicy,
+      orderSize: this.orderSize,
+      unwindSlippage: this.unwindSlippage,
+      busy: this.busy
+    };
+  }
+}
+
+module.exports = {
+  ExecutionEngine,
+  SimulatedBroker,
+  LiveBroker,
+  UNWIND_POLICIES
+};
@@ -1,71 +1,31 @@
+const { getAllAdapters } = require('./adapters');
+
 class FeeCalculator {
-  constructor() {
-    this.exchangeFees = {
-      'bitFlyer': {
-        tradingFee: {
-          maker: 0.0001, // 0.01%
-          taker: 0.0015  // 0.15% (varies by volume)
-        },
-        withdrawalFee: {
-          jpy: 550,      // 三井住友銀行以外: 550円
-          jpySMBC: 330,  // 三井住友銀行: 330円
-          btc: 0.0004    // 0.0004 BTC
-        }
-      },
-      'Coincheck': {
-        tradingFee: {
-          maker: 0.0000, // 0% (取引所)
-          taker: 0.0000  // 0% (取引所)
-        },
-        withdrawalFee: {
-          jpy: 407,      // 407円
-          btc: 0.0005    // 0.0005 BTC
-        }
-      },
-      'Zaif': {
-        tradingFee: {
-          maker: 0.0000, // 0% (maker)
-          taker: 0.0010  // 0.1% (taker)
-        },
-        withdrawalFee: {
-          jpy: 385,      // 385円
-          btc: 0.0001    // 0.0001 BTC + mining fee
-        }
-      },
-      'GMOコイン': {
-        tradingFee: {
-          maker: -0.0001, // -0.01% (マイナス手数料)
-          taker: 0.0005   // 0.05%
-        },
-        withdrawalFee: {
-          jpy: 0,        // 無料
-          btc: 0         // 無料
-        }
-      },
-      'bitbank': {
-        tradingFee: {
-          maker: -0.0002, // -0.02% (マイナス手数料)
-          taker: 0.0012   // 0.12%
-        },
-        withdrawalFee: {
-          jpy: 550,      // 550円
-          btc: 0.0006    // 0.0006 BTC
-        }
-      },
-      'BITPoint': {
-        tradingFee: {
-          maker: 0.0000, // 0%
-          taker: 0.0000  // 0%
-        },
-        withdrawalFee: {
-          jpy: 0,        // 無料
-          btc: 0         // 無料
-        }
+  constructor(adapters = getAllAdapters()) {
+    // 手数料表は各取引所アダプターの定義から構築（表示名をキーとする）
+    this.exchangeFees = {};
+    this.transferTimes = {};
+    adapters.forEach(adapter => {
+      if (adapter.fees) {
+        this.exchangeFees[adapter.name] = adapter.fees;
       }
-    };
+      if (adapter.transfer) {
+        this.transferTimes[adapter.name] = adapter.transfer;
+      }
+    });
 
     // Bitcoin network fee (approximate)
     this.networkFee = 0.0001; // 0.0001 BTC (約3,000-5,000円)
+    // 通貨ごとの送金ネットワーク手数料（目安、単位は各通貨）
+    this.networkFees = {
+      btc: this.networkFee,
+      eth: 0.001,
+      xrp: 0.00001
+    };
+    // 通貨ごとのブロック間隔（分）と、アダプターに定義がない取引所の入金承認数
+    this.blockMinutes = { btc: 10, eth: 0.2, xrp: 0.07 };
+    this.defaultConfirmations = { btc: 3, eth: 30, xrp: 1 };
+    this.defaultWithdrawalMinutes = 30;
   }
 
   getTradingFee(exchange, isMaker = false) {
@@ -85,6 +45,24 @@ class FeeCalculator {
     return fees.withdrawalFee[currency] || 0;
   }
 
+  /**
+   * Expected time from the withdrawal on the buy venue to the deposit being
+   * credited on the sell venue: the withdrawal processing time plus the
+   * confirmations the sell venue requires, at the asset's block interval
+   * @param {string} asset - 'btc', 'eth', 'xrp', ...
+   * @returns {number} Minutes
+   */
+  getTransferDuration(buyExchange, sellExchange, asset = 'btc') {
+    const source = this.transferTimes[buyExchange] || {};
+    const destination = this.transferTimes[sellExchange] || {};
+    const withdrawalMinutes = source.withdrawalMinutes !== undefined ? source.withdrawalMinutes : this.defaultWithdrawalMinutes;
+    const confirmations = (destination.confirmations || {})[asset] !== undefined
+      ? destination.confirmations[asset]
+      : (this.defaultConfirmations[asset] !== undefined ? this.defaultConfirmations[asset] : this.defaultConfirmations.btc);
+    const blockMinutes = this.blockMinutes[asset] !== undefined ? this.blockMinutes[asset] : this.blockMinutes.btc;
+    return withdrawalMinutes + confirmations * blockMinutes;
+  }
+
   calculateTradingCosts(exchange, amount, price, side = 'buy', orderType = 'taker') {
     const tradingFees = this.getTradingFee(exchange);
     const feeRate = orderType === 'maker' ? tradingFees.maker : tradingFees.taker;
@@ -100,7 +78,9 @@ class FeeCalculator {
     };
   }
 
-  calculateArbitrageCosts(buyExchange, sellExchange, amount, buyPrice, sellPrice) {
+  // asset: 取引する基軸通貨（'btc', 'eth', 'xrp' など）。送金コストの計算に使用
+  // transferShare: この取引に負担させる出金・送金コストの割合（送金モデルは毎回全額）
+  calculateArbitrageCosts(buyExchange, sellExchange, amount, buyPrice, sellPrice, asset = 'btc', transferShare = 1) {
     // 買い注文のコスト計算
     const buyCosts = this.calculateTradingCosts(buyExchange, amount, buyPrice, 'buy', 'taker');
     
@@ -108,13 +88,15 @@ class FeeCalculator {
     const sellCosts = this.calculateTradingCosts(sellExchange, amount, sellPrice, 'sell', 'taker');
     
     // 出金手数料
-    const jpyWithdrawalFee = this.getWithdrawalFee(sellExchange, 'jpy');
-    const btcWithdrawalFee = this.getWithdrawalFee(buyExchange, 'btc');
+    const jpyWithdrawalFee = this.getWithdrawalFee(sellExchange, 'jpy') * transferShare;
+    // 互換性のためフィールド名は btc* のまま、値は asset の送金コスト
+    const btcWithdrawalFee = this.getWithdrawalFee(buyExchange, asset) * transferShare;
+    const networkFee = (this.networkFees[asset] !== undefined ? this.networkFees[asset] : this.networkFee) * transferShare;
     
     // 総コスト計算
     const totalBuyCost = buyCosts.netValue;
     const totalSellRevenue = sellCosts.netValue - jpyWithdrawalFee;
-    const btcTransferCost = (btcWithdrawalFee + this.networkFee) * buyPrice;
+    const btcTransferCost = (btcWithdrawalFee + networkFee) * buyPrice;
     
     const grossProfit = sellPrice * amount - buyPrice * amount;
     const netProfit = totalSellRevenue - totalBuyCost - btcTransferCost;
@@ -144,11 +126,33 @@ class FeeCalculator {
           feeRate: sellCosts.feeRate,
           jpyWithdrawalFee
         },
-        networkFee: this.networkFee * buyPrice
+        networkFee: networkFee * buyPrice
       }
     };
   }
 
+  /**
+   * Costs when both venues already hold inventory: the buy and the sell are
+   * placed at the same time from existing balances, so nothing is withdrawn
+   * per trade. After rebalanceTrades trades the asset piled up on the buy
+   * venue is sent to the sell venue and the JPY back, one withdrawal each,
+   * and that cost is spread evenly over the trades.
+   * @param {number} [rebalanceTrades] - Trades per rebalance
+   * @returns {Object} Same shape as calculateArbitrageCosts, with the withdrawal and network fees
+   *   amortized, plus totalCosts.rebalanceCost and rebalanceTrades
+   */
+  calculateInventoryCosts(buyExchange, sellExchange, amount, buyPrice, sellPrice, asset = 'btc', rebalanceTrades = 10) {
+    const costs = this.calculateArbitrageCosts(buyExchange, sellExchange, amount, buyPrice, sellPrice, asset, 1 / rebalanceTrades);
+    return {
+      ...costs,
+      totalCosts: {
+        ...costs.totalCosts,
+        rebalanceCost: costs.totalCosts.jpyWithdrawalFee + costs.totalCosts.btcTransferCost
+      },
+      rebalanceTrades
+    };
+  }
+
   calculateMinimumProfitableSpread(buyExchange, sellExchange, amount = 1) {
     // 1 BTCでの最小必要スプレッドを計算
     const samplePrice = 10000000; // 1000万円と仮定
@@ -0,0 +1,111 @@
+const axios = require('axios');
+const { getJapanTime } = require('./utils');
+
+/**
+ * USD/JPY rate used to convert overseas venue quotes to JPY.
+ *
+ * The rate is the bid/ask mid of the USD_JPY ticker of GMO Coin's public
+ * forex API. It is fetched at most once per `refreshInterval` (concurrent
+ * callers share one request) and is not used once it is older than
+ * `maxAge`, so overseas quotes are dropped rather than converted with a
+ * stale rate. USDT is treated as USD.
+ */
+class FxRates {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.http] - HTTP client with axios' get(url, config)
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   * @param {string} [options.url] - Forex ticker URL (defaults to FX_RATE_URL or GMO Coin's forex API)
+   * @param {Function} [options.resolveUrl] - Rewrites the URL (e.g. to the local mock exchange)
+   * @param {number} [options.refreshInterval] - Minimum ms between requests
+   * @param {number} [options.maxAge] - Rates older than this (ms) are not used (defaults to FX_MAX_AGE_MS or 5 minutes)
+   */
+  constructor(options = {}) {
+    this.http = options.http || axios;
+    this.now = options.now || (() => Date.now());
+    this.url = options.url || process.env.FX_RATE_URL || 'https://forex-api.coin.z.com/public/v1/ticker';
+    this.resolveUrl = options.resolveUrl || (url => url);
+    this.refreshInterval = options.refreshInterval || 60 * 1000;
+    this.maxAge = options.maxAge || parseInt(process.env.FX_MAX_AGE_MS, 10) || 5 * 60 * 1000;
+    this.timeout = 5000;
+    this.usdJpy = null; // { rate, bid, ask, sourceTimestamp, fetchedAt }
+    this.lastAttemptAt = null;
+    this.lastError = null;
+    this.pending = null;
+  }
+
+  /**
+   * Fetch the USD/JPY rate unless it was requested within the refresh interval
+   * @returns {Promise<number|null>} Current USD/JPY rate, or null if unavailable
+   */
+  async refresh() {
+    if (this.pending) return this.pending;
+    if (this.lastAttemptAt !== null && this.now() - this.lastAttemptAt < this.refreshInterval) {
+      return this.getRate('USD');
+    }
+
+    this.lastAttemptAt = this.now();
+    this.pending = this.fetchUsdJpy().finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  async fetchUsdJpy() {
+    try {
+      const response = await this.http.get(this.resolveUrl(this.url), { timeout: this.timeout });
+      const entries = (response.data && response.data.data) || [];
+      const ticker = entries.find(entry => entry.symbol === 'USD_JPY');
+      const bid = ticker ? parseFloat(ticker.bid) : NaN;
+      const ask = ticker ? parseFloat(ticker.ask) : NaN;
+      if (!Number.isFinite(bid) || !Number.isFinite(ask) || bid <= 0 || ask <= 0) {
+        throw new Error('USD_JPY rate missing from response');
+      }
+
+      this.usdJpy = {
+        rate: (bid + ask) / 2,
+        bid,
+        ask,
+        sourceTimestamp: ticker.timestamp || null,
+        fetchedAt: this.now()
+      };
+      this.lastError = null;
+      return this.usdJpy.rate;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('FX API Error:', error.message);
+      return this.getRate('USD');
+    }
+  }
+
+  /**
+   * JPY value of one unit of the currency
+   * @param {string} currency - 'JPY', 'USD' or 'USDT'
+   * @returns {number|null} Rate, or null if unknown or stale
+   */
+  getRate(currency) {
+    if (currency === 'JPY') return 1;
+    if (currency !== 'USD' && currency !== 'USDT') return null;
+    if (!this.usdJpy || this.now() - this.usdJpy.fetchedAt > this.maxAge) return null;
+    return this.usdJpy.rate;
+  }
+
+  /**
+   * Current USD/JPY rate for display
+   * @returns {Object} { pair, rate, bid, ask, sourceTimestamp, updatedAt, isStale, lastError }
+   */
+  getStatus() {
+    return {
+      pair: 'USD/JPY',
+      rate: this.usdJpy ? this.usdJpy.rate : null,
+      bid: this.usdJpy ? this.usdJpy.bid : null,
+      ask: this.usdJpy ? this.usdJpy.ask : null,
+      sourceTimestamp: this.usdJpy ? this.usdJpy.sourceTimestamp : null,
+      updatedAt: this.usdJpy ? getJapanTime(new Date(this.usdJpy.fetchedAt)) : null,
+      isStale: this.getRate('USD') === null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = FxRates;
@@ -0,0 +1,172 @@
+const { getJapanTime } = require('./utils');
+
+/**
+ * Per-exchange health tracking with a circuit breaker.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and the
+ * exchange is skipped until the backoff delay elapses. The delay doubles
+ * with every further failure (up to `maxBackoff`). Once it elapses a single
+ * trial request is allowed (half-open); success closes the circuit again.
+ */
+class HealthTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures before the circuit opens
+   * @param {number} [options.baseBackoff] - First backoff delay in ms
+   * @param {number} [options.maxBackoff] - Maximum backoff delay in ms
+   * @param {number} [options.latencyWindow] - Number of recent requests averaged for latency
+   * @param {number} [options.reliabilityWindow] - Number of recent requests the success rate is taken over
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.baseBackoff = options.baseBackoff || 10000;
+    this.maxBackoff = options.maxBackoff || 5 * 60 * 1000;
+    this.latencyWindow = options.latencyWindow || 20;
+    this.reliabilityWindow = options.reliabilityWindow || 50;
+    this.exchanges = {};
+  }
+
+  getState(exchangeId) {
+    if (!this.exchanges[exchangeId]) {
+      this.exchanges[exchangeId] = {
+        consecutiveFailures: 0,
+        totalRequests: 0,
+        totalFailures: 0,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        latencies: [],
+        outcomes: [], // 直近のリクエストの成否
+        circuit: 'closed',
+        nextRetryAt: null
+      };
+    }
+    return this.exchanges[exchangeId];
+  }
+
+  /**
+   * Whether a request to the exchange may be sent now.
+   * Moves an open circuit to half-open once its backoff has elapsed.
+   * @param {string} exchangeId
+   * @returns {boolean}
+   */
+  canRequest(exchangeId, now = Date.now()) {
+    if (this.isBackingOff(exchangeId, now)) return false;
+
+    const state = this.getState(exchangeId);
+    if (state.circuit === 'open') state.circuit = 'half-open';
+    return true;
+  }
+
+  /**
+   * Whether canRequest would refuse the exchange now, without changing its state.
+   * @param {string} exchangeId
+   * @returns {boolean}
+   */
+  isBackingOff(exchangeId, now = Date.now()) {
+    const state = this.getState(exchangeId);
+
+    if (state.circuit === 'open') return now < state.nextRetryAt;
+    // half-open では試行リクエストの結果が出るまで追加のリクエストを送らない
+    return state.circuit === 'half-open';
+  }
+
+  // 状態を変えずに判定（結果を記録しない補助的なリクエスト用）
+  isAvailable(exchangeId) {
+    return this.getState(exchangeId).circuit === 'closed';
+  }
+
+  recordSuccess(exchangeId, latency) {
+    const state = this.getState(exchangeId);
+    state.totalRequests++;
+    state.consecutiveFailures = 0;
+    state.lastSuccess = getJapanTime();
+    state.circuit = 'closed';
+    state.nextRetryAt = null;
+    this.recordLatency(state, latency);
+    this.recordOutcome(state, true);
+  }
+
+  recordFailure(exchangeId, error, latency, now = Date.now()) {
+    const state = this.getState(exchangeId);
+    state.totalRequests++;
+    state.totalFailures++;
+    state.consecutiveFailures++;
+    state.lastFailure = getJapanTime();
+    state.lastError = error && error.message ? error.message : String(error);
+    this.recordLatency(state, latency);
+    this.recordOutcome(state, false);
+
+    if (state.circuit === 'half-open' || state.consecutiveFailures >= this.failureThreshold) {
+      const backoff = this.getBackoff(state.consecutiveFailures);
+      state.circuit = 'open';
+      state.nextRetryAt = now + backoff;
+      console.warn(`Circuit opened for ${exchangeId} after ${state.consecutiveFailures} consecutive failures; retrying in ${Math.round(backoff / 1000)}s`);
+    }
+  }
+
+  getBackoff(consecutiveFailures) {
+    const exponent = Math.max(0, consecutiveFailures - this.failureThreshold);
+    return Math.min(this.baseBackoff * Math.pow(2, exponent), this.maxBackoff);
+  }
+
+  recordLatency(state, latency) {
+    if (!Number.isFinite(latency)) return;
+    state.latencies.push(latency);
+    if (state.latencies.length > this.latencyWindow) {
+      state.latencies.shift();
+    }
+  }
+
+  recordOutcome(state, success) {
+    state.outcomes.push(success);
+    if (state.outcomes.length > this.reliabilityWindow) {
+      state.outcomes.shift();
+    }
+  }
+
+  /**
+   * Recent reliability of an exchange
+   * @param {string} exchangeId
+   * @returns {number|null} Share of the last reliabilityWindow requests that succeeded (0 while the circuit
+   *   is open), or null before any request
+   */
+  getReliability(exchangeId) {
+    const state = this.getState(exchangeId);
+    if (state.circuit === 'open') return 0;
+    if (state.outcomes.length === 0) return null;
+    return state.outcomes.filter(Boolean).length / state.outcomes.length;
+  }
+
+  /**
+   * Health summary for one exchange
+   * @param {string} exchangeId
+   * @returns {Object} { status, consecutiveFailures, lastSuccess, lastError, meanLatency, circuit, ... }
+   */
+  getStatus(exchangeId, now = Date.now()) {
+    const state = this.getState(exchangeId);
+    const meanLatency = state.latencies.length > 0
+      ? Math.round(state.latencies.reduce((sum, value) => sum + value, 0) / state.latencies.length)
+      : null;
+
+    let status = 'healthy';
+    if (state.circuit !== 'closed') status = 'down';
+    else if (state.consecutiveFailures > 0) status = 'degraded';
+    else if (state.totalRequests === 0) status = 'unknown';
+
+    return {
+      status,
+      consecutiveFailures: state.consecutiveFailures,
+      totalRequests: state.totalRequests,
+      totalFailures: state.totalFailures,
+      lastSuccess: state.lastSuccess,
+      lastFailure: state.lastFailure,
+      lastError: state.lastError,
+      meanLatency,
+      circuit: state.circuit,
+      retryInMs: state.nextRetryAt ? Math.max(0, state.nextRetryAt - now) : null
+    };
+  }
+}
+
+module.exports = HealthTracker;
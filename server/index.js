@@ -5,7 +5,16 @@ const http = require('http');
 const ExchangeAPI = require('./exchanges');
 const Database = require('./database');
 const ArbitrageDetector = require('./arbitrage');
-const { getJapanTime } = require('./utils');
+const StreamManager = require('./streams');
+const TradeTracker = require('./trades');
+const PrivateAPI = require('./private-api');
+const { ExecutionEngine } = require('./execution');
+const SpreadModel = require('./spread-model');
+const VolatilityModel = require('./volatility');
+const { ThresholdConfig, validateThresholdConfig } = require('./thresholds');
+const { calculateJapanPremium } = require('./premium');
+const { ResponseRecorder, ResponseReplayer } = require('./recording');
+const { getJapanTime, validateNumericParam, requireBearerToken } = require('./utils');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,17 +37,228 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-const exchangeAPI = new ExchangeAPI();
+// EXCHANGE_REPLAY_FILE を指定するとネットワークの代わりに記録済みレスポンスを再生（REPLAY_SPEED 倍速）
+// EXCHANGE_RECORD_DIR を指定すると取引所のレスポンスをタイムスタンプ付きファイルに記録
+const REPLAY_SPEED = parseFloat(process.env.REPLAY_SPEED) || 1;
+const replayer = process.env.EXCHANGE_REPLAY_FILE
+  ? new ResponseReplayer(process.env.EXCHANGE_REPLAY_FILE, { speed: REPLAY_SPEED })
+  : null;
+const recorder = !replayer && process.env.EXCHANGE_RECORD_DIR
+  ? new ResponseRecorder(process.env.EXCHANGE_RECORD_DIR)
+  : null;
+const clock = replayer ? () => replayer.now() : undefined;
+
+const exchangeAPI = new ExchangeAPI({
+  http: replayer || (recorder ? recorder.wrap() : undefined),
+  now: clock
+});
 const database = new Database();
-const arbitrageDetector = new ArbitrageDetector(database);
+// 経路ごとの価格差の統計（price_history から定期的に再計算）
+const spreadModel = new SpreadModel(database);
+// 通貨ペアごとの実現ボラティリティ（送金中の価格変動リスクの推定に使用）
+const volatilityModel = new VolatilityModel(database);
+const SPREAD_MODEL_REFRESH_INTERVAL = 5 * 60 * 1000;
+// 経路ごとの検知閾値（ARBITRAGE_THRESHOLDS_FILE、実行中は管理APIで変更）
+const thresholds = new ThresholdConfig({ adapters: exchangeAPI.adapters });
+const arbitrageDetector = new ArbitrageDetector(database, {
+  now: clock,
+  maintenance: exchangeAPI.maintenance,
+  spreadModel,
+  volatilityModel,
+  thresholds,
+  // 取引所の直近のリクエスト成功率（機会の信頼度に使用）
+  reliability: (exchange) => exchangeAPI.getReliability(exchange)
+});
+const streamManager = new StreamManager(exchangeAPI);
+const tradeTracker = new TradeTracker({ now: clock });
+// 残高・注文照会用の認証付きAPI（nonceは再生時も実時刻）
+const privateAPI = new PrivateAPI({
+  adapters: exchangeAPI.adapters,
+  pairs: exchangeAPI.pairs,
+  resolveUrl: (adapter, url) => exchangeAPI.resolveUrl(adapter, url)
+});
+// 機会の自動執行（EXECUTION_ENABLED=true のときのみ。既定はdry-run）
+const executionEngine = new ExecutionEngine({ exchangeAPI, privateAPI, database, now: clock });
+const EXECUTION_ENABLED = process.env.EXECUTION_ENABLED === 'true';
+
+// STREAMING_ENABLED=false でWebSocketストリームを無効化し、RESTポーリングのみで動作
+// 記録・再生時はすべての取引所をRESTで取得するためストリームを使わない
+const STREAMING_ENABLED = process.env.STREAMING_ENABLED !== 'false' && !replayer && !recorder;
+// 価格取得間隔（再生時は再生速度に合わせて短縮）
+const PRICE_FETCH_INTERVAL = Math.max(100, Math.round(5000 / (replayer ? REPLAY_SPEED : 1)));
+// 約定履歴の取得間隔（TRADES_FETCH_INTERVAL=0 で無効化、再生時は再生速度に合わせて短縮）
+const TRADES_FETCH_INTERVAL_BASE = process.env.TRADES_FETCH_INTERVAL !== undefined
+  ? parseInt(process.env.TRADES_FETCH_INTERVAL, 10) || 0
+  : 15000;
+const TRADES_FETCH_INTERVAL = TRADES_FETCH_INTERVAL_BASE > 0
+  ? Math.max(100, Math.round(TRADES_FETCH_INTERVAL_BASE / (replayer ? REPLAY_SPEED : 1)))
+  : 0;
+// 価格取得のたびに板も取得し、機会の数量を板の厚みで見積もる（DEPTH_SIZING=false で無効化）
+// 記録の再生時は板のレスポンスがないため使わない
+const DEPTH_SIZING = process.env.DEPTH_SIZING !== 'false' && !replayer;
+// ストリーム受信時の検知処理の最小間隔（ミリ秒）
+const STREAM_DETECTION_INTERVAL = parseInt(process.env.STREAM_DETECTION_INTERVAL, 10) || 250;
 
 let currentPrices = [];
 let currentOpportunities = [];
+let currentPremiums = [];
+let currentOrderBooks = [];
+
+// 通貨ペアの指定は監視対象のもののみ受け付ける（未指定は全ペア）
+function validatePairParam(req, res, next) {
+  const pair = req.query.pair;
+  if (pair !== undefined) {
+    const normalized = String(pair).toUpperCase();
+    if (!exchangeAPI.pairs.includes(normalized)) {
+      return res.status(400).json({ error: `Invalid pair parameter. Must be one of: ${exchangeAPI.pairs.join(', ')}` });
+    }
+    req.validatedPair = normalized;
+  } else {
+    req.validatedPair = null;
+  }
+  next();
+}
+
+// ?size=0.5 で手数料控除後の利益を評価する数量（基軸通貨単位）を指定
+app.get('/api/prices', validatePairParam, (req, res) => {
+  const pair = req.validatedPair;
+  const size = req.query.size !== undefined ? parseFloat(req.query.size) : null;
+  if (size !== null && !(size > 0 && size <= 1000)) {
+    return res.status(400).json({ error: 'Invalid size parameter. Must be greater than 0 and at most 1000.' });
+  }
 
-app.get('/api/prices', (req, res) => {
+  // 三角裁定はいずれかの取引に指定した通貨ペアを含むもの
+  const opportunities = pair
+    ? currentOpportunities.filter(opp => opp.pair === pair || (opp.legs && opp.legs.some(leg => leg.pair === pair)))
+    : currentOpportunities;
   res.json({
-    prices: currentPrices,
-    opportunities: currentOpportunities,
+    prices: arbitrageDetector.flagStaleQuotes(pair ? currentPrices.filter(price => price.pair === pair) : currentPrices),
+    opportunities: size !== null ? arbitrageDetector.evaluateAtSize(opportunities, size) : opportunities,
+    tradeSize: size !== null ? size : arbitrageDetector.tradeSize,
+    timestamp: getJapanTime()
+  });
+});
+
+app.get('/api/exchanges', (req, res) => {
+  res.json({
+    exchanges: exchangeAPI.getExchangeList(),
+    pairs: exchangeAPI.pairs
+  });
+});
+
+// ストリーム受信中の取引所はRESTを呼ばないため、ストリーム状態も合わせて判定
+function getExchangeStatus() {
+  return exchangeAPI.getHealthStatus().map(health => {
+    const streaming = streamManager.isStreaming(health.id);
+    return {
+      ...health,
+      streaming,
+      // メンテナンス中はストリームが接続していても価格を使わない
+      status: streaming && !health.maintenance.active ? 'healthy' : health.status
+    };
+  });
+}
+
+// 検証で除外した価格（理由付き、新しい順）
+app.get('/api/rejected-quotes', (req, res) => {
+  res.json({
+    rejected: exchangeAPI.validator.getRecentRejections(),
+    timestamp: getJapanTime()
+  });
+});
+
+app.get('/api/exchanges/status', (req, res) => {
+  res.json({
+    exchanges: getExchangeStatus(),
+    timestamp: getJapanTime()
+  });
+});
+
+// 直近の約定（新しい順）
+app.get('/api/trades', validatePairParam, async (req, res) => {
+  let limit;
+  try {
+    limit = validateNumericParam(req.query.limit, { min: 1, max: 1000, default: 100 });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be between 1 and 1000.' });
+  }
+
+  try {
+    const trades = await database.getRecentTrades(limit, req.validatedPair);
+    res.json({ trades });
+  } catch (error) {
+    console.error('Error fetching trades:', error);
+    res.status(500).json({ error: 'Failed to fetch trades' });
+  }
+});
+
+// 取引所ごとの直近の出来高とVWAP
+app.get('/api/volume', validatePairParam, (req, res) => {
+  res.json({
+    volume: tradeTracker.getStats(req.validatedPair),
+    windowMs: tradeTracker.window,
+    timestamp: getJapanTime()
+  });
+});
+
+// 口座情報（残高・未約定の注文・執行履歴）と管理APIは ADMIN_API_TOKEN による Bearer 認証が必要
+const requireAdminToken = requireBearerToken(process.env.ADMIN_API_TOKEN);
+
+// 取引所ごとの残高（認証情報が設定されている取引所のみ）
+app.get('/api/balances', requireAdminToken, async (req, res) => {
+  try {
+    res.json({
+      balances: await privateAPI.getAllBalances(),
+      configured: privateAPI.getConfiguredAdapters().map(adapter => adapter.id),
+      timestamp: getJapanTime()
+    });
+  } catch (error) {
+    console.error('Error fetching balances:', error.message);
+    res.status(500).json({ error: 'Failed to fetch balances' });
+  }
+});
+
+// 未約定の注文（認証情報が設定されている取引所のみ）
+app.get('/api/open-orders', requireAdminToken, validatePairParam, async (req, res) => {
+  try {
+    const orders = await privateAPI.getAllOpenOrders();
+    res.json({
+      orders: req.validatedPair ? orders.filter(order => order.pair === req.validatedPair) : orders,
+      timestamp: getJapanTime()
+    });
+  } catch (error) {
+    console.error('Error fetching open orders:', error.message);
+    res.status(500).json({ error: 'Failed to fetch open orders' });
+  }
+});
+
+// 自動執行の履歴（dry-runを含む）と執行エンジンの設定
+app.get('/api/executions', requireAdminToken, async (req, res) => {
+  let limit;
+  try {
+    limit = validateNumericParam(req.query.limit, { min: 1, max: 500, default: 50 });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be between 1 and 500.' });
+  }
+
+  try {
+    res.json({
+      executions: await database.getExecutions(limit),
+      engine: executionEngine.getStatus(),
+      enabled: EXECUTION_ENABLED
+    });
+  } catch (error) {
+    console.error('Error fetching executions:', error.message);
+    res.status(500).json({ error: 'Failed to fetch executions' });
+  }
+});
+
+// 日本プレミアム（国内取引所の中央値と海外取引所の円換算価格の中央値の乖離）と為替レート
+app.get('/api/premium', validatePairParam, (req, res) => {
+  const pair = req.validatedPair;
+  res.json({
+    premiums: pair ? currentPremiums.filter(premium => premium.pair === pair) : currentPremiums,
+    fx: exchangeAPI.fx.getStatus(),
     timestamp: getJapanTime()
   });
 });
@@ -73,10 +293,10 @@ function validateHoursParam(req, res, next) {
   next();
 }
 
-app.get('/api/price-history', validateHoursParam, async (req, res) => {
+app.get('/api/price-history', validateHoursParam, validatePairParam, async (req, res) => {
   try {
     const hours = req.validatedHours;
-    const priceHistory = await database.getPriceHistory(hours);
+    const priceHistory = await database.getPriceHistory(hours, req.validatedPair);
     
     res.json({
       priceHistory
@@ -87,6 +307,69 @@ app.get('/api/price-history', validateHoursParam, async (req, res) => {
   }
 });
 
+app.get('/api/premium-history', validateHoursParam, validatePairParam, async (req, res) => {
+  try {
+    const premiumHistory = await database.getPremiumHistory(req.validatedHours, req.validatedPair);
+    res.json({ premiumHistory });
+  } catch (error) {
+    console.error('Error fetching premium history:', error);
+    res.status(500).json({ error: 'Failed to fetch premium history' });
+  }
+});
+
+// 経路ごとの価格差の平均・標準偏差と検知モード
+app.get('/api/spread-stats', validatePairParam, (req, res) => {
+  res.json({
+    stats: spreadModel.getAllStats(req.validatedPair),
+    hours: spreadModel.hours,
+    minSamples: spreadModel.minSamples,
+    updatedAt: spreadModel.updatedAt ? getJapanTime(new Date(spreadModel.updatedAt)) : null,
+    detectionMode: arbitrageDetector.detectionMode,
+    zScoreThreshold: arbitrageDetector.zScoreThreshold
+  });
+});
+
+// 通貨ペアごとの実現ボラティリティ（1分あたり）と送金リスクの設定
+app.get('/api/volatility', validatePairParam, (req, res) => {
+  res.json({
+    volatility: volatilityModel.getAllStats(req.validatedPair),
+    hours: volatilityModel.hours,
+    minSamples: volatilityModel.minSamples,
+    updatedAt: volatilityModel.updatedAt ? getJapanTime(new Date(volatilityModel.updatedAt)) : null,
+    riskAversion: arbitrageDetector.riskAversion
+  });
+});
+
+// 有効な検知閾値（既定値と経路ごとの設定）
+app.get('/api/thresholds', (req, res) => {
+  res.json({ ...thresholds.toJSON(), timestamp: getJapanTime() });
+});
+
+// 検知閾値の置き換え（ADMIN_API_TOKEN による Bearer 認証、次の検知から反映）
+app.put('/api/admin/thresholds', requireAdminToken, (req, res) => {
+  const error = validateThresholdConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const active = thresholds.set(req.body);
+  console.log(`Arbitrage thresholds updated (default ${active.default.value} ${active.default.unit}, ${active.routes.length} routes)`);
+  res.json({ ...active, timestamp: getJapanTime() });
+});
+
+// 機会のエピソード（指定時間内に開始したものと、現在継続中のもの）
+app.get('/api/opportunity-episodes', validateHoursParam, validatePairParam, async (req, res) => {
+  try {
+    res.json({
+      episodes: await database.getEpisodes(req.validatedHours, req.validatedPair),
+      open: arbitrageDetector.episodes.getOpenEpisodes(req.validatedPair),
+      timestamp: getJapanTime()
+    });
+  } catch (error) {
+    console.error('Error fetching opportunity episodes:', error);
+    res.status(500).json({ error: 'Failed to fetch opportunity episodes' });
+  }
+});
+
 app.delete('/api/clear-data', async (req, res) => {
   try {
     await database.clearAllData();
@@ -97,21 +380,23 @@ app.delete('/api/clear-data', async (req, res) => {
   }
 });
 
-app.get('/api/export-csv', validateHoursParam, async (req, res) => {
+app.get('/api/export-csv', validateHoursParam, validatePairParam, async (req, res) => {
   try {
     const hours = req.validatedHours;
-    const priceHistory = await database.getPriceHistory(hours);
+    const pair = req.validatedPair;
+    const priceHistory = await database.getPriceHistory(hours, pair);
     
     // CSV header
-    let csv = 'Exchange,Price,Bid,Ask,Timestamp,Created_At\n';
+    let csv = 'Exchange,Price,Bid,Ask,Timestamp,Created_At,Is_Reference,Pair,Source_Timestamp\n';
     
     // CSV data rows
     priceHistory.forEach(row => {
-      csv += `${row.exchange},${row.price || ''},${row.bid || ''},${row.ask || ''},${row.timestamp},${row.created_at}\n`;
+      csv += `${row.exchange},${row.price || ''},${row.bid || ''},${row.ask || ''},${row.timestamp},${row.created_at},${row.is_reference ? 1 : 0},${row.pair || 'BTC/JPY'},${row.source_timestamp || ''}\n`;
     });
     
+    const pairSuffix = pair ? `_${pair.replace('/', '')}` : '';
     res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="price_history_${hours}h.csv"`);
+    res.setHeader('Content-Disposition', `attachment; filename="price_history${pairSuffix}_${hours}h.csv"`);
     res.send(csv);
   } catch (error) {
     console.error('Error exporting CSV:', error);
@@ -136,8 +421,13 @@ wss.on('connection', (ws, req) => {
   
   ws.send(JSON.stringify({
     type: 'initial_data',
-    prices: currentPrices,
-    opportunities: currentOpportunities
+    prices: arbitrageDetector.flagStaleQuotes(currentPrices),
+    opportunities: currentOpportunities,
+    exchangeStatus: getExchangeStatus(),
+    tradeStats: tradeTracker.getStats(),
+    premiums: currentPremiums,
+    episodes: arbitrageDetector.episodes.getOpenEpisodes(),
+    thresholds: thresholds.toJSON()
   }));
 
   ws.on('close', () => {
@@ -154,51 +444,221 @@ function broadcastToClients(data) {
   });
 }
 
+// 機会のエピソードの開始・更新（ピークの更新）・終了を配信
+arbitrageDetector.episodes.on('episode', ({ type, episode }) => {
+  broadcastToClients({ type: 'opportunity_event', event: type, episode });
+});
+
+function detectAndBroadcast() {
+  const opportunities = arbitrageDetector.detectArbitrageOpportunities(currentPrices, currentOrderBooks);
+  currentOpportunities = opportunities;
+  // 古い価格・メンテナンス中の価格はプレミアムの算出にも使わない
+  currentPremiums = calculateJapanPremium(
+    currentPrices.filter(price => !arbitrageDetector.isStale(price) && !arbitrageDetector.isUnderMaintenance(price)),
+    arbitrageDetector.now()
+  );
+  
+  const data = {
+    type: 'price_update',
+    prices: arbitrageDetector.flagStaleQuotes(currentPrices),
+    opportunities: currentOpportunities,
+    exchangeStatus: getExchangeStatus(),
+    tradeStats: tradeTracker.getStats(),
+    premiums: currentPremiums,
+    thresholds: thresholds.toJSON(),
+    timestamp: getJapanTime()
+  };
+  
+  broadcastToClients(data);
+  
+  // 信頼度が ALERT_MIN_CONFIDENCE 未満の機会は通知・自動執行しない
+  const alertable = opportunities.filter(opp => arbitrageDetector.isAlertable(opp));
+  if (alertable.length > 0) {
+    console.log(`Found ${alertable.length} arbitrage opportunities:`);
+    alertable.forEach(opp => {
+      console.log(arbitrageDetector.formatOpportunityMessage(opp));
+    });
+  }
+
+  // 手数料控除後も利益の出る最良の取引所間の機会を執行（実行中は次の検出を待たずにスキップ）
+  const best = alertable.find(opp => opp.type !== 'triangular' && opp.isProfitableAfterFees);
+  if (EXECUTION_ENABLED && best && !executionEngine.busy) {
+    executionEngine.execute(best)
+      .then(execution => {
+        if (execution) broadcastToClients({ type: 'execution_update', execution });
+      })
+      .catch(error => console.error('Execution error:', error.message));
+  }
+}
+
+// 他の取引所の中央値から大きく外れた価格を除外
+function rejectOutliers(prices) {
+  return exchangeAPI.validator.rejectOutliers(prices);
+}
+
+// 通貨ペア・取引所の登録順を保ったまま価格を差し替え
+function mergeQuotes(prices, quotes) {
+  const order = exchangeAPI.adapters.map(adapter => adapter.name);
+  const quoteKey = (quote) => `${quote.pair}:${quote.exchange}`;
+  const merged = new Map(prices.map(price => [quoteKey(price), price]));
+  quotes.forEach(quote => merged.set(quoteKey(quote), quote));
+  return [...merged.values()].sort((a, b) =>
+    exchangeAPI.pairs.indexOf(a.pair) - exchangeAPI.pairs.indexOf(b.pair) ||
+    order.indexOf(a.exchange) - order.indexOf(b.exchange));
+}
+
+let replayFinished = false;
+
+// 監視対象の全通貨ペアの板（取得できなかった取引所は含まない）
+async function fetchOrderBooks() {
+  const books = await Promise.all(exchangeAPI.pairs.map(pair => exchangeAPI.getAllOrderBooks(pair)));
+  return books.flat();
+}
+
 async function fetchPricesAndDetectArbitrage() {
+  // 記録の終端以降は最後のレスポンスが返り続ける
+  if (replayer && !replayFinished && replayer.isFinished()) {
+    replayFinished = true;
+    console.log('Replay reached the end of the recording');
+  }
+
   try {
-    const prices = await exchangeAPI.getAllPrices();
+    // ストリーム受信中の取引所はRESTを呼ばず、切断中の取引所のみポーリングする
+    const streaming = streamManager.getStreamingExchanges();
+    const [polledPrices, orderBooks] = await Promise.all([
+      exchangeAPI.getAllPrices({ exclude: streaming }),
+      DEPTH_SIZING ? fetchOrderBooks() : []
+    ]);
+    currentOrderBooks = orderBooks;
+    const streamedPrices = streaming
+      .map(({ exchangeId, pair }) => streamManager.getLatestQuote(exchangeId, pair))
+      .filter(Boolean);
+    const prices = rejectOutliers(mergeQuotes(polledPrices, streamedPrices));
     
     if (prices.length > 0) {
       currentPrices = prices;
       
       await database.savePrices(prices);
       
-      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
-      currentOpportunities = opportunities;
-      
-      const data = {
-        type: 'price_update',
-        prices: currentPrices,
-        opportunities: currentOpportunities,
-        timestamp: getJapanTime()
-      };
-      
-      broadcastToClients(data);
-      
-      if (opportunities.length > 0) {
-        console.log(`Found ${opportunities.length} arbitrage opportunities:`);
-        opportunities.forEach(opp => {
-          console.log(arbitrageDetector.formatOpportunityMessage(opp));
-        });
-      }
+      detectAndBroadcast();
+
+      await database.savePremiums(currentPremiums);
     }
   } catch (error) {
     console.error('Error in price fetching cycle:', error);
   }
 }
 
-setInterval(fetchPricesAndDetectArbitrage, 5000);
+// 約定履歴を取得して保存し、出来高・VWAPを配信
+async function fetchTrades() {
+  try {
+    const trades = await exchangeAPI.getAllTrades();
+    if (trades.length === 0) return;
+
+    // 保存済みの約定はDB側で無視される（ウィンドウより古い約定も保存する）
+    await database.saveTrades(trades);
+    const added = tradeTracker.add(trades);
+    if (added.length > 0) {
+      broadcastToClients({
+        type: 'trade_update',
+        tradeStats: tradeTracker.getStats(),
+        timestamp: getJapanTime()
+      });
+    }
+  } catch (error) {
+    console.error('Error in trades fetching cycle:', error);
+  }
+}
+
+// ストリームの価格変化ごとに検知（短時間の連続更新はまとめて処理）
+let detectionTimer = null;
+function scheduleDetection() {
+  if (detectionTimer) return;
+  detectionTimer = setTimeout(() => {
+    detectionTimer = null;
+    try {
+      detectAndBroadcast();
+    } catch (error) {
+      console.error('Error in stream detection:', error);
+    }
+  }, STREAM_DETECTION_INTERVAL);
+}
+
+// 受信した価格のみを他の取引所と比較する（検証済みの価格を受信のたびに判定し直さない）
+streamManager.on('quote', (quote) => {
+  if (exchangeAPI.validator.isOutlier(quote, currentPrices)) {
+    // 外れ値と判定された価格はその取引所の直前の価格ごと除外する
+    currentPrices = currentPrices.filter(price => !(price.exchange === quote.exchange && price.pair === quote.pair));
+  } else {
+    currentPrices = mergeQuotes(currentPrices, [quote]);
+  }
+  scheduleDetection();
+});
+
+// ストリームが切断されたら次のポーリングを待たずにRESTで取得
+streamManager.on('disconnect', async (exchangeId) => {
+  try {
+    // 無効化された取引所はRESTでも取得しない
+    const adapter = exchangeAPI.getAdapter(exchangeId);
+    if (!adapter) return;
+
+    const pairs = exchangeAPI.getSupportedPairs(adapter);
+    const quotes = await Promise.all(pairs.map(pair => exchangeAPI.getPrice(exchangeId, pair)));
+    const failedPairs = pairs.filter((pair, index) => !quotes[index]);
+    currentPrices = mergeQuotes(
+      currentPrices.filter(price => !(price.exchange === adapter.name && failedPairs.includes(price.pair))),
+      quotes.filter(Boolean)
+    );
+    scheduleDetection();
+  } catch (error) {
+    console.error('Error refreshing prices after stream disconnect:', error);
+  }
+});
+
+setInterval(fetchPricesAndDetectArbitrage, PRICE_FETCH_INTERVAL);
+setInterval(() => {
+  spreadModel.refresh();
+  volatilityModel.refresh();
+}, SPREAD_MODEL_REFRESH_INTERVAL);
+spreadModel.refresh();
+volatilityModel.refresh();
 
 fetchPricesAndDetectArbitrage();
 
+if (TRADES_FETCH_INTERVAL > 0) {
+  setInterval(fetchTrades, TRADES_FETCH_INTERVAL);
+  fetchTrades();
+}
+
+if (STREAMING_ENABLED) {
+  streamManager.start();
+}
+
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`WebSocket server started`);
-  console.log(`Price monitoring started - fetching every 5 seconds`);
+  console.log(`Price monitoring started - fetching every ${PRICE_FETCH_INTERVAL / 1000} seconds (${exchangeAPI.pairs.join(', ')})`);
+  if (TRADES_FETCH_INTERVAL > 0) {
+    console.log(`Trade volume tracking started - fetching every ${TRADES_FETCH_INTERVAL / 1000} seconds`);
+  }
+  if (replayer) {
+    console.log(`Replaying exchange responses from ${replayer.file} at ${REPLAY_SPEED}x speed`);
+  }
+  if (recorder) {
+    console.log(`Recording exchange responses to ${recorder.file}`);
+  }
+  if (arbitrageDetector.detectionMode === 'zscore') {
+    console.log(`Z-score detection enabled (z >= ${arbitrageDetector.zScoreThreshold}, ${spreadModel.hours}h spread history)`);
+  }
+  if (STREAMING_ENABLED) {
+    console.log('Exchange WebSocket streams enabled (REST polling used as fallback)');
+  }
 });
 
 process.on('SIGINT', () => {
   console.log('Shutting down gracefully...');
+  streamManager.stop();
+  if (recorder) recorder.close();
   database.close();
   server.close(() => {
     process.exit(0);
@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+const { getJapanTime, median } = require('./utils');
+
+/**
+ * Arbitrage opportunities as episodes instead of one record per detection.
+ *
+ * A spread between two exchanges usually lasts for many detection cycles.
+ * An episode opens when a route (pair, buy exchange, sell exchange) first
+ * shows an opportunity, is updated on every detection while the route keeps
+ * showing one, and closes on the first detection without it. Each episode
+ * keeps its start and end time, duration, peak and average spread and peak
+ * net profit (at the detector's trade size).
+ *
+ * update() returns the lifecycle events of the cycle and emits each of them
+ * as an 'episode' event:
+ *   open   - a new episode
+ *   update - the episode reached a new peak spread or peak net profit
+ *   close  - the route no longer shows an opportunity
+ */
+class OpportunityTracker extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   */
+  constructor(options = {}) {
+    super();
+    this.now = options.now || (() => Date.now());
+    this.episodes = new Map(); // 経路キー -> 継続中のエピソード
+    this.durations = new Map(); // 経路キー -> 終了した直近のエピソードの継続時間（ミリ秒）
+    this.sequence = 0;
+  }
+
+  getRouteKey(opportunity) {
+    return `${opportunity.pair || 'BTC/JPY'}:${opportunity.exchangeFrom}->${opportunity.exchangeTo}`;
+  }
+
+  /**
+   * Apply one detection cycle
+   * @param {Object[]} opportunities - All opportunities of the cycle (from detectArbitrageOpportunities)
+   * @returns {Array<{type: string, episode: Object, opportunity: Object|null}>} Lifecycle events
+   *   (see the module comment); opportunity is the detection that caused it, null on close
+   */
+  update(opportunities) {
+    const now = this.now();
+    const events = [];
+    const seen = new Set();
+
+    opportunities.forEach(opportunity => {
+      const key = this.getRouteKey(opportunity);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const episode = this.episodes.get(key);
+      if (!episode) {
+        const opened = this.open(opportunity, now);
+        this.episodes.set(key, opened);
+        events.push({ type: 'open', episode: this.toJSON(opened, now), opportunity });
+        return;
+      }
+
+      const spread = opportunity.percentageDifference;
+      const newPeak = spread > episode.peakSpread || opportunity.netProfit > episode.peakNetProfit;
+      episode.spreadSum += spread;
+      episode.observations++;
+      episode.peakSpread = Math.max(episode.peakSpread, spread);
+      episode.peakNetProfit = Math.max(episode.peakNetProfit, opportunity.netProfit);
+      episode.lastSpread = spread;
+      episode.lastNetProfit = opportunity.netProfit;
+      episode.lastSeenAt = now;
+      if (newPeak) events.push({ type: 'update', episode: this.toJSON(episode, now), opportunity });
+    });
+
+    this.episodes.forEach((episode, key) => {
+      if (seen.has(key)) return;
+      // 最後に観測した時点で終了したものとする
+      episode.endedAt = episode.lastSeenAt;
+      this.episodes.delete(key);
+      const durations = this.durations.get(key) || [];
+      durations.push(episode.endedAt - episode.startedAt);
+      if (durations.length > 20) durations.shift();
+      this.durations.set(key, durations);
+      events.push({ type: 'close', episode: this.toJSON(episode, now), opportunity: null });
+    });
+
+    events.forEach(event => this.emit('episode', event));
+    return events;
+  }
+
+  open(opportunity, now) {
+    this.sequence++;
+    const spread = opportunity.percentageDifference;
+    return {
+      id: `${now}-${this.sequence}`,
+      type: opportunity.type || 'cross-exchange',
+      pair: opportunity.pair || 'BTC/JPY',
+      exchangeFrom: opportunity.exchangeFrom,
+      exchangeTo: opportunity.exchangeTo,
+      startedAt: now,
+      lastSeenAt: now,
+      endedAt: null,
+      peakSpread: spread,
+      peakNetProfit: opportunity.netProfit,
+      spreadSum: spread,
+      observations: 1,
+      lastSpread: spread,
+      lastNetProfit: opportunity.netProfit
+    };
+  }
+
+  /**
+   * Serializable form of an episode
+   * @returns {Object} { id, type, pair, exchangeFrom, exchangeTo, status ('open' | 'closed'), startedAt, endedAt (JST),
+   *   duration (ms), peakSpread, averageSpread, lastSpread (%), peakNetProfit, lastNetProfit (JPY), observations }
+   */
+  toJSON(episode, now = this.now()) {
+    const closed = episode.endedAt !== null;
+    return {
+      id: episode.id,
+      type: episode.type,
+      pair: episode.pair,
+      exchangeFrom: episode.exchangeFrom,
+      exchangeTo: episode.exchangeTo,
+      status: closed ? 'closed' : 'open',
+      startedAt: getJapanTime(new Date(episode.startedAt)),
+      endedAt: closed ? getJapanTime(new Date(episode.endedAt)) : null,
+      duration: (closed ? episode.endedAt : now) - episode.startedAt,
+      peakSpread: episode.peakSpread,
+      averageSpread: episode.spreadSum / episode.observations,
+      lastSpread: episode.lastSpread,
+      peakNetProfit: episode.peakNetProfit,
+      lastNetProfit: episode.lastNetProfit,
+      observations: episode.observations
+    };
+  }
+
+  /**
+   * How long opportunities on the route tend to last: the longer of the
+   * current episode so far and the median of the route's recent episodes
+   * @param {Object} opportunity - Opportunity (or anything with pair, exchangeFrom and exchangeTo)
+   * @returns {number} Milliseconds (0 for a route never seen before)
+   */
+  getPersistence(opportunity, now = this.now()) {
+    const key = this.getRouteKey(opportunity);
+    const episode = this.episodes.get(key);
+    const current = episode ? now - episode.startedAt : 0;
+    const durations = this.durations.get(key);
+    return Math.max(current, durations ? median(durations) : 0);
+  }
+
+  // 継続中のエピソード（開始の新しい順）
+  getOpenEpisodes(pair = null) {
+    const now = this.now();
+    return [...this.episodes.values()]
+      .filter(episode => !pair || episode.pair === pair)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(episode => this.toJSON(episode, now));
+  }
+}
+
+module.exports = OpportunityTracker;
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { getJapanTime } = require('./utils');
+
+/**
+ * Scheduled exchange maintenance windows, in JST.
+ *
+ * During maintenance venues keep answering with frozen or stale tickers, so
+ * ExchangeAPI stops requesting them and ArbitrageDetector leaves their quotes
+ * out. Windows come from each adapter's `maintenance` list and from the JSON
+ * file referenced by MAINTENANCE_CALENDAR:
+ *   { "exchange": "gmo", "days": ["sat"], "start": "09:00", "end": "11:00" }  - recurring (every day without `days`)
+ *   { "exchange": "zaif", "from": "2024-03-10 10:00", "to": "2024-03-10 15:00" } - one-off
+ * A recurring window whose end is not after its start runs past midnight.
+ * MAINTENANCE_CALENDAR=off disables the calendar.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 'HH:mm' -> 日本時間0時からのミリ秒
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59) return null;
+  return (hours * 60 + minutes) * 60 * 1000;
+}
+
+// タイムゾーン表記のない日時は日本時間として読む
+function parseJstDate(value) {
+  const text = String(value || '').trim().replace(' ', 'T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const time = Date.parse(hasZone ? text : `${text}+09:00`);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate a configured window
+ * @param {Object} window - Window definition (see module comment)
+ * @returns {Object|null} { exchange, note, days, start, end } or { exchange, note, from, to }; null if invalid
+ */
+function normalizeWindow(window) {
+  const exchange = window.exchange;
+  const note = window.note || null;
+
+  if (window.from !== undefined || window.to !== undefined) {
+    const from = parseJstDate(window.from);
+    const to = parseJstDate(window.to);
+    if (exchange && from !== null && to !== null && to > from) {
+      return { exchange, note, from, to };
+    }
+  } else {
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+    const days = window.days ? window.days.map(day => DAYS.indexOf(String(day).toLowerCase().slice(0, 3))) : null;
+    if (exchange && start !== null && end !== null && !(days && days.includes(-1))) {
+      return { exchange, note, days, start, end };
+    }
+  }
+
+  console.warn(`Ignoring invalid maintenance window ${JSON.stringify(window)}`);
+  return null;
+}
+
+/**
+ * Read maintenance windows from a JSON file ({ windows: [...] } or an array)
+ * @param {string} [configPath] - Path to the JSON file (defaults to MAINTENANCE_CALENDAR)
+ * @returns {Object[]} Window definitions
+ */
+function readMaintenanceConfig(configPath = process.env.MAINTENANCE_CALENDAR) {
+  if (!configPath || configPath === 'off') return [];
+
+  const resolved = path.resolve(configPath);
+  try {
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    return Array.isArray(config) ? config : config.windows || [];
+  } catch (error) {
+    console.error(`Failed to read maintenance calendar ${resolved}:`, error.message);
+    return [];
+  }
+}
+
+class MaintenanceCalendar {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.adapters] - Adapters whose `maintenance` windows are included;
+   *   also lets windows and lookups use display names as well as ids
+   * @param {Object[]} [options.windows] - Windows to use instead of the MAINTENANCE_CALENDAR file
+   * @param {boolean} [options.enabled] - Defaults to false when MAINTENANCE_CALENDAR=off
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   */
+  constructor(options = {}) {
+    const adapters = options.adapters || [];
+    this.now = options.now || (() => Date.now());
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.MAINTENANCE_CALENDAR !== 'off';
+    this.ids = {}; // 表示名 -> 取引所ID
+    adapters.forEach(adapter => {
+      this.ids[adapter.name] = adapter.id;
+    });
+
+    const windows = [
+      ...adapters.flatMap(adapter => (adapter.maintenance || []).map(window => ({ exchange: adapter.id, ...window }))),
+      ...(options.windows || readMaintenanceConfig())
+    ];
+    this.windows = this.enabled
+      ? windows.map(normalizeWindow).filter(Boolean).map(window => ({ ...window, exchange: this.getExchangeId(window.exchange) }))
+      : [];
+  }
+
+  getExchangeId(exchange) {
+    return this.ids[exchange] || exchange;
+  }
+
+  // 前日から1週間先までの該当時間帯（日をまたぐ定期メンテナンスは前日分が現在にかかる）
+  getOccurrences(window, now) {
+    if (window.from !== undefined) return [{ window, start: window.from, end: window.to }];
+
+    const today = Math.floor((now + JST_OFFSET_MS) / DAY_MS) * DAY_MS - JST_OFFSET_MS;
+    const occurrences = [];
+    for (let offset = -1; offset <= 7; offset++) {
+      const dayStart = today + offset * DAY_MS;
+      const weekday = new Date(dayStart + JST_OFFSET_MS).getUTCDay();
+      if (window.days && !window.days.includes(weekday)) continue;
+
+      const start = dayStart + window.start;
+      const end = dayStart + (window.end > window.start ? window.end : window.end + DAY_MS);
+      occurrences.push({ window, start, end });
+    }
+    return occurrences;
+  }
+
+  getExchangeOccurrences(exchange, now) {
+    const exchangeId = this.getExchangeId(exchange);
+    return this.windows
+      .filter(window => window.exchange === exchangeId)
+      .flatMap(window => this.getOccurrences(window, now));
+  }
+
+  /**
+   * Maintenance window the exchange is in now (the one ending last if several overlap)
+   * @param {string} exchange - Exchange id or display name
+   * @param {number} [now] - Current epoch ms
+   * @returns {{window: Object, start: number, end: number}|null}
+   */
+  getActiveWindow(exchange, now = this.now()) {
+    const active = this.getExchangeOccurrences(exchange, now)
+      .filter(occurrence => occurrence.start <= now && now < occurrence.end)
+      .sort((a, b) => b.end - a.end);
+    return active[0] || null;
+  }
+
+  isUnderMaintenance(exchange, now = this.now()) {
+    return this.getActiveWindow(exchange, now) !== null;
+  }
+
+  /**
+   * Current and next maintenance of an exchange for display
+   * @param {string} exchange - Exchange id or display name
+   * @param {number} [now] - Current epoch ms
+   * @returns {Object} { active, note, endsAt, nextStartsAt, nextNote } with times in JST
+   */
+  getStatus(exchange, now = this.now()) {
+    const active = this.getActiveWindow(exchange, now);
+    const next = this.getExchangeOccurrences(exchange, now)
+      .filter(occurrence => occurrence.start > now)
+      .sort((a, b) => a.start - b.start)[0];
+
+    return {
+      active: active !== null,
+      note: active ? active.window.note : null,
+      endsAt: active ? getJapanTime(new Date(active.end)) : null,
+      nextStartsAt: next ? getJapanTime(new Date(next.start)) : null,
+      nextNote: next ? next.window.note : null
+    };
+  }
+}
+
+module.exports = MaintenanceCalendar;
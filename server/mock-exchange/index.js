@@ -0,0 +1,635 @@
+const express = require('express');
+const http = require('http');
+const WebSocket = require('ws');
+const { builtinAdapters } = require('../adapters');
+const { loadScenario, MockMarket } = require('./scenarios');
+
+/**
+ * Local stand-in for the public APIs of bitFlyer, Coincheck, Zaif, GMO,
+ * bitbank, CoinGecko, Binance, Coinbase and the USD/JPY forex ticker
+ * (served as 'fx'), for offline development, demos and tests.
+ *
+ * Each venue is served under its adapter id, keeping the real path and query:
+ *   https://api.bitflyer.com/v1/ticker?product_code=BTC_JPY
+ *   -> http://localhost:3100/bitflyer/v1/ticker?product_code=BTC_JPY
+ * which is the mapping ExchangeAPI applies when EXCHANGE_BASE_URL is set.
+ * WebSocket feeds are served the same way (ws://localhost:3100/bitflyer/json-rpc).
+ * The balance and open-order endpoints of the private APIs (bitFlyer, GMO,
+ * bitbank, Coincheck) check the request signature against one mock
+ * credential (BITFLYER_API_KEY=mock-api BITFLYER_API_SECRET=mock-exchange, etc.).
+ *
+ * Usage: node server/mock-exchange [--port 3100] [--scenario demo|calm|path.json] [--seed 42]
+ */
+
+const DEFAULT_PORT = 3100;
+const DEFAULT_CREDENTIAL = { key: 'mock-api', secret: 'mock-exchange' };
+// 署名に含まれる nonce / タイムスタンプのヘッダー
+const NONCE_HEADERS = {
+  bitflyer: 'ACCESS-TIMESTAMP',
+  gmo: 'API-TIMESTAMP',
+  bitbank: 'ACCESS-NONCE',
+  coincheck: 'ACCESS-NONCE'
+};
+
+// 取引所シンボル -> 通貨ペア
+function getPair(exchangeId, symbol) {
+  const adapter = builtinAdapters.find(a => a.id === exchangeId);
+  const entry = Object.entries(adapter.symbols).find(([, value]) => value === symbol);
+  return entry ? entry[0] : null;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString();
+}
+
+class MockExchangeServer {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.scenario] - Built-in scenario name, JSON path or scenario object
+   * @param {number} [options.seed] - Random seed for reproducible prices
+   * @param {number} [options.tickInterval] - Override the scenario tick interval (ms); 0 disables the timer
+   * @param {Object} [options.credential] - { key, secret } accepted by the private endpoints
+   */
+  constructor(options = {}) {
+    const scenario = loadScenario(options.scenario);
+    this.market = new MockMarket(scenario, { seed: options.seed });
+    this.tickInterval = options.tickInterval !== undefined ? options.tickInterval : this.market.tickInterval;
+    this.app = express();
+    this.server = http.createServer(this.app);
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.subscribers = []; // { exchangeId, ws, symbols, book }
+    this.credential = options.credential || DEFAULT_CREDENTIAL;
+    this.nonces = {}; // 取引所ID -> 受け付けた最新のnonce
+
+    this.registerRoutes();
+    this.registerPrivateRoutes();
+    this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+  }
+
+  // 停止中の取引所はエラーを返す
+  // load で取得したデータ（ティッカー・板・約定）から respond がレスポンスを組み立てる
+  withMarket(exchangeId, symbol, res, load, respond) {
+    const phase = this.market.getPhase(exchangeId);
+    if (phase.type === 'outage') {
+      return res.status(phase.status || 503).json({ error: 'Service Unavailable' });
+    }
+    const pair = getPair(exchangeId, symbol);
+    const data = pair && load(pair);
+    if (!data) {
+      return res.status(404).json({ error: `Unknown symbol: ${symbol}` });
+    }
+    return res.json(respond(data));
+  }
+
+  withQuote(exchangeId, symbol, res, respond) {
+    return this.withMarket(exchangeId, symbol, res, pair => this.market.getQuote(exchangeId, pair), respond);
+  }
+
+  withBook(exchangeId, symbol, res, respond) {
+    return this.withMarket(exchangeId, symbol, res, pair => this.market.getOrderBook(exchangeId, pair), respond);
+  }
+
+  // 実際のAPIと同じく新しい約定から返す
+  withTrades(exchangeId, symbol, res, respond) {
+    return this.withMarket(exchangeId, symbol, res, pair => {
+      const trades = this.market.getTrades(exchangeId, pair);
+      return trades && trades.reverse();
+    }, respond);
+  }
+
+  // 実際の取引所と同じ方法で署名を検証し、nonce が増えていない要求は拒否する
+  // （アダプターの署名関数で期待値を計算する）
+  withAccount(exchangeId, req, res, respond) {
+    if (this.market.isDown(exchangeId)) {
+      return res.status(503).json({ error: 'Service Unavailable' });
+    }
+
+    const signing = builtinAdapters.find(a => a.id === exchangeId).private;
+    const url = `${new URL(signing.baseUrl).origin}${req.originalUrl.slice(exchangeId.length + 1)}`;
+    const nonce = Number(req.get(NONCE_HEADERS[exchangeId]));
+    const expected = signing.sign({
+      method: req.method,
+      path: url.slice(signing.baseUrl.length),
+      url,
+      body: '',
+      nonce
+    }, this.credential);
+    if (!Object.entries(expected).every(([header, value]) => req.get(header) === value)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    if (!(nonce > (this.nonces[exchangeId] || 0))) {
+      return res.status(401).json({ error: 'Invalid nonce' });
+    }
+    this.nonces[exchangeId] = nonce;
+
+    const account = this.market.getAccount(exchangeId);
+    const balances = Object.entries(account.balances).map(([currency, total]) => ({
+      currency,
+      total,
+      available: total - this.market.getReserved(exchangeId, currency)
+    }));
+    return res.json(respond({ balances, orders: account.orders }));
+  }
+
+  // 取引所シンボルの注文だけに絞る
+  filterOrders(exchangeId, orders, symbol) {
+    const pair = getPair(exchangeId, symbol);
+    return orders.filter(order => order.pair === pair);
+  }
+
+  registerPrivateRoutes() {
+    const app = this.app;
+
+    app.get('/bitflyer/v1/me/getbalance', (req, res) => {
+      this.withAccount('bitflyer', req, res, ({ balances }) => balances.map(balance => ({
+        currency_code: balance.currency,
+        amount: balance.total,
+        available: balance.available
+      })));
+    });
+
+    app.get('/bitflyer/v1/me/getchildorders', (req, res) => {
+      this.withAccount('bitflyer', req, res, ({ orders }) => this.filterOrders('bitflyer', orders, req.query.product_code)
+        .map(order => ({
+          child_order_acceptance_id: order.id,
+          product_code: req.query.product_code,
+          side: order.side.toUpperCase(),
+          child_order_type: 'LIMIT',
+          price: order.price,
+          size: order.size,
+          outstanding_size: order.remaining,
+          child_order_state: 'ACTIVE',
+          child_order_date: formatTime(order.timestamp).replace('Z', '')
+        })));
+    });
+
+    app.get('/gmo/private/v1/account/assets', (req, res) => {
+      this.withAccount('gmo', req, res, ({ balances }) => ({
+        status: 0,
+        data: balances.map(balance => ({
+          symbol: balance.currency,
+          amount: String(balance.total),
+          available: String(balance.available),
+          conversionRate: '1'
+        }))
+      }));
+    });
+
+    app.get('/gmo/private/v1/activeOrders', (req, res) => {
+      this.withAccount('gmo', req, res, ({ orders }) => {
+        const list = this.filterOrders('gmo', orders, req.query.symbol).map(order => ({
+          orderId: order.id,
+          symbol: req.query.symbol,
+          side: order.side.toUpperCase(),
+          executionType: 'LIMIT',
+          size: String(order.size),
+          executedSize: String(order.size - order.remaining),
+          price: String(order.price),
+          status: 'ORDERED',
+          timestamp: formatTime(order.timestamp)
+        }));
+        // 注文がない場合は list を返さない
+        return { status: 0, data: list.length > 0 ? { pagination: { currentPage: 1, count: list.length }, list } : {} };
+      });
+    });
+
+    app.get('/bitbank/v1/user/assets', (req, res) => {
+      this.withAccount('bitbank', req, res, ({ balances }) => ({
+        success: 1,
+        data: {
+          assets: balances.map(balance => ({
+            asset: balance.currency.toLowerCase(),
+            onhand_amount: String(balance.total),
+            free_amount: String(balance.available),
+            locked_amount: String(balance.total - balance.available)
+          }))
+        }
+      }));
+    });
+
+    app.get('/bitbank/v1/user/spot/active_orders', (req, res) => {
+      this.withAccount('bitbank', req, res, ({ orders }) => ({
+        success: 1,
+        data: {
+          orders: this.filterOrders('bitbank', orders, req.query.pair).map(order => ({
+            order_id: order.id,
+            pair: req.query.pair,
+            side: order.side,
+            type: 'limit',
+            start_amount: String(order.size),
+            remaining_amount: String(order.remaining),
+            executed_amount: String(order.size - order.remaining),
+            price: String(order.price),
+            ordered_at: order.timestamp,
+            status: 'UNFILLED'
+          }))
+        }
+      }));
+    });
+
+    app.get('/coincheck/api/accounts/balance', (req, res) => {
+      this.withAccount('coincheck', req, res, ({ balances }) => {
+        const body = { success: true };
+        balances.forEach(balance => {
+          const currency = balance.currency.toLowerCase();
+          body[currency] = String(balance.available);
+          body[`${currency}_reserved`] = String(balance.total - balance.available);
+        });
+        return body;
+      });
+    });
+
+    app.get('/coincheck/api/exchange/orders/opens', (req, res) => {
+      this.withAccount('coincheck', req, res, ({ orders }) => ({
+        success: true,
+        orders: orders.map(order => ({
+          id: order.id,
+          order_type: order.side,
+          rate: String(order.price),
+          pair: order.pair.replace('/', '_').toLowerCase(),
+          pending_amount: String(order.remaining),
+          pending_market_buy_amount: null,
+          stop_loss_rate: null,
+          created_at: formatTime(order.timestamp)
+        }))
+      }));
+    });
+  }
+
+  registerRoutes() {
+    const app = this.app;
+
+    app.get('/bitflyer/v1/ticker', (req, res) => {
+      this.withQuote('bitflyer', req.query.product_code, res, (quote) => ({
+        product_code: req.query.product_code,
+        state: 'RUNNING',
+        timestamp: formatTime(quote.timestamp).replace('Z', ''), // bitFlyer はタイムゾーン表記なし
+        ltp: quote.price,
+        best_bid: quote.bid,
+        best_ask: quote.ask
+      }));
+    });
+    app.get('/bitflyer/v1/board', (req, res) => {
+      this.withBook('bitflyer', req.query.product_code, res, (book) => ({
+        mid_price: (book.bids[0][0] + book.asks[0][0]) / 2,
+        bids: book.bids.map(([price, size]) => ({ price, size })),
+        asks: book.asks.map(([price, size]) => ({ price, size }))
+      }));
+    });
+
+    app.get('/bitflyer/v1/executions', (req, res) => {
+      this.withTrades('bitflyer', req.query.product_code, res, (trades) => trades.map(trade => ({
+        id: trade.id,
+        side: trade.side.toUpperCase(),
+        price: trade.price,
+        size: trade.size,
+        exec_date: formatTime(trade.timestamp).replace('Z', '')
+      })));
+    });
+
+    app.get('/coincheck/api/ticker', (req, res) => {
+      this.withQuote('coincheck', req.query.pair, res, (quote) => ({
+        last: quote.price,
+        bid: quote.bid,
+        ask: quote.ask,
+        timestamp: Math.floor(quote.timestamp / 1000)
+      }));
+    });
+    app.get('/coincheck/api/order_books', (req, res) => {
+      this.withBook('coincheck', req.query.pair, res, (book) => ({
+        bids: book.bids.map(([price, size]) => [String(price), String(size)]),
+        asks: book.asks.map(([price, size]) => [String(price), String(size)])
+      }));
+    });
+
+    app.get('/coincheck/api/trades', (req, res) => {
+      this.withTrades('coincheck', req.query.pair, res, (trades) => ({
+        success: true,
+        data: trades.map(trade => ({
+          id: trade.id,
+          amount: String(trade.size),
+          rate: String(trade.price),
+          pair: req.query.pair,
+          order_type: trade.side,
+          created_at: formatTime(trade.timestamp)
+        }))
+      }));
+    });
+
+    app.get('/zaif/api/1/ticker/:symbol', (req, res) => {
+      this.withQuote('zaif', req.params.symbol, res, (quote) => ({
+        last: quote.price,
+        bid: quote.bid,
+        ask: quote.ask
+      }));
+    });
+    app.get('/zaif/api/1/depth/:symbol', (req, res) => {
+      this.withBook('zaif', req.params.symbol, res, (book) => book);
+    });
+
+    app.get('/zaif/api/1/trades/:symbol', (req, res) => {
+      this.withTrades('zaif', req.params.symbol, res, (trades) => trades.map(trade => ({
+        date: Math.floor(trade.timestamp / 1000),
+        price: trade.price,
+        amount: trade.size,
+        tid: trade.id,
+        currency_pair: req.params.symbol,
+        trade_type: trade.side === 'buy' ? 'bid' : 'ask'
+      })));
+    });
+
+    app.get('/gmo/public/v1/ticker', (req, res) => {
+      this.withQuote('gmo', req.query.symbol, res, (quote) => ({
+        status: 0,
+        data: [{
+          symbol: req.query.symbol,
+          last: String(quote.price),
+          bid: String(quote.bid),
+          ask: String(quote.ask),
+          timestamp: formatTime(quote.timestamp)
+        }]
+      }));
+    });
+    app.get('/gmo/public/v1/orderbooks', (req, res) => {
+      this.withBook('gmo', req.query.symbol, res, (book) => ({
+        status: 0,
+        data: {
+          symbol: req.query.symbol,
+          bids: book.bids.map(([price, size]) => ({ price: String(price), size: String(size) })),
+          asks: book.asks.map(([price, size]) => ({ price: String(price), size: String(size) }))
+        }
+      }));
+    });
+
+    app.get('/gmo/public/v1/trades', (req, res) => {
+      this.withTrades('gmo', req.query.symbol, res, (trades) => ({
+        status: 0,
+        data: {
+          list: trades.map(trade => ({
+            price: String(trade.price),
+            side: trade.side.toUpperCase(),
+            size: String(trade.size),
+            timestamp: formatTime(trade.timestamp)
+          }))
+        }
+      }));
+    });
+
+    app.get('/bitbank/:symbol/ticker', (req, res) => {
+      this.withQuote('bitbank', req.params.symbol, res, (quote) => ({
+        success: 1,
+        data: {
+          last: String(quote.price),
+          buy: String(quote.bid),
+          sell: String(quote.ask),
+          timestamp: quote.timestamp
+        }
+      }));
+    });
+    app.get('/bitbank/:symbol/depth', (req, res) => {
+      this.withBook('bitbank', req.params.symbol, res, (book) => ({
+        success: 1,
+        data: {
+          bids: book.bids.map(([price, size]) => [String(price), String(size)]),
+          asks: book.asks.map(([price, size]) => [String(price), String(size)])
+        }
+      }));
+    });
+
+    app.get('/bitbank/:symbol/transactions', (req, res) => {
+      this.withTrades('bitbank', req.params.symbol, res, (trades) => ({
+        success: 1,
+        data: {
+          transactions: trades.map(trade => ({
+            transaction_id: trade.id,
+            side: trade.side,
+            price: String(trade.price),
+            amount: String(trade.size),
+            executed_at: trade.timestamp
+          }))
+        }
+      }));
+    });
+
+    app.get('/coingecko/api/v3/simple/price', (req, res) => {
+      const ids = String(req.query.ids || '').split(',');
+      const body = {};
+      ids.forEach(id => {
+        const pair = getPair('coingecko', id);
+        const quote = pair && this.market.getQuote('coingecko', pair);
+        if (quote) {
+          body[id] = { jpy: quote.price, last_updated_at: Math.floor(quote.timestamp / 1000) };
+        }
+      });
+      res.json(body);
+    });
+
+    app.get('/binance/api/v3/ticker/24hr', (req, res) => {
+      this.withQuote('binance', req.query.symbol, res, (quote) => {
+        const usd = this.market.toUsd(quote);
+        return {
+          symbol: req.query.symbol,
+          lastPrice: String(usd.price),
+          bidPrice: String(usd.bid),
+          askPrice: String(usd.ask),
+          closeTime: usd.timestamp
+        };
+      });
+    });
+
+    app.get('/coinbase/products/:symbol/ticker', (req, res) => {
+      this.withQuote('coinbase', req.params.symbol, res, (quote) => {
+        const usd = this.market.toUsd(quote);
+        return {
+          price: String(usd.price),
+          bid: String(usd.bid),
+          ask: String(usd.ask),
+          time: formatTime(usd.timestamp)
+        };
+      });
+    });
+
+    app.get('/fx/public/v1/ticker', (req, res) => {
+      const rate = this.market.fxRate;
+      res.json({
+        status: 0,
+        data: [{
+          symbol: 'USD_JPY',
+          bid: (rate - 0.005).toFixed(3),
+          ask: (rate + 0.005).toFixed(3),
+          timestamp: formatTime(Date.now()),
+          status: 'OPEN'
+        }]
+      });
+    });
+  }
+
+  handleUpgrade(request, socket, head) {
+    const exchangeId = request.url.split('/')[1];
+    const supported = ['bitflyer', 'coincheck', 'gmo', 'bitbank'];
+    if (!supported.includes(exchangeId) || this.market.isDown(exchangeId)) {
+      socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(request, socket, head, (ws) => {
+      const subscriber = { exchangeId, ws, symbols: [], books: {} };
+      this.subscribers.push(subscriber);
+      ws.on('close', () => {
+        this.subscribers = this.subscribers.filter(s => s !== subscriber);
+      });
+      ws.on('message', (data) => this.handleStreamMessage(subscriber, data.toString()));
+
+      if (exchangeId === 'bitbank') {
+        ws.send('0{"sid":"mock","upgrades":[],"pingInterval":25000,"pingTimeout":20000}');
+      }
+    });
+  }
+
+  handleStreamMessage(subscriber, text) {
+    const { exchangeId, ws } = subscriber;
+
+    if (exchangeId === 'bitbank') {
+      if (text === '40') {
+        ws.send('40{"sid":"mock"}');
+      } else if (text.startsWith('42')) {
+        const [event, room] = JSON.parse(text.slice(2));
+        if (event === 'join-room') subscriber.symbols.push(room.replace(/^ticker_/, ''));
+      }
+      return;
+    }
+
+    const message = JSON.parse(text);
+    if (exchangeId === 'bitflyer' && message.method === 'subscribe') {
+      subscriber.symbols.push(message.params.channel.replace(/^lightning_ticker_/, ''));
+      if (message.id !== undefined) ws.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: true }));
+    } else if (exchangeId === 'gmo' && message.command === 'subscribe') {
+      subscriber.symbols.push(message.symbol);
+    } else if (exchangeId === 'coincheck' && message.type === 'subscribe') {
+      subscriber.symbols.push(message.channel.replace(/-orderbook$/, ''));
+    }
+  }
+
+  // 購読中のクライアントへ現在の気配を配信（停止中の取引所は切断）
+  broadcast() {
+    this.subscribers.forEach(subscriber => {
+      const { exchangeId, ws } = subscriber;
+      if (ws.readyState !== WebSocket.OPEN) return;
+      if (this.market.isDown(exchangeId)) {
+        ws.terminate();
+        return;
+      }
+
+      subscriber.symbols.forEach(symbol => {
+        const pair = getPair(exchangeId, symbol);
+        const quote = pair && this.market.getQuote(exchangeId, pair);
+        if (!quote) return;
+
+        if (exchangeId === 'bitflyer') {
+          ws.send(JSON.stringify({
+            jsonrpc: '2.0',
+            method: 'channelMessage',
+            params: {
+              channel: `lightning_ticker_${symbol}`,
+              message: {
+                product_code: symbol,
+                timestamp: formatTime(quote.timestamp),
+                ltp: quote.price,
+                best_bid: quote.bid,
+                best_ask: quote.ask
+              }
+            }
+          }));
+        } else if (exchangeId === 'gmo') {
+          ws.send(JSON.stringify({
+            channel: 'ticker',
+            symbol,
+            last: String(quote.price),
+            bid: String(quote.bid),
+            ask: String(quote.ask),
+            timestamp: formatTime(quote.timestamp)
+          }));
+        } else if (exchangeId === 'bitbank') {
+          const payload = {
+            room_name: `ticker_${symbol}`,
+            message: { pid: 0, data: { last: String(quote.price), buy: String(quote.bid), sell: String(quote.ask), timestamp: quote.timestamp } }
+          };
+          ws.send(`42${JSON.stringify(['message', payload])}`);
+        } else if (exchangeId === 'coincheck') {
+          ws.send(JSON.stringify([symbol, this.getBookDiff(subscriber, symbol, pair)]));
+        }
+      });
+    });
+  }
+
+  // Coincheck は板の差分配信のため、前回から消えた価格は数量0で送る
+  getBookDiff(subscriber, symbol, pair) {
+    const book = this.market.getOrderBook('coincheck', pair);
+    const previous = subscriber.books[symbol] || { bids: [], asks: [] };
+    const diff = (side) => {
+      const current = new Set(book[side].map(([price]) => price));
+      const removed = previous[side]
+        .filter(([price]) => !current.has(price))
+        .map(([price]) => [String(price), '0']);
+      return [...book[side].map(([price, size]) => [String(price), String(size)]), ...removed];
+    };
+    const update = { bids: diff('bids'), asks: diff('asks') };
+    subscriber.books[symbol] = book;
+    return update;
+  }
+
+  tick() {
+    this.market.tick();
+    this.broadcast();
+  }
+
+  /**
+   * Start serving
+   * @param {number} [port] - Port (0 picks a free one)
+   * @returns {Promise<number>} Bound port
+   */
+  listen(port = DEFAULT_PORT) {
+    return new Promise((resolve) => {
+      this.server.listen(port, () => {
+        if (this.tickInterval > 0) {
+          this.timer = setInterval(() => this.tick(), this.tickInterval);
+        }
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.subscribers.forEach(subscriber => subscriber.ws.terminate());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    options[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port || process.env.MOCK_EXCHANGE_PORT, 10) || DEFAULT_PORT;
+  const scenario = args.scenario || process.env.MOCK_EXCHANGE_SCENARIO || 'demo';
+  const seed = args.seed !== undefined ? parseInt(args.seed, 10) : undefined;
+
+  const mock = new MockExchangeServer({ scenario, seed });
+  mock.listen(port).then((boundPort) => {
+    console.log(`Mock exchange server running on port ${boundPort} (scenario: ${scenario})`);
+    console.log(`Point the app at it with EXCHANGE_BASE_URL=http://localhost:${boundPort}`);
+  });
+
+  process.on('SIGINT', () => {
+    mock.close().then(() => process.exit(0));
+  });
+}
+
+module.exports = MockExchangeServer;
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Price scenarios for the mock exchange server.
+ *
+ * A scenario describes a shared market (one mid price per pair following a
+ * random walk) and, per exchange, a looping list of phases:
+ *   { type: 'randomWalk', duration }                 - normal quoting
+ *   { type: 'premium', duration, percent }           - quotes shifted by percent (creates opportunities)
+ *   { type: 'spreadWidening', duration, maxSpread }  - spread grows linearly to maxSpread (fraction)
+ *   { type: 'outage', duration, status }             - HTTP errors and dropped streams
+ *   { type: 'crossedBook', duration }                - bid above ask
+ * Durations are in seconds of scenario time (ticks x tickInterval).
+ * Overseas venues (Binance, Coinbase) quote the same market in USD at the
+ * scenario's `fxRate` (USD/JPY, default 150); a premium phase on them moves
+ * the Japan premium.
+ * `accounts` sets the balances and open orders the private API returns per
+ * exchange: { bitflyer: { balances: { JPY: 1000000, BTC: 0.1 },
+ *   orders: [{ id, pair, side, price, size, remaining }] } }.
+ */
+
+const DEFAULT_PRICES = {
+  'BTC/JPY': 10000000,
+  'ETH/JPY': 500000,
+  'XRP/JPY': 90,
+  'ETH/BTC': 0.05
+};
+
+// 口座の初期値（シナリオに accounts がない取引所）
+const DEFAULT_BALANCES = { JPY: 1000000, BTC: 0.1 };
+
+const scenarios = {
+  // 全取引所が通常どおり気配を出し続ける
+  calm: {
+    tickInterval: 1000,
+    volatility: 0.0003,
+    spread: 0.0002,
+    exchanges: {}
+  },
+  // ダッシュボードのデモ用：価格差・スプレッド拡大・停止・板の交差を順番に発生させる
+  demo: {
+    tickInterval: 1000,
+    volatility: 0.0003,
+    spread: 0.0002,
+    exchanges: {
+      bitbank: [
+        { type: 'randomWalk', duration: 20 },
+        { type: 'premium', duration: 20, percent: 0.6 }
+      ],
+      gmo: [
+        { type: 'randomWalk', duration: 30 },
+        { type: 'spreadWidening', duration: 20, maxSpread: 0.01 }
+      ],
+      zaif: [
+        { type: 'randomWalk', duration: 40 },
+        { type: 'outage', duration: 15, status: 503 }
+      ],
+      coincheck: [
+        { type: 'randomWalk', duration: 50 },
+        { type: 'crossedBook', duration: 10 }
+      ]
+    }
+  }
+};
+
+/**
+ * Resolve a scenario by built-in name or JSON file path
+ * @param {string|Object} [scenario] - Name, path or scenario object (defaults to 'demo')
+ * @returns {Object} Scenario definition
+ */
+function loadScenario(scenario = 'demo') {
+  if (typeof scenario === 'object') return scenario;
+  if (scenarios[scenario]) return scenarios[scenario];
+
+  const resolved = path.resolve(scenario);
+  return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+}
+
+// 再現性のためのシード付き乱数（mulberry32）
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashId(exchangeId) {
+  return [...exchangeId].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+}
+
+// 取引所ごとに固定の小さな価格差（±0.02%）をつける
+function getVenueOffset(exchangeId) {
+  return ((hashId(exchangeId) % 41) - 20) / 100000;
+}
+
+function roundPrice(price) {
+  if (price >= 1000) return Math.round(price);
+  // 円建てでない通貨ペア（ETH/BTC など）は小数点以下8桁
+  return price >= 1 ? Math.round(price * 1000) / 1000 : Math.round(price * 1e8) / 1e8;
+}
+
+class MockMarket {
+  /**
+   * @param {Object} scenario - Scenario definition (see loadScenario)
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Random seed for reproducible runs
+   */
+  constructor(scenario, options = {}) {
+    this.scenario = scenario;
+    this.tickInterval = scenario.tickInterval || 1000;
+    this.volatility = scenario.volatility !== undefined ? scenario.volatility : 0.0003;
+    this.spread = scenario.spread || 0.0002;
+    const seed = options.seed !== undefined ? options.seed : Date.now();
+    this.random = createRandom(seed);
+    // 板の数量は別系列にして、板の取得回数が価格の推移に影響しないようにする
+    this.sizeRandom = createRandom(seed + 1);
+    this.mids = { ...DEFAULT_PRICES, ...(scenario.prices || {}) };
+    this.fxRate = scenario.fxRate || 150;
+    this.accounts = {};
+    this.ticks = 0;
+    this.history = []; // 約定生成用の直近の中値 { tick, time, mids }
+  }
+
+  // シナリオ上の経過秒数
+  getElapsed() {
+    return this.ticks * this.tickInterval / 1000;
+  }
+
+  tick() {
+    this.ticks++;
+    const pairs = Object.keys(this.mids);
+    const crossPairs = pairs.filter(pair => this.getCrossLegs(pair));
+    pairs.filter(pair => !crossPairs.includes(pair)).forEach(pair => {
+      const move = (this.random() * 2 - 1) * this.volatility;
+      this.mids[pair] = this.mids[pair] * (1 + move);
+    });
+    // 円建てでない通貨ペアは円建ての中値から求め、シナリオ外の三角裁定が生じないようにする
+    crossPairs.forEach(pair => {
+      const [baseLeg, quoteLeg] = this.getCrossLegs(pair);
+      this.mids[pair] = this.mids[baseLeg] / this.mids[quoteLeg];
+    });
+    this.history.push({ tick: this.ticks, time: Date.now(), mids: { ...this.mids } });
+    if (this.history.length > 200) this.history.shift();
+  }
+
+  // 円建てでない通貨ペアの中値を求める円建ての2つの通貨ペア（なければ null）
+  getCrossLegs(pair) {
+    const [base, quote] = pair.split('/');
+    const legs = [`${base}/JPY`, `${quote}/JPY`];
+    return quote !== 'JPY' && legs.every(leg => this.mids[leg]) ? legs : null;
+  }
+
+  /**
+   * Phase an exchange is currently in; phases loop over their total duration
+   * @param {string} exchangeId
+   * @returns {Object} Phase with `progress` (0-1) within the phase
+   */
+  getPhase(exchangeId) {
+    const phases = (this.scenario.exchanges || {})[exchangeId];
+    if (!phases || phases.length === 0) return { type: 'randomWalk', progress: 0 };
+
+    const total = phases.reduce((sum, phase) => sum + phase.duration, 0);
+    let offset = total > 0 ? this.getElapsed() % total : 0;
+    for (const phase of phases) {
+      if (offset < phase.duration) {
+        return { ...phase, progress: offset / phase.duration };
+      }
+      offset -= phase.duration;
+    }
+    return { ...phases[phases.length - 1], progress: 1 };
+  }
+
+  isDown(exchangeId) {
+    return this.getPhase(exchangeId).type === 'outage';
+  }
+
+  /**
+   * Current top of book for an exchange
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @returns {{price: number, bid: number, ask: number, timestamp: number}|null} Null during an outage or for unknown pairs
+   */
+  getQuote(exchangeId, pair) {
+    const mid = this.mids[pair];
+    const phase = this.getPhase(exchangeId);
+    if (!mid || phase.type === 'outage') return null;
+
+    let center = mid * (1 + getVenueOffset(exchangeId));
+    let spread = this.spread;
+    if (phase.type === 'premium') {
+      center = center * (1 + (phase.percent || 0) / 100);
+    }
+    if (phase.type === 'spreadWidening') {
+      spread = this.spread + ((phase.maxSpread || 0.01) - this.spread) * phase.progress;
+    }
+
+    let bid = roundPrice(center * (1 - spread / 2));
+    let ask = roundPrice(center * (1 + spread / 2));
+    if (phase.type === 'crossedBook') {
+      [bid, ask] = [ask, bid];
+    }
+
+    return {
+      price: roundPrice(center),
+      bid,
+      ask,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Convert a quote to USD at the scenario's USD/JPY rate (for overseas venues)
+   * @param {Object} quote - Quote from getQuote
+   * @returns {{price: number, bid: number, ask: number, timestamp: number}}
+   */
+  toUsd(quote) {
+    const convert = (value) => Math.round(value / this.fxRate * 10000) / 10000;
+    return {
+      price: convert(quote.price),
+      bid: convert(quote.bid),
+      ask: convert(quote.ask),
+      timestamp: quote.timestamp
+    };
+  }
+
+  /**
+   * Private account of an exchange (created from the scenario on first use)
+   * @param {string} exchangeId
+   * @returns {{balances: Object, orders: Object[]}} Balances by currency and open orders
+   */
+  getAccount(exchangeId) {
+    if (!this.accounts[exchangeId]) {
+      const account = (this.scenario.accounts || {})[exchangeId] || {};
+      this.accounts[exchangeId] = {
+        balances: { ...(account.balances || DEFAULT_BALANCES) },
+        orders: (account.orders || []).map(order => ({
+          remaining: order.size,
+          timestamp: Date.now(),
+          ...order
+        }))
+      };
+    }
+    return this.accounts[exchangeId];
+  }
+
+  // 未約定注文で拘束されている額（買いは円、売りは基軸通貨）
+  getReserved(exchangeId, currency) {
+    return this.getAccount(exchangeId).orders.reduce((sum, order) => {
+      const [base, quote] = order.pair.split('/');
+      if (order.side === 'buy' && quote === currency) return sum + order.remaining * order.price;
+      if (order.side === 'sell' && base === currency) return sum + order.remaining;
+      return sum;
+    }, 0);
+  }
+
+  /**
+   * Order book around the current quote
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @param {number} [depth] - Levels per side
+   * @returns {{bids: Array<[number, number]>, asks: Array<[number, number]>}|null}
+   */
+  getOrderBook(exchangeId, pair, depth = 10) {
+    const quote = this.getQuote(exchangeId, pair);
+    if (!quote) return null;
+
+    const step = quote.price * 0.0001;
+    const size = () => Math.round((0.01 + this.sizeRandom()) * 1000) / 1000;
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < depth; i++) {
+      bids.push([roundPrice(quote.bid - step * i), size()]);
+      asks.push([roundPrice(quote.ask + step * i), size()]);
+    }
+    return { bids, asks };
+  }
+
+  /**
+   * Recent trades, one per tick, oldest first. Each trade is derived from the
+   * tick it happened in, so repeated requests return the same trades.
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @param {number} [count] - Maximum number of trades
+   * @returns {Array<{id: number, price: number, size: number, side: string, timestamp: number}>|null}
+   */
+  getTrades(exchangeId, pair, count = 50) {
+    if (!this.mids[pair] || this.isDown(exchangeId)) return null;
+
+    return this.history.slice(-count).map(entry => {
+      const random = createRandom(entry.tick * 1000 + hashId(exchangeId));
+      return {
+        id: entry.tick,
+        price: roundPrice(entry.mids[pair] * (1 + getVenueOffset(exchangeId))),
+        size: Math.round((0.001 + random()) * 1000) / 1000,
+        side: random() < 0.5 ? 'buy' : 'sell',
+        timestamp: entry.time
+      };
+    });
+  }
+}
+
+module.exports = {
+  scenarios,
+  loadScenario,
+  MockMarket
+};
@@ -0,0 +1,45 @@
+const { getJapanTime, median } = require('./utils');
+
+// 気配値の仲値（気配値がない場合は最終価格）
+function getMid(quote) {
+  return Number.isFinite(quote.bid) && Number.isFinite(quote.ask) ? (quote.bid + quote.ask) / 2 : quote.price;
+}
+
+/**
+ * "Japan premium": how far the domestic price is above (or below) the
+ * global price, per pair. The domestic price is the median mid of the
+ * tradable domestic venues, the overseas price the median mid of the
+ * overseas venues converted to JPY. Reference indexes are not used.
+ * @param {Object[]} prices - Current quotes (stale ones should already be left out)
+ * @param {number} [now] - Epoch ms used for the timestamp (a replay clock when replaying)
+ * @returns {Object[]} { pair, premium (%), domesticPrice, overseasPrice, fxRate, domesticVenues,
+ *   overseasVenues, timestamp } for each pair quoted by both markets
+ */
+function calculateJapanPremium(prices, now = Date.now()) {
+  const pairs = [...new Set(prices.map(price => price.pair))];
+  const premiums = [];
+
+  pairs.forEach(pair => {
+    const quotes = prices.filter(price => price.pair === pair && !price.isReference);
+    const domestic = quotes.filter(price => !price.isOverseas);
+    const overseas = quotes.filter(price => price.isOverseas);
+    if (domestic.length === 0 || overseas.length === 0) return;
+
+    const domesticPrice = median(domestic.map(getMid));
+    const overseasPrice = median(overseas.map(getMid));
+    premiums.push({
+      pair,
+      premium: (domesticPrice - overseasPrice) / overseasPrice * 100,
+      domesticPrice,
+      overseasPrice,
+      fxRate: median(overseas.map(price => price.fxRate)),
+      domesticVenues: domestic.map(price => price.exchange),
+      overseasVenues: overseas.map(price => price.exchange),
+      timestamp: getJapanTime(new Date(now))
+    });
+  });
+
+  return premiums;
+}
+
+module.exports = { calculateJapanPremium };
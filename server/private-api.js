@@ -0,0 +1,336 @@
+const axios = require('axios');
+const { getJapanTime, parseSourceTime } = require('./utils');
+const { loadAdapters } = require('./adapters');
+const { loadCredentials } = require('./credentials');
+
+/**
+ * Authenticated (private) API client for the exchanges we hold accounts at.
+ *
+ * Sits next to ExchangeAPI and uses each adapter's `private` definition to
+ * sign requests (HMAC-SHA256 over a per-exchange nonce/timestamp, see the
+ * adapters): balances and open orders, and the limit orders placed by the
+ * execution engine (see execution.js). Exchanges without credentials are
+ * skipped; keys and signatures are never logged.
+ */
+
+// 取引所の表記ゆれ（'BUY' / 'buy'）をそろえる
+function normalizeSide(side) {
+  const value = String(side || '').toLowerCase();
+  return value === 'buy' || value === 'sell' ? value : null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// 応答のない失敗（タイムアウト・切断）と5xxでは、注文が取引所に届いたかどうか分からない
+function isUncertain(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+// 注文を探す範囲（送信時刻より前。取引所との時計のずれを見込む）
+const ORDER_LOOKUP_MARGIN = 60 * 1000;
+const EPSILON = 1e-9;
+
+class PrivateAPI {
+  /**
+   * @param {Object} [options] - Adapter selection options (see adapters/index.js loadAdapters)
+   * @param {Object[]} [options.adapters] - Use these adapters instead of the configured registry
+   * @param {Object} [options.credentials] - ApiCredential by exchange id (defaults to loadCredentials())
+   * @param {Object} [options.http] - HTTP client with axios' request(config)
+   * @param {Function} [options.now] - Clock returning epoch ms, used for nonces (always the real clock)
+   * @param {Function} [options.resolveUrl] - (adapter, url) => URL to request (e.g. ExchangeAPI#resolveUrl
+   *   for the local mock exchange)
+   * @param {string[]} [options.pairs] - Pairs whose open orders are queried (defaults to 'BTC/JPY')
+   */
+  constructor(options = {}) {
+    this.adapters = (options.adapters || loadAdapters(options)).filter(adapter => adapter.private);
+    this.credentials = options.credentials || loadCredentials();
+    this.http = options.http || axios;
+    this.now = options.now || (() => Date.now());
+    this.resolveUrl = options.resolveUrl || ((adapter, url) => url);
+    this.pairs = options.pairs || ['BTC/JPY'];
+    this.timeout = 5000;
+    this.nonces = {}; // 取引所ID -> 直近のnonce
+    this.queues = {}; // 取引所ID -> 送信中のリクエスト（完了を待って次を送る）
+  }
+
+  // 認証情報が設定されている取引所のアダプター
+  getConfiguredAdapters() {
+    return this.adapters.filter(adapter => this.credentials[adapter.id]);
+  }
+
+  isConfigured(exchangeId) {
+    return this.getConfiguredAdapters().some(adapter => adapter.id === exchangeId);
+  }
+
+  /**
+   * Next nonce for an exchange: the current time in ms, but always larger
+   * than the previous one so requests in the same millisecond are not rejected
+   * @param {string} exchangeId
+   * @returns {number}
+   */
+  nextNonce(exchangeId) {
+    const nonce = Math.max(this.now(), (this.nonces[exchangeId] || 0) + 1);
+    this.nonces[exchangeId] = nonce;
+    return nonce;
+  }
+
+  /**
+   * Send a signed request. Requests to the same exchange are sent one at a
+   * time: exchanges reject a nonce that is not larger than the last one they
+   * accepted, so two concurrent requests could arrive out of order
+   * @param {Object} adapter - Exchange adapter with a `private` definition
+   * @param {string} method - 'GET', 'POST' or 'DELETE'
+   * @param {string} path - Path (and query) relative to the adapter's private baseUrl
+   * @param {Object} [body] - JSON body for POST requests
+   * @returns {Promise<*>} Response body
+   */
+  request(adapter, method, path, body = null) {
+    const previous = this.queues[adapter.id] || Promise.resolve();
+    const current = previous.then(() => this.send(adapter, method, path, body));
+    this.queues[adapter.id] = current.catch(() => {});
+    return current;
+  }
+
+  async send(adapter, method, path, body) {
+    const credential = this.credentials[adapter.id];
+    const url = `${adapter.private.baseUrl}${path}`;
+    const payload = body ? JSON.stringify(body) : '';
+    const headers = adapter.private.sign({ method, path, url, body: payload, nonce: this.nextNonce(adapter.id) }, credential);
+    if (payload) headers['Content-Type'] = 'application/json';
+
+    const response = await this.http.request({
+      method,
+      url: this.resolveUrl(adapter, url),
+      headers,
+      data: payload || undefined,
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  /**
+   * Balances at one exchange
+   * @param {string} exchangeId
+   * @returns {Promise<Object|null>} { exchangeId, exchange, balances: [{ currency, total, available }], timestamp },
+   *   or null if the exchange has no credentials or the request failed
+   */
+  async getBalances(exchangeId) {
+    const adapter = this.getConfiguredAdapters().find(a => a.id === exchangeId);
+    if (!adapter) return null;
+
+    try {
+      const data = await this.request(adapter, 'GET', adapter.private.balancesPath);
+      const balances = adapter.private.parseBalances(data)
+        .map(balance => ({
+          currency: String(balance.currency).toUpperCase(),
+          total: toNumber(balance.total),
+          available: toNumber(balance.available)
+        }))
+        .filter(balance => balance.total !== null);
+      return {
+        exchangeId: adapter.id,
+        exchange: adapter.name,
+        balances,
+        timestamp: getJapanTime(new Date(this.now()))
+      };
+    } catch (error) {
+      console.error(`${adapter.name} Private API Error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Open (unfilled) orders at one exchange
+   * @param {string} exchangeId
+   * @param {string} [pair] - Trading pair (defaults to the first monitored pair)
+   * @returns {Promise<Object[]|null>} [{ exchangeId, exchange, pair, id, side, price, size, remaining, orderedAt (UTC) }],
+   *   or null if the exchange has no credentials, does not list the pair or the request failed
+   */
+  async getOpenOrders(exchangeId, pair = this.pairs[0]) {
+    const adapter = this.getConfiguredAdapters().find(a => a.id === exchangeId);
+    const symbol = adapter && adapter.symbols[pair];
+    if (!symbol) return null;
+
+    try {
+      const data = await this.request(adapter, 'GET', adapter.private.openOrdersPath(symbol));
+      return adapter.private.parseOpenOrders(data, symbol).map(order => {
+        const orderedAt = parseSourceTime(order.timestamp);
+        return {
+          exchangeId: adapter.id,
+          exchange: adapter.name,
+          pair,
+          id: String(order.id),
+          side: normalizeSide(order.side),
+          price: toNumber(order.price),
+          size: toNumber(order.size),
+          remaining: toNumber(order.remaining),
+          orderedAt: orderedAt === null ? null : new Date(orderedAt).toISOString()
+        };
+      });
+    } catch (error) {
+      console.error(`${adapter.name} Private API Error:`, error.message);
+      return null;
+    }
+  }
+
+  getTradingAdapter(exchangeId, pair) {
+    const adapter = this.getConfiguredAdapters().find(a => a.id === exchangeId);
+    return adapter && adapter.symbols[pair] ? adapter : null;
+  }
+
+  /**
+   * Place a limit order
+   * @param {string} exchangeId
+   * @param {Object} order - { pair, side ('buy' | 'sell'), size, price }
+   * @returns {Promise<Object>} { orderId, status, error }; status is 'accepted', 'rejected' (the exchange
+   *   answered with an error, or it cannot trade the pair) or 'unknown' (timeout, dropped connection or
+   *   5xx: the order may have reached the exchange, see findOrder)
+   */
+  async placeOrder(exchangeId, order) {
+    const adapter = this.getTradingAdapter(exchangeId, order.pair);
+    if (!adapter) return { orderId: null, status: 'rejected', error: `${exchangeId} cannot trade ${order.pair}` };
+
+    const { path, body } = adapter.private.orderRequest(adapter.symbols[order.pair], order);
+    let data;
+    try {
+      data = await this.request(adapter, 'POST', path, body);
+    } catch (error) {
+      console.error(`${adapter.name} Order Error:`, error.message);
+      return { orderId: null, status: isUncertain(error) ? 'unknown' : 'rejected', error: error.message };
+    }
+
+    // エラーを表す応答（HTTP 200）は取引所による拒否
+    try {
+      return { orderId: String(adapter.private.parseOrderId(data)), status: 'accepted', error: null };
+    } catch (error) {
+      console.error(`${adapter.name} Order Error:`, error.message);
+      return { orderId: null, status: 'rejected', error: error.message };
+    }
+  }
+
+  /**
+   * Recent fills of a pair at one exchange
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @returns {Promise<Object[]|null>} [{ orderId, side, price, size, executedAt (epoch ms) }], or null if the
+   *   request failed
+   */
+  async getFills(exchangeId, pair) {
+    const adapter = this.getTradingAdapter(exchangeId, pair);
+    if (!adapter) return null;
+
+    try {
+      const symbol = adapter.symbols[pair];
+      const data = await this.request(adapter, 'GET', adapter.private.fillsPath(symbol));
+      return adapter.private.parseFills(data, symbol).map(fill => ({
+        orderId: String(fill.orderId),
+        side: normalizeSide(fill.side),
+        price: toNumber(fill.price),
+        size: toNumber(fill.size),
+        executedAt: parseSourceTime(fill.timestamp)
+      }));
+    } catch (error) {
+      console.error(`${adapter.name} Fills Error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Look for an order whose placement had an unknown outcome: an open order, or
+   * fills of one order, with the same side and limit sent since `since`
+   * @param {string} exchangeId
+   * @param {Object} order - The order passed to placeOrder
+   * @param {number} since - Epoch ms the order was sent at
+   * @returns {Promise<string|null>} Order id, or null if none was found (yet) or the lookup failed
+   */
+  async findOrder(exchangeId, order, since) {
+    const after = (time) => time !== null && time >= since - ORDER_LOOKUP_MARGIN;
+    const openOrders = await this.getOpenOrders(exchangeId, order.pair);
+    const open = (openOrders || []).find(candidate =>
+      candidate.side === order.side &&
+      Math.abs(candidate.price - order.price) < EPSILON &&
+      candidate.size <= order.size + EPSILON &&
+      after(candidate.orderedAt === null ? null : Date.parse(candidate.orderedAt))
+    );
+    if (open) return open.id;
+
+    // IOC・FAK注文は約定するとすぐに一覧から消えるため約定履歴から探す（指値より不利な価格では約定しない）
+    const fills = await this.getFills(exchangeId, order.pair);
+    const fill = (fills || []).find(candidate =>
+      candidate.side === order.side &&
+      (order.side === 'buy' ? candidate.price <= order.price + EPSILON : candidate.price >= order.price - EPSILON) &&
+      after(candidate.executedAt)
+    );
+    return fill ? fill.orderId : null;
+  }
+
+  /**
+   * Fill state of an order
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @param {string} orderId
+   * @returns {Promise<Object|null>} { status ('open' | 'filled' | 'canceled'), filledSize, averagePrice }
+   *   (averagePrice is null for venues that do not report it), or null if the request failed
+   */
+  async getOrder(exchangeId, pair, orderId) {
+    const adapter = this.getTradingAdapter(exchangeId, pair);
+    if (!adapter) return null;
+
+    try {
+      const data = await this.request(adapter, 'GET', adapter.private.orderStatusPath(adapter.symbols[pair], orderId));
+      const order = adapter.private.parseOrderStatus(data);
+      return {
+        status: order.status,
+        filledSize: toNumber(order.filledSize) || 0,
+        averagePrice: toNumber(order.averagePrice)
+      };
+    } catch (error) {
+      console.error(`${adapter.name} Order Status Error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel the unfilled remainder of an order
+   * @param {string} exchangeId
+   * @param {string} pair
+   * @param {string} orderId
+   * @returns {Promise<boolean>} False if the request failed (the order may already be closed)
+   */
+  async cancelOrder(exchangeId, pair, orderId) {
+    const adapter = this.getTradingAdapter(exchangeId, pair);
+    if (!adapter) return false;
+
+    try {
+      const { method, path, body } = adapter.private.cancelRequest(adapter.symbols[pair], orderId);
+      await this.request(adapter, method, path, body);
+      return true;
+    } catch (error) {
+      console.error(`${adapter.name} Cancel Error:`, error.message);
+      return false;
+    }
+  }
+
+  // 認証情報のある全取引所の残高（取得できなかった取引所は除く）
+  async getAllBalances() {
+    const results = await Promise.all(this.getConfiguredAdapters().map(adapter => this.getBalances(adapter.id)));
+    return results.filter(Boolean);
+  }
+
+  // 認証情報のある全取引所・監視対象の全通貨ペアの未約定注文
+  async getAllOpenOrders() {
+    const requests = [];
+    this.getConfiguredAdapters().forEach(adapter => {
+      this.pairs.filter(pair => adapter.symbols[pair]).forEach(pair => {
+        requests.push(this.getOpenOrders(adapter.id, pair));
+      });
+    });
+    const results = await Promise.all(requests);
+    return results.filter(Boolean).flat();
+  }
+}
+
+module.exports = PrivateAPI;
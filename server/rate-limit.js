@@ -0,0 +1,165 @@
+/**
+ * Per-exchange request budgets (token buckets) shared by every call ExchangeAPI makes.
+ *
+ * Each exchange gets a bucket of `requests` tokens that refills continuously
+ * over `interval` ms, so bursts never exceed the venue's published limit and
+ * the long-run rate stays below it. Callers either take a token immediately
+ * (`tryAcquire`, skipping the request when the bucket is empty) or wait in a
+ * FIFO queue (`acquire`) as long as the expected wait stays within `maxWait`.
+ */
+
+const DEFAULT_LIMIT = { requests: 60, interval: 60 * 1000 };
+
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - { requests, interval } by exchange id
+   * @param {Object} [options.defaultLimit] - Limit for exchanges without their own
+   * @param {number} [options.maxWait] - Longest a queued request may wait in ms
+   *   (defaults to EXCHANGE_RATE_LIMIT_MAX_WAIT_MS or 2000)
+   * @param {Function} [options.now] - Clock returning epoch ms
+   */
+  constructor(options = {}) {
+    this.limits = { ...(options.limits || {}) };
+    this.defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+    this.maxWait = options.maxWait !== undefined
+      ? options.maxWait
+      : parseInt(process.env.EXCHANGE_RATE_LIMIT_MAX_WAIT_MS, 10) || 2000;
+    this.now = options.now || (() => Date.now());
+    this.buckets = {};
+  }
+
+  setLimit(exchangeId, limit) {
+    this.limits[exchangeId] = limit;
+    delete this.buckets[exchangeId];
+  }
+
+  getBucket(exchangeId) {
+    if (!this.buckets[exchangeId]) {
+      const limit = this.limits[exchangeId] || this.defaultLimit;
+      this.buckets[exchangeId] = {
+        requests: limit.requests,
+        interval: limit.interval,
+        tokens: limit.requests,
+        updatedAt: this.now(),
+        queue: [],
+        timer: null,
+        totalRequests: 0,
+        skipped: 0,
+        queued: 0,
+        lastThrottledAt: null
+      };
+    }
+    return this.buckets[exchangeId];
+  }
+
+  refill(bucket) {
+    const now = this.now();
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(bucket.requests, bucket.tokens + elapsed * bucket.requests / bucket.interval);
+    bucket.updatedAt = now;
+  }
+
+  // 次のトークンが補充されるまでの時間（ms）
+  getTokenDelay(bucket, needed = 1) {
+    return Math.max(0, (needed - bucket.tokens) * bucket.interval / bucket.requests);
+  }
+
+  /**
+   * Take a token if one is available now
+   * @param {string} exchangeId
+   * @returns {boolean} False when the budget is exhausted (the request should be skipped)
+   */
+  tryAcquire(exchangeId) {
+    const bucket = this.getBucket(exchangeId);
+    this.refill(bucket);
+
+    // 順番待ちのリクエストを追い越さない
+    if (bucket.queue.length === 0 && bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.totalRequests++;
+      return true;
+    }
+    bucket.skipped++;
+    bucket.lastThrottledAt = this.now();
+    return false;
+  }
+
+  /**
+   * Take a token, waiting in line if the budget is exhausted
+   * @param {string} exchangeId
+   * @param {number} [maxWait] - Give up when the expected wait is longer than this (ms)
+   * @returns {Promise<boolean>} False when the request had to be skipped
+   */
+  acquire(exchangeId, maxWait = this.maxWait) {
+    const bucket = this.getBucket(exchangeId);
+    this.refill(bucket);
+
+    if (bucket.queue.length === 0 && bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.totalRequests++;
+      return Promise.resolve(true);
+    }
+
+    const wait = this.getTokenDelay(bucket, bucket.queue.length + 1);
+    bucket.lastThrottledAt = this.now();
+    if (wait > maxWait) {
+      bucket.skipped++;
+      return Promise.resolve(false);
+    }
+
+    bucket.queued++;
+    return new Promise(resolve => {
+      bucket.queue.push(resolve);
+      this.scheduleQueue(bucket);
+    });
+  }
+
+  scheduleQueue(bucket) {
+    if (bucket.timer || bucket.queue.length === 0) return;
+
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      this.refill(bucket);
+      while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.totalRequests++;
+        bucket.queue.shift()(true);
+      }
+      this.scheduleQueue(bucket);
+    }, Math.ceil(this.getTokenDelay(bucket)));
+    // 待機中のリクエストだけでプロセスの終了を妨げない
+    if (bucket.timer.unref) bucket.timer.unref();
+  }
+
+  /**
+   * Remaining budget for one exchange
+   * @param {string} exchangeId
+   * @returns {Object} { limit, interval, remaining, waiting, totalRequests, skipped, queued, lastThrottledAt }
+   */
+  getStatus(exchangeId) {
+    const bucket = this.getBucket(exchangeId);
+    this.refill(bucket);
+    return {
+      limit: bucket.requests,
+      interval: bucket.interval,
+      remaining: Math.floor(bucket.tokens),
+      waiting: bucket.queue.length,
+      totalRequests: bucket.totalRequests,
+      skipped: bucket.skipped,
+      queued: bucket.queued,
+      lastThrottledAt: bucket.lastThrottledAt ? new Date(bucket.lastThrottledAt).toISOString() : null
+    };
+  }
+
+  // 待機中のリクエストをすべて打ち切る（終了時用）
+  stop() {
+    Object.values(this.buckets).forEach(bucket => {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+      bucket.queue.splice(0).forEach(resolve => resolve(false));
+    });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Record-and-replay of raw exchange HTTP responses.
+ *
+ * Recordings are JSON Lines files, one response per line:
+ *   { time, url, status, data }   or   { time, url, status, error }
+ * where `time` is the epoch ms at which the response arrived.
+ *
+ * ResponseRecorder wraps an HTTP client (axios by default) and appends every
+ * response to a new timestamped file. ResponseReplayer implements the same
+ * `get(url)` interface from such a file, following a replay clock that starts
+ * at the first recorded response and runs at `speed` times real time.
+ */
+class ResponseRecorder {
+  /**
+   * @param {string} directory - Directory for recording files (created if missing)
+   */
+  constructor(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.file = path.join(directory, `exchange-responses-${stamp}.jsonl`);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error(`Failed to write recording ${this.file}:`, error.message);
+    });
+  }
+
+  record(entry) {
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Wrap an HTTP client so that every response (or failure) is recorded
+   * @param {Object} [http] - Client with an axios-compatible get(url, config)
+   * @returns {Object} Client with the same get() signature
+   */
+  wrap(http = axios) {
+    return {
+      get: async (url, config) => {
+        try {
+          const response = await http.get(url, config);
+          this.record({ time: Date.now(), url, status: response.status, data: response.data });
+          return response;
+        } catch (error) {
+          this.record({
+            time: Date.now(),
+            url,
+            status: error.response ? error.response.status : null,
+            error: error.message
+          });
+          throw error;
+        }
+      }
+    };
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+class ResponseReplayer {
+  /**
+   * @param {string} file - Recording file written by ResponseRecorder
+   * @param {Object} [options]
+   * @param {number} [options.speed] - Replay speed multiplier (1 = real time)
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.speed = options.speed || 1;
+    this.entries = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .sort((a, b) => a.time - b.time);
+
+    if (this.entries.length === 0) {
+      throw new Error(`Recording ${file} contains no responses`);
+    }
+
+    this.startTime = this.entries[0].time;
+    this.endTime = this.entries[this.entries.length - 1].time;
+    this.startedAt = Date.now();
+  }
+
+  // 記録時刻に換算した現在時刻
+  now() {
+    return this.startTime + (Date.now() - this.startedAt) * this.speed;
+  }
+
+  isFinished() {
+    return this.now() > this.endTime;
+  }
+
+  /**
+   * Serve the latest response recorded for `url` up to the replay clock
+   * @param {string} url - Request URL
+   * @returns {Promise<{status: number, data: *}>} Recorded response
+   */
+  async get(url) {
+    const now = this.now();
+    let entry = null;
+    for (const candidate of this.entries) {
+      if (candidate.time > now) break;
+      if (candidate.url === url) entry = candidate;
+    }
+
+    if (!entry) {
+      throw new Error(`No recorded response for ${url}`);
+    }
+    if (entry.error) {
+      throw new Error(entry.error);
+    }
+    return { status: entry.status, data: entry.data };
+  }
+}
+
+module.exports = {
+  ResponseRecorder,
+  ResponseReplayer
+};
@@ -0,0 +1,114 @@
+/**
+ * Rolling statistics of the spread between two exchanges.
+ *
+ * Some routes carry a structural premium (one venue is persistently quoted
+ * above another), so a fixed percentage threshold flags the same normal gap
+ * over and over. The model replays the recent price_history: rows stored in
+ * the same fetch cycle (same created_at) form one snapshot, and every ordered
+ * pair of exchanges quoting the same pair in a snapshot yields one sample of
+ * the directional spread (buy at one venue's ask, sell at the other's bid),
+ * in % of the ask like an opportunity's percentageDifference. Mean and
+ * standard deviation are kept per route; getZScore tells how unusual the
+ * current spread is for that route.
+ */
+class SpreadModel {
+  /**
+   * @param {Database} database - Source of price_history
+   * @param {Object} [options]
+   * @param {number} [options.hours] - Window of history used (defaults to SPREAD_MODEL_HOURS or 24)
+   * @param {number} [options.minSamples] - Routes with fewer samples get no z-score (default 30)
+   */
+  constructor(database, options = {}) {
+    this.db = database;
+    this.hours = options.hours || parseInt(process.env.SPREAD_MODEL_HOURS, 10) || 24;
+    this.minSamples = options.minSamples || 30;
+    this.stats = new Map(); // 経路キー -> { pair, exchangeFrom, exchangeTo, samples, mean, std }
+    this.updatedAt = null;
+  }
+
+  getRouteKey(pair, exchangeFrom, exchangeTo) {
+    return `${pair}:${exchangeFrom}->${exchangeTo}`;
+  }
+
+  /**
+   * Rebuild the statistics from price_history rows
+   * @param {Object[]} rows - Rows from Database#getPriceHistory (oldest first)
+   */
+  fit(rows) {
+    const snapshots = new Map();
+    rows.forEach(row => {
+      if (row.is_reference) return;
+      const ask = row.ask || row.price;
+      const bid = row.bid || row.price;
+      if (!(ask > 0) || !(bid > 0)) return;
+      if (!snapshots.has(row.created_at)) snapshots.set(row.created_at, []);
+      snapshots.get(row.created_at).push({ exchange: row.exchange, pair: row.pair || 'BTC/JPY', bid, ask });
+    });
+
+    // Welford法で平均と分散を逐次計算
+    const accumulators = new Map();
+    snapshots.forEach(quotes => {
+      quotes.forEach(from => quotes.forEach(to => {
+        if (from.exchange === to.exchange || from.pair !== to.pair) return;
+        const spread = (to.bid - from.ask) / from.ask * 100;
+        const key = this.getRouteKey(from.pair, from.exchange, to.exchange);
+        let acc = accumulators.get(key);
+        if (!acc) {
+          acc = { pair: from.pair, exchangeFrom: from.exchange, exchangeTo: to.exchange, samples: 0, mean: 0, m2: 0 };
+          accumulators.set(key, acc);
+        }
+        acc.samples++;
+        const delta = spread - acc.mean;
+        acc.mean += delta / acc.samples;
+        acc.m2 += delta * (spread - acc.mean);
+      }));
+    });
+
+    this.stats = new Map();
+    accumulators.forEach((acc, key) => {
+      this.stats.set(key, {
+        pair: acc.pair,
+        exchangeFrom: acc.exchangeFrom,
+        exchangeTo: acc.exchangeTo,
+        samples: acc.samples,
+        mean: acc.mean,
+        std: acc.samples > 1 ? Math.sqrt(acc.m2 / (acc.samples - 1)) : 0
+      });
+    });
+    this.updatedAt = Date.now();
+  }
+
+  // price_history から統計を作り直す（失敗時は直前の統計を使い続ける）
+  async refresh() {
+    try {
+      this.fit(await this.db.getPriceHistory(this.hours));
+    } catch (error) {
+      console.error('Error refreshing spread model:', error.message);
+    }
+  }
+
+  getStats(pair, exchangeFrom, exchangeTo) {
+    return this.stats.get(this.getRouteKey(pair, exchangeFrom, exchangeTo)) || null;
+  }
+
+  /**
+   * @param {string} pair
+   * @param {string} exchangeFrom - Buy venue (display name)
+   * @param {string} exchangeTo - Sell venue (display name)
+   * @param {number} spread - Current spread in %
+   * @returns {number|null} Standard deviations above the route's mean, or null while the route has
+   *   fewer than minSamples samples or no variation
+   */
+  getZScore(pair, exchangeFrom, exchangeTo, spread) {
+    const stats = this.getStats(pair, exchangeFrom, exchangeTo);
+    if (!stats || stats.samples < this.minSamples || !(stats.std > 0)) return null;
+    return (spread - stats.mean) / stats.std;
+  }
+
+  // 経路ごとの統計（pair を指定した場合はその通貨ペアのみ）
+  getAllStats(pair = null) {
+    return [...this.stats.values()].filter(stats => !pair || stats.pair === pair);
+  }
+}
+
+module.exports = SpreadModel;
@@ -0,0 +1,226 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+/**
+ * Real-time quote ingestion over each exchange's public WebSocket feed.
+ *
+ * Adapters that define a `stream` are connected on start() and subscribed to
+ * every monitored pair they support. Every quote change is emitted as a
+ * 'quote' event with the same shape as ExchangeAPI.getAllPrices() entries.
+ * While a stream is down the exchange is reported as not streaming so the
+ * caller can fall back to REST polling; reconnection is retried with
+ * exponential backoff.
+ *
+ * Events:
+ *   'quote'      (quote, exchangeId)
+ *   'connect'    (exchangeId)
+ *   'disconnect' (exchangeId)
+ */
+class StreamManager extends EventEmitter {
+  /**
+   * @param {ExchangeAPI} exchangeAPI - Source of adapters and order book snapshots
+   * @param {Object} [options]
+   * @param {Object} [options.urls] - Stream URL overrides by exchange id (e.g. a local stand-in)
+   * @param {Function} [options.WebSocket] - WebSocket implementation
+   * @param {number} [options.reconnectDelay] - Initial reconnect delay in ms
+   * @param {number} [options.maxReconnectDelay] - Upper bound for the reconnect delay in ms
+   * @param {number} [options.idleTimeout] - Drop a stream that has been silent this long (ms)
+   */
+  constructor(exchangeAPI, options = {}) {
+    super();
+    this.exchangeAPI = exchangeAPI;
+    this.urls = options.urls || {};
+    this.WebSocket = options.WebSocket || WebSocket;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.streams = {};
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+    this.exchangeAPI.adapters
+      .filter(adapter => adapter.stream)
+      .forEach(adapter => this.connect(adapter));
+  }
+
+  stop() {
+    this.running = false;
+    Object.values(this.streams).forEach(state => {
+      clearTimeout(state.reconnectTimer);
+      clearTimeout(state.idleTimer);
+      if (state.ws) state.ws.terminate();
+    });
+    this.streams = {};
+  }
+
+  // pair を省略した場合はいずれかの通貨ペアを受信中かどうか
+  isStreaming(exchangeId, pair) {
+    const state = this.streams[exchangeId];
+    if (!state || !state.connected) return false;
+    return pair ? Boolean(state.quotes[pair]) : Object.keys(state.quotes).length > 0;
+  }
+
+  // ストリームから有効な価格を受信中の取引所と通貨ペアの組み合わせ
+  getStreamingExchanges() {
+    const entries = [];
+    Object.keys(this.streams).forEach(exchangeId => {
+      if (!this.streams[exchangeId].connected) return;
+      Object.keys(this.streams[exchangeId].quotes).forEach(pair => entries.push({ exchangeId, pair }));
+    });
+    return entries;
+  }
+
+  getLatestQuote(exchangeId, pair = this.exchangeAPI.defaultPair) {
+    const state = this.streams[exchangeId];
+    return state && state.quotes[pair] ? state.quotes[pair] : null;
+  }
+
+  connect(adapter) {
+    const state = this.streams[adapter.id] || {
+      attempts: 0,
+      connected: false,
+      quotes: {},
+      books: {}
+    };
+    this.streams[adapter.id] = state;
+
+    const url = this.urls[adapter.id] || this.exchangeAPI.resolveUrl(adapter, adapter.stream.url);
+    // 取引所シンボル -> 通貨ペア
+    const pairsBySymbol = {};
+    this.exchangeAPI.getSupportedPairs(adapter).forEach(pair => {
+      pairsBySymbol[adapter.symbols[pair]] = pair;
+    });
+    const symbols = Object.keys(pairsBySymbol);
+    const ws = new this.WebSocket(url);
+    state.ws = ws;
+
+    const send = (message) => {
+      if (ws.readyState === this.WebSocket.OPEN) {
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+      }
+    };
+
+    ws.on('open', async () => {
+      state.connected = true;
+      state.attempts = 0;
+      this.resetIdleTimer(state);
+      console.log(`${adapter.name} stream connected`);
+      this.emit('connect', adapter.id);
+
+      if (adapter.stream.seedOrderBook) {
+        await Promise.all(Object.values(pairsBySymbol).map(pair => this.seedOrderBook(adapter, state, pair)));
+      }
+      adapter.stream.subscribe(symbols).forEach(send);
+    });
+
+    ws.on('message', (data) => {
+      this.resetIdleTimer(state);
+      try {
+        const text = data.toString();
+        const message = adapter.stream.format === 'text' ? text : JSON.parse(text);
+        const update = adapter.stream.parseMessage(message, symbols, send);
+        if (update && pairsBySymbol[update.symbol]) {
+          this.applyUpdate(adapter, state, pairsBySymbol[update.symbol], update);
+        }
+      } catch (error) {
+        console.error(`${adapter.name} stream message error:`, error.message);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error(`${adapter.name} stream error:`, error.message);
+    });
+
+    ws.on('close', () => {
+      const wasConnected = state.connected;
+      state.connected = false;
+      state.quotes = {};
+      state.books = {};
+      clearTimeout(state.idleTimer);
+
+      if (wasConnected) {
+        console.log(`${adapter.name} stream disconnected, falling back to REST polling`);
+        this.emit('disconnect', adapter.id);
+      }
+      this.scheduleReconnect(adapter, state);
+    });
+  }
+
+  scheduleReconnect(adapter, state) {
+    if (!this.running) return;
+
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, state.attempts), this.maxReconnectDelay);
+    state.attempts++;
+    state.reconnectTimer = setTimeout(() => {
+      if (this.running) this.connect(adapter);
+    }, delay);
+  }
+
+  // 一定時間メッセージがない接続は切断扱いにする
+  resetIdleTimer(state) {
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => {
+      if (state.ws) state.ws.terminate();
+    }, this.idleTimeout);
+  }
+
+  async seedOrderBook(adapter, state, pair) {
+    const snapshot = await this.exchangeAPI.getOrderBook(adapter.id, pair);
+    if (!snapshot) return; // 初期板が取れない間はRESTポーリングに任せる
+
+    const book = { bids: new Map(), asks: new Map() };
+    snapshot.bids.forEach(level => book.bids.set(level.price, level.size));
+    snapshot.asks.forEach(level => book.asks.set(level.price, level.size));
+    state.books[pair] = book;
+  }
+
+  /**
+   * Apply a parsed stream update: either a ticker ({ price, bid, ask }) or
+   * order book diffs ({ bids, asks } as [price, size] with size 0 = removed).
+   */
+  applyUpdate(adapter, state, pair, update) {
+    let ticker = update;
+
+    if (update.bids || update.asks) {
+      const book = state.books[pair];
+      if (!book) return; // 初期化前の差分は破棄
+      applyLevels(book.bids, update.bids);
+      applyLevels(book.asks, update.asks);
+
+      const bid = Math.max(...book.bids.keys());
+      const ask = Math.min(...book.asks.keys());
+      if (!Number.isFinite(bid) || !Number.isFinite(ask)) return;
+      // 板のみの配信では約定価格がないため仲値を価格とする
+      ticker = { price: (bid + ask) / 2, bid, ask };
+    }
+
+    // メンテナンス中の配信は止まった価格のため使わない（価格は古くなり比較対象から外れる）
+    if (this.exchangeAPI.maintenance.isUnderMaintenance(adapter.id)) return;
+
+    const quote = this.exchangeAPI.buildQuote(adapter, pair, ticker);
+    if (!this.exchangeAPI.validator.validate(quote)) return;
+
+    const previous = state.quotes[pair];
+    state.quotes[pair] = quote;
+    // 価格が変わらない更新は通知しないが、鮮度判定のため時刻だけは最新にする
+    if (previous && previous.price === quote.price && previous.bid === quote.bid && previous.ask === quote.ask) {
+      return;
+    }
+
+    this.emit('quote', quote, adapter.id);
+  }
+}
+
+function applyLevels(side, levels) {
+  (levels || []).forEach(([price, size]) => {
+    const p = parseFloat(price);
+    const s = parseFloat(size);
+    if (!Number.isFinite(p)) return;
+    if (!Number.isFinite(s) || s <= 0) side.delete(p);
+    else side.set(p, s);
+  });
+}
+
+module.exports = StreamManager;
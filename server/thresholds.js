@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { getJapanTime } = require('./utils');
+
+/**
+ * Detection thresholds per route.
+ *
+ * A route is one direction between two exchanges (buy on exchangeFrom, sell
+ * on exchangeTo), optionally limited to one pair. A threshold is either the
+ * gross spread in % (unit 'percent') or the net profit in JPY after fees at
+ * the trade size (unit 'jpy'). Rules come from the JSON file referenced by
+ * ARBITRAGE_THRESHOLDS_FILE:
+ *   { "default": { "unit": "percent", "value": 0.1 },
+ *     "routes": [{ "exchangeFrom": "bitflyer", "exchangeTo": "coincheck", "pair": "BTC/JPY", "unit": "jpy", "value": 3000 }] }
+ * Without a default, ARBITRAGE_THRESHOLD (%, default 0.1) is used. A rule
+ * with a pair takes precedence over one without. Triangular opportunities are
+ * routes from their exchange to itself, with the cycle (JPY→BTC→ETH→JPY) as pair.
+ * set() replaces the rules at runtime; the detector reads them on every tick.
+ */
+
+const UNITS = ['percent', 'jpy'];
+
+function normalizeThreshold(threshold) {
+  if (!threshold || !UNITS.includes(threshold.unit)) return null;
+  const value = Number(threshold.value);
+  if (typeof threshold.value === 'boolean' || !Number.isFinite(value) || value < 0) return null;
+  return { unit: threshold.unit, value };
+}
+
+/**
+ * Validate a configured route threshold
+ * @param {Object} route - Route definition (see module comment)
+ * @returns {Object|null} { exchangeFrom, exchangeTo, pair, unit, value }; null if invalid
+ */
+function normalizeRoute(route) {
+  const threshold = normalizeThreshold(route);
+  if (!threshold || !route.exchangeFrom || !route.exchangeTo) return null;
+  return {
+    exchangeFrom: String(route.exchangeFrom),
+    exchangeTo: String(route.exchangeTo),
+    pair: route.pair ? String(route.pair).toUpperCase() : null,
+    ...threshold
+  };
+}
+
+/**
+ * Check a whole configuration before applying it (e.g. from the admin API)
+ * @param {Object} config - { default, routes }
+ * @returns {string|null} Description of the first problem, or null if valid
+ */
+function validateThresholdConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'Thresholds must be an object';
+  if (config.default !== undefined && !normalizeThreshold(config.default)) {
+    return `Invalid default threshold. unit must be one of: ${UNITS.join(', ')} and value a non-negative number`;
+  }
+  if (config.routes !== undefined && !Array.isArray(config.routes)) return 'routes must be an array';
+  const invalid = (config.routes || []).findIndex(route => !route || !normalizeRoute(route));
+  if (invalid !== -1) {
+    return `Invalid route threshold at index ${invalid}. exchangeFrom, exchangeTo, unit (${UNITS.join(', ')}) ` +
+      'and a non-negative value are required';
+  }
+  return null;
+}
+
+/**
+ * Read thresholds from a JSON file
+ * @param {string} [configPath] - Path to the JSON file (defaults to ARBITRAGE_THRESHOLDS_FILE)
+ * @returns {Object} { default, routes }; empty if the file is not set or unreadable
+ */
+function readThresholdConfig(configPath = process.env.ARBITRAGE_THRESHOLDS_FILE) {
+  if (!configPath) return {};
+
+  const resolved = path.resolve(configPath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read arbitrage thresholds ${resolved}:`, error.message);
+    return {};
+  }
+}
+
+class ThresholdConfig {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.adapters] - Lets rules and lookups use display names as well as exchange ids
+   * @param {Object} [options.config] - { default, routes } to use instead of the ARBITRAGE_THRESHOLDS_FILE file
+   */
+  constructor(options = {}) {
+    this.ids = {}; // 表示名 -> 取引所ID
+    (options.adapters || []).forEach(adapter => {
+      this.ids[adapter.name] = adapter.id;
+    });
+    this.updatedAt = null;
+    this.apply(options.config || readThresholdConfig());
+  }
+
+  getExchangeId(exchange) {
+    return this.ids[exchange] || exchange;
+  }
+
+  // 不正なルールは警告して無視する（設定ファイル用。管理APIは validateThresholdConfig で事前に検証）
+  apply(config) {
+    const percent = parseFloat(process.env.ARBITRAGE_THRESHOLD);
+    this.defaultThreshold = normalizeThreshold(config.default) ||
+      { unit: 'percent', value: Number.isFinite(percent) && percent >= 0 ? percent : 0.1 };
+    if (config.default !== undefined && !normalizeThreshold(config.default)) {
+      console.warn(`Ignoring invalid default threshold ${JSON.stringify(config.default)}`);
+    }
+
+    this.routes = (Array.isArray(config.routes) ? config.routes : []).map(route => {
+      const normalized = route && normalizeRoute(route);
+      if (!normalized) console.warn(`Ignoring invalid route threshold ${JSON.stringify(route)}`);
+      return normalized;
+    }).filter(Boolean).map(route => ({
+      ...route,
+      exchangeFrom: this.getExchangeId(route.exchangeFrom),
+      exchangeTo: this.getExchangeId(route.exchangeTo)
+    }));
+  }
+
+  /**
+   * Replace every rule (takes effect on the next detection)
+   * @param {Object} config - { default, routes }, checked with validateThresholdConfig
+   * @returns {Object} The active thresholds (see toJSON)
+   */
+  set(config) {
+    this.apply(config);
+    this.updatedAt = Date.now();
+    return this.toJSON();
+  }
+
+  /**
+   * @param {string} pair - Pair, or the cycle of a triangular opportunity
+   * @param {string} exchangeFrom - Buy venue (id or display name)
+   * @param {string} exchangeTo - Sell venue (id or display name)
+   * @returns {{unit: string, value: number}} The route's threshold, or the default
+   */
+  getThreshold(pair, exchangeFrom, exchangeTo) {
+    const from = this.getExchangeId(exchangeFrom);
+    const to = this.getExchangeId(exchangeTo);
+    const matches = this.routes.filter(route =>
+      route.exchangeFrom === from && route.exchangeTo === to && (!route.pair || route.pair === pair)
+    );
+    const route = matches.find(match => match.pair) || matches[0];
+    return route ? { unit: route.unit, value: route.value } : this.defaultThreshold;
+  }
+
+  /**
+   * @param {number} percentageDiff - Gross spread in %
+   * @param {number} netProfit - Net profit in JPY after fees at the trade size
+   * @returns {boolean} Whether the route's threshold is reached
+   */
+  isMet(pair, exchangeFrom, exchangeTo, percentageDiff, netProfit) {
+    const threshold = this.getThreshold(pair, exchangeFrom, exchangeTo);
+    return threshold.unit === 'jpy' ? netProfit >= threshold.value : percentageDiff >= threshold.value;
+  }
+
+  toJSON() {
+    return {
+      default: this.defaultThreshold,
+      routes: this.routes,
+      updatedAt: this.updatedAt ? getJapanTime(new Date(this.updatedAt)) : null
+    };
+  }
+}
+
+module.exports = {
+  ThresholdConfig,
+  validateThresholdConfig,
+  readThresholdConfig
+};
@@ -0,0 +1,102 @@
+/**
+ * Rolling per-exchange trade volume and VWAP.
+ *
+ * Public trade feeds return the latest N executions on every request, so the
+ * same trade is seen many times; trades are identified by exchange, pair and
+ * trade id and counted once. Only trades executed within `window` ms are
+ * kept. Volume shows whether a venue's price is backed by actual trading
+ * (a thin venue can quote a spread nobody trades at).
+ */
+class TradeTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.window] - Rolling window in ms (defaults to TRADE_WINDOW_MS or 15 minutes)
+   * @param {Function} [options.now] - Clock returning epoch ms (a replay clock when replaying)
+   */
+  constructor(options = {}) {
+    this.window = options.window || parseInt(process.env.TRADE_WINDOW_MS, 10) || 15 * 60 * 1000;
+    this.now = options.now || (() => Date.now());
+    this.trades = new Map(); // `${exchange}:${pair}` -> trades in the window (oldest first)
+    this.seen = new Set();
+  }
+
+  getKey(trade) {
+    return `${trade.exchange}:${trade.pair}:${trade.tradeId}`;
+  }
+
+  /**
+   * Add fetched trades, ignoring ones already counted or outside the window
+   * @param {Object[]} trades - Normalized trades from ExchangeAPI
+   * @returns {Object[]} Trades that were new
+   */
+  add(trades) {
+    const cutoff = this.now() - this.window;
+    const added = trades.filter(trade => {
+      const key = this.getKey(trade);
+      if (this.seen.has(key) || Date.parse(trade.executedAt) < cutoff) return false;
+
+      this.seen.add(key);
+      const venueKey = `${trade.exchange}:${trade.pair}`;
+      if (!this.trades.has(venueKey)) this.trades.set(venueKey, []);
+      this.trades.get(venueKey).push(trade);
+      return true;
+    });
+
+    this.trades.forEach(list => list.sort((a, b) => a.executedAt.localeCompare(b.executedAt)));
+    this.prune();
+    return added;
+  }
+
+  // ウィンドウ外の約定を破棄（IDの記録も合わせて削除）
+  prune() {
+    const cutoff = this.now() - this.window;
+    this.trades.forEach((list, venueKey) => {
+      while (list.length > 0 && Date.parse(list[0].executedAt) < cutoff) {
+        this.seen.delete(this.getKey(list.shift()));
+      }
+      if (list.length === 0) this.trades.delete(venueKey);
+    });
+  }
+
+  /**
+   * Rolling volume and VWAP per exchange
+   * @param {string} [pair] - Only this pair
+   * @returns {Object[]} { exchange, pair, volume, buyVolume, sellVolume, tradeCount, vwap, lastPrice, lastTradeAt, windowMs }
+   */
+  getStats(pair = null) {
+    this.prune();
+    const stats = [];
+    this.trades.forEach(list => {
+      if (pair && list[0].pair !== pair) return;
+
+      const volume = list.reduce((sum, trade) => sum + trade.size, 0);
+      const notional = list.reduce((sum, trade) => sum + trade.price * trade.size, 0);
+      const last = list[list.length - 1];
+      stats.push({
+        exchange: last.exchange,
+        pair: last.pair,
+        volume,
+        buyVolume: list.filter(trade => trade.side === 'buy').reduce((sum, trade) => sum + trade.size, 0),
+        sellVolume: list.filter(trade => trade.side === 'sell').reduce((sum, trade) => sum + trade.size, 0),
+        tradeCount: list.length,
+        vwap: volume > 0 ? notional / volume : null,
+        lastPrice: last.price,
+        lastTradeAt: last.executedAt,
+        windowMs: this.window
+      });
+    });
+    return stats;
+  }
+
+  /**
+   * Rolling stats for one exchange and pair
+   * @param {string} exchange - Exchange display name
+   * @param {string} pair
+   * @returns {Object|null} Stats, or null if the venue had no trades in the window
+   */
+  getVenueStats(exchange, pair) {
+    return this.getStats(pair).find(stat => stat.exchange === exchange) || null;
+  }
+}
+
+module.exports = TradeTracker;
@@ -2,12 +2,15 @@
  * Shared utility functions for the Bitcoin arbitrage application
  */
 
+const crypto = require('crypto');
+
 /**
  * Get current time in Japan timezone formatted as ISO string
+ * @param {Date} [date] - Time to format (defaults to now)
  * @returns {string} Formatted timestamp in Japan timezone
  */
-function getJapanTime() {
-  return new Date().toLocaleString('ja-JP', {
+function getJapanTime(date = new Date()) {
+  return date.toLocaleString('ja-JP', {
     timeZone: 'Asia/Tokyo',
     year: 'numeric',
     month: '2-digit',
@@ -77,10 +80,147 @@ function calculatePercentageDifference(value1, value2) {
   return Math.abs((value1 - value2) / ((value1 + value2) / 2)) * 100;
 }
 
+/**
+ * Parse a list of trading pairs such as 'BTC/JPY,ETH/JPY'
+ * @param {string|string[]} value - Comma-separated list or array of pairs
+ * @param {string[]} defaultPairs - Pairs used when the list is empty
+ * @returns {string[]} Upper-case pairs without duplicates
+ */
+function parseTradingPairs(value, defaultPairs = ['BTC/JPY']) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const pairs = list
+    .map(pair => String(pair).trim().toUpperCase())
+    .filter(pair => /^[A-Z0-9]+\/[A-Z0-9]+$/.test(pair));
+  return pairs.length > 0 ? [...new Set(pairs)] : defaultPairs;
+}
+
+/**
+ * Get the base asset of a trading pair in lower case
+ * @param {string} pair - Trading pair (e.g. 'ETH/JPY')
+ * @returns {string} Base asset (e.g. 'eth')
+ */
+function getBaseAsset(pair) {
+  return String(pair).split('/')[0].toLowerCase();
+}
+
+/**
+ * Get the quote asset of a trading pair in lower case
+ * @param {string} pair - Trading pair (e.g. 'ETH/BTC')
+ * @returns {string} Quote asset (e.g. 'btc')
+ */
+function getQuoteAsset(pair) {
+  return String(pair).split('/')[1].toLowerCase();
+}
+
+/**
+ * Parse limit overrides such as "bitflyer=500/300,gmo=20/1"
+ * (<exchange id>=<requests>/<seconds>)
+ * @param {string} value - Comma-separated overrides
+ * @returns {Object} Limits by exchange id ({ requests, interval } with interval in ms)
+ */
+function parseRateLimits(value) {
+  const limits = {};
+  if (!value) return limits;
+
+  String(value).split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([\w-]+)=(\d+)\/(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      console.warn(`Ignoring invalid rate limit "${entry}" (expected <exchange>=<requests>/<seconds>)`);
+      return;
+    }
+    limits[match[1]] = { requests: parseInt(match[2], 10), interval: parseFloat(match[3]) * 1000 };
+  });
+  return limits;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Non-empty list of numbers
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ * @param {number} x
+ * @returns {number} P(Z <= x)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Convert a venue-provided quote time into epoch milliseconds.
+ * Numbers below 1e12 are treated as UNIX seconds; ISO strings without a
+ * timezone designator are read as UTC, which is what the venues report.
+ * @param {string|number} value - Raw timestamp from the exchange
+ * @returns {number|null} Epoch milliseconds, or null if missing/unparseable
+ */
+function parseSourceTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const text = String(value);
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const time = Date.parse(hasZone ? text : `${text}Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * HMAC-SHA256 signature used by the exchanges' private APIs
+ * @param {string} secret - API secret
+ * @param {string} text - Text to sign
+ * @returns {string} Hex digest
+ */
+function hmacSha256(secret, text) {
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+/**
+ * Express middleware accepting only requests with `Authorization: Bearer <token>`
+ * @param {string} [token] - Expected token; without one every request is refused
+ * @returns {Function} Middleware responding 403 when no token is configured and 401 on a wrong token
+ */
+function requireBearerToken(token) {
+  // 長さの違いで比較時間が変わらないようハッシュ同士を比較
+  const digest = (text) => crypto.createHash('sha256').update(String(text)).digest();
+  const expected = token ? digest(token) : null;
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(403).json({ error: 'This endpoint is disabled. Set ADMIN_API_TOKEN to enable it.' });
+    }
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !crypto.timingSafeEqual(digest(match[1]), expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
 module.exports = {
   getJapanTime,
   validateNumericParam,
   sleep,
   formatJPY,
-  calculatePercentageDifference
+  calculatePercentageDifference,
+  parseTradingPairs,
+  getBaseAsset,
+  getQuoteAsset,
+  parseRateLimits,
+  median,
+  normalCdf,
+  parseSourceTime,
+  hmacSha256,
+  requireBearerToken
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { getJapanTime, median } = require('./utils');
+
+/**
+ * Quote sanity checks applied before prices reach detection or the database.
+ *
+ * Single quotes are rejected when a field is missing or not numeric
+ * ('malformed') or when bid > ask ('crossed'). Across venues, a quote whose
+ * price deviates from the median of the other venues for the same pair by
+ * more than `maxDeviation` percent is rejected as an 'outlier'. Overseas
+ * venues are only compared with each other, since the Japan premium is a
+ * real price difference rather than a bad quote. Rejected
+ * quotes are counted per exchange and the most recent ones are kept for
+ * inspection.
+ */
+class QuoteValidator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDeviation] - Allowed deviation from the cross-venue median in percent
+   *   (defaults to QUOTE_MAX_DEVIATION_PERCENT or 5)
+   * @param {number} [options.minVenues] - Other venues required before the median is trusted
+   * @param {number} [options.historySize] - Number of rejected quotes kept for inspection
+   */
+  constructor(options = {}) {
+    this.maxDeviation = options.maxDeviation || parseFloat(process.env.QUOTE_MAX_DEVIATION_PERCENT) || 5;
+    this.minVenues = options.minVenues || 2;
+    this.historySize = options.historySize || 50;
+    this.exchanges = {};
+    this.rejected = [];
+  }
+
+  getState(exchange) {
+    if (!this.exchanges[exchange]) {
+      this.exchanges[exchange] = {
+        total: 0,
+        malformed: 0,
+        crossed: 0,
+        outlier: 0,
+        lastReason: null,
+        lastDetail: null,
+        lastRejectedAt: null
+      };
+    }
+    return this.exchanges[exchange];
+  }
+
+  /**
+   * Reason a single quote cannot be used, independent of other venues
+   * @param {Object} quote - Normalized quote
+   * @returns {{reason: string, detail: string}|null} Rejection or null if the quote is usable
+   */
+  getInvalidReason(quote) {
+    if (!Number.isFinite(quote.price) || quote.price <= 0) {
+      return { reason: 'malformed', detail: `price=${quote.price}` };
+    }
+    // 参考指数は気配値を持たないため価格のみ検証
+    if (quote.isReference && quote.bid === null && quote.ask === null) return null;
+
+    if (!Number.isFinite(quote.bid) || !Number.isFinite(quote.ask) || quote.bid <= 0 || quote.ask <= 0) {
+      return { reason: 'malformed', detail: `bid=${quote.bid} ask=${quote.ask}` };
+    }
+    if (quote.bid > quote.ask) {
+      return { reason: 'crossed', detail: `bid ${quote.bid} > ask ${quote.ask}` };
+    }
+    return null;
+  }
+
+  /**
+   * Validate a single quote and record it if rejected
+   * @param {Object} quote - Normalized quote
+   * @returns {boolean} Whether the quote may be used
+   */
+  validate(quote) {
+    const invalid = this.getInvalidReason(quote);
+    if (invalid) {
+      this.recordRejection(quote, invalid.reason, invalid.detail);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Drop quotes that deviate too far from the median of the other venues quoting the same pair
+   * in the same market (domestic or overseas)
+   * @param {Object[]} prices - Quotes that already passed validate()
+   * @returns {Object[]} Quotes without outliers, in the original order
+   */
+  rejectOutliers(prices) {
+    return prices.filter(quote => !this.isOutlier(quote, prices));
+  }
+
+  /**
+   * Check one quote against the median of the other venues and record it if rejected
+   * (e.g. a streamed quote against the quotes already accepted)
+   * @param {Object} quote - Quote that already passed validate()
+   * @param {Object[]} prices - Quotes to compare with; the quote's own exchange is ignored
+   * @returns {boolean} Whether the quote is an outlier
+   */
+  isOutlier(quote, prices) {
+    const others = prices
+      .filter(other => other !== quote && other.pair === quote.pair && other.exchange !== quote.exchange)
+      .filter(other => Boolean(other.isOverseas) === Boolean(quote.isOverseas))
+      .map(other => other.price);
+    if (others.length < this.minVenues) return false;
+
+    const reference = median(others);
+    const deviation = Math.abs(quote.price - reference) / reference * 100;
+    if (deviation <= this.maxDeviation) return false;
+
+    this.recordRejection(quote, 'outlier', `${deviation.toFixed(2)}% from median ${reference}`);
+    return true;
+  }
+
+  recordRejection(quote, reason, detail) {
+    const state = this.getState(quote.exchange);
+    state.total++;
+    state[reason]++;
+    state.lastReason = reason;
+    state.lastDetail = detail;
+    state.lastRejectedAt = getJapanTime();
+
+    this.rejected.push({ quote, reason, detail, rejectedAt: state.lastRejectedAt });
+    if (this.rejected.length > this.historySize) {
+      this.rejected.shift();
+    }
+    console.warn(`Rejected ${reason} quote from ${quote.exchange} ${quote.pair || ''}: ${detail}`);
+  }
+
+  /**
+   * Rejected-quote counts for one exchange
+   * @param {string} exchange - Exchange display name
+   * @returns {Object} { total, malformed, crossed, outlier, lastReason, lastDetail, lastRejectedAt }
+   */
+  getStatus(exchange) {
+    return { ...this.getState(exchange) };
+  }
+
+  // 直近で除外した価格（新しい順）
+  getRecentRejections(limit = this.historySize) {
+    return this.rejected.slice(-limit).reverse();
+  }
+}
+
+module.exports = QuoteValidator;
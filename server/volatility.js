@@ -0,0 +1,94 @@
+const { parseSourceTime } = require('./utils');
+
+/**
+ * Realized volatility of each pair, from the recent price_history.
+ *
+ * In the transfer model the asset is on-chain between the buy and the sell,
+ * so the sell price can move for the whole transfer. Consecutive prices of
+ * each exchange give log returns; their squares summed over all exchanges of
+ * a pair, divided by the elapsed minutes, estimate the variance per minute.
+ * Gaps longer than maxGapMinutes (outages, restarts) are skipped so a single
+ * jump over hours does not count as one minute of movement.
+ */
+class VolatilityModel {
+  /**
+   * @param {Database} database - Source of price_history
+   * @param {Object} [options]
+   * @param {number} [options.hours] - Window of history used (defaults to VOLATILITY_HOURS or 24)
+   * @param {number} [options.minSamples] - Pairs with fewer returns get no estimate (default 30)
+   * @param {number} [options.maxGapMinutes] - Longer gaps between two prices are skipped (default 10)
+   */
+  constructor(database, options = {}) {
+    this.db = database;
+    this.hours = options.hours || parseInt(process.env.VOLATILITY_HOURS, 10) || 24;
+    this.minSamples = options.minSamples || 30;
+    this.maxGapMinutes = options.maxGapMinutes || 10;
+    this.stats = new Map(); // 通貨ペア -> { pair, samples, minutes, volatility }
+    this.updatedAt = null;
+  }
+
+  /**
+   * Rebuild the estimates from price_history rows
+   * @param {Object[]} rows - Rows from Database#getPriceHistory (oldest first)
+   */
+  fit(rows) {
+    const last = new Map(); // 取引所と通貨ペア -> 直前の { price, time }
+    const accumulators = new Map();
+    rows.forEach(row => {
+      const time = parseSourceTime(String(row.created_at).replace(' ', 'T'));
+      if (row.is_reference || !(row.price > 0) || time === null) return;
+      const pair = row.pair || 'BTC/JPY';
+      const key = `${row.exchange}:${pair}`;
+      const previous = last.get(key);
+      last.set(key, { price: row.price, time });
+      if (!previous) return;
+
+      const minutes = (time - previous.time) / 60000;
+      if (!(minutes > 0) || minutes > this.maxGapMinutes) return;
+      const logReturn = Math.log(row.price / previous.price);
+      const acc = accumulators.get(pair) || { pair, samples: 0, minutes: 0, sumSquares: 0 };
+      acc.samples++;
+      acc.minutes += minutes;
+      acc.sumSquares += logReturn * logReturn;
+      accumulators.set(pair, acc);
+    });
+
+    this.stats = new Map();
+    accumulators.forEach((acc, pair) => {
+      this.stats.set(pair, {
+        pair,
+        samples: acc.samples,
+        minutes: acc.minutes,
+        // 1分あたりの対数収益率の標準偏差
+        volatility: Math.sqrt(acc.sumSquares / acc.minutes)
+      });
+    });
+    this.updatedAt = Date.now();
+  }
+
+  // price_history から推定し直す（失敗時は直前の推定を使い続ける）
+  async refresh() {
+    try {
+      this.fit(await this.db.getPriceHistory(this.hours));
+    } catch (error) {
+      console.error('Error refreshing volatility model:', error.message);
+    }
+  }
+
+  /**
+   * @param {string} pair
+   * @returns {number|null} Standard deviation of log returns per minute, or null while the pair has fewer
+   *   than minSamples returns
+   */
+  getVolatility(pair) {
+    const stats = this.stats.get(pair);
+    return stats && stats.samples >= this.minSamples ? stats.volatility : null;
+  }
+
+  // 通貨ペアごとの推定（pair を指定した場合はその通貨ペアのみ）
+  getAllStats(pair = null) {
+    return [...this.stats.values()].filter(stats => !pair || stats.pair === pair);
+  }
+}
+
+module.exports = VolatilityModel;
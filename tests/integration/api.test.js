@@ -10,12 +10,20 @@ jest.mock('../../server/arbitrage');
 const ExchangeAPI = require('../../server/exchanges');
 const Database = require('../../server/database');
 const ArbitrageDetector = require('../../server/arbitrage');
+const { validateNumericParam, requireBearerToken } = require('../../server/utils');
+const { ThresholdConfig, validateThresholdConfig } = require('../../server/thresholds');
 
 describe('API Endpoints', () => {
   let app;
   let mockDatabase;
   let mockExchangeAPI;
   let mockArbitrageDetector;
+  let mockTradeTracker;
+  let mockPrivateAPI;
+  let mockExecutionEngine;
+  let mockSpreadModel;
+  let thresholds;
+  let mockVolatilityModel;
 
   beforeEach(() => {
     // Reset mocks
@@ -26,6 +34,10 @@ describe('API Endpoints', () => {
       getRecentPrices: jest.fn(),
       getArbitrageHistory: jest.fn(),
       getPriceHistory: jest.fn(),
+      getRecentTrades: jest.fn(),
+      getPremiumHistory: jest.fn(),
+      getExecutions: jest.fn(),
+      getEpisodes: jest.fn(),
       clearAllData: jest.fn(),
       savePrices: jest.fn(),
       saveArbitrageOpportunity: jest.fn(),
@@ -33,12 +45,52 @@ describe('API Endpoints', () => {
     };
 
     mockExchangeAPI = {
-      getAllPrices: jest.fn()
+      pairs: ['BTC/JPY', 'ETH/JPY'],
+      getAllPrices: jest.fn(),
+      getHealthStatus: jest.fn(),
+      fx: { getStatus: jest.fn(() => ({ pair: 'USD/JPY', rate: 150, isStale: false })) }
+    };
+
+    mockTradeTracker = {
+      window: 900000,
+      getStats: jest.fn()
+    };
+
+    mockPrivateAPI = {
+      getAllBalances: jest.fn(),
+      getAllOpenOrders: jest.fn(),
+      getConfiguredAdapters: jest.fn(() => [{ id: 'bitflyer' }])
+    };
+
+    mockExecutionEngine = {
+      getStatus: jest.fn(() => ({ mode: 'dry-run', unwindPolicy: 'close', orderSize: 0.001, unwindSlippage: 0.5, busy: false }))
     };
 
     mockArbitrageDetector = {
+      tradeSize: 1,
       detectArbitrageOpportunities: jest.fn(),
-      formatOpportunityMessage: jest.fn()
+      evaluateAtSize: jest.fn((opportunities, size) => opportunities.map(opp => ({ ...opp, tradeSize: size }))),
+      formatOpportunityMessage: jest.fn(),
+      episodes: { getOpenEpisodes: jest.fn(() => []) },
+      detectionMode: 'threshold',
+      zScoreThreshold: 3,
+      riskAversion: 1
+    };
+
+    thresholds = new ThresholdConfig({ config: {} });
+
+    mockVolatilityModel = {
+      hours: 24,
+      minSamples: 30,
+      updatedAt: null,
+      getAllStats: jest.fn(() => [])
+    };
+
+    mockSpreadModel = {
+      hours: 24,
+      minSamples: 30,
+      updatedAt: null,
+      getAllStats: jest.fn(() => [])
     };
 
     // Mock constructors
@@ -53,25 +105,153 @@ describe('API Endpoints', () => {
 
     // Mock current data
     let currentPrices = [
-      { exchange: 'bitFlyer', price: 5000000, bid: 4999000, ask: 5001000 },
-      { exchange: 'Coincheck', price: 5005000, bid: 5004000, ask: 5006000 }
+      { exchange: 'bitFlyer', pair: 'BTC/JPY', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Coincheck', pair: 'BTC/JPY', price: 5005000, bid: 5004000, ask: 5006000 },
+      { exchange: 'bitFlyer', pair: 'ETH/JPY', price: 500000, bid: 499900, ask: 500100 }
     ];
     let currentOpportunities = [
       {
         exchangeFrom: 'bitFlyer',
         exchangeTo: 'Coincheck',
+        pair: 'BTC/JPY',
         priceFrom: 5001000,
         priceTo: 5004000,
         priceDifference: 3000,
         percentageDifference: 0.06
+      },
+      {
+        type: 'triangular',
+        exchangeFrom: 'bitFlyer',
+        exchangeTo: 'bitFlyer',
+        pair: 'JPY→BTC→ETH→JPY',
+        legs: [
+          { pair: 'BTC/JPY', side: 'buy', price: 5001000 },
+          { pair: 'ETH/BTC', side: 'buy', price: 0.0995 },
+          { pair: 'ETH/JPY', side: 'sell', price: 499900 }
+        ],
+        priceFrom: 5001000,
+        priceTo: 499900,
+        percentageDifference: 0.46
       }
     ];
 
+    let currentPremiums = [
+      { pair: 'BTC/JPY', premium: 1.5, domesticPrice: 5075000, overseasPrice: 5000000, fxRate: 150 },
+      { pair: 'ETH/JPY', premium: -0.2, domesticPrice: 499000, overseasPrice: 500000, fxRate: 150 }
+    ];
+
+    function validatePairParam(req, res, next) {
+      const pair = req.query.pair;
+      if (pair !== undefined) {
+        const normalized = String(pair).toUpperCase();
+        if (!mockExchangeAPI.pairs.includes(normalized)) {
+          return res.status(400).json({ error: `Invalid pair parameter. Must be one of: ${mockExchangeAPI.pairs.join(', ')}` });
+        }
+        req.validatedPair = normalized;
+      } else {
+        req.validatedPair = null;
+      }
+      next();
+    }
+
     // Define routes
-    app.get('/api/prices', (req, res) => {
+    app.get('/api/prices', validatePairParam, (req, res) => {
+      const pair = req.validatedPair;
+      const size = req.query.size !== undefined ? parseFloat(req.query.size) : null;
+      if (size !== null && !(size > 0 && size <= 1000)) {
+        return res.status(400).json({ error: 'Invalid size parameter. Must be greater than 0 and at most 1000.' });
+      }
+
+      const opportunities = pair
+        ? currentOpportunities.filter(opp => opp.pair === pair || (opp.legs && opp.legs.some(leg => leg.pair === pair)))
+        : currentOpportunities;
+      res.json({
+        prices: pair ? currentPrices.filter(price => price.pair === pair) : currentPrices,
+        opportunities: size !== null ? mockArbitrageDetector.evaluateAtSize(opportunities, size) : opportunities,
+        tradeSize: size !== null ? size : mockArbitrageDetector.tradeSize,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+    });
+
+    app.get('/api/exchanges/status', (req, res) => {
+      res.json({
+        exchanges: mockExchangeAPI.getHealthStatus(),
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+    });
+
+    app.get('/api/trades', validatePairParam, async (req, res) => {
+      let limit;
+      try {
+        limit = validateNumericParam(req.query.limit, { min: 1, max: 1000, default: 100 });
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid limit parameter. Must be between 1 and 1000.' });
+      }
+
+      try {
+        const trades = await mockDatabase.getRecentTrades(limit, req.validatedPair);
+        res.json({ trades });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch trades' });
+      }
+    });
+
+    app.get('/api/volume', validatePairParam, (req, res) => {
+      res.json({
+        volume: mockTradeTracker.getStats(req.validatedPair),
+        windowMs: mockTradeTracker.window,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+    });
+
+    app.get('/api/balances', requireBearerToken('test-admin-token'), async (req, res) => {
+      try {
+        res.json({
+          balances: await mockPrivateAPI.getAllBalances(),
+          configured: mockPrivateAPI.getConfiguredAdapters().map(adapter => adapter.id),
+          timestamp: '2023-01-01T00:00:00Z'
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch balances' });
+      }
+    });
+
+    app.get('/api/executions', requireBearerToken('test-admin-token'), async (req, res) => {
+      let limit;
+      try {
+        limit = validateNumericParam(req.query.limit, { min: 1, max: 500, default: 50 });
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid limit parameter. Must be between 1 and 500.' });
+      }
+
+      try {
+        res.json({
+          executions: await mockDatabase.getExecutions(limit),
+          engine: mockExecutionEngine.getStatus(),
+          enabled: false
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch executions' });
+      }
+    });
+
+    app.get('/api/open-orders', requireBearerToken('test-admin-token'), validatePairParam, async (req, res) => {
+      try {
+        const orders = await mockPrivateAPI.getAllOpenOrders();
+        res.json({
+          orders: req.validatedPair ? orders.filter(order => order.pair === req.validatedPair) : orders,
+          timestamp: '2023-01-01T00:00:00Z'
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch open orders' });
+      }
+    });
+
+    app.get('/api/premium', validatePairParam, (req, res) => {
+      const pair = req.validatedPair;
       res.json({
-        prices: currentPrices,
-        opportunities: currentOpportunities,
+        premiums: pair ? currentPremiums.filter(premium => premium.pair === pair) : currentPremiums,
+        fx: mockExchangeAPI.fx.getStatus(),
         timestamp: '2023-01-01T00:00:00Z'
       });
     });
@@ -105,10 +285,10 @@ describe('API Endpoints', () => {
       next();
     }
 
-    app.get('/api/price-history', validateHoursParam, async (req, res) => {
+    app.get('/api/price-history', validateHoursParam, validatePairParam, async (req, res) => {
       try {
         const hours = req.validatedHours;
-        const priceHistory = await mockDatabase.getPriceHistory(hours);
+        const priceHistory = await mockDatabase.getPriceHistory(hours, req.validatedPair);
         
         res.json({
           priceHistory
@@ -118,6 +298,60 @@ describe('API Endpoints', () => {
       }
     });
 
+    app.get('/api/premium-history', validateHoursParam, validatePairParam, async (req, res) => {
+      try {
+        const premiumHistory = await mockDatabase.getPremiumHistory(req.validatedHours, req.validatedPair);
+        res.json({ premiumHistory });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch premium history' });
+      }
+    });
+
+    app.get('/api/spread-stats', validatePairParam, (req, res) => {
+      res.json({
+        stats: mockSpreadModel.getAllStats(req.validatedPair),
+        hours: mockSpreadModel.hours,
+        minSamples: mockSpreadModel.minSamples,
+        updatedAt: mockSpreadModel.updatedAt,
+        detectionMode: mockArbitrageDetector.detectionMode,
+        zScoreThreshold: mockArbitrageDetector.zScoreThreshold
+      });
+    });
+
+    app.get('/api/volatility', validatePairParam, (req, res) => {
+      res.json({
+        volatility: mockVolatilityModel.getAllStats(req.validatedPair),
+        hours: mockVolatilityModel.hours,
+        minSamples: mockVolatilityModel.minSamples,
+        updatedAt: mockVolatilityModel.updatedAt,
+        riskAversion: mockArbitrageDetector.riskAversion
+      });
+    });
+
+    app.get('/api/thresholds', (req, res) => {
+      res.json({ ...thresholds.toJSON(), timestamp: new Date().toISOString() });
+    });
+
+    app.put('/api/admin/thresholds', requireBearerToken('test-admin-token'), (req, res) => {
+      const error = validateThresholdConfig(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json({ ...thresholds.set(req.body), timestamp: new Date().toISOString() });
+    });
+
+    app.get('/api/opportunity-episodes', validateHoursParam, validatePairParam, async (req, res) => {
+      try {
+        res.json({
+          episodes: await mockDatabase.getEpisodes(req.validatedHours, req.validatedPair),
+          open: mockArbitrageDetector.episodes.getOpenEpisodes(req.validatedPair),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch opportunity episodes' });
+      }
+    });
+
     app.delete('/api/clear-data', async (req, res) => {
       try {
         await mockDatabase.clearAllData();
@@ -127,18 +361,20 @@ describe('API Endpoints', () => {
       }
     });
 
-    app.get('/api/export-csv', validateHoursParam, async (req, res) => {
+    app.get('/api/export-csv', validateHoursParam, validatePairParam, async (req, res) => {
       try {
         const hours = req.validatedHours;
-        const priceHistory = await mockDatabase.getPriceHistory(hours);
+        const pair = req.validatedPair;
+        const priceHistory = await mockDatabase.getPriceHistory(hours, pair);
         
-        let csv = 'Exchange,Price,Bid,Ask,Timestamp,Created_At\n';
+        let csv = 'Exchange,Price,Bid,Ask,Timestamp,Created_At,Is_Reference,Pair,Source_Timestamp\n';
         priceHistory.forEach(row => {
-          csv += `${row.exchange},${row.price || ''},${row.bid || ''},${row.ask || ''},${row.timestamp},${row.created_at}\n`;
+          csv += `${row.exchange},${row.price || ''},${row.bid || ''},${row.ask || ''},${row.timestamp},${row.created_at},${row.is_reference ? 1 : 0},${row.pair || 'BTC/JPY'},${row.source_timestamp || ''}\n`;
         });
         
+        const pairSuffix = pair ? `_${pair.replace('/', '')}` : '';
         res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="price_history_${hours}h.csv"`);
+        res.setHeader('Content-Disposition', `attachment; filename="price_history${pairSuffix}_${hours}h.csv"`);
         res.send(csv);
       } catch (error) {
         res.status(500).json({ error: 'Failed to export CSV' });
@@ -155,8 +391,45 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('prices');
       expect(response.body).toHaveProperty('opportunities');
       expect(response.body).toHaveProperty('timestamp');
-      expect(response.body.prices).toHaveLength(2);
+      expect(response.body.prices).toHaveLength(3);
+      expect(response.body.opportunities).toHaveLength(2);
+    });
+
+    it('should filter prices and opportunities by pair', async () => {
+      const response = await request(app)
+        .get('/api/prices?pair=eth/jpy')
+        .expect(200);
+
+      expect(response.body.prices).toHaveLength(1);
+      expect(response.body.prices[0].pair).toBe('ETH/JPY');
+      // ETH/JPY を含む三角裁定のみ
       expect(response.body.opportunities).toHaveLength(1);
+      expect(response.body.opportunities[0].type).toBe('triangular');
+    });
+
+    it('should reject pairs that are not monitored', async () => {
+      const response = await request(app)
+        .get('/api/prices?pair=DOGE/JPY')
+        .expect(400);
+
+      expect(response.body.error).toContain('BTC/JPY, ETH/JPY');
+    });
+
+    it('should re-evaluate opportunities at the requested size', async () => {
+      const response = await request(app)
+        .get('/api/prices?size=0.25')
+        .expect(200);
+
+      expect(mockArbitrageDetector.evaluateAtSize).toHaveBeenCalledWith(expect.any(Array), 0.25);
+      expect(response.body.tradeSize).toBe(0.25);
+      expect(response.body.opportunities[0].tradeSize).toBe(0.25);
+    });
+
+    it('should validate the size parameter', async () => {
+      await request(app).get('/api/prices?size=0').expect(400);
+      await request(app).get('/api/prices?size=abc').expect(400);
+      const response = await request(app).get('/api/prices').expect(200);
+      expect(response.body.tradeSize).toBe(1);
     });
 
     it('should return proper JSON structure', async () => {
@@ -172,6 +445,22 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/exchanges/status', () => {
+    it('should return per-exchange health state', async () => {
+      mockExchangeAPI.getHealthStatus.mockReturnValue([
+        { id: 'bitflyer', name: 'bitFlyer', status: 'healthy', consecutiveFailures: 0, meanLatency: 120, circuit: 'closed' },
+        { id: 'zaif', name: 'Zaif', status: 'down', consecutiveFailures: 4, lastError: 'timeout', circuit: 'open' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/exchanges/status')
+        .expect(200);
+
+      expect(response.body.exchanges).toHaveLength(2);
+      expect(response.body.exchanges[1]).toMatchObject({ id: 'zaif', status: 'down', lastError: 'timeout' });
+    });
+  });
+
   describe('GET /api/history', () => {
     it('should return price and arbitrage history', async () => {
       const mockPriceHistory = [
@@ -203,6 +492,351 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/trades', () => {
+    it('should return recent trades with the default limit', async () => {
+      const trades = [{ exchange: 'bitFlyer', pair: 'BTC/JPY', trade_id: '101', price: 5000000, size: 0.01 }];
+      mockDatabase.getRecentTrades.mockResolvedValue(trades);
+
+      const response = await request(app)
+        .get('/api/trades')
+        .expect(200);
+
+      expect(response.body.trades).toEqual(trades);
+      expect(mockDatabase.getRecentTrades).toHaveBeenCalledWith(100, null);
+    });
+
+    it('should accept pair and limit parameters', async () => {
+      mockDatabase.getRecentTrades.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/trades?pair=ETH/JPY&limit=20')
+        .expect(200);
+
+      expect(mockDatabase.getRecentTrades).toHaveBeenCalledWith(20, 'ETH/JPY');
+    });
+
+    it('should validate the limit parameter', async () => {
+      await request(app).get('/api/trades?limit=0').expect(400);
+      await request(app).get('/api/trades?limit=5000').expect(400);
+      await request(app).get('/api/trades?limit=abc').expect(400);
+    });
+
+    it('should handle database errors', async () => {
+      mockDatabase.getRecentTrades.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/trades')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch trades');
+    });
+  });
+
+  describe('GET /api/volume', () => {
+    it('should return rolling volume and VWAP per exchange', async () => {
+      const stats = [{ exchange: 'Zaif', pair: 'BTC/JPY', volume: 0.3, vwap: 5001000, tradeCount: 4 }];
+      mockTradeTracker.getStats.mockReturnValue(stats);
+
+      const response = await request(app)
+        .get('/api/volume?pair=BTC/JPY')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ volume: stats, windowMs: 900000 });
+      expect(mockTradeTracker.getStats).toHaveBeenCalledWith('BTC/JPY');
+    });
+
+    it('should reject unmonitored pairs', async () => {
+      await request(app).get('/api/volume?pair=DOGE/JPY').expect(400);
+    });
+  });
+
+  describe('GET /api/balances', () => {
+    it('should return balances of the exchanges with credentials', async () => {
+      const balances = [{ exchangeId: 'bitflyer', exchange: 'bitFlyer', balances: [{ currency: 'JPY', total: 1000000, available: 900000 }] }];
+      mockPrivateAPI.getAllBalances.mockResolvedValue(balances);
+
+      const response = await request(app)
+        .get('/api/balances')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ balances, configured: ['bitflyer'] });
+    });
+
+    it('should require the admin token', async () => {
+      await request(app).get('/api/balances').expect(401);
+      await request(app).get('/api/balances').set('Authorization', 'Bearer wrong-token').expect(401);
+      expect(mockPrivateAPI.getAllBalances).not.toHaveBeenCalled();
+    });
+
+    it('should handle private API errors', async () => {
+      mockPrivateAPI.getAllBalances.mockRejectedValue(new Error('Unexpected'));
+
+      const response = await request(app)
+        .get('/api/balances')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch balances');
+    });
+  });
+
+  describe('GET /api/open-orders', () => {
+    it('should return open orders filtered by pair', async () => {
+      mockPrivateAPI.getAllOpenOrders.mockResolvedValue([
+        { exchangeId: 'bitflyer', pair: 'BTC/JPY', id: '1', side: 'buy', price: 5000000, remaining: 0.01 },
+        { exchangeId: 'bitflyer', pair: 'ETH/JPY', id: '2', side: 'sell', price: 500000, remaining: 0.1 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/open-orders?pair=BTC/JPY')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200);
+
+      expect(response.body.orders.map(order => order.id)).toEqual(['1']);
+    });
+
+    it('should require the admin token', async () => {
+      await request(app).get('/api/open-orders').expect(401);
+      expect(mockPrivateAPI.getAllOpenOrders).not.toHaveBeenCalled();
+    });
+
+    it('should reject unmonitored pairs', async () => {
+      await request(app)
+        .get('/api/open-orders?pair=DOGE/JPY')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/executions', () => {
+    it('should return stored executions with the engine settings', async () => {
+      const executions = [{ execution_id: 'dry-run-1', status: 'completed', orders: [{ leg: 'buy' }, { leg: 'sell' }] }];
+      mockDatabase.getExecutions.mockResolvedValue(executions);
+
+      const response = await request(app)
+        .get('/api/executions?limit=10')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(200);
+
+      expect(mockDatabase.getExecutions).toHaveBeenCalledWith(10);
+      expect(response.body).toMatchObject({ executions, engine: { mode: 'dry-run', unwindPolicy: 'close' }, enabled: false });
+    });
+
+    it('should require the admin token', async () => {
+      await request(app).get('/api/executions').expect(401);
+      await request(app).get('/api/executions').set('Authorization', 'Bearer wrong-token').expect(401);
+      expect(mockDatabase.getExecutions).not.toHaveBeenCalled();
+    });
+
+    it('should be disabled without a configured token', async () => {
+      const adminApp = express();
+      adminApp.get('/api/executions', requireBearerToken(undefined), (req, res) => res.json({}));
+
+      await request(adminApp).get('/api/executions').set('Authorization', 'Bearer undefined').expect(403);
+    });
+
+    it('should validate the limit parameter', async () => {
+      await request(app)
+        .get('/api/executions?limit=0')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(400);
+    });
+
+    it('should handle database errors', async () => {
+      mockDatabase.getExecutions.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/executions')
+        .set('Authorization', 'Bearer test-admin-token')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch executions');
+    });
+  });
+
+  describe('GET /api/premium', () => {
+    it('should return the current premium per pair with the FX rate', async () => {
+      const response = await request(app)
+        .get('/api/premium')
+        .expect(200);
+
+      expect(response.body.premiums).toHaveLength(2);
+      expect(response.body.fx).toMatchObject({ pair: 'USD/JPY', rate: 150 });
+    });
+
+    it('should filter by pair', async () => {
+      const response = await request(app)
+        .get('/api/premium?pair=eth/jpy')
+        .expect(200);
+
+      expect(response.body.premiums).toEqual([expect.objectContaining({ pair: 'ETH/JPY', premium: -0.2 })]);
+    });
+  });
+
+  describe('GET /api/premium-history', () => {
+    it('should return the stored premium history', async () => {
+      const history = [{ pair: 'BTC/JPY', premium_percentage: 1.5, timestamp: '2023-01-01T09:00:00' }];
+      mockDatabase.getPremiumHistory.mockResolvedValue(history);
+
+      const response = await request(app)
+        .get('/api/premium-history?hours=6&pair=BTC/JPY')
+        .expect(200);
+
+      expect(response.body.premiumHistory).toEqual(history);
+      expect(mockDatabase.getPremiumHistory).toHaveBeenCalledWith(6, 'BTC/JPY');
+    });
+
+    it('should validate hours and pair parameters', async () => {
+      await request(app).get('/api/premium-history?hours=200').expect(400);
+      await request(app).get('/api/premium-history?pair=DOGE/JPY').expect(400);
+    });
+
+    it('should handle database errors', async () => {
+      mockDatabase.getPremiumHistory.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/premium-history')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch premium history');
+    });
+  });
+
+  describe('GET /api/spread-stats', () => {
+    it('should return the spread statistics of a pair and the detection mode', async () => {
+      const stats = [{ pair: 'BTC/JPY', exchangeFrom: 'bitFlyer', exchangeTo: 'Coincheck', samples: 120, mean: 0.2, std: 0.05 }];
+      mockSpreadModel.getAllStats.mockReturnValue(stats);
+
+      const response = await request(app)
+        .get('/api/spread-stats?pair=BTC/JPY')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        stats,
+        hours: 24,
+        minSamples: 30,
+        updatedAt: null,
+        detectionMode: 'threshold',
+        zScoreThreshold: 3
+      });
+      expect(mockSpreadModel.getAllStats).toHaveBeenCalledWith('BTC/JPY');
+    });
+
+    it('should validate the pair parameter', async () => {
+      await request(app).get('/api/spread-stats?pair=DOGE/JPY').expect(400);
+    });
+  });
+
+  describe('GET /api/volatility', () => {
+    it('should return the realized volatility of a pair and the risk aversion', async () => {
+      const volatility = [{ pair: 'BTC/JPY', samples: 1200, minutes: 100, volatility: 0.0008 }];
+      mockVolatilityModel.getAllStats.mockReturnValue(volatility);
+
+      const response = await request(app)
+        .get('/api/volatility?pair=btc/jpy')
+        .expect(200);
+
+      expect(response.body).toEqual({ volatility, hours: 24, minSamples: 30, updatedAt: null, riskAversion: 1 });
+      expect(mockVolatilityModel.getAllStats).toHaveBeenCalledWith('BTC/JPY');
+    });
+  });
+
+  describe('thresholds', () => {
+    const config = {
+      default: { unit: 'percent', value: 0.2 },
+      routes: [{ exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', pair: 'BTC/JPY', unit: 'jpy', value: 3000 }]
+    };
+
+    it('should return the active thresholds', async () => {
+      const response = await request(app)
+        .get('/api/thresholds')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ default: { unit: 'percent', value: 0.1 }, routes: [], updatedAt: null });
+    });
+
+    it('should replace the thresholds with a valid token', async () => {
+      const response = await request(app)
+        .put('/api/admin/thresholds')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send(config)
+        .expect(200);
+
+      expect(response.body).toMatchObject(config);
+      expect(response.body.updatedAt).not.toBeNull();
+      expect(thresholds.getThreshold('BTC/JPY', 'bitflyer', 'coincheck')).toEqual({ unit: 'jpy', value: 3000 });
+    });
+
+    it('should reject requests without a valid token', async () => {
+      await request(app).put('/api/admin/thresholds').send(config).expect(401);
+      await request(app)
+        .put('/api/admin/thresholds')
+        .set('Authorization', 'Bearer wrong-token')
+        .send(config)
+        .expect(401);
+
+      expect(thresholds.routes).toEqual([]);
+    });
+
+    it('should reject invalid thresholds without applying them', async () => {
+      const response = await request(app)
+        .put('/api/admin/thresholds')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send({ routes: [{ exchangeFrom: 'bitflyer', unit: 'percent', value: 0.3 }] })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/index 0/);
+      expect(thresholds.routes).toEqual([]);
+    });
+
+    it('should disable the admin API without a configured token', async () => {
+      const adminApp = express();
+      adminApp.use(express.json());
+      adminApp.put('/api/admin/thresholds', requireBearerToken(undefined), (req, res) => res.json({}));
+
+      const response = await request(adminApp)
+        .put('/api/admin/thresholds')
+        .set('Authorization', 'Bearer undefined')
+        .send(config)
+        .expect(403);
+
+      expect(response.body.error).toMatch(/ADMIN_API_TOKEN/);
+    });
+  });
+
+  describe('GET /api/opportunity-episodes', () => {
+    it('should return stored and ongoing episodes', async () => {
+      const stored = [{ episode_id: '1700000000000-1', pair: 'BTC/JPY', status: 'closed', duration_ms: 30000 }];
+      const open = [{ id: '1700000060000-2', pair: 'BTC/JPY', status: 'open', duration: 5000 }];
+      mockDatabase.getEpisodes.mockResolvedValue(stored);
+      mockArbitrageDetector.episodes.getOpenEpisodes.mockReturnValue(open);
+
+      const response = await request(app)
+        .get('/api/opportunity-episodes?hours=6&pair=BTC/JPY')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ episodes: stored, open });
+      expect(mockDatabase.getEpisodes).toHaveBeenCalledWith(6, 'BTC/JPY');
+      expect(mockArbitrageDetector.episodes.getOpenEpisodes).toHaveBeenCalledWith('BTC/JPY');
+    });
+
+    it('should validate hours and pair parameters', async () => {
+      await request(app).get('/api/opportunity-episodes?hours=0').expect(400);
+      await request(app).get('/api/opportunity-episodes?pair=DOGE/JPY').expect(400);
+    });
+
+    it('should handle database errors', async () => {
+      mockDatabase.getEpisodes.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/opportunity-episodes')
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch opportunity episodes');
+    });
+  });
+
   describe('GET /api/price-history', () => {
     it('should return price history with default 24 hours', async () => {
       const mockPriceHistory = [
@@ -216,7 +850,7 @@ describe('API Endpoints', () => {
         .expect(200);
 
       expect(response.body).toHaveProperty('priceHistory');
-      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(24);
+      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(24, null);
     });
 
     it('should accept hours parameter', async () => {
@@ -226,7 +860,17 @@ describe('API Endpoints', () => {
         .get('/api/price-history?hours=48')
         .expect(200);
 
-      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(48);
+      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(48, null);
+    });
+
+    it('should accept pair parameter', async () => {
+      mockDatabase.getPriceHistory.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/price-history?hours=6&pair=ETH/JPY')
+        .expect(200);
+
+      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(6, 'ETH/JPY');
     });
 
     it('should validate hours parameter', async () => {
@@ -300,7 +944,21 @@ describe('API Endpoints', () => {
         .expect(200);
 
       expect(response.headers['content-disposition']).toContain('price_history_72h.csv');
-      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(72);
+      expect(mockDatabase.getPriceHistory).toHaveBeenCalledWith(72, null);
+    });
+
+    it('should export a single pair with the pair in the file name', async () => {
+      mockDatabase.getPriceHistory.mockResolvedValue([
+        { exchange: 'bitFlyer', pair: 'ETH/JPY', price: 500000, bid: 499900, ask: 500100, timestamp: '2023-01-01T00:00:00Z', created_at: '2023-01-01 00:00:00' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/export-csv?pair=ETH/JPY')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('price_history_ETHJPY_24h.csv');
+      expect(response.text).toContain('Is_Reference,Pair');
+      expect(response.text).toContain(',0,ETH/JPY');
     });
 
     it('should handle database errors during CSV export', async () => {
@@ -0,0 +1,81 @@
+const Database = require('../../server/database');
+const VolatilityModel = require('../../server/volatility');
+
+// Queries against a real (in-memory) SQLite database, where created_at is filled by CURRENT_TIMESTAMP
+describe('Database with SQLite', () => {
+  let database;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should return prices stored within a window shorter than a day', async () => {
+    await database.savePrices([
+      { exchange: 'bitFlyer', pair: 'BTC/JPY', price: 5000000, bid: 4999000, ask: 5001000, timestamp: '2024-03-01 09:00:00' }
+    ]);
+
+    const rows = await database.getPriceHistory(1);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ exchange: 'bitFlyer', price: 5000000 });
+    expect(await database.getPriceHistory(1, 'ETH/JPY')).toEqual([]);
+  });
+
+  it('should estimate the volatility from a window shorter than a day', async () => {
+    const insert = (price, minutesAgo) => new Promise((resolve, reject) => {
+      database.db.run(
+        `INSERT INTO price_history (exchange, pair, price, timestamp, created_at)
+         VALUES ('bitFlyer', 'BTC/JPY', ?, '', datetime('now', ?))`,
+        [price, `-${minutesAgo} minutes`],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+    await insert(5000000, 2);
+    await insert(5005000, 1);
+    const model = new VolatilityModel(database, { hours: 1, minSamples: 1 });
+
+    await model.refresh();
+
+    expect(model.getVolatility('BTC/JPY')).toBeCloseTo(Math.log(5005000 / 5000000), 10);
+  });
+
+  it('should return episodes started within a window shorter than a day', async () => {
+    await database.saveEpisode({
+      id: '1700000000000-1',
+      type: 'cross-exchange',
+      pair: 'BTC/JPY',
+      exchangeFrom: 'bitFlyer',
+      exchangeTo: 'Coincheck',
+      status: 'open',
+      startedAt: '2024-03-01 09:00:00',
+      endedAt: null,
+      duration: 0,
+      peakSpread: 0.5,
+      averageSpread: 0.5,
+      lastSpread: 0.5,
+      peakNetProfit: 1000,
+      lastNetProfit: 1000,
+      observations: 1
+    });
+
+    const episodes = await database.getEpisodes(1, 'BTC/JPY');
+
+    expect(episodes).toHaveLength(1);
+    expect(episodes[0]).toMatchObject({ episode_id: '1700000000000-1', exchange_from: 'bitFlyer' });
+  });
+
+  it('should return premiums stored within a window shorter than a day', async () => {
+    await database.savePremiums([
+      { pair: 'BTC/JPY', premium: 1.5, domesticPrice: 10150000, overseasPrice: 10000000, fxRate: 150, timestamp: '2024-03-01 09:00:00' }
+    ]);
+
+    const history = await database.getPremiumHistory(1, 'BTC/JPY');
+
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ pair: 'BTC/JPY', premium_percentage: 1.5 });
+  });
+});
@@ -0,0 +1,77 @@
+const WebSocket = require('ws');
+const http = require('http');
+const StreamManager = require('../../server/streams');
+const ExchangeAPI = require('../../server/exchanges');
+
+const recordedMessages = require('../fixtures/streams/bitflyer.json');
+
+// Local stand-in for the bitFlyer Lightning Realtime API that replays recorded messages
+describe('Exchange stream ingestion (local stand-in)', () => {
+  let server;
+  let wss;
+  let port;
+  let streamManager;
+
+  beforeEach((done) => {
+    server = http.createServer();
+    wss = new WebSocket.Server({ server });
+
+    wss.on('connection', (ws) => {
+      ws.on('message', (data) => {
+        const request = JSON.parse(data.toString());
+        if (request.method === 'subscribe') {
+          recordedMessages.forEach(message => ws.send(JSON.stringify(message)));
+        }
+      });
+    });
+
+    server.listen(0, () => {
+      port = server.address().port;
+      streamManager = new StreamManager(new ExchangeAPI({ enabled: ['bitflyer'] }), {
+        urls: { bitflyer: `ws://localhost:${port}` },
+        reconnectDelay: 50
+      });
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    streamManager.stop();
+    wss.close(() => {
+      server.close(done);
+    });
+  });
+
+  it('should emit quotes replayed by the stand-in', (done) => {
+    const quotes = [];
+    streamManager.on('quote', (quote) => {
+      quotes.push(quote);
+      if (quotes.length === 2) {
+        expect(quotes.map(q => q.price)).toEqual([10000000, 10003000]);
+        expect(streamManager.getStreamingExchanges()).toEqual([{ exchangeId: 'bitflyer', pair: 'BTC/JPY' }]);
+        done();
+      }
+    });
+
+    streamManager.start();
+  });
+
+  it('should fall back and reconnect when the stand-in drops the connection', (done) => {
+    let connects = 0;
+
+    streamManager.on('connect', () => {
+      connects++;
+      if (connects === 2) done();
+    });
+
+    streamManager.once('quote', () => {
+      streamManager.once('disconnect', (exchangeId) => {
+        expect(exchangeId).toBe('bitflyer');
+        expect(streamManager.isStreaming('bitflyer')).toBe(false);
+      });
+      wss.clients.forEach(client => client.terminate());
+    });
+
+    streamManager.start();
+  });
+});
@@ -0,0 +1,69 @@
+const MockExchangeServer = require('../../server/mock-exchange');
+const ExchangeAPI = require('../../server/exchanges');
+const { ExecutionEngine } = require('../../server/execution');
+
+// dry-run の執行をモック取引所の板に対して行う
+describe('Dry-run execution against the mock exchange', () => {
+  let mock;
+  let exchangeAPI;
+  let logSpy;
+
+  // bitbank の気配を 1% 高くして bitFlyer で買い bitbank で売る機会を作る
+  const scenario = {
+    exchanges: {
+      bitbank: [{ type: 'premium', duration: 3600, percent: 1 }]
+    }
+  };
+
+  const findOpportunity = async () => {
+    const [from, to] = await Promise.all([
+      exchangeAPI.getOrderBook('bitflyer', 'BTC/JPY'),
+      exchangeAPI.getOrderBook('bitbank', 'BTC/JPY')
+    ]);
+    return {
+      exchangeFrom: 'bitFlyer',
+      exchangeTo: 'bitbank',
+      pair: 'BTC/JPY',
+      priceFrom: from.asks[0].price,
+      priceTo: to.bids[0].price
+    };
+  };
+
+  beforeEach(async () => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    mock = new MockExchangeServer({ scenario, seed: 42, tickInterval: 0 });
+    const port = await mock.listen(0);
+    exchangeAPI = new ExchangeAPI({ baseUrl: `http://localhost:${port}` });
+  });
+
+  afterEach(async () => {
+    await mock.close();
+    logSpy.mockRestore();
+  });
+
+  it('should fill both legs at the top of the book', async () => {
+    const opportunity = await findOpportunity();
+    const engine = new ExecutionEngine({ exchangeAPI });
+
+    const execution = await engine.execute(opportunity, 0.005);
+
+    expect(execution).toMatchObject({ mode: 'dry-run', status: 'completed', filledSize: 0.005, netPosition: 0 });
+    expect(execution.orders.map(order => order.averagePrice)).toEqual([opportunity.priceFrom, opportunity.priceTo]);
+    expect(execution.realizedProfit).toBeCloseTo((opportunity.priceTo - opportunity.priceFrom) * 0.005);
+  });
+
+  it('should close the excess when the books cannot fill the whole size', async () => {
+    const opportunity = await findOpportunity();
+    const engine = new ExecutionEngine({ exchangeAPI, unwindPolicy: 'close' });
+
+    // 指値では最良気配の数量（板ごとに乱数）しか約定しないため、両レッグの約定数量がずれる
+    const execution = await engine.execute(opportunity, 5);
+    const [buy, sell, unwind] = execution.orders;
+
+    expect(buy).toMatchObject({ leg: 'buy', status: 'partial', averagePrice: opportunity.priceFrom });
+    expect(sell).toMatchObject({ leg: 'sell', status: 'partial', averagePrice: opportunity.priceTo });
+    expect(unwind).toMatchObject({ leg: 'unwind', status: 'filled', size: expect.closeTo(Math.abs(buy.filledSize - sell.filledSize)) });
+    expect(unwind.exchange).toBe(buy.filledSize > sell.filledSize ? 'bitFlyer' : 'bitbank');
+    expect(execution).toMatchObject({ status: 'unwound', filledSize: Math.min(buy.filledSize, sell.filledSize), netPosition: 0 });
+  });
+});
@@ -23,7 +23,7 @@ describe('External API Integration Tests', () => {
         return;
       }
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
       
       if (result) {
         expect(result).toHaveProperty('exchange', 'bitFlyer');
@@ -44,7 +44,7 @@ describe('External API Integration Tests', () => {
         return;
       }
 
-      const result = await exchangeAPI.getCoincheckPrice();
+      const result = await exchangeAPI.getPrice('coincheck');
       
       if (result) {
         expect(result).toHaveProperty('exchange', 'Coincheck');
@@ -64,7 +64,7 @@ describe('External API Integration Tests', () => {
         return;
       }
 
-      const result = await exchangeAPI.getZaifPrice();
+      const result = await exchangeAPI.getPrice('zaif');
       
       if (result) {
         expect(result).toHaveProperty('exchange', 'Zaif');
@@ -82,7 +82,7 @@ describe('External API Integration Tests', () => {
         return;
       }
 
-      const result = await exchangeAPI.getGMOPrice();
+      const result = await exchangeAPI.getPrice('gmo');
       
       if (result) {
         expect(result).toHaveProperty('exchange', 'GMOコイン');
@@ -100,7 +100,7 @@ describe('External API Integration Tests', () => {
         return;
       }
 
-      const result = await exchangeAPI.getBitbankPrice();
+      const result = await exchangeAPI.getPrice('bitbank');
       
       if (result) {
         expect(result).toHaveProperty('exchange', 'bitbank');
@@ -112,21 +112,22 @@ describe('External API Integration Tests', () => {
       }
     }, 10000);
 
-    it('should fetch real data from BITPoint API (via CoinGecko)', async () => {
+    it('should fetch real data from the CoinGecko reference index', async () => {
       if (shouldSkipRealAPI()) {
-        console.log('Skipping real API test for BITPoint');
+        console.log('Skipping real API test for CoinGecko');
         return;
       }
 
-      const result = await exchangeAPI.getBitPointPrice();
+      const result = await exchangeAPI.getPrice('coingecko');
       
       if (result) {
-        expect(result).toHaveProperty('exchange', 'BITPoint');
+        expect(result).toHaveProperty('exchange', 'CoinGecko指数');
+        expect(result).toHaveProperty('isReference', true);
         expect(result).toHaveProperty('price');
         expect(typeof result.price).toBe('number');
         expect(result.price).toBeGreaterThan(0);
       } else {
-        console.warn('BITPoint (CoinGecko) API returned null');
+        console.warn('CoinGecko API returned null');
       }
     }, 10000);
 
@@ -165,7 +166,7 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
       expect(result.exchange).toBe('bitFlyer');
       expect(result.price).toBe(5000000);
@@ -186,7 +187,7 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getCoincheckPrice();
+      const result = await exchangeAPI.getPrice('coincheck');
 
       expect(result.exchange).toBe('Coincheck');
       expect(result.price).toBe(5000000);
@@ -211,7 +212,7 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getGMOPrice();
+      const result = await exchangeAPI.getPrice('gmo');
 
       expect(result.exchange).toBe('GMOコイン');
       expect(result.price).toBe(5000000);
@@ -235,7 +236,7 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getBitbankPrice();
+      const result = await exchangeAPI.getPrice('bitbank');
 
       expect(result.exchange).toBe('bitbank');
       expect(result.price).toBe(5000000);
@@ -245,7 +246,7 @@ describe('External API Integration Tests', () => {
       mockAxios.mockRestore();
     });
 
-    it('should handle CoinGecko API format for BITPoint', async () => {
+    it('should handle CoinGecko API format as a reference feed', async () => {
       const mockAxios = jest.spyOn(axios, 'get');
       mockAxios.mockResolvedValue({
         data: {
@@ -255,12 +256,13 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getBitPointPrice();
+      const result = await exchangeAPI.getPrice('coingecko');
 
-      expect(result.exchange).toBe('BITPoint');
+      expect(result.exchange).toBe('CoinGecko指数');
       expect(result.price).toBe(5000000);
-      expect(result.bid).toBe(5000000);  // Using price as approximation
-      expect(result.ask).toBe(5000000);  // Using price as approximation
+      expect(result.bid).toBeNull();  // Index price has no bid/ask
+      expect(result.ask).toBeNull();
+      expect(result.isReference).toBe(true);
 
       mockAxios.mockRestore();
     });
@@ -271,7 +273,7 @@ describe('External API Integration Tests', () => {
       const mockAxios = jest.spyOn(axios, 'get');
       mockAxios.mockRejectedValue(new Error('ETIMEDOUT'));
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
       expect(result).toBeNull();
 
@@ -284,7 +286,7 @@ describe('External API Integration Tests', () => {
         response: { status: 429, data: { error: 'Rate limit exceeded' } }
       });
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
       expect(result).toBeNull();
 
@@ -300,7 +302,7 @@ describe('External API Integration Tests', () => {
         }
       });
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
       // Should handle gracefully and return valid structure or null
       if (result) {
@@ -320,7 +322,7 @@ describe('External API Integration Tests', () => {
         .mockResolvedValueOnce({ data: { last: 5100000, bid: 5099000, ask: 5101000 } }) // Zaif success
         .mockRejectedValueOnce(new Error('Rate limited')) // GMO fail
         .mockResolvedValueOnce({ data: { data: { last: 5050000, buy: 5049000, sell: 5051000 } } }) // bitbank success
-        .mockRejectedValueOnce(new Error('Timeout')); // BITPoint fail
+        .mockRejectedValueOnce(new Error('Timeout')); // CoinGecko fail
 
       const results = await exchangeAPI.getAllPrices();
 
@@ -363,7 +365,7 @@ describe('External API Integration Tests', () => {
               resolve({ data: { data: [{ last: 5015000, bid: 5014000, ask: 5016000 }] } });
             } else if (url.includes('bitbank')) {
               resolve({ data: { data: { last: 5020000, buy: 5019000, sell: 5021000 } } });
-            } else if (url.includes('coingecko')) { // BITPoint
+            } else if (url.includes('coingecko')) { // CoinGecko index
               resolve({ data: { bitcoin: { jpy: 5025000 } } });
             } else {
               resolve({ data: { last: 5030000, bid: 5029000, ask: 5031000 } });
@@ -373,9 +375,9 @@ describe('External API Integration Tests', () => {
       });
 
       const promises = [
-        exchangeAPI.getBitFlyerPrice(),
-        exchangeAPI.getCoincheckPrice(),
-        exchangeAPI.getZaifPrice(),
+        exchangeAPI.getPrice('bitflyer'),
+        exchangeAPI.getPrice('coincheck'),
+        exchangeAPI.getPrice('zaif'),
         exchangeAPI.getAllPrices()
       ];
 
@@ -0,0 +1,148 @@
+const MockExchangeServer = require('../../server/mock-exchange');
+const ExchangeAPI = require('../../server/exchanges');
+const StreamManager = require('../../server/streams');
+
+// ExchangeAPI pointed at the bundled mock exchange server (EXCHANGE_BASE_URL)
+describe('Mock exchange server', () => {
+  let mock;
+  let baseUrl;
+  let streamManager;
+
+  const start = async (scenario) => {
+    mock = new MockExchangeServer({ scenario, seed: 42, tickInterval: 0 });
+    const port = await mock.listen(0);
+    baseUrl = `http://localhost:${port}`;
+  };
+
+  afterEach(async () => {
+    if (streamManager) {
+      // 切断ログがテスト終了後に出ないよう、クライアント側のcloseまで待つ
+      const sockets = Object.values(streamManager.streams).map(state => state.ws).filter(Boolean);
+      const closed = sockets.map(ws => new Promise(resolve => ws.once('close', resolve)));
+      streamManager.stop();
+      await Promise.all(closed);
+      streamManager = null;
+    }
+    await mock.close();
+  });
+
+  it('should serve tickers for every venue and pair', async () => {
+    await start('calm');
+    const exchangeAPI = new ExchangeAPI({ baseUrl, pairs: 'BTC/JPY,ETH/JPY,XRP/JPY' });
+
+    const prices = await exchangeAPI.getAllPrices();
+
+    expect(prices.map(price => `${price.pair}:${price.exchange}`)).toEqual(expect.arrayContaining([
+      'BTC/JPY:bitFlyer', 'BTC/JPY:Coincheck', 'BTC/JPY:Zaif', 'BTC/JPY:GMOコイン', 'BTC/JPY:bitbank',
+      'BTC/JPY:CoinGecko指数', 'ETH/JPY:Zaif', 'XRP/JPY:bitbank'
+    ]));
+    prices.forEach(price => {
+      expect(price.price).toBeGreaterThan(0);
+      expect(price.sourceTimestamp).toEqual(price.exchange === 'Zaif' ? null : expect.any(String));
+      if (!price.isReference) {
+        expect(price.bid).toBeLessThan(price.ask);
+      }
+    });
+  });
+
+  it('should serve order books for every venue', async () => {
+    await start('calm');
+    const exchangeAPI = new ExchangeAPI({ baseUrl });
+
+    const books = await exchangeAPI.getAllOrderBooks();
+
+    expect(books.map(book => book.exchange).sort()).toEqual(['Coincheck', 'GMOコイン', 'Zaif', 'bitFlyer', 'bitbank']);
+    books.forEach(book => {
+      expect(book.bids.length).toBeGreaterThan(0);
+      expect(book.bids[0].price).toBeLessThan(book.asks[0].price);
+    });
+  });
+
+  it('should serve public trades for every venue', async () => {
+    await start('calm');
+    [1, 2, 3].forEach(() => mock.tick());
+    const exchangeAPI = new ExchangeAPI({ baseUrl });
+
+    const trades = await exchangeAPI.getAllTrades();
+
+    expect([...new Set(trades.map(trade => trade.exchange))].sort())
+      .toEqual(['Coincheck', 'GMOコイン', 'Zaif', 'bitFlyer', 'bitbank']);
+    expect(trades.filter(trade => trade.exchange === 'GMOコイン')).toHaveLength(3);
+    trades.forEach(trade => {
+      expect(trade.price).toBeGreaterThan(0);
+      expect(['buy', 'sell']).toContain(trade.side);
+    });
+  });
+
+  it('should serve overseas venues in USD and the USD/JPY rate', async () => {
+    await start({ fxRate: 140, exchanges: {} });
+    const exchangeAPI = new ExchangeAPI({ baseUrl, enabled: ['bitflyer', 'binance', 'coinbase'] });
+
+    const prices = await exchangeAPI.getAllPrices();
+    const bitflyer = prices.find(price => price.exchange === 'bitFlyer');
+    const binance = prices.find(price => price.exchange === 'Binance');
+
+    expect(prices.map(price => price.exchange)).toEqual(['bitFlyer', 'Binance', 'Coinbase']);
+    expect(exchangeAPI.fx.getStatus().rate).toBeCloseTo(140);
+    expect(binance).toMatchObject({ isOverseas: true, currency: 'USDT', fxRate: expect.closeTo(140, 5) });
+    expect(binance.originalPrice).toBeCloseTo(binance.price / 140, 2);
+    // 換算後は国内とほぼ同じ価格になる（取引所ごとの固定差は±0.02%）
+    expect(Math.abs(binance.price - bitflyer.price) / bitflyer.price).toBeLessThan(0.001);
+  });
+
+  it('should fail requests during an outage and reject crossed books', async () => {
+    await start({
+      exchanges: {
+        zaif: [{ type: 'outage', duration: 10, status: 503 }],
+        coincheck: [{ type: 'crossedBook', duration: 10 }]
+      }
+    });
+    const exchangeAPI = new ExchangeAPI({ baseUrl, enabled: ['zaif', 'coincheck', 'bitflyer'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const prices = await exchangeAPI.getAllPrices();
+
+    expect(prices.map(price => price.exchange)).toEqual(['bitFlyer']);
+    const health = exchangeAPI.getHealthStatus();
+    expect(health.find(status => status.id === 'zaif').consecutiveFailures).toBe(1);
+    expect(health.find(status => status.id === 'coincheck').rejectedQuotes.crossed).toBe(1);
+
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it('should open a premium that the detector can see', async () => {
+    await start({ exchanges: { bitbank: [{ type: 'premium', duration: 10, percent: 1 }] } });
+    const exchangeAPI = new ExchangeAPI({ baseUrl, enabled: ['bitflyer', 'bitbank'] });
+
+    const prices = await exchangeAPI.getAllPrices();
+    const bitbank = prices.find(price => price.exchange === 'bitbank');
+    const bitflyer = prices.find(price => price.exchange === 'bitFlyer');
+
+    expect(bitbank.bid).toBeGreaterThan(bitflyer.ask);
+  });
+
+  it.each(['bitflyer', 'gmo', 'bitbank', 'coincheck'])('should stream %s quotes over WebSocket', async (exchangeId) => {
+    await start('calm');
+    const exchangeAPI = new ExchangeAPI({ baseUrl, enabled: [exchangeId] });
+    streamManager = new StreamManager(exchangeAPI, { reconnectDelay: 50 });
+
+    const received = new Promise((resolve) => {
+      streamManager.on('quote', resolve);
+    });
+    const connected = new Promise((resolve) => {
+      streamManager.on('connect', resolve);
+    });
+    streamManager.start();
+    await connected;
+
+    // 購読メッセージの到着を待ってから配信（価格が変わるまで数回進める）
+    const timer = setInterval(() => mock.tick(), 20);
+    const quote = await received;
+    clearInterval(timer);
+
+    expect(quote.pair).toBe('BTC/JPY');
+    expect(quote.bid).toBeLessThan(quote.ask);
+  });
+});
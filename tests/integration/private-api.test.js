@@ -0,0 +1,100 @@
+const MockExchangeServer = require('../../server/mock-exchange');
+const ExchangeAPI = require('../../server/exchanges');
+const PrivateAPI = require('../../server/private-api');
+const { ApiCredential } = require('../../server/credentials');
+
+// 署名付きリクエストをモック取引所の private エンドポイントで検証する
+describe('Private API against the mock exchange', () => {
+  let mock;
+  let exchangeAPI;
+
+  const accounts = {
+    bitflyer: {
+      balances: { JPY: 2000000, BTC: 0.5 },
+      orders: [{ id: 'JRF-1', pair: 'BTC/JPY', side: 'buy', price: 9000000, size: 0.1, remaining: 0.05 }]
+    },
+    bitbank: {
+      balances: { JPY: 500000, BTC: 0.2, ETH: 1 },
+      orders: [
+        { id: 11, pair: 'BTC/JPY', side: 'sell', price: 11000000, size: 0.1 },
+        { id: 12, pair: 'ETH/JPY', side: 'sell', price: 600000, size: 0.5 }
+      ]
+    }
+  };
+
+  const createPrivateAPI = (secret = 'mock-exchange') => {
+    const credential = new ApiCredential('mock-api', secret);
+    return new PrivateAPI({
+      credentials: { bitflyer: credential, gmo: credential, bitbank: credential, coincheck: credential },
+      pairs: ['BTC/JPY', 'ETH/JPY'],
+      resolveUrl: (adapter, url) => exchangeAPI.resolveUrl(adapter, url)
+    });
+  };
+
+  beforeEach(async () => {
+    mock = new MockExchangeServer({ scenario: { accounts }, seed: 42, tickInterval: 0 });
+    const port = await mock.listen(0);
+    exchangeAPI = new ExchangeAPI({ baseUrl: `http://localhost:${port}` });
+  });
+
+  afterEach(async () => {
+    await mock.close();
+  });
+
+  it('should read balances from every venue with a private API', async () => {
+    const privateAPI = createPrivateAPI();
+
+    const results = await privateAPI.getAllBalances();
+
+    expect(results.map(result => result.exchangeId).sort()).toEqual(['bitbank', 'bitflyer', 'coincheck', 'gmo']);
+    const balances = (exchangeId) => results.find(result => result.exchangeId === exchangeId).balances;
+    expect(balances('bitflyer')).toEqual([
+      { currency: 'JPY', total: 2000000, available: 1550000 }, // 0.05 BTC の買い注文分を拘束
+      { currency: 'BTC', total: 0.5, available: 0.5 }
+    ]);
+    expect(balances('bitbank')).toEqual(expect.arrayContaining([
+      { currency: 'BTC', total: 0.2, available: expect.closeTo(0.1) },
+      { currency: 'ETH', total: 1, available: 0.5 }
+    ]));
+    ['gmo', 'coincheck'].forEach(exchangeId => {
+      expect(balances(exchangeId)).toEqual([
+        { currency: 'JPY', total: 1000000, available: 1000000 },
+        { currency: 'BTC', total: 0.1, available: 0.1 }
+      ]);
+    });
+  });
+
+  it('should read open orders per pair', async () => {
+    const privateAPI = createPrivateAPI();
+
+    const orders = await privateAPI.getAllOpenOrders();
+
+    expect(orders.map(order => `${order.exchangeId}:${order.pair}:${order.id}:${order.side}:${order.remaining}`).sort()).toEqual([
+      'bitbank:BTC/JPY:11:sell:0.1',
+      'bitbank:ETH/JPY:12:sell:0.5',
+      'bitflyer:BTC/JPY:JRF-1:buy:0.05'
+    ]);
+    orders.forEach(order => expect(order.orderedAt).toEqual(expect.any(String)));
+  });
+
+  it('should be rejected with a wrong secret', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const privateAPI = createPrivateAPI('wrong-secret');
+
+    await expect(privateAPI.getBalances('bitflyer')).resolves.toBeNull();
+    await expect(privateAPI.getAllBalances()).resolves.toEqual([]);
+    expect(errorSpy).toHaveBeenCalledWith('bitFlyer Private API Error:', 'Request failed with status code 401');
+    errorSpy.mockRestore();
+  });
+
+  it('should reject a reused nonce', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const privateAPI = createPrivateAPI();
+    const fixedNow = Date.now();
+    privateAPI.nextNonce = () => fixedNow; // 同じnonceを使い回す
+
+    await expect(privateAPI.getBalances('gmo')).resolves.not.toBeNull();
+    await expect(privateAPI.getBalances('gmo')).resolves.toBeNull();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+const ExchangeAPI = require('../../server/exchanges');
+const ArbitrageDetector = require('../../server/arbitrage');
+const { ResponseReplayer } = require('../../server/recording');
+
+const recording = path.join(__dirname, '../fixtures/recordings/bitbank-spike.jsonl');
+
+// Reproduces a recorded bitbank price spike end-to-end without network access
+describe('Replaying recorded exchange responses', () => {
+  let realNow;
+  let replayer;
+  let exchangeAPI;
+  let detector;
+  let database;
+
+  beforeEach(() => {
+    realNow = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    replayer = new ResponseReplayer(recording, { speed: 10 });
+    const clock = () => replayer.now();
+    exchangeAPI = new ExchangeAPI({ enabled: ['bitflyer', 'coincheck', 'bitbank'], http: replayer, now: clock });
+    database = { saveArbitrageOpportunity: jest.fn().mockResolvedValue(), saveEpisode: jest.fn().mockResolvedValue() };
+    detector = new ArbitrageDetector(database, { now: clock });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should serve the responses recorded up to the replay clock', async () => {
+    realNow += 50; // 記録時刻で +500ms
+
+    const prices = await exchangeAPI.getAllPrices();
+
+    expect(prices.map(p => p.exchange)).toEqual(['bitFlyer', 'Coincheck', 'bitbank']);
+    expect(detector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+  });
+
+  it('should reproduce the spike and the failed request through detection', async () => {
+    realNow += 520; // 10倍速で記録時刻 +5.2秒
+
+    const prices = await exchangeAPI.getAllPrices();
+    const opportunities = detector.detectArbitrageOpportunities(prices);
+
+    // Coincheck は記録上503で失敗している
+    expect(prices.map(p => p.exchange)).toEqual(['bitFlyer', 'bitbank']);
+    expect(exchangeAPI.health.getStatus('coincheck').lastError).toBe('Request failed with status code 503');
+    expect(prices[1]).toMatchObject({ bid: 10120000, sourceTimestamp: '2024-03-01T00:00:05.110Z' });
+
+    expect(opportunities).toHaveLength(1);
+    expect(opportunities[0]).toMatchObject({ exchangeFrom: 'bitFlyer', exchangeTo: 'bitbank', priceFrom: 10001000, priceTo: 10120000 });
+    expect(opportunities[0].quoteAge).toBeLessThan(1000);
+    expect(database.saveArbitrageOpportunity).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the end of the recording', () => {
+    expect(replayer.isFinished()).toBe(false);
+    realNow += 1000;
+    expect(replayer.isFinished()).toBe(true);
+  });
+});
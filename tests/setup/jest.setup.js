@@ -68,7 +68,7 @@ expect.extend({
 // Global test configuration
 global.testConfig = {
   // Exchange names used in tests
-  exchanges: ['bitFlyer', 'Coincheck', 'Zaif', 'GMOコイン', 'bitbank', 'BITPoint'],
+  exchanges: ['bitFlyer', 'Coincheck', 'Zaif', 'GMOコイン', 'bitbank'],
   
   // Test data ranges
   priceRange: {
@@ -204,6 +204,10 @@ if (process.env.NODE_ENV === 'test') {
   process.env.SKIP_REAL_API_TESTS = process.env.SKIP_REAL_API_TESTS || 'true';
 }
 
+// Built-in maintenance windows (e.g. bitFlyer's daily 04:00 JST) would make
+// results depend on the time of day; tests that need them pass windows explicitly
+process.env.MAINTENANCE_CALENDAR = process.env.MAINTENANCE_CALENDAR || 'off';
+
 // Set up test database path
 process.env.TEST_DB_PATH = process.env.TEST_DB_PATH || ':memory:';
 
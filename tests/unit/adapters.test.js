@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  builtinAdapters,
+  createAdapter,
+  getAllAdapters,
+  loadAdapters
+} = require('../../server/adapters');
+const FeeCalculator = require('../../server/fees');
+
+describe('Exchange adapter registry', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('builtinAdapters', () => {
+    const isDomesticExchange = (adapter) => !adapter.type || adapter.type === 'exchange';
+
+    it('should define every required field', () => {
+      builtinAdapters.filter(isDomesticExchange).forEach(adapter => {
+        expect(adapter).toMatchObject({
+          id: expect.any(String),
+          name: expect.any(String),
+          color: expect.any(String),
+          symbols: expect.objectContaining({ 'BTC/JPY': expect.any(String) }),
+          tickerUrl: expect.any(Function),
+          parseTicker: expect.any(Function),
+          fees: expect.objectContaining({ tradingFee: expect.any(Object), withdrawalFee: expect.any(Object) })
+        });
+      });
+    });
+
+    it('should mark the CoinGecko index as a reference feed without fees', () => {
+      const coingecko = builtinAdapters.find(adapter => adapter.id === 'coingecko');
+      expect(coingecko.type).toBe('reference');
+      expect(coingecko.fees).toBeUndefined();
+    });
+
+    it('should define overseas venues with a quote currency and no fees', () => {
+      const overseas = builtinAdapters.filter(adapter => adapter.type === 'overseas');
+
+      expect(overseas.map(adapter => adapter.id)).toEqual(['binance', 'coinbase']);
+      overseas.forEach(adapter => {
+        expect(['USD', 'USDT']).toContain(adapter.quoteCurrency);
+        expect(adapter.symbols['BTC/JPY']).toEqual(expect.any(String));
+        expect(adapter.fees).toBeUndefined();
+      });
+      expect(builtinAdapters.find(adapter => adapter.id === 'binance').parseTicker({
+        lastPrice: '66000.5', bidPrice: '66000.1', askPrice: '66000.9', closeTime: 1709251200000
+      })).toEqual({ price: '66000.5', bid: '66000.1', ask: '66000.9', timestamp: 1709251200000 });
+    });
+
+    it('should have unique ids', () => {
+      const ids = builtinAdapters.map(adapter => adapter.id);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  describe('createAdapter', () => {
+    it('should resolve dotted field paths including array indexes', () => {
+      const adapter = createAdapter({
+        id: 'test',
+        name: 'Test',
+        tickerUrl: 'https://example.com/{symbol}',
+        fields: { price: 'data.0.last', bid: 'data.0.bid', ask: 'data.0.ask' }
+      });
+
+      expect(adapter.tickerUrl('BTC_JPY')).toBe('https://example.com/BTC_JPY');
+      expect(adapter.parseTicker({ data: [{ last: 10, bid: 9, ask: 11 }] }, 'BTC_JPY'))
+        .toEqual({ price: 10, bid: 9, ask: 11 });
+    });
+
+    it('should read the exchange timestamp when a timestamp field is configured', () => {
+      const adapter = createAdapter({
+        id: 'test',
+        name: 'Test',
+        tickerUrl: 'https://example.com/{symbol}',
+        fields: { price: 'last', bid: 'bid', ask: 'ask', timestamp: 'time' }
+      });
+
+      expect(adapter.parseTicker({ last: 10, bid: 9, ask: 11, time: 1709251200 }, 'BTC_JPY'))
+        .toEqual({ price: 10, bid: 9, ask: 11, timestamp: 1709251200 });
+    });
+
+    it('should leave bid/ask empty for declarative reference feeds', () => {
+      const adapter = createAdapter({
+        id: 'index',
+        name: 'Index',
+        type: 'reference',
+        tickerUrl: 'https://example.com/index',
+        fields: { price: 'index.jpy' }
+      });
+
+      expect(adapter.parseTicker({ index: { jpy: 10 } }, 'btc')).toEqual({ price: 10, bid: null, ask: null });
+    });
+
+    it('should reject incomplete definitions', () => {
+      expect(() => createAdapter({ id: 'broken', name: 'Broken' })).toThrow('Invalid exchange definition');
+    });
+  });
+
+  describe('loadAdapters', () => {
+    it('should enable all built-in adapters by default', () => {
+      delete process.env.ENABLED_EXCHANGES;
+      delete process.env.DISABLED_EXCHANGES;
+      delete process.env.EXCHANGE_CONFIG;
+
+      expect(loadAdapters().map(adapter => adapter.id)).toEqual(builtinAdapters.map(adapter => adapter.id));
+    });
+
+    it('should read enabled and disabled lists from the environment', () => {
+      process.env.DISABLED_EXCHANGES = 'zaif, coingecko';
+      expect(loadAdapters().map(adapter => adapter.id)).toEqual(['bitflyer', 'coincheck', 'gmo', 'bitbank', 'binance', 'coinbase']);
+
+      process.env.ENABLED_EXCHANGES = 'gmo';
+      expect(loadAdapters().map(adapter => adapter.id)).toEqual(['gmo']);
+    });
+
+    it('should read venues and overrides from a JSON config file', () => {
+      const configPath = path.join(os.tmpdir(), `exchanges-${process.pid}.json`);
+      fs.writeFileSync(configPath, JSON.stringify({
+        disabled: ['coingecko'],
+        exchanges: [
+          { id: 'bitflyer', color: '#000000' },
+          {
+            id: 'newvenue',
+            name: 'NewVenue',
+            tickerUrl: 'https://example.com/{symbol}',
+            symbols: { 'BTC/JPY': 'btcjpy' },
+            fields: { price: 'last' }
+          }
+        ]
+      }));
+
+      try {
+        const adapters = loadAdapters({ configPath });
+        const ids = adapters.map(adapter => adapter.id);
+
+        expect(ids).not.toContain('coingecko');
+        expect(ids).toContain('newvenue');
+        expect(adapters.find(adapter => adapter.id === 'bitflyer').color).toBe('#000000');
+        expect(adapters.find(adapter => adapter.id === 'bitflyer').parseTicker({ ltp: 1, best_bid: 2, best_ask: 3 }))
+          .toEqual({ price: 1, bid: 2, ask: 3 });
+      } finally {
+        fs.unlinkSync(configPath);
+      }
+    });
+  });
+
+  describe('fee table', () => {
+    it('should build FeeCalculator fees from adapter definitions', () => {
+      const feeCalculator = new FeeCalculator(getAllAdapters({}));
+
+      expect(Object.keys(feeCalculator.exchangeFees)).toEqual(
+        builtinAdapters.filter(adapter => !adapter.type || adapter.type === 'exchange').map(adapter => adapter.name)
+      );
+      expect(feeCalculator.getTradingFee('bitFlyer').taker).toBe(0.0015);
+      expect(feeCalculator.getWithdrawalFee('Coincheck', 'jpy')).toBe(407);
+    });
+
+    it('should estimate transfer durations from withdrawal times and deposit confirmations', () => {
+      const feeCalculator = new FeeCalculator(getAllAdapters({}));
+
+      // bitFlyer の出金 30分 + Coincheck の入金承認 3ブロック x 10分
+      expect(feeCalculator.getTransferDuration('bitFlyer', 'Coincheck', 'btc')).toBe(60);
+      // Coincheck の出金 60分 + bitFlyer の入金承認 30ブロック x 0.2分
+      expect(feeCalculator.getTransferDuration('Coincheck', 'bitFlyer', 'eth')).toBeCloseTo(66);
+      // 定義のない取引所は出金 30分・BTCは3承認
+      expect(feeCalculator.getTransferDuration('Unknown', 'Other', 'btc')).toBe(60);
+    });
+  });
+});
@@ -1,8 +1,11 @@
 const ArbitrageDetector = require('../../server/arbitrage');
+const { ThresholdConfig } = require('../../server/thresholds');
+const { normalCdf } = require('../../server/utils');
 
 // Mock Database and FeeCalculator
 const mockDatabase = {
-  saveArbitrageOpportunity: jest.fn().mockResolvedValue(undefined)
+  saveArbitrageOpportunity: jest.fn().mockResolvedValue(undefined),
+  saveEpisode: jest.fn().mockResolvedValue(undefined)
 };
 
 // Mock FeeCalculator
@@ -115,6 +118,66 @@ describe('ArbitrageDetector', () => {
       }
     });
 
+    it('should never treat reference feeds as tradable venues', () => {
+      const prices = [
+        {
+          exchange: 'Exchange1',
+          price: 5000000,
+          bid: 4999000,
+          ask: 5001000
+        },
+        {
+          exchange: 'IndexFeed',
+          price: 5200000,
+          bid: 5200000,
+          ask: 5200000,
+          isReference: true
+        }
+      ];
+
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunities).toHaveLength(0);
+      expect(mockDatabase.saveArbitrageOpportunity).not.toHaveBeenCalled();
+    });
+
+    it('should not treat overseas venues as tradable venues', () => {
+      const prices = [
+        { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+        { exchange: 'Binance', price: 4800000, bid: 4799000, ask: 4801000, isOverseas: true, fxRate: 150 }
+      ];
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+    });
+
+    it('should not compare exchanges under maintenance', () => {
+      const maintenance = { isUnderMaintenance: jest.fn(exchange => exchange === 'Exchange2') };
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { maintenance });
+      const prices = [
+        { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+        { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+      ];
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+      expect(maintenance.isUnderMaintenance).toHaveBeenCalledWith('Exchange2', expect.any(Number));
+    });
+
+    it('should only compare quotes of the same pair', () => {
+      const prices = [
+        { exchange: 'Exchange1', pair: 'BTC/JPY', price: 5000000, bid: 4999000, ask: 5001000 },
+        { exchange: 'Exchange2', pair: 'ETH/JPY', price: 500000, bid: 499900, ask: 500100 },
+        { exchange: 'Exchange2', pair: 'BTC/JPY', price: 5100000, bid: 5099000, ask: 5101000 },
+        { exchange: 'Exchange1', pair: 'ETH/JPY', price: 510000, bid: 509900, ask: 510100 }
+      ];
+
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunities).toHaveLength(2);
+      expect(opportunities.map(opp => opp.pair).sort()).toEqual(['BTC/JPY', 'ETH/JPY']);
+      const eth = opportunities.find(opp => opp.pair === 'ETH/JPY');
+      expect(eth).toMatchObject({ exchangeFrom: 'Exchange2', exchangeTo: 'Exchange1', priceFrom: 500100, priceTo: 509900 });
+    });
+
     it('should handle empty prices array', () => {
       const opportunities = arbitrageDetector.detectArbitrageOpportunities([]);
       expect(opportunities).toHaveLength(0);
@@ -179,6 +242,323 @@ describe('ArbitrageDetector', () => {
 
       expect(mockDatabase.saveArbitrageOpportunity).toHaveBeenCalled();
     });
+
+    it('should save an opportunity once per episode', () => {
+      const prices = [
+        { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+        { exchange: 'Exchange2', price: 5200000, bid: 5199000, ask: 5201000 }
+      ];
+
+      arbitrageDetector.detectArbitrageOpportunities(prices);
+      arbitrageDetector.detectArbitrageOpportunities(prices);
+      arbitrageDetector.detectArbitrageOpportunities([prices[0]]);
+
+      expect(mockDatabase.saveArbitrageOpportunity).toHaveBeenCalledTimes(1);
+      // 開始時と終了時（ピークは更新されていない）
+      expect(mockDatabase.saveEpisode.mock.calls.map(([episode]) => episode.status)).toEqual(['open', 'closed']);
+      expect(mockDatabase.saveEpisode.mock.calls[1][0]).toMatchObject({
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange2',
+        observations: 2
+      });
+    });
+  });
+
+  describe('depth sizing', () => {
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+    ];
+    const orderBooks = [
+      {
+        exchange: 'Exchange1',
+        pair: 'BTC/JPY',
+        bids: [{ price: 4999000, size: 1 }],
+        asks: [{ price: 5001000, size: 0.5 }, { price: 5050000, size: 1 }, { price: 5200000, size: 5 }]
+      },
+      {
+        exchange: 'Exchange2',
+        pair: 'BTC/JPY',
+        bids: [{ price: 5099000, size: 0.3 }, { price: 5080000, size: 2 }, { price: 4900000, size: 5 }],
+        asks: [{ price: 5101000, size: 1 }]
+      }
+    ];
+
+    // 未登録の取引所の既定値: 取引手数料 0.1%、JPY出金 500円、送金 0.0005 + ネットワーク 0.0001 BTC
+    const costsAt = (buyValue, sellValue, size) => 0.001 * (buyValue + sellValue) + 500 + 0.0006 * buyValue / size;
+
+    it('should walk both books while each slice stays profitable after taker fees', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, orderBooks);
+
+      // 5,200,000 の売り板は 5,080,000 の買い板に対して手数料込みで赤字のため使わない
+      expect(opportunity.executableSize).toBeCloseTo(1.5);
+      expect(opportunity.averageBuyPrice).toBeCloseTo(7550500 / 1.5);
+      expect(opportunity.averageSellPrice).toBeCloseTo(7625700 / 1.5);
+      expect(opportunity.slippageCost).toBeCloseTo(49000 + 22800);
+      expect(opportunity.buySlippage).toBeCloseTo((7550500 / 1.5 - 5001000) / 5001000 * 100);
+      // 出金・送金の固定費は約定できる全量に対して1回だけ差し引く
+      expect(opportunity.netProfitAtSize).toBeCloseTo(75200 - costsAt(7550500, 7625700, 1.5));
+      expect(opportunity.isProfitableAfterFees).toBe(true);
+    });
+
+    it('should judge profitability at the executable size', () => {
+      const thinBooks = orderBooks.map(book => ({
+        ...book,
+        asks: book.asks.slice(0, 1).map(level => ({ ...level, size: 0.01 })),
+        bids: book.bids.slice(0, 1).map(level => ({ ...level, size: 0.01 }))
+      }));
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, thinBooks);
+
+      // 1 BTC なら利益が出ても、板には 0.01 BTC しかなく固定費を回収できない
+      expect(opportunity.netProfit).toBeGreaterThan(0);
+      expect(opportunity.executableSize).toBeCloseTo(0.01);
+      expect(opportunity.netProfitAtSize).toBeCloseTo(980 - costsAt(50010, 50990, 0.01));
+      expect(opportunity.isProfitableAfterFees).toBe(false);
+    });
+
+    it('should leave sizing empty without both order books', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, orderBooks.slice(0, 1));
+
+      expect(opportunity).toMatchObject({ executableSize: null, netProfitAtSize: null, isProfitableAfterFees: true });
+    });
+
+    it('should find the most profitable size and the break-even size', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, orderBooks);
+
+      expect(opportunity.optimalSize).toBeCloseTo(1.5);
+      expect(opportunity.netProfitAtOptimalSize).toBeCloseTo(opportunity.netProfitAtSize);
+      // 最良気配 (5,001,000 / 5,099,000) の 0.3 BTC の範囲で固定費を回収できる
+      expect(opportunity.breakEvenSize).toBeCloseTo(3500.6 / 87900);
+    });
+
+    it('should estimate the break-even size from the quotes without order books', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      // 固定費 500 + 0.0006 × 5,001,000 円を、1 BTC あたり 98,000 − 10,100 円の利益で回収
+      expect(opportunity.breakEvenSize).toBeCloseTo(3500.6 / 87900);
+      expect(opportunity.optimalSize).toBeNull();
+    });
+
+    it('should ignore stale order books', () => {
+      const now = arbitrageDetector.now();
+      const staleBooks = orderBooks.map(book => ({ ...book, receivedAt: now - 60000 }));
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, staleBooks);
+
+      expect(opportunity.executableSize).toBeNull();
+    });
+  });
+
+  describe('trade size', () => {
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+    ];
+
+    it('should evaluate fees at 1 unit by default', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity.tradeSize).toBe(1);
+      expect(opportunity.netProfit).toBeCloseTo(98000 - 10100 - 3500.6);
+    });
+
+    it('should evaluate fees at the configured size', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { tradeSize: 0.1 });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity.tradeSize).toBe(0.1);
+      expect(opportunity.netProfit).toBeCloseTo(9800 - 1010 - 3500.6);
+      expect(opportunity.netProfitPercentage).toBeCloseTo(opportunity.netProfit / 500100 * 100);
+    });
+
+    it('should re-evaluate opportunities at another size', () => {
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      const [resized] = arbitrageDetector.evaluateAtSize(opportunities, 0.01);
+
+      expect(resized.tradeSize).toBe(0.01);
+      expect(resized.netProfit).toBeCloseTo(980 - 101 - 3500.6);
+      expect(resized.isProfitableAfterFees).toBe(false);
+      expect(opportunities[0].tradeSize).toBe(1); // 元の機会は変更しない
+    });
+  });
+
+  describe('cost models', () => {
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+    ];
+
+    it('should evaluate every opportunity under both models', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity.costModel).toBe('transfer');
+      // 在庫モデルでは出金・送金の固定費 (3,500.6円) を10回の取引で按分する
+      expect(opportunity.costModels.transfer.netProfit).toBeCloseTo(opportunity.netProfit);
+      expect(opportunity.costModels.inventory.netProfit).toBeCloseTo(98000 - 10100 - 350.06);
+      expect(opportunity.costModels.inventory.totalFees).toBeCloseTo(10100 + 350.06);
+      expect(opportunity.costModels.inventory.netProfitAtSize).toBeNull();
+    });
+
+    it('should judge opportunities with the selected model', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { costModel: 'inventory', rebalanceTrades: 5, tradeSize: 0.01 });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      // 0.01 BTC では送金モデルは赤字、在庫モデルは按分した固定費 (700.12円) を回収できる
+      expect(opportunity.costModel).toBe('inventory');
+      expect(opportunity.netProfit).toBeCloseTo(980 - 101 - 700.12);
+      expect(opportunity.feeBreakdown.sellExchange.jpyWithdrawalFee).toBeCloseTo(100);
+      expect(opportunity.costModels.transfer.netProfit).toBeCloseTo(980 - 101 - 3500.6);
+      expect(opportunity.isProfitableAfterFees).toBe(true);
+    });
+
+    it('should compare the models at the executable size', () => {
+      const orderBooks = [
+        { exchange: 'Exchange1', pair: 'BTC/JPY', bids: [{ price: 4999000, size: 1 }], asks: [{ price: 5001000, size: 0.02 }] },
+        { exchange: 'Exchange2', pair: 'BTC/JPY', bids: [{ price: 5099000, size: 0.02 }], asks: [{ price: 5101000, size: 1 }] }
+      ];
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices, orderBooks);
+
+      expect(opportunity.costModels.transfer.netProfitAtSize).toBeCloseTo(opportunity.netProfitAtSize);
+      expect(opportunity.costModels.inventory.netProfitAtSize).toBeCloseTo(1960 - 202 - 350.06);
+    });
+
+    it('should fall back to the transfer model for unknown models', () => {
+      expect(new ArbitrageDetector(mockDatabase, { costModel: 'hedged' }).costModel).toBe('transfer');
+    });
+  });
+
+  describe('spread z-scores', () => {
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5010000, bid: 5011000, ask: 5012000 }
+    ];
+    // Exchange1 → Exchange2 は普段から平均 0.2%（標準偏差 0.05%）の価格差がある
+    const spreadModel = {
+      getStats: jest.fn(() => ({ samples: 100, mean: 0.2, std: 0.05 })),
+      getZScore: jest.fn((pair, from, to, spread) => from === 'Exchange1' ? (spread - 0.2) / 0.05 : null)
+    };
+
+    it('should report the z-score of every opportunity', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { spreadModel });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity.percentageDifference).toBeCloseTo(0.19996, 4);
+      expect(opportunity.zScore).toBeCloseTo(0, 2);
+      expect(opportunity).toMatchObject({ spreadMean: 0.2, spreadStd: 0.05 });
+      expect(spreadModel.getZScore).toHaveBeenCalledWith('BTC/JPY', 'Exchange1', 'Exchange2', opportunity.percentageDifference);
+    });
+
+    it('should ignore a usual spread in z-score mode', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { spreadModel, detectionMode: 'zscore' });
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+
+      // 0.4% は普段より4標準偏差大きい
+      const wide = [prices[0], { ...prices[1], bid: 5021000, ask: 5022000 }];
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(wide);
+      expect(opportunity.zScore).toBeCloseTo(4, 1);
+    });
+
+    it('should fall back to the threshold for routes without statistics', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { spreadModel, detectionMode: 'zscore', zScoreThreshold: 2 });
+      const reversed = [{ ...prices[0], bid: 5020000, ask: 5021000 }, prices[1]];
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(reversed);
+
+      expect(opportunity).toMatchObject({ exchangeFrom: 'Exchange2', zScore: null, spreadMean: null });
+    });
+
+    it('should leave z-scores empty without a spread model', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(arbitrageDetector.detectionMode).toBe('threshold');
+      expect(opportunity).toMatchObject({ zScore: null, spreadMean: null, spreadStd: null });
+    });
+  });
+
+  describe('triangular arbitrage', () => {
+    // bitFlyer: JPY → BTC → ETH → JPY が 0.5% 割安、手数料は未登録の取引所の既定値 0.1%
+    const prices = [
+      { exchange: 'Exchange1', pair: 'BTC/JPY', price: 10000000, bid: 9999000, ask: 10000000 },
+      { exchange: 'Exchange1', pair: 'ETH/BTC', price: 0.0499, bid: 0.04965, ask: 0.04975 },
+      { exchange: 'Exchange1', pair: 'ETH/JPY', price: 500000, bid: 500000, ask: 500100 }
+    ];
+
+    it('should find cycles whose rates multiply above one within an exchange', () => {
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunities).toHaveLength(1);
+      const [opportunity] = opportunities;
+      const grossRate = (1 / 10000000) * (1 / 0.04975) * 500000;
+      expect(opportunity).toMatchObject({
+        type: 'triangular',
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange1',
+        pair: 'JPY→BTC→ETH→JPY',
+        legs: [
+          { pair: 'BTC/JPY', side: 'buy', price: 10000000 },
+          { pair: 'ETH/BTC', side: 'buy', price: 0.04975 },
+          { pair: 'ETH/JPY', side: 'sell', price: 500000 }
+        ],
+        feeRate: 0.001
+      });
+      expect(opportunity.grossRate).toBeCloseTo(grossRate, 10);
+      expect(opportunity.percentageDifference).toBeCloseTo((grossRate - 1) * 100);
+      // 取引手数料3回のみで、出金・送金コストはかからない
+      expect(opportunity.netRate).toBeCloseTo(grossRate * Math.pow(0.999, 3), 10);
+      expect(opportunity.netProfit).toBeCloseTo(10000000 * (grossRate * Math.pow(0.999, 3) - 1));
+      expect(opportunity.isProfitableAfterFees).toBe(true);
+    });
+
+    it('should judge the cycle after taker fees', () => {
+      // 0.25% の価格差は3回の手数料 (約0.3%) で消える
+      const thin = prices.map(price => price.pair === 'ETH/BTC' ? { ...price, ask: 0.049875 } : price);
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(thin);
+
+      expect(opportunity.percentageDifference).toBeCloseTo(0.25, 1);
+      expect(opportunity.netProfit).toBeLessThan(0);
+      expect(opportunity.isProfitableAfterFees).toBe(false);
+    });
+
+    it('should not combine quotes of different exchanges', () => {
+      const split = prices.map(price => price.pair === 'ETH/BTC' ? { ...price, exchange: 'Exchange2' } : price);
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(split)).toHaveLength(0);
+    });
+
+    it('should not compare non-JPY pairs across exchanges', () => {
+      const crossPrices = [
+        { exchange: 'Exchange1', pair: 'ETH/BTC', price: 0.05, bid: 0.0499, ask: 0.05 },
+        { exchange: 'Exchange2', pair: 'ETH/BTC', price: 0.052, bid: 0.0515, ask: 0.052 }
+      ];
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(crossPrices)).toHaveLength(0);
+    });
+
+    it('should rescale the profit to another size', () => {
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      const [resized] = arbitrageDetector.evaluateAtSize(opportunities, 0.1);
+
+      expect(resized.tradeSize).toBe(0.1);
+      expect(resized.netProfit).toBeCloseTo(opportunities[0].netProfit / 10);
+      expect(resized.netProfitPercentage).toBe(opportunities[0].netProfitPercentage);
+    });
+
+    it('should describe the legs in the message', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(arbitrageDetector.formatOpportunityMessage(opportunity)).toContain(
+        'Triangular Opportunity [Exchange1]: JPY→BTC→ETH→JPY (buy BTC/JPY @ 10000000, buy ETH/BTC @ 0.04975, sell ETH/JPY @ 500000)'
+      );
+    });
   });
 
   describe('formatOpportunityMessage', () => {
@@ -225,9 +605,235 @@ describe('ArbitrageDetector', () => {
     });
   });
 
+  describe('price risk during transfers', () => {
+    // 手数料控除後 84,399.4円、未登録の取引所の送金時間は 30分 + 3承認 x 10分
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+    ];
+    const volatilityModel = { getVolatility: jest.fn(() => 0.001) };
+
+    it('should deduct the price risk over the transfer from the expected profit', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { volatilityModel, riskAversion: 1 });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      const profitStd = 5099000 * 0.001 * Math.sqrt(60);
+      expect(volatilityModel.getVolatility).toHaveBeenCalledWith('BTC/JPY');
+      expect(opportunity.transferMinutes).toBe(60);
+      expect(opportunity.transferVolatility).toBeCloseTo(0.1 * Math.sqrt(60));
+      expect(opportunity.profitStd).toBeCloseTo(profitStd);
+      expect(opportunity.riskAdjustedProfit).toBeCloseTo(opportunity.netProfit - profitStd);
+      expect(opportunity.lossProbability).toBeCloseTo(normalCdf(-opportunity.netProfit / profitStd));
+      expect(opportunity.lossProbability).toBeLessThan(0.05);
+    });
+
+    it('should not deduct the price risk with a risk aversion of 0', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { volatilityModel, riskAversion: 0 });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(arbitrageDetector.riskAversion).toBe(0);
+      expect(opportunity.profitStd).toBeGreaterThan(0);
+      expect(opportunity.riskAdjustedProfit).toBeCloseTo(opportunity.netProfit);
+    });
+
+    it('should leave the risk unknown without a volatility estimate', () => {
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity).toMatchObject({
+        transferMinutes: 60,
+        transferVolatility: null,
+        profitStd: null,
+        riskAdjustedProfit: null,
+        lossProbability: null
+      });
+    });
+
+    it('should carry no price risk in the inventory model', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { volatilityModel, costModel: 'inventory' });
+
+      const [opportunity] = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      expect(opportunity.profitStd).toBe(0);
+      expect(opportunity.riskAdjustedProfit).toBeCloseTo(opportunity.netProfit);
+      expect(opportunity.lossProbability).toBe(0);
+    });
+
+    it('should re-assess the risk at another trade size', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { volatilityModel });
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+
+      // 0.01 BTC では固定費で赤字になり、損失の確率が5割を超える
+      const [small] = arbitrageDetector.evaluateAtSize(opportunities, 0.01);
+
+      expect(small.profitStd).toBeCloseTo(0.01 * 5099000 * 0.001 * Math.sqrt(60));
+      expect(small.netProfit).toBeLessThan(0);
+      expect(small.lossProbability).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('confidence', () => {
+    const opportunity = {
+      exchangeFrom: 'Exchange1',
+      exchangeTo: 'Exchange2',
+      pair: 'BTC/JPY',
+      quoteAge: 3000,
+      executableSize: 0.5,
+      tradeSize: 1
+    };
+    const reliability = (exchange) => ({ Exchange1: 1, Exchange2: 0.9 })[exchange];
+
+    it('should combine freshness, depth, venue reliability and persistence', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { reliability, maxQuoteAge: 15000 });
+
+      const { confidence, confidenceFactors } = arbitrageDetector.assessConfidence(opportunity);
+
+      expect(confidenceFactors).toEqual({ freshness: 0.8, depth: 0.5, reliability: 0.9, persistence: 0 });
+      expect(confidence).toBeCloseTo(0.2 * 0.8 + 0.3 * 0.5 + 0.2 * 0.9);
+    });
+
+    it('should leave out factors without data', () => {
+      const { confidence, confidenceFactors } = arbitrageDetector.assessConfidence(
+        { ...opportunity, quoteAge: null, executableSize: null }
+      );
+      expect(confidenceFactors).toEqual({ freshness: null, depth: null, reliability: null, persistence: 0 });
+      expect(confidence).toBe(0);
+    });
+
+    it('should rank a steady spread above a new wider one', () => {
+      let now = Date.parse('2024-03-01T00:00:00Z');
+      const steady = [
+        { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+        { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+      ];
+      const glitch = { exchange: 'Exchange3', price: 5300000, bid: 5299000, ask: 5301000 };
+      const detect = (ranking) => {
+        const detector = new ArbitrageDetector(mockDatabase, { now: () => now, ranking });
+        for (let tick = 0; tick <= 6; tick++) {
+          detector.detectArbitrageOpportunities(steady);
+          now += 5000;
+        }
+        return detector.detectArbitrageOpportunities([...steady, glitch]);
+      };
+
+      const byConfidence = detect('confidence');
+      expect(`${byConfidence[0].exchangeFrom}->${byConfidence[0].exchangeTo}`).toBe('Exchange1->Exchange2');
+      expect(byConfidence[0].confidence).toBe(1);
+      expect(byConfidence[1].confidence).toBe(0);
+
+      const byProfit = detect('netProfit');
+      expect(`${byProfit[0].exchangeFrom}->${byProfit[0].exchangeTo}`).toBe('Exchange1->Exchange3');
+    });
+
+    it('should only alert on opportunities above the minimum confidence', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { minConfidence: 0.5 });
+
+      expect(arbitrageDetector.ranking).toBe('confidence');
+      expect(arbitrageDetector.isAlertable({ confidence: 0.6 })).toBe(true);
+      expect(arbitrageDetector.isAlertable({ confidence: 0.4 })).toBe(false);
+    });
+  });
+
   describe('threshold configuration', () => {
+    // Exchange1 で買い Exchange2 で売ると 1.96%、手数料控除後 約84,400円
+    const prices = [
+      { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000 },
+      { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000 }
+    ];
+    const detectorWith = (config) => new ArbitrageDetector(mockDatabase, { thresholds: new ThresholdConfig({ config }) });
+
     it('should use 0.1% as default threshold', () => {
-      expect(arbitrageDetector.threshold).toBe(0.1);
+      expect(arbitrageDetector.thresholds.getThreshold('BTC/JPY', 'Exchange1', 'Exchange2')).toEqual({ unit: 'percent', value: 0.1 });
+    });
+
+    it('should apply a percent threshold to its route and direction only', () => {
+      const detector = detectorWith({
+        routes: [{ exchangeFrom: 'Exchange1', exchangeTo: 'Exchange2', unit: 'percent', value: 2 }]
+      });
+
+      expect(detector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+      // 逆方向は既定の 0.1%
+      const reversed = [{ ...prices[0], exchange: 'Exchange2' }, { ...prices[1], exchange: 'Exchange1' }];
+      expect(detector.detectArbitrageOpportunities(reversed)).toHaveLength(1);
+    });
+
+    it('should apply a JPY threshold to the net profit at the trade size', () => {
+      const route = { exchangeFrom: 'Exchange1', exchangeTo: 'Exchange2', pair: 'BTC/JPY', unit: 'jpy' };
+
+      expect(detectorWith({ routes: [{ ...route, value: 90000 }] }).detectArbitrageOpportunities(prices)).toHaveLength(0);
+      expect(detectorWith({ routes: [{ ...route, value: 80000 }] }).detectArbitrageOpportunities(prices)).toHaveLength(1);
+    });
+
+    it('should use thresholds changed at runtime on the next detection', () => {
+      const detector = detectorWith({});
+      expect(detector.detectArbitrageOpportunities(prices)).toHaveLength(1);
+
+      detector.thresholds.set({ default: { unit: 'percent', value: 2.5 } });
+
+      expect(detector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+    });
+
+    it('should apply route thresholds to triangular cycles', () => {
+      const triangle = [
+        { exchange: 'Exchange1', pair: 'BTC/JPY', price: 10000000, bid: 9999000, ask: 10000000 },
+        { exchange: 'Exchange1', pair: 'ETH/BTC', price: 0.0499, bid: 0.04965, ask: 0.04975 },
+        { exchange: 'Exchange1', pair: 'ETH/JPY', price: 500000, bid: 500000, ask: 500100 }
+      ];
+      const detector = detectorWith({
+        routes: [{ exchangeFrom: 'Exchange1', exchangeTo: 'Exchange1', pair: 'JPY→BTC→ETH→JPY', unit: 'percent', value: 1 }]
+      });
+
+      expect(detector.detectArbitrageOpportunities(triangle)).toHaveLength(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('quote staleness', () => {
+    const now = Date.parse('2024-03-01T00:01:00Z');
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    it('should measure age from the older of the exchange and receive times', () => {
+      const quote = { sourceTimestamp: '2024-03-01T00:00:20.000Z', receivedAt: now - 5000 };
+
+      expect(arbitrageDetector.getQuoteAge(quote, now)).toBe(40000);
+      expect(arbitrageDetector.getQuoteAge({ receivedAt: now - 3000 }, now)).toBe(3000);
+      expect(arbitrageDetector.getQuoteAge({}, now)).toBeNull();
+    });
+
+    it('should skip comparisons involving stale quotes', () => {
+      const prices = [
+        { exchange: 'Exchange1', price: 5000000, bid: 4999000, ask: 5001000, sourceTimestamp: '2024-03-01T00:00:59.000Z', receivedAt: now },
+        // 40秒前の価格
+        { exchange: 'Exchange2', price: 5100000, bid: 5099000, ask: 5101000, sourceTimestamp: null, receivedAt: now - 40000 }
+      ];
+
+      expect(arbitrageDetector.detectArbitrageOpportunities(prices)).toHaveLength(0);
+      expect(mockDatabase.saveArbitrageOpportunity).not.toHaveBeenCalled();
+
+      prices[1].receivedAt = now - 2000;
+      const opportunities = arbitrageDetector.detectArbitrageOpportunities(prices);
+      expect(opportunities).toHaveLength(1);
+      expect(opportunities[0].quoteAge).toBe(2000);
+    });
+
+    it('should respect a configured staleness limit', () => {
+      arbitrageDetector = new ArbitrageDetector(mockDatabase, { maxQuoteAge: 60000 });
+
+      expect(arbitrageDetector.isStale({ receivedAt: now - 40000 }, now)).toBe(false);
+      expect(arbitrageDetector.isStale({ receivedAt: now - 61000 }, now)).toBe(true);
+    });
+
+    it('should flag stale quotes for display', () => {
+      const flagged = arbitrageDetector.flagStaleQuotes([{ exchange: 'Exchange1', receivedAt: now - 20000 }], now);
+
+      expect(flagged[0]).toMatchObject({ exchange: 'Exchange1', quoteAge: 20000, isStale: true });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const {
+  ApiCredential,
+  loadCredentials,
+  encryptCredentials,
+  decryptCredentials
+} = require('../../server/credentials');
+
+describe('Private API credentials', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    file = path.join(dir, 'credentials.enc');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read credentials from the environment', () => {
+    const credentials = loadCredentials({
+      env: { BITFLYER_API_KEY: 'bf-key', BITFLYER_API_SECRET: 'bf-secret', GMO_API_KEY: 'gmo-key' }
+    });
+
+    expect(Object.keys(credentials)).toEqual(['bitflyer']); // 片方だけの取引所は使わない
+    expect(credentials.bitflyer.key).toBe('bf-key');
+    expect(credentials.bitflyer.secret).toBe('bf-secret');
+  });
+
+  it('should decrypt an encrypted file, with the environment taking precedence', () => {
+    fs.writeFileSync(file, encryptCredentials({
+      bitbank: { key: 'bb-key', secret: 'bb-secret' },
+      coincheck: { key: 'cc-key', secret: 'cc-secret' }
+    }, 'passphrase'));
+
+    const credentials = loadCredentials({
+      env: { COINCHECK_API_KEY: 'env-key', COINCHECK_API_SECRET: 'env-secret' },
+      file,
+      passphrase: 'passphrase'
+    });
+
+    expect(credentials.bitbank.secret).toBe('bb-secret');
+    expect(credentials.coincheck.key).toBe('env-key');
+    expect(fs.readFileSync(file, 'utf8')).not.toContain('bb-secret');
+  });
+
+  it('should ignore the file when the passphrase is wrong', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const text = encryptCredentials({ gmo: { key: 'gmo-key', secret: 'gmo-secret' } }, 'passphrase');
+    fs.writeFileSync(file, text);
+
+    expect(loadCredentials({ env: {}, file, passphrase: 'wrong' })).toEqual({});
+    expect(() => decryptCredentials(text, 'wrong')).toThrow();
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to read credentials file'), expect.any(String));
+    errorSpy.mockRestore();
+  });
+
+  it('should never print keys or secrets', () => {
+    const credential = new ApiCredential('visible-key', 'visible-secret');
+    const printed = [
+      JSON.stringify({ credential }),
+      util.inspect({ credential }),
+      `${credential}`,
+      JSON.stringify({ ...credential })
+    ].join(' ');
+
+    expect(printed).not.toContain('visible-key');
+    expect(printed).not.toContain('visible-secret');
+    expect(printed).toContain('[REDACTED]');
+  });
+});
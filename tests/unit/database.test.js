@@ -65,6 +65,24 @@ describe('Database', () => {
       expect(mockDb.run).toHaveBeenCalledWith(
         expect.stringContaining('CREATE TABLE IF NOT EXISTS arbitrage_opportunities')
       );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('CREATE TABLE IF NOT EXISTS japan_premium')
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('CREATE TABLE IF NOT EXISTS executions')
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('CREATE TABLE IF NOT EXISTS execution_orders')
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('CREATE TABLE IF NOT EXISTS opportunity_episodes')
+      );
+    });
+
+    it('should mark episodes left open by the previous run as interrupted', () => {
+      expect(mockDb.run).toHaveBeenCalledWith(
+        "UPDATE opportunity_episodes SET status = 'interrupted' WHERE status = 'open'"
+      );
     });
   });
 
@@ -98,7 +116,31 @@ describe('Database', () => {
       await database.savePrices(prices);
 
       expect(mockDb.prepare).toHaveBeenCalledWith(
-        'INSERT INTO price_history (exchange, price, bid, ask, timestamp) VALUES (?, ?, ?, ?, ?)'
+        'INSERT INTO price_history (exchange, pair, price, bid, ask, is_reference, timestamp, source_timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+      );
+    });
+
+    it('should store reference feeds as index prices', async () => {
+      await database.savePrices([
+        { exchange: 'CoinGecko指数', price: 5000000, bid: null, ask: null, isReference: true, timestamp: '2023-01-01T00:00:00Z' }
+      ]);
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        ['CoinGecko指数', 'BTC/JPY', 5000000, null, null, 1, '2023-01-01T00:00:00Z', null],
+        expect.any(Function)
+      );
+    });
+
+    it('should store the exchange-provided timestamp alongside the receive time', async () => {
+      await database.savePrices([
+        { exchange: 'bitFlyer', pair: 'BTC/JPY', price: 5000000, bid: 4999000, ask: 5001000, timestamp: '2024-03-01T09:00:01', sourceTimestamp: '2024-03-01T00:00:00.970Z' }
+      ]);
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        ['bitFlyer', 'BTC/JPY', 5000000, 4999000, 5001000, 0, '2024-03-01T09:00:01', '2024-03-01T00:00:00.970Z'],
+        expect.any(Function)
       );
     });
 
@@ -152,6 +194,96 @@ describe('Database', () => {
         expect.stringContaining('INSERT INTO arbitrage_opportunities')
       );
     });
+
+    it('should store the opportunity type', async () => {
+      await database.saveArbitrageOpportunity({
+        type: 'triangular',
+        exchangeFrom: 'bitFlyer',
+        exchangeTo: 'bitFlyer',
+        pair: 'JPY→BTC→ETH→JPY',
+        priceFrom: 10000000,
+        priceTo: 500000,
+        priceDifference: 30000,
+        percentageDifference: 0.3,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run.mock.calls[0][0].slice(0, 4)).toEqual(['bitFlyer', 'bitFlyer', 'JPY→BTC→ETH→JPY', 'triangular']);
+    });
+
+    it('should store the executable size and the profit at that size', async () => {
+      await database.saveArbitrageOpportunity({
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange2',
+        pair: 'BTC/JPY',
+        priceFrom: 5001000,
+        priceTo: 5099000,
+        priceDifference: 98000,
+        percentageDifference: 1.96,
+        netProfit: 48000,
+        netProfitPercentage: 0.96,
+        totalFees: 50000,
+        isProfitableAfterFees: true,
+        executableSize: 1.5,
+        netProfitAtSize: 25200,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run.mock.calls[0][0].slice(-3)).toEqual([1.5, 25200, '2023-01-01T00:00:00Z']);
+    });
+
+    it('should store the z-score of the spread', async () => {
+      await database.saveArbitrageOpportunity({
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange2',
+        priceFrom: 5001000,
+        priceTo: 5099000,
+        priceDifference: 98000,
+        percentageDifference: 1.96,
+        zScore: 4.2,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('z_score'));
+      expect(mockStmt.run.mock.calls[0][0].slice(-7)).toEqual([4.2, null, null, null, null, null, '2023-01-01T00:00:00Z']);
+    });
+
+    it('should store the risk-adjusted profit and probability of loss', async () => {
+      await database.saveArbitrageOpportunity({
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange2',
+        priceFrom: 5001000,
+        priceTo: 5099000,
+        priceDifference: 98000,
+        percentageDifference: 1.96,
+        riskAdjustedProfit: 41000,
+        lossProbability: 0.02,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockDb.prepare).toHaveBeenCalledWith(expect.stringContaining('risk_adjusted_profit, loss_probability'));
+      expect(mockStmt.run.mock.calls[0][0].slice(-6, -4)).toEqual([41000, 0.02]);
+    });
+
+    it('should store the confidence score', async () => {
+      await database.saveArbitrageOpportunity({
+        exchangeFrom: 'Exchange1',
+        exchangeTo: 'Exchange2',
+        priceFrom: 5001000,
+        priceTo: 5099000,
+        priceDifference: 98000,
+        percentageDifference: 1.96,
+        confidence: 0.85,
+        timestamp: '2023-01-01T00:00:00Z'
+      });
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run.mock.calls[0][0].slice(-4)).toEqual([0.85, null, null, '2023-01-01T00:00:00Z']);
+    });
   });
 
   describe('getRecentPrices', () => {
@@ -220,6 +352,222 @@ describe('Database', () => {
     });
   });
 
+  describe('saveTrades', () => {
+    beforeEach(() => {
+      mockDb.prepare.mockReturnValue({
+        run: jest.fn((params, callback) => callback && callback()),
+        finalize: jest.fn((callback) => callback && callback())
+      });
+      mockDb.run.mockImplementation((query, callback) => {
+        if (callback) callback();
+      });
+    });
+
+    it('should insert trades ignoring ones already stored', async () => {
+      await database.saveTrades([
+        { exchange: 'bitFlyer', pair: 'BTC/JPY', tradeId: '101', price: 5000000, size: 0.01, side: 'buy', executedAt: '2024-03-01T00:00:00.000Z' }
+      ]);
+
+      expect(mockDb.prepare).toHaveBeenCalledWith(
+        'INSERT OR IGNORE INTO trades (exchange, pair, trade_id, price, size, side, executed_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      );
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        ['bitFlyer', 'BTC/JPY', '101', 5000000, 0.01, 'buy', '2024-03-01T00:00:00.000Z'],
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith('COMMIT', expect.any(Function));
+    });
+
+    it('should resolve immediately for no trades', async () => {
+      await database.saveTrades([]);
+      expect(mockDb.prepare).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecentTrades', () => {
+    it('should fetch the newest trades of a pair', async () => {
+      mockDb.all.mockImplementation((query, params, callback) => {
+        callback(null, [{ exchange: 'bitFlyer', trade_id: '101' }]);
+      });
+
+      const result = await database.getRecentTrades(50, 'ETH/JPY');
+
+      expect(mockDb.all).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE pair = ?'),
+        ['ETH/JPY', 50],
+        expect.any(Function)
+      );
+      expect(result).toEqual([{ exchange: 'bitFlyer', trade_id: '101' }]);
+    });
+  });
+
+  describe('savePremiums', () => {
+    beforeEach(() => {
+      mockDb.run.mockImplementation((query, callback) => {
+        if (callback) callback();
+      });
+    });
+
+    it('should store the premium of every pair in one transaction', async () => {
+      await database.savePremiums([
+        { pair: 'BTC/JPY', premium: 1.5, domesticPrice: 10150000, overseasPrice: 10000000, fxRate: 150, timestamp: '2024-03-01T09:00:00' }
+      ]);
+
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        ['BTC/JPY', 1.5, 10150000, 10000000, 150, '2024-03-01T09:00:00'],
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith('BEGIN TRANSACTION');
+      expect(mockDb.run).toHaveBeenCalledWith('COMMIT', expect.any(Function));
+    });
+
+    it('should resolve immediately for no premiums', async () => {
+      await database.savePremiums([]);
+      expect(mockDb.prepare).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPremiumHistory', () => {
+    it('should fetch the premium history of a pair', async () => {
+      mockDb.all.mockImplementation((query, params, callback) => {
+        callback(null, [{ pair: 'BTC/JPY', premium_percentage: 1.5 }]);
+      });
+
+      const result = await database.getPremiumHistory(6, 'BTC/JPY');
+
+      expect(mockDb.all).toHaveBeenCalledWith(
+        expect.stringContaining('FROM japan_premium'),
+        [expect.any(String), 'BTC/JPY'],
+        expect.any(Function)
+      );
+      expect(result).toEqual([{ pair: 'BTC/JPY', premium_percentage: 1.5 }]);
+    });
+  });
+
+  describe('saveExecution', () => {
+    beforeEach(() => {
+      mockDb.run.mockImplementation((query, ...args) => {
+        const callback = args.find(arg => typeof arg === 'function');
+        if (callback) callback();
+      });
+    });
+
+    it('should store the execution and its orders in one transaction', async () => {
+      await database.saveExecution({
+        id: 'dry-run-1', mode: 'dry-run', pair: 'BTC/JPY', exchangeFrom: 'bitFlyer', exchangeTo: 'Coincheck',
+        size: 0.001, filledSize: 0.001, netPosition: 0, status: 'completed', unwindPolicy: 'close',
+        expectedProfit: 50, realizedProfit: 50, timestamp: '2024-03-01T09:00:00',
+        orders: [
+          { leg: 'buy', exchange: 'bitFlyer', side: 'buy', orderId: 'dry-run-1', price: 10000000, size: 0.001,
+            filledSize: 0.001, averagePrice: 10000000, status: 'filled', error: null, timestamp: '2024-03-01T09:00:00' },
+          { leg: 'sell', exchange: 'Coincheck', side: 'sell', orderId: 'dry-run-2', price: 10050000, size: 0.001,
+            filledSize: 0.001, averagePrice: 10050000, status: 'filled', error: null, timestamp: '2024-03-01T09:00:00' }
+        ]
+      });
+
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO executions'),
+        ['dry-run-1', 'dry-run', 'BTC/JPY', 'bitFlyer', 'Coincheck', 0.001, 0.001, 0, 'completed', 'close', 50, 50, '2024-03-01T09:00:00'],
+        expect.any(Function)
+      );
+      const mockStmt = mockDb.prepare.mock.results[0].value;
+      expect(mockStmt.run).toHaveBeenCalledTimes(2);
+      expect(mockStmt.run).toHaveBeenCalledWith(
+        ['dry-run-1', 'sell', 'Coincheck', 'sell', 'dry-run-2', 10050000, 0.001, 0.001, 10050000, 'filled', null, '2024-03-01T09:00:00'],
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith('BEGIN TRANSACTION');
+      expect(mockDb.run).toHaveBeenCalledWith('COMMIT', expect.any(Function));
+    });
+
+    it('should roll back without committing when the execution cannot be stored', async () => {
+      mockDb.run.mockImplementation((query, ...args) => {
+        const callback = args.find(arg => typeof arg === 'function');
+        if (callback) callback(query.includes('INSERT INTO executions') ? new Error('UNIQUE constraint failed') : null);
+      });
+
+      await expect(database.saveExecution({
+        id: 'dry-run-1',
+        orders: [{ leg: 'buy' }, { leg: 'sell' }]
+      })).rejects.toThrow('UNIQUE constraint failed');
+
+      expect(mockDb.run).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockDb.run).not.toHaveBeenCalledWith('COMMIT', expect.any(Function));
+    });
+
+    it('should roll back once when an order cannot be stored', async () => {
+      const mockStmt = {
+        run: jest.fn((params, callback) => callback(new Error('disk I/O error'))),
+        finalize: jest.fn((callback) => callback && callback())
+      };
+      mockDb.prepare.mockReturnValue(mockStmt);
+
+      await expect(database.saveExecution({
+        id: 'dry-run-1',
+        orders: [{ leg: 'buy' }, { leg: 'sell' }]
+      })).rejects.toThrow('disk I/O error');
+
+      expect(mockDb.run.mock.calls.filter(([query]) => query === 'ROLLBACK')).toHaveLength(1);
+      expect(mockDb.run).not.toHaveBeenCalledWith('COMMIT', expect.any(Function));
+    });
+  });
+
+  describe('getExecutions', () => {
+    it('should attach the orders to each execution', async () => {
+      mockDb.all
+        .mockImplementationOnce((query, params, callback) => {
+          callback(null, [{ execution_id: 'b' }, { execution_id: 'a' }]);
+        })
+        .mockImplementationOnce((query, params, callback) => {
+          callback(null, [{ execution_id: 'a', leg: 'buy' }, { execution_id: 'b', leg: 'buy' }, { execution_id: 'b', leg: 'sell' }]);
+        });
+
+      const result = await database.getExecutions(2);
+
+      expect(mockDb.all).toHaveBeenCalledWith(expect.stringContaining('FROM executions'), [2], expect.any(Function));
+      expect(mockDb.all).toHaveBeenCalledWith(expect.stringContaining('FROM execution_orders'), ['b', 'a'], expect.any(Function));
+      expect(result.map(execution => `${execution.execution_id}:${execution.orders.length}`)).toEqual(['b:2', 'a:1']);
+    });
+  });
+
+  describe('saveEpisode', () => {
+    it('should insert the episode or update the row with the same episode id', async () => {
+      mockDb.run.mockImplementation((query, params, callback) => callback());
+
+      await database.saveEpisode({
+        id: '1700000000000-1', type: 'cross-exchange', pair: 'BTC/JPY', exchangeFrom: 'bitFlyer', exchangeTo: 'Coincheck',
+        status: 'closed', startedAt: '2023-11-15T07:13:20', endedAt: '2023-11-15T07:13:50', duration: 30000,
+        peakSpread: 0.8, averageSpread: 0.5, lastSpread: 0.3, peakNetProfit: 12000, lastNetProfit: 2000, observations: 7
+      });
+
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT(episode_id) DO UPDATE'),
+        ['1700000000000-1', 'cross-exchange', 'BTC/JPY', 'bitFlyer', 'Coincheck', 'closed', '2023-11-15T07:13:20', '2023-11-15T07:13:50',
+          30000, 0.8, 0.5, 0.3, 12000, 2000, 7],
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('getEpisodes', () => {
+    it('should fetch the episodes of a pair started within the window', async () => {
+      mockDb.all.mockImplementation((query, params, callback) => {
+        callback(null, [{ episode_id: '1700000000000-1' }]);
+      });
+
+      const result = await database.getEpisodes(6, 'BTC/JPY', 10);
+
+      expect(mockDb.all).toHaveBeenCalledWith(
+        expect.stringContaining('FROM opportunity_episodes'),
+        [expect.any(String), 'BTC/JPY', 10],
+        expect.any(Function)
+      );
+      expect(result).toEqual([{ episode_id: '1700000000000-1' }]);
+    });
+  });
+
   describe('getPriceHistory', () => {
     it('should fetch price history for specified hours', async () => {
       const mockHistory = [
@@ -233,7 +581,7 @@ describe('Database', () => {
       const result = await database.getPriceHistory(24);
 
       expect(mockDb.all).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE created_at >= ?'),
+        expect.stringContaining('WHERE created_at >= datetime(?)'),
         [expect.any(String)],
         expect.any(Function)
       );
@@ -256,7 +604,7 @@ describe('Database', () => {
   });
 
   describe('clearAllData', () => {
-    it('should delete all data from both tables', async () => {
+    it('should delete all data from every table', async () => {
       mockDb.run.mockImplementation((query, callback) => {
         if (callback) callback();
       });
@@ -271,6 +619,18 @@ describe('Database', () => {
         'DELETE FROM arbitrage_opportunities',
         expect.any(Function)
       );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'DELETE FROM trades',
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'DELETE FROM japan_premium',
+        expect.any(Function)
+      );
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'DELETE FROM opportunity_episodes',
+        expect.any(Function)
+      );
     });
 
     it('should handle errors during data clearing', async () => {
@@ -0,0 +1,68 @@
+const { walkOrderBooks, optimizeTradeSize } = require('../../server/depth');
+
+describe('walkOrderBooks', () => {
+  const asks = [{ price: 100, size: 1 }, { price: 101, size: 2 }, { price: 103, size: 5 }];
+  const bids = [{ price: 104, size: 0.5 }, { price: 102, size: 3 }];
+
+  it('should match the cheapest asks against the highest bids while the spread lasts', () => {
+    const fill = walkOrderBooks(asks, bids);
+
+    // 100×1 と 101×2 を、104×0.5 と 102×2.5 に売る（103 の売り板は 102 の買い板より高い）
+    expect(fill.size).toBeCloseTo(3);
+    expect(fill.averageBuyPrice).toBeCloseTo(302 / 3);
+    expect(fill.averageSellPrice).toBeCloseTo(307 / 3);
+    expect(fill.buySlippage).toBeCloseTo((302 / 3 - 100) / 100 * 100);
+    expect(fill.sellSlippage).toBeCloseTo((104 - 307 / 3) / 104 * 100);
+    expect(fill.slippageCost).toBeCloseTo((302 - 300) + (312 - 307));
+  });
+
+  it('should stop where taker fees eat the spread', () => {
+    // 101 で買い 102 で売ると手数料 0.5% ずつで赤字
+    const fill = walkOrderBooks(asks, bids, { buyFeeRate: 0.005, sellFeeRate: 0.005 });
+
+    expect(fill.size).toBeCloseTo(1);
+    expect(fill.averageBuyPrice).toBe(100);
+    expect(fill.averageSellPrice).toBeCloseTo(103);
+  });
+
+  it('should cap the size', () => {
+    expect(walkOrderBooks(asks, bids, { maxSize: 0.2 }).size).toBeCloseTo(0.2);
+  });
+
+  it('should report nothing when the books do not cross', () => {
+    expect(walkOrderBooks([{ price: 105, size: 1 }], bids)).toEqual({
+      size: 0, averageBuyPrice: null, averageSellPrice: null, buySlippage: 0, sellSlippage: 0, slippageCost: 0
+    });
+    expect(walkOrderBooks([], bids).size).toBe(0);
+  });
+});
+
+describe('optimizeTradeSize', () => {
+  const asks = [{ price: 100, size: 1 }, { price: 101, size: 2 }, { price: 103, size: 5 }];
+  const bids = [{ price: 104, size: 0.5 }, { price: 102, size: 3 }];
+  // 手数料なし・固定費のみの利益
+  const netProfitWithFixedCost = (fixedCost) => (size, averageBuyPrice, averageSellPrice) =>
+    size * (averageSellPrice - averageBuyPrice) - fixedCost;
+
+  it('should find the size with the highest net profit and the break-even size', () => {
+    const result = optimizeTradeSize(asks, bids, netProfitWithFixedCost(1));
+
+    // 0.5 で +1、1 で +2、3 で +4（103 の売り板は使わない）
+    expect(result.optimalSize).toBeCloseTo(3);
+    expect(result.maxNetProfit).toBeCloseTo(4);
+    // 104 - 100 = 4円/単位 で固定費 1円 を回収
+    expect(result.breakEvenSize).toBeCloseTo(0.25);
+  });
+
+  it('should search the break-even size inside the slice that turns profitable', () => {
+    // 0.5 で -0.5、1 で +0.5
+    expect(optimizeTradeSize(asks, bids, netProfitWithFixedCost(2.5)).breakEvenSize).toBeCloseTo(0.75);
+  });
+
+  it('should report no sizes when fixed costs are never covered', () => {
+    expect(optimizeTradeSize(asks, bids, netProfitWithFixedCost(6))).toEqual({
+      optimalSize: null, maxNetProfit: null, breakEvenSize: null
+    });
+    expect(optimizeTradeSize([{ price: 105, size: 1 }], bids, netProfitWithFixedCost(0)).optimalSize).toBeNull();
+  });
+});
@@ -4,6 +4,7 @@ jest.mock('axios', () => ({
 }));
 
 const ExchangeAPI = require('../../server/exchanges');
+const MaintenanceCalendar = require('../../server/maintenance');
 const axios = require('axios');
 
 describe('ExchangeAPI', () => {
@@ -16,26 +17,31 @@ describe('ExchangeAPI', () => {
     exchangeAPI = new ExchangeAPI();
   });
 
-  describe('getBitFlyerPrice', () => {
+  describe("getPrice('bitflyer')", () => {
     it('should return formatted price data on successful API call', async () => {
       const mockResponse = {
         data: {
           ltp: 5000000,
           best_bid: 4999000,
-          best_ask: 5001000
+          best_ask: 5001000,
+          timestamp: '2024-03-01T00:00:00.97'
         }
       };
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
+      // bitFlyer の時刻はタイムゾーン表記なしのUTC
       expect(result).toEqual({
         exchange: 'bitFlyer',
+        pair: 'BTC/JPY',
         price: 5000000,
         bid: 4999000,
         ask: 5001000,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        sourceTimestamp: '2024-03-01T00:00:00.970Z',
+        receivedAt: expect.any(Number)
       });
       expect(axios.get).toHaveBeenCalledWith(
         'https://api.bitflyer.com/v1/ticker?product_code=BTC_JPY',
@@ -46,13 +52,13 @@ describe('ExchangeAPI', () => {
     it('should return null on API error', async () => {
       axios.get.mockRejectedValue(new Error('Network error'));
 
-      const result = await exchangeAPI.getBitFlyerPrice();
+      const result = await exchangeAPI.getPrice('bitflyer');
 
       expect(result).toBeNull();
     });
   });
 
-  describe('getCoincheckPrice', () => {
+  describe("getPrice('coincheck')", () => {
     it('should return formatted price data on successful API call', async () => {
       const mockResponse = {
         data: {
@@ -64,27 +70,30 @@ describe('ExchangeAPI', () => {
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getCoincheckPrice();
+      const result = await exchangeAPI.getPrice('coincheck');
 
       expect(result).toEqual({
         exchange: 'Coincheck',
+        pair: 'BTC/JPY',
         price: 5000000,
         bid: 4999000,
         ask: 5001000,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        sourceTimestamp: null,
+        receivedAt: expect.any(Number)
       });
     });
 
     it('should return null on API error', async () => {
       axios.get.mockRejectedValue(new Error('Network error'));
 
-      const result = await exchangeAPI.getCoincheckPrice();
+      const result = await exchangeAPI.getPrice('coincheck');
 
       expect(result).toBeNull();
     });
   });
 
-  describe('getZaifPrice', () => {
+  describe("getPrice('zaif')", () => {
     it('should return formatted price data on successful API call', async () => {
       const mockResponse = {
         data: {
@@ -96,19 +105,22 @@ describe('ExchangeAPI', () => {
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getZaifPrice();
+      const result = await exchangeAPI.getPrice('zaif');
 
       expect(result).toEqual({
         exchange: 'Zaif',
+        pair: 'BTC/JPY',
         price: 5000000,
         bid: 4999000,
         ask: 5001000,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        sourceTimestamp: null,
+        receivedAt: expect.any(Number)
       });
     });
   });
 
-  describe('getGMOPrice', () => {
+  describe("getPrice('gmo')", () => {
     it('should return formatted price data on successful API call', async () => {
       const mockResponse = {
         data: {
@@ -122,46 +134,53 @@ describe('ExchangeAPI', () => {
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getGMOPrice();
+      const result = await exchangeAPI.getPrice('gmo');
 
       expect(result).toEqual({
         exchange: 'GMOコイン',
+        pair: 'BTC/JPY',
         price: 5000000,
         bid: 4999000,
         ask: 5001000,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        sourceTimestamp: null,
+        receivedAt: expect.any(Number)
       });
     });
   });
 
-  describe('getBitbankPrice', () => {
+  describe("getPrice('bitbank')", () => {
     it('should return formatted price data on successful API call', async () => {
       const mockResponse = {
         data: {
           data: {
             last: 5000000,
             buy: 4999000,
-            sell: 5001000
+            sell: 5001000,
+            timestamp: 1709251200000
           }
         }
       };
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getBitbankPrice();
+      const result = await exchangeAPI.getPrice('bitbank');
 
       expect(result).toEqual({
         exchange: 'bitbank',
+        pair: 'BTC/JPY',
         price: 5000000,
         bid: 4999000,
         ask: 5001000,
-        timestamp: expect.any(String)
+        timestamp: expect.any(String),
+        sourceTimestamp: '2024-03-01T00:00:00.000Z',
+        receivedAt: expect.any(Number)
       });
     });
   });
 
-  describe('getBitPointPrice', () => {
-    it('should return formatted price data on successful API call', async () => {
+  describe("getPrice('coingecko')", () => {
+    it('should return an index price flagged as a reference feed', async () => {
       const mockResponse = {
         data: {
           bitcoin: {
@@ -172,14 +191,18 @@ describe('ExchangeAPI', () => {
       
       axios.get.mockResolvedValue(mockResponse);
 
-      const result = await exchangeAPI.getBitPointPrice();
+      const result = await exchangeAPI.getPrice('coingecko');
 
       expect(result).toEqual({
-        exchange: 'BITPoint',
+        exchange: 'CoinGecko指数',
+        pair: 'BTC/JPY',
         price: 5000000,
-        bid: 5000000,
-        ask: 5000000,
-        timestamp: expect.any(String)
+        bid: null,
+        ask: null,
+        isReference: true,
+        timestamp: expect.any(String),
+        sourceTimestamp: null,
+        receivedAt: expect.any(Number)
       });
     });
   });
@@ -199,7 +222,7 @@ describe('ExchangeAPI', () => {
         .mockRejectedValueOnce(new Error('Zaif error')) // Zaif error
         .mockRejectedValueOnce(new Error('GMO error'))  // GMO error
         .mockRejectedValueOnce(new Error('bitbank error')) // bitbank error
-        .mockRejectedValueOnce(new Error('BITPoint error')); // BITPoint error
+        .mockRejectedValueOnce(new Error('CoinGecko error')); // CoinGecko error
 
       const result = await exchangeAPI.getAllPrices();
 
@@ -216,4 +239,518 @@ describe('ExchangeAPI', () => {
       expect(result).toEqual([]);
     });
   });
-});
\ No newline at end of file
+
+  describe('getOrderBook', () => {
+    it('should normalize bitFlyer board objects', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          mid_price: 5000000,
+          bids: [{ price: 4999000, size: 0.5 }, { price: 4998000, size: 1.2 }],
+          asks: [{ price: 5001000, size: 0.3 }, { price: 5002000, size: 2 }]
+        }
+      });
+
+      const result = await exchangeAPI.getOrderBook('bitflyer');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.bitflyer.com/v1/board?product_code=BTC_JPY',
+        { timeout: 5000 }
+      );
+      expect(result).toEqual({
+        exchange: 'bitFlyer',
+        pair: 'BTC/JPY',
+        bids: [{ price: 4999000, size: 0.5 }, { price: 4998000, size: 1.2 }],
+        asks: [{ price: 5001000, size: 0.3 }, { price: 5002000, size: 2 }],
+        timestamp: expect.any(String),
+        receivedAt: expect.any(Number)
+      });
+    });
+
+    it('should normalize string tuples and sort levels best-first', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          success: 1,
+          data: {
+            asks: [['5002000', '0.1'], ['5001000', '0.2']],
+            bids: [['4998000', '0.4'], ['4999000', '0.3']]
+          }
+        }
+      });
+
+      const result = await exchangeAPI.getOrderBook('bitbank');
+
+      expect(result.bids).toEqual([{ price: 4999000, size: 0.3 }, { price: 4998000, size: 0.4 }]);
+      expect(result.asks).toEqual([{ price: 5001000, size: 0.2 }, { price: 5002000, size: 0.1 }]);
+    });
+
+    it('should drop malformed levels', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          bids: [['4999000', '0.3'], ['abc', '1'], ['4998000', '0']],
+          asks: [[5001000, 0.2], [null, 1]]
+        }
+      });
+
+      const result = await exchangeAPI.getOrderBook('zaif');
+
+      expect(result.bids).toEqual([{ price: 4999000, size: 0.3 }]);
+      expect(result.asks).toEqual([{ price: 5001000, size: 0.2 }]);
+    });
+
+    it('should limit the number of levels to orderBookDepth', async () => {
+      exchangeAPI = new ExchangeAPI({ orderBookDepth: 2 });
+      axios.get.mockResolvedValue({
+        data: {
+          data: {
+            bids: [{ price: '4999000', size: '1' }, { price: '4998000', size: '1' }, { price: '4997000', size: '1' }],
+            asks: [{ price: '5001000', size: '1' }]
+          }
+        }
+      });
+
+      const result = await exchangeAPI.getOrderBook('gmo');
+
+      expect(result.bids).toHaveLength(2);
+      expect(result.asks).toHaveLength(1);
+    });
+
+    it('should return null for exchanges without an order book', async () => {
+      const result = await exchangeAPI.getOrderBook('coingecko');
+
+      expect(result).toBeNull();
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should return null on API error', async () => {
+      axios.get.mockRejectedValue(new Error('Network error'));
+
+      const result = await exchangeAPI.getOrderBook('coincheck');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getAllOrderBooks', () => {
+    it('should only request exchanges that publish an order book', async () => {
+      axios.get.mockResolvedValue({ data: { bids: [], asks: [] } });
+
+      await exchangeAPI.getAllOrderBooks();
+
+      expect(axios.get).toHaveBeenCalledTimes(5);
+      expect(axios.get.mock.calls.map(call => call[0]).some(url => url.includes('coingecko'))).toBe(false);
+    });
+  });
+
+  describe('health tracking', () => {
+    it('should stop calling an exchange once its circuit is open', async () => {
+      axios.get.mockRejectedValue(new Error('Network error'));
+
+      for (let i = 0; i < 5; i++) {
+        await exchangeAPI.getPrice('zaif');
+      }
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      const status = exchangeAPI.getHealthStatus().find(s => s.id === 'zaif');
+      expect(status).toMatchObject({
+        name: 'Zaif',
+        status: 'down',
+        consecutiveFailures: 3,
+        lastError: 'Network error',
+        circuit: 'open'
+      });
+    });
+
+    it('should report healthy exchanges with latency', async () => {
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 4999000, best_ask: 5001000 } });
+
+      await exchangeAPI.getPrice('bitflyer');
+
+      const status = exchangeAPI.getHealthStatus().find(s => s.id === 'bitflyer');
+      expect(status).toMatchObject({
+        status: 'healthy',
+        consecutiveFailures: 0,
+        lastSuccess: expect.any(String),
+        meanLatency: expect.any(Number)
+      });
+    });
+
+    it('should report the reliability of an exchange by display name or id', async () => {
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 4999000, best_ask: 5001000 } });
+
+      await exchangeAPI.getPrice('bitflyer');
+
+      expect(exchangeAPI.getReliability('bitFlyer')).toBe(1);
+      expect(exchangeAPI.getReliability('bitflyer')).toBe(1);
+      expect(exchangeAPI.getReliability('Zaif')).toBeNull();
+      expect(exchangeAPI.getReliability('Unknown')).toBeNull();
+    });
+  });
+
+  describe('quote validation', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should drop crossed quotes and count them per exchange', async () => {
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 5002000, best_ask: 5001000 } });
+
+      await expect(exchangeAPI.getPrice('bitflyer')).resolves.toBeNull();
+
+      const status = exchangeAPI.getHealthStatus().find(s => s.id === 'bitflyer');
+      expect(status.rejectedQuotes).toMatchObject({ total: 1, crossed: 1 });
+    });
+
+    it('should drop quotes whose fields no longer parse', async () => {
+      axios.get.mockResolvedValue({ data: { last_traded_price: 5000000 } });
+
+      await expect(exchangeAPI.getPrice('bitflyer')).resolves.toBeNull();
+      expect(exchangeAPI.validator.getStatus('bitFlyer').malformed).toBe(1);
+    });
+  });
+
+  describe('trades', () => {
+    it('should normalize bitFlyer executions oldest first', async () => {
+      axios.get.mockResolvedValue({
+        data: [
+          { id: 102, side: 'SELL', price: 5000100, size: 0.02, exec_date: '2024-03-01T00:00:02.5' },
+          { id: 101, side: 'BUY', price: 5000000, size: 0.01, exec_date: '2024-03-01T00:00:01.5' }
+        ]
+      });
+
+      const trades = await exchangeAPI.getTrades('bitflyer');
+
+      expect(axios.get).toHaveBeenCalledWith('https://api.bitflyer.com/v1/executions?product_code=BTC_JPY&count=100', { timeout: 5000 });
+      expect(trades).toEqual([
+        { exchange: 'bitFlyer', pair: 'BTC/JPY', tradeId: '101', price: 5000000, size: 0.01, side: 'buy', executedAt: '2024-03-01T00:00:01.500Z' },
+        { exchange: 'bitFlyer', pair: 'BTC/JPY', tradeId: '102', price: 5000100, size: 0.02, side: 'sell', executedAt: '2024-03-01T00:00:02.500Z' }
+      ]);
+    });
+
+    it('should derive ids for venues without trade ids and drop malformed trades', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          status: 0,
+          data: {
+            list: [
+              { price: '5000000', side: 'BUY', size: '0.1', timestamp: '2024-03-01T00:00:00.000Z' },
+              { price: 'n/a', side: 'SELL', size: '0.1', timestamp: '2024-03-01T00:00:00.000Z' }
+            ]
+          }
+        }
+      });
+
+      const trades = await exchangeAPI.getTrades('gmo');
+
+      expect(trades).toHaveLength(1);
+      expect(trades[0].tradeId).toBe('2024-03-01T00:00:00.000Z:5000000:0.1:buy');
+    });
+
+    it('should not count trade failures against the exchange circuit breaker', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      axios.get.mockRejectedValue(new Error('404'));
+
+      for (let i = 0; i < 5; i++) {
+        await expect(exchangeAPI.getTrades('zaif')).resolves.toBeNull();
+      }
+
+      expect(exchangeAPI.health.getStatus('zaif')).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+      console.error.mockRestore();
+    });
+
+    it('should fetch trades from every venue that publishes them', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitbank', 'coingecko'] });
+      axios.get.mockResolvedValue({
+        data: { success: 1, data: { transactions: [{ transaction_id: 7, side: 'buy', price: '5000000', amount: '0.5', executed_at: 1709251200000 }] } }
+      });
+
+      const trades = await exchangeAPI.getAllTrades();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(trades).toEqual([
+        { exchange: 'bitbank', pair: 'BTC/JPY', tradeId: '7', price: 5000000, size: 0.5, side: 'buy', executedAt: '2024-03-01T00:00:00.000Z' }
+      ]);
+    });
+  });
+
+  describe('overseas venues', () => {
+    const fxResponse = {
+      data: { status: 0, data: [{ symbol: 'USD_JPY', bid: '149.995', ask: '150.005', timestamp: '2024-03-01T00:00:00.000Z' }] }
+    };
+
+    it('should convert USD quotes to JPY with the USD/JPY rate', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['binance', 'coinbase'] });
+      axios.get.mockImplementation((url) => {
+        if (url.startsWith('https://forex-api.coin.z.com')) return Promise.resolve(fxResponse);
+        if (url.startsWith('https://api.binance.com')) {
+          return Promise.resolve({ data: { lastPrice: '66000', bidPrice: '65999', askPrice: '66001', closeTime: 1709251200000 } });
+        }
+        return Promise.resolve({ data: { price: '66010', bid: '66009', ask: '66011', time: '2024-03-01T00:00:00.000Z' } });
+      });
+
+      const prices = await exchangeAPI.getAllPrices();
+
+      // 為替レートは取引所をまたいで1回だけ取得する
+      expect(axios.get.mock.calls.filter(([url]) => url.includes('forex-api')).length).toBe(1);
+      expect(prices).toHaveLength(2);
+      expect(prices[0]).toMatchObject({
+        exchange: 'Binance',
+        price: 66000 * 150,
+        bid: 65999 * 150,
+        ask: 66001 * 150,
+        isOverseas: true,
+        currency: 'USDT',
+        fxRate: 150,
+        originalPrice: 66000,
+        originalBid: 65999,
+        originalAsk: 66001,
+        sourceTimestamp: '2024-03-01T00:00:00.000Z'
+      });
+      expect(prices[1]).toMatchObject({ exchange: 'Coinbase', price: 66010 * 150, currency: 'USD' });
+    });
+
+    it('should skip overseas venues while no USD/JPY rate is available', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      exchangeAPI = new ExchangeAPI({ enabled: ['coinbase'] });
+      axios.get.mockRejectedValue(new Error('forex down'));
+
+      await expect(exchangeAPI.getPrice('coinbase')).resolves.toBeNull();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(exchangeAPI.fx.getStatus()).toMatchObject({ rate: null, isStale: true, lastError: 'forex down' });
+      expect(exchangeAPI.health.getStatus('coinbase').totalRequests).toBe(0);
+      console.error.mockRestore();
+    });
+
+    it('should request the forex ticker from the base URL', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['coinbase'], baseUrl: 'http://localhost:3100' });
+      axios.get.mockImplementation((url) => Promise.resolve(url.includes('/fx/')
+        ? fxResponse
+        : { data: { price: '66000', bid: '65999', ask: '66001' } }));
+
+      await exchangeAPI.getPrice('coinbase');
+
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3100/fx/public/v1/ticker', { timeout: 5000 });
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3100/coinbase/products/BTC-USD/ticker', { timeout: 5000 });
+    });
+  });
+
+  describe('maintenance', () => {
+    const now = Date.parse('2024-03-01T04:05:00+09:00');
+    const createAPI = () => {
+      const api = new ExchangeAPI({ enabled: ['bitflyer', 'bitbank'], now: () => now });
+      api.maintenance = new MaintenanceCalendar({ adapters: api.adapters, windows: [], enabled: true, now: () => now });
+      return api;
+    };
+
+    it('should not request exchanges during their maintenance window', async () => {
+      exchangeAPI = createAPI();
+      axios.get.mockResolvedValue({ data: { success: 1, data: { last: '5000000', buy: '4999000', sell: '5001000' } } });
+
+      const prices = await exchangeAPI.getAllPrices();
+
+      expect(prices.map(price => price.exchange)).toEqual(['bitbank']);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      await expect(exchangeAPI.getOrderBook('bitflyer')).resolves.toBeNull();
+      await expect(exchangeAPI.getTrades('bitflyer')).resolves.toBeNull();
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the maintenance in the health status', () => {
+      exchangeAPI = createAPI();
+
+      const status = exchangeAPI.getHealthStatus().find(s => s.id === 'bitflyer');
+      expect(status).toMatchObject({
+        status: 'maintenance',
+        consecutiveFailures: 0,
+        maintenance: { active: true, note: '日次メンテナンス', endsAt: '2024-03-01T04:10:00' }
+      });
+      expect(exchangeAPI.getHealthStatus().find(s => s.id === 'bitbank').maintenance.active).toBe(false);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should skip ticker requests once the exchange budget is exhausted', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitflyer'] });
+      exchangeAPI.rateLimiter.setLimit('bitflyer', { requests: 2, interval: 60000 });
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 4999000, best_ask: 5001000 } });
+
+      await exchangeAPI.getPrice('bitflyer');
+      await exchangeAPI.getPrice('bitflyer');
+      const skipped = await exchangeAPI.getPrice('bitflyer');
+
+      expect(skipped).toBeNull();
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      const status = exchangeAPI.getHealthStatus().find(s => s.id === 'bitflyer');
+      // 見送りは取引所の障害として扱わない
+      expect(status.consecutiveFailures).toBe(0);
+      expect(status.rateLimit).toMatchObject({ limit: 2, remaining: 0, skipped: 1 });
+    });
+
+    it('should not spend the budget while the circuit is open', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['zaif'] });
+      exchangeAPI.rateLimiter.setLimit('zaif', { requests: 10, interval: 60000 });
+      axios.get.mockRejectedValue(new Error('Network error'));
+
+      for (let i = 0; i < 5; i++) {
+        await exchangeAPI.getPrice('zaif');
+      }
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      // 見送った2回分は枠を消費しない
+      expect(exchangeAPI.rateLimiter.getStatus('zaif')).toMatchObject({ limit: 10, remaining: 7 });
+    });
+
+    it('should keep the circuit open when the budget runs out at the end of the backoff', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['zaif'] });
+      exchangeAPI.rateLimiter.setLimit('zaif', { requests: 3, interval: 60000 });
+      axios.get.mockRejectedValue(new Error('Network error'));
+      for (let i = 0; i < 3; i++) {
+        await exchangeAPI.getPrice('zaif');
+      }
+      exchangeAPI.health.getState('zaif').nextRetryAt = 0;
+
+      await expect(exchangeAPI.getPrice('zaif')).resolves.toBeNull();
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      // 試行を送れなかったため half-open には移らず、次の取得で改めて試行する
+      expect(exchangeAPI.health.getStatus('zaif').circuit).toBe('open');
+    });
+
+    it('should use adapter limits overridden by EXCHANGE_RATE_LIMITS', () => {
+      process.env.EXCHANGE_RATE_LIMITS = 'gmo=2/1';
+      try {
+        exchangeAPI = new ExchangeAPI();
+      } finally {
+        delete process.env.EXCHANGE_RATE_LIMITS;
+      }
+
+      expect(exchangeAPI.rateLimiter.getStatus('gmo')).toMatchObject({ limit: 2, interval: 1000 });
+      expect(exchangeAPI.rateLimiter.getStatus('bitflyer')).toMatchObject({ limit: 500, interval: 300000 });
+    });
+
+    it('should share the budget between tickers and order books', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitbank'] });
+      exchangeAPI.rateLimiter.setLimit('bitbank', { requests: 1, interval: 60000 });
+      axios.get.mockResolvedValue({ data: { success: 1, data: { last: '5000000', buy: '4999000', sell: '5001000', bids: [], asks: [] } } });
+
+      await exchangeAPI.getPrice('bitbank');
+      // 次のトークンまで60秒かかるため、順番待ちせずに見送る
+      await expect(exchangeAPI.getOrderBook('bitbank')).resolves.toBeNull();
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('adapter configuration', () => {
+    it('should only poll enabled exchanges', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitflyer', 'bitbank'] });
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 4999000, best_ask: 5001000 } });
+
+      await exchangeAPI.getAllPrices();
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(exchangeAPI.getExchangeList().map(e => e.id)).toEqual(['bitflyer', 'bitbank']);
+    });
+
+    it('should skip disabled exchanges', async () => {
+      exchangeAPI = new ExchangeAPI({ disabled: 'coingecko' });
+
+      expect(exchangeAPI.getAdapter('coingecko')).toBeNull();
+      await expect(exchangeAPI.getPrice('coingecko')).resolves.toBeNull();
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should poll exchanges added through configuration', async () => {
+      exchangeAPI = new ExchangeAPI({
+        enabled: ['newvenue'],
+        exchanges: [{
+          id: 'newvenue',
+          name: 'NewVenue',
+          symbols: { 'BTC/JPY': 'BTCJPY' },
+          tickerUrl: 'https://api.newvenue.example/ticker/{symbol}',
+          fields: { price: 'result.last', bid: 'result.bid', ask: 'result.ask' }
+        }]
+      });
+      axios.get.mockResolvedValue({ data: { result: { last: 5000000, bid: 4999000, ask: 5001000 } } });
+
+      const result = await exchangeAPI.getAllPrices();
+
+      expect(axios.get).toHaveBeenCalledWith('https://api.newvenue.example/ticker/BTCJPY', { timeout: 5000 });
+      expect(result).toEqual([{
+        exchange: 'NewVenue',
+        pair: 'BTC/JPY',
+        price: 5000000,
+        bid: 4999000,
+        ask: 5001000,
+        timestamp: expect.any(String),
+        sourceTimestamp: null,
+        receivedAt: expect.any(Number)
+      }]);
+    });
+  });
+
+  describe('trading pairs', () => {
+    it('should monitor BTC/JPY by default', () => {
+      expect(exchangeAPI.pairs).toEqual(['BTC/JPY']);
+    });
+
+    it('should read monitored pairs from TRADING_PAIRS', () => {
+      process.env.TRADING_PAIRS = 'btc/jpy, ETH/JPY';
+      try {
+        exchangeAPI = new ExchangeAPI();
+      } finally {
+        delete process.env.TRADING_PAIRS;
+      }
+
+      expect(exchangeAPI.pairs).toEqual(['BTC/JPY', 'ETH/JPY']);
+      expect(exchangeAPI.getExchangeList().find(e => e.id === 'coincheck').pairs).toEqual(['BTC/JPY']);
+    });
+
+    it('should fetch every supported pair and skip excluded combinations', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitflyer', 'coincheck'], pairs: ['BTC/JPY', 'ETH/JPY'] });
+      axios.get.mockResolvedValue({ data: { ltp: 500000, best_bid: 499900, best_ask: 500100, last: 5000000, bid: 4999000, ask: 5001000 } });
+
+      const result = await exchangeAPI.getAllPrices({ exclude: [{ exchangeId: 'bitflyer', pair: 'BTC/JPY' }] });
+
+      // Coincheck は ETH/JPY 未対応、bitFlyer BTC/JPY は除外
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(axios.get).toHaveBeenCalledWith('https://api.bitflyer.com/v1/ticker?product_code=ETH_JPY', { timeout: 5000 });
+      expect(result.map(quote => `${quote.exchange} ${quote.pair}`)).toEqual(['Coincheck BTC/JPY', 'bitFlyer ETH/JPY']);
+    });
+
+    it('should not request pairs an exchange does not list', async () => {
+      exchangeAPI = new ExchangeAPI({ pairs: ['BTC/JPY', 'ETH/JPY'] });
+
+      await expect(exchangeAPI.getPrice('coincheck', 'ETH/JPY')).resolves.toBeNull();
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('base URL override', () => {
+    it('should send requests to the configured base URL under the adapter id', async () => {
+      exchangeAPI = new ExchangeAPI({ enabled: ['bitflyer', 'bitbank'], baseUrl: 'http://localhost:3100' });
+      axios.get.mockResolvedValue({ data: { ltp: 5000000, best_bid: 4999000, best_ask: 5001000 } });
+
+      await exchangeAPI.getPrice('bitflyer');
+
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3100/bitflyer/v1/ticker?product_code=BTC_JPY', { timeout: 5000 });
+    });
+
+    it('should map WebSocket URLs to a ws scheme', () => {
+      exchangeAPI = new ExchangeAPI({ baseUrl: 'http://localhost:3100/' });
+      const bitbank = exchangeAPI.getAdapter('bitbank');
+
+      expect(exchangeAPI.resolveUrl(bitbank, bitbank.stream.url))
+        .toBe('ws://localhost:3100/bitbank/socket.io/?EIO=4&transport=websocket');
+    });
+
+    it('should leave URLs untouched without a base URL', () => {
+      exchangeAPI = new ExchangeAPI();
+      const gmo = exchangeAPI.getAdapter('gmo');
+
+      expect(exchangeAPI.resolveUrl(gmo, gmo.stream.url)).toBe('wss://api.coin.z.com/ws/public/v1');
+    });
+  });
+});
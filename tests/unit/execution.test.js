@@ -0,0 +1,322 @@
+const { ExecutionEngine, SimulatedBroker, LiveBroker } = require('../../server/execution');
+
+describe('ExecutionEngine', () => {
+  let books;
+  let exchangeAPI;
+  let logSpy;
+  let warnSpy;
+
+  const opportunity = {
+    exchangeFrom: 'bitFlyer',
+    exchangeTo: 'Coincheck',
+    pair: 'BTC/JPY',
+    priceFrom: 10000000,
+    priceTo: 10050000,
+    isProfitableAfterFees: true
+  };
+
+  const createEngine = (options = {}) => new ExecutionEngine({
+    exchangeAPI,
+    now: () => 1700000000000,
+    ...options
+  });
+
+  // 指定した注文ごとの約定数量を返すブローカー
+  const scriptedBroker = (fills) => {
+    const orders = [];
+    return {
+      orders,
+      executeOrder: jest.fn(async (order) => {
+        orders.push(order);
+        const fill = fills.shift();
+        if (fill instanceof Error) throw fill;
+        return { orderId: `id-${orders.length}`, filledSize: fill, averagePrice: fill > 0 ? order.price : null, error: null };
+      })
+    };
+  };
+
+  beforeEach(() => {
+    books = {
+      bitflyer: {
+        bids: [{ price: 9990000, size: 1 }],
+        asks: [{ price: 10000000, size: 0.0004 }, { price: 10010000, size: 1 }]
+      },
+      coincheck: {
+        bids: [{ price: 10050000, size: 1 }],
+        asks: [{ price: 10060000, size: 1 }]
+      }
+    };
+    exchangeAPI = {
+      adapters: [{ id: 'bitflyer', name: 'bitFlyer' }, { id: 'coincheck', name: 'Coincheck' }],
+      getOrderBook: jest.fn(async (exchangeId) => books[exchangeId] || null)
+    };
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  it('should default to dry-run with the close policy', () => {
+    const engine = createEngine();
+
+    expect(engine.getStatus()).toMatchObject({ mode: 'dry-run', unwindPolicy: 'close', orderSize: 0.001, busy: false });
+    expect(engine.broker).toBeInstanceOf(SimulatedBroker);
+    expect(createEngine({ mode: 'live' }).broker).toBeInstanceOf(LiveBroker);
+    expect(createEngine({ unwindPolicy: 'hedge' }).unwindPolicy).toBe('close');
+  });
+
+  it('should send both legs at once and record a completed execution', async () => {
+    const broker = scriptedBroker([0.001, 0.001]);
+    const database = { saveExecution: jest.fn().mockResolvedValue() };
+    const engine = createEngine({ broker, database });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.orders).toEqual([
+      { exchangeId: 'bitflyer', pair: 'BTC/JPY', side: 'buy', size: 0.001, price: 10000000 },
+      { exchangeId: 'coincheck', pair: 'BTC/JPY', side: 'sell', size: 0.001, price: 10050000 }
+    ]);
+    expect(execution).toMatchObject({
+      mode: 'dry-run',
+      status: 'completed',
+      filledSize: 0.001,
+      netPosition: 0,
+      expectedProfit: expect.closeTo(50),
+      realizedProfit: expect.closeTo(50)
+    });
+    expect(execution.orders.map(order => `${order.leg}:${order.status}`)).toEqual(['buy:filled', 'sell:filled']);
+    expect(database.saveExecution).toHaveBeenCalledWith(execution);
+    expect(engine.recentExecutions[0]).toBe(execution);
+  });
+
+  it('should simulate fills against the order book in dry-run', async () => {
+    const engine = createEngine({ unwindPolicy: 'none' });
+
+    const execution = await engine.execute(opportunity);
+
+    // bitFlyer は指値 10,000,000 円以下の売り板が 0.0004 しかない
+    expect(execution.orders[0]).toMatchObject({ status: 'partial', filledSize: 0.0004, averagePrice: 10000000 });
+    expect(execution.orders[1]).toMatchObject({ status: 'filled', filledSize: 0.001, averagePrice: 10050000 });
+    expect(execution.orders[0].orderId).toMatch(/^dry-run-/);
+    expect(execution).toMatchObject({ status: 'unbalanced', netPosition: -0.0006, realizedProfit: null });
+  });
+
+  it('should close the excess on the venue that filled it', async () => {
+    const broker = scriptedBroker([0.001, 0.0004, 0.0006]);
+    const engine = createEngine({ broker, unwindSlippage: 1 });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.orders[2]).toEqual({ exchangeId: 'bitflyer', pair: 'BTC/JPY', side: 'sell', size: 0.0006, price: 9900000 });
+    expect(execution.orders[2]).toMatchObject({ leg: 'unwind', exchange: 'bitFlyer', status: 'filled' });
+    expect(execution).toMatchObject({ status: 'unwound', filledSize: 0.0004, netPosition: 0 });
+    // 0.0004 の裁定益 (20円) − 0.0006 の反対売買損 (60円)
+    expect(execution.realizedProfit).toBeCloseTo(-40);
+  });
+
+  it('should complete the missing leg before closing', async () => {
+    const broker = scriptedBroker([0, 0.001, 0.0007, 0.0003]);
+    const engine = createEngine({ broker, unwindPolicy: 'complete', unwindSlippage: 0.5 });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.orders.slice(2)).toEqual([
+      // 買い不足分を元の指値 + 0.5% で買い直し、なお残った売り持ちを Coincheck で買い戻す
+      { exchangeId: 'bitflyer', pair: 'BTC/JPY', side: 'buy', size: 0.001, price: 10050000 },
+      { exchangeId: 'coincheck', pair: 'BTC/JPY', side: 'buy', size: 0.0003, price: 10100250 }
+    ]);
+    // 補完で買えた 0.0007 は両方の取引所で約定した数量に含め、買い戻した 0.0003 は含めない
+    expect(execution).toMatchObject({ status: 'unwound', filledSize: 0.0007, netPosition: 0 });
+    expect(execution.orders.map(order => order.status)).toEqual(['unfilled', 'filled', 'partial', 'filled']);
+  });
+
+  it('should report the completed leg as filled', async () => {
+    const broker = scriptedBroker([0.001, 0, 0.001]);
+    const engine = createEngine({ broker, unwindPolicy: 'complete' });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.executeOrder).toHaveBeenCalledTimes(3);
+    expect(execution).toMatchObject({ status: 'unwound', filledSize: 0.001, netPosition: 0 });
+    expect(engine.formatExecutionMessage(execution)).toContain('0.001/0.001 filled');
+  });
+
+  it('should not close the position when the completing order throws', async () => {
+    const broker = scriptedBroker([0.001, 0, new Error('socket hang up')]);
+    const engine = createEngine({ broker, unwindPolicy: 'complete' });
+
+    const execution = await engine.execute(opportunity);
+
+    // 補完の売りが約定していれば bitFlyer でも売ると売り持ちになるため、反対売買しない
+    expect(broker.executeOrder).toHaveBeenCalledTimes(3);
+    expect(execution.orders[2]).toMatchObject({ leg: 'unwind', exchange: 'Coincheck', side: 'sell', status: 'unknown' });
+    expect(execution).toMatchObject({ status: 'unbalanced', realizedProfit: null });
+  });
+
+  it('should keep the position with the none policy', async () => {
+    const broker = scriptedBroker([0.001, 0]);
+    const engine = createEngine({ broker, unwindPolicy: 'none' });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.executeOrder).toHaveBeenCalledTimes(2);
+    expect(execution).toMatchObject({ status: 'unbalanced', netPosition: 0.001, realizedProfit: null });
+  });
+
+  it('should report a failed execution when neither leg fills', async () => {
+    const broker = {
+      executeOrder: jest.fn()
+        .mockResolvedValueOnce({ orderId: null, filledSize: 0, averagePrice: null, error: 'Order rejected: insufficient funds' })
+        .mockResolvedValueOnce({ orderId: 'id-2', filledSize: 0, averagePrice: null, error: null })
+    };
+    const engine = createEngine({ broker });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(execution.orders[0]).toMatchObject({ status: 'failed', error: 'Order rejected: insufficient funds' });
+    expect(execution.orders[1].status).toBe('unfilled');
+    expect(execution.status).toBe('failed');
+  });
+
+  it('should treat an order whose sending threw as unknown instead of unfilled', async () => {
+    const broker = scriptedBroker([new Error('socket hang up'), 0.001]);
+    const engine = createEngine({ broker });
+
+    const execution = await engine.execute(opportunity);
+
+    // 買いが約定していれば売りだけの持ち高を反対売買すると丸裸になるため、手動確認に回す
+    expect(broker.executeOrder).toHaveBeenCalledTimes(2);
+    expect(execution.orders[0]).toMatchObject({ status: 'unknown', filledSize: null, error: 'socket hang up' });
+    expect(execution.status).toBe('unbalanced');
+  });
+
+  it('should not unwind while a leg has an unknown state', async () => {
+    const broker = scriptedBroker([null, 0]);
+    const engine = createEngine({ broker });
+
+    const execution = await engine.execute(opportunity);
+
+    expect(broker.executeOrder).toHaveBeenCalledTimes(2);
+    expect(execution.orders[0].status).toBe('unknown');
+    expect(execution.status).toBe('unbalanced');
+  });
+
+  it('should not send more than the books can fill', async () => {
+    const broker = scriptedBroker([0.0005, 0.0005]);
+    const engine = createEngine({ broker });
+
+    const execution = await engine.execute({ ...opportunity, executableSize: 0.00050000001 });
+
+    expect(broker.orders.map(order => order.size)).toEqual([0.0005, 0.0005]);
+    expect(execution).toMatchObject({ size: 0.0005, status: 'completed' });
+    expect(engine.getOrderSize({ ...opportunity, executableSize: 2 })).toBe(0.001);
+    expect(engine.getOrderSize({ ...opportunity, executableSize: null })).toBe(0.001);
+  });
+
+  it('should skip opportunities it cannot execute', async () => {
+    const broker = scriptedBroker([]);
+    const privateAPI = { isConfigured: jest.fn(exchangeId => exchangeId === 'bitflyer') };
+
+    await expect(createEngine({ broker }).execute({ ...opportunity, exchangeTo: 'Zaif' })).resolves.toBeNull();
+    await expect(createEngine({ broker, mode: 'live', privateAPI }).execute(opportunity)).resolves.toBeNull();
+
+    const engine = createEngine({ broker });
+    engine.busy = true;
+    await expect(engine.execute(opportunity)).resolves.toBeNull();
+
+    await expect(createEngine({ broker }).execute({ ...opportunity, type: 'triangular', exchangeTo: 'bitFlyer' })).resolves.toBeNull();
+
+    expect(broker.executeOrder).not.toHaveBeenCalled();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('no private API credentials for coincheck'));
+  });
+
+  describe('LiveBroker', () => {
+    const order = { exchangeId: 'bitflyer', pair: 'BTC/JPY', side: 'buy', size: 0.01, price: 10000000 };
+
+    it('should poll until the order closes', async () => {
+      const privateAPI = {
+        placeOrder: jest.fn().mockResolvedValue({ orderId: 'JRF-1', status: 'accepted', error: null }),
+        getOrder: jest.fn()
+          .mockResolvedValueOnce({ status: 'open', filledSize: 0.005, averagePrice: 9990000 })
+          .mockResolvedValueOnce({ status: 'filled', filledSize: 0.01, averagePrice: 9995000 }),
+        cancelOrder: jest.fn()
+      };
+      const broker = new LiveBroker(privateAPI, { fillTimeout: 1000, pollInterval: 0 });
+
+      await expect(broker.executeOrder(order)).resolves.toEqual({
+        orderId: 'JRF-1', filledSize: 0.01, averagePrice: 9995000, error: null
+      });
+      expect(privateAPI.placeOrder).toHaveBeenCalledWith('bitflyer', order);
+      expect(privateAPI.cancelOrder).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the remainder after the fill timeout', async () => {
+      const privateAPI = {
+        placeOrder: jest.fn().mockResolvedValue({ orderId: '42', status: 'accepted', error: null }),
+        getOrder: jest.fn()
+          .mockResolvedValueOnce({ status: 'open', filledSize: 0.004, averagePrice: null })
+          .mockResolvedValueOnce({ status: 'canceled', filledSize: 0.004, averagePrice: null }),
+        cancelOrder: jest.fn().mockResolvedValue(true)
+      };
+      const broker = new LiveBroker(privateAPI, { fillTimeout: 0, pollInterval: 0 });
+
+      // 平均約定価格を返さない取引所は指値で約定したものとみなす
+      await expect(broker.executeOrder(order)).resolves.toEqual({
+        orderId: '42', filledSize: 0.004, averagePrice: 10000000, error: null
+      });
+      expect(privateAPI.cancelOrder).toHaveBeenCalledWith('bitflyer', 'BTC/JPY', '42');
+    });
+
+    it('should report rejected orders and unreadable states', async () => {
+      const privateAPI = {
+        placeOrder: jest.fn()
+          .mockResolvedValueOnce({ orderId: null, status: 'rejected', error: 'Request failed with status code 400' })
+          .mockResolvedValueOnce({ orderId: '7', status: 'accepted', error: null }),
+        getOrder: jest.fn().mockResolvedValue(null),
+        cancelOrder: jest.fn().mockResolvedValue(false),
+        findOrder: jest.fn()
+      };
+      const broker = new LiveBroker(privateAPI, { fillTimeout: 0, pollInterval: 0 });
+
+      await expect(broker.executeOrder(order)).resolves.toMatchObject({
+        orderId: null, filledSize: 0, error: 'Order rejected: Request failed with status code 400'
+      });
+      await expect(broker.executeOrder(order)).resolves.toMatchObject({ orderId: '7', filledSize: null });
+      expect(privateAPI.findOrder).not.toHaveBeenCalled();
+    });
+
+    it('should look up an order whose placement timed out before reporting its fill', async () => {
+      const privateAPI = {
+        placeOrder: jest.fn().mockResolvedValue({ orderId: null, status: 'unknown', error: 'timeout of 5000ms exceeded' }),
+        findOrder: jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce('JRF-9'),
+        getOrder: jest.fn().mockResolvedValue({ status: 'filled', filledSize: 0.01, averagePrice: 9995000 }),
+        cancelOrder: jest.fn()
+      };
+      const broker = new LiveBroker(privateAPI, { fillTimeout: 1000, pollInterval: 0 });
+
+      await expect(broker.executeOrder(order)).resolves.toEqual({
+        orderId: 'JRF-9', filledSize: 0.01, averagePrice: 9995000, error: null
+      });
+      expect(privateAPI.findOrder).toHaveBeenCalledWith('bitflyer', order, expect.any(Number));
+      expect(privateAPI.getOrder).toHaveBeenCalledWith('bitflyer', 'BTC/JPY', 'JRF-9');
+    });
+
+    it('should leave the fill unknown when a timed-out order cannot be found', async () => {
+      const privateAPI = {
+        placeOrder: jest.fn().mockResolvedValue({ orderId: null, status: 'unknown', error: 'timeout of 5000ms exceeded' }),
+        findOrder: jest.fn().mockResolvedValue(null),
+        getOrder: jest.fn(),
+        cancelOrder: jest.fn()
+      };
+      const broker = new LiveBroker(privateAPI, { fillTimeout: 0, pollInterval: 0 });
+
+      await expect(broker.executeOrder(order)).resolves.toEqual({
+        orderId: null, filledSize: null, averagePrice: null, error: 'Order state unknown: timeout of 5000ms exceeded'
+      });
+      expect(privateAPI.getOrder).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const FxRates = require('../../server/fx');
+
+describe('FxRates', () => {
+  let now;
+  let http;
+  let fx;
+
+  const tickerResponse = (bid, ask) => ({
+    data: { status: 0, data: [
+      { symbol: 'EUR_JPY', bid: '160.1', ask: '160.2' },
+      { symbol: 'USD_JPY', bid: String(bid), ask: String(ask), timestamp: '2024-03-01T00:00:00.000Z' }
+    ] }
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    http = { get: jest.fn().mockResolvedValue(tickerResponse(149.99, 150.01)) };
+    fx = new FxRates({ http, now: () => now, refreshInterval: 60000, maxAge: 300000 });
+  });
+
+  it('should use the USD/JPY mid for USD and USDT', async () => {
+    await expect(fx.refresh()).resolves.toBeCloseTo(150);
+
+    expect(fx.getRate('USD')).toBeCloseTo(150);
+    expect(fx.getRate('USDT')).toBeCloseTo(150);
+    expect(fx.getRate('JPY')).toBe(1);
+    expect(fx.getRate('EUR')).toBeNull();
+    expect(fx.getStatus()).toMatchObject({ pair: 'USD/JPY', bid: 149.99, ask: 150.01, isStale: false, lastError: null });
+  });
+
+  it('should share one request between concurrent callers and throttle refreshes', async () => {
+    await Promise.all([fx.refresh(), fx.refresh(), fx.refresh()]);
+    await fx.refresh();
+    expect(http.get).toHaveBeenCalledTimes(1);
+
+    now += 60000;
+    http.get.mockResolvedValue(tickerResponse(151.99, 152.01));
+    await fx.refresh();
+    expect(http.get).toHaveBeenCalledTimes(2);
+    expect(fx.getRate('USD')).toBeCloseTo(152);
+  });
+
+  it('should keep the last rate on failure until it is too old', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await fx.refresh();
+
+    now += 60000;
+    http.get.mockRejectedValue(new Error('timeout'));
+    await expect(fx.refresh()).resolves.toBeCloseTo(150);
+    expect(fx.getStatus().lastError).toBe('timeout');
+
+    now += 300000;
+    expect(fx.getRate('USD')).toBeNull();
+    expect(fx.getStatus().isStale).toBe(true);
+    console.error.mockRestore();
+  });
+
+  it('should reject responses without a USD/JPY rate', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    http.get.mockResolvedValue({ data: { status: 0, data: [{ symbol: 'EUR_JPY', bid: '160.1', ask: '160.2' }] } });
+
+    await expect(fx.refresh()).resolves.toBeNull();
+    expect(fx.getStatus().lastError).toBe('USD_JPY rate missing from response');
+    console.error.mockRestore();
+  });
+
+  it('should request the resolved URL', async () => {
+    fx = new FxRates({ http, resolveUrl: url => url.replace('https://forex-api.coin.z.com', 'http://localhost:3100/fx') });
+
+    await fx.refresh();
+
+    expect(http.get).toHaveBeenCalledWith('http://localhost:3100/fx/public/v1/ticker', { timeout: 5000 });
+  });
+});
@@ -0,0 +1,107 @@
+const HealthTracker = require('../../server/health');
+
+describe('HealthTracker', () => {
+  let health;
+
+  beforeEach(() => {
+    health = new HealthTracker({ failureThreshold: 3, baseBackoff: 1000, maxBackoff: 8000 });
+  });
+
+  it('should report unknown status before any request', () => {
+    expect(health.getStatus('bitflyer')).toMatchObject({
+      status: 'unknown',
+      consecutiveFailures: 0,
+      lastSuccess: null,
+      meanLatency: null,
+      circuit: 'closed'
+    });
+  });
+
+  it('should track successes, failures and mean latency', () => {
+    health.recordSuccess('bitflyer', 100);
+    health.recordSuccess('bitflyer', 300);
+    health.recordFailure('bitflyer', new Error('timeout'), 500);
+
+    expect(health.getStatus('bitflyer')).toMatchObject({
+      status: 'degraded',
+      consecutiveFailures: 1,
+      totalRequests: 3,
+      totalFailures: 1,
+      lastSuccess: expect.any(String),
+      lastError: 'timeout',
+      meanLatency: 300
+    });
+  });
+
+  it('should open the circuit after consecutive failures and back off exponentially', () => {
+    const now = 1000000;
+    for (let i = 0; i < 3; i++) {
+      health.recordFailure('zaif', new Error('down'), 10, now);
+    }
+
+    expect(health.getStatus('zaif', now)).toMatchObject({ status: 'down', circuit: 'open', retryInMs: 1000 });
+    expect(health.canRequest('zaif', now + 999)).toBe(false);
+
+    // バックオフ経過後は試行リクエストを1件だけ許可
+    expect(health.canRequest('zaif', now + 1000)).toBe(true);
+    expect(health.canRequest('zaif', now + 1000)).toBe(false);
+
+    health.recordFailure('zaif', new Error('still down'), 10, now + 1000);
+    expect(health.getStatus('zaif', now + 1000).retryInMs).toBe(2000);
+  });
+
+  it('should report the backoff without starting a trial request', () => {
+    const now = 1000000;
+    for (let i = 0; i < 3; i++) {
+      health.recordFailure('zaif', new Error('down'), 10, now);
+    }
+
+    expect(health.isBackingOff('zaif', now + 999)).toBe(true);
+    expect(health.isBackingOff('zaif', now + 1000)).toBe(false);
+    expect(health.getStatus('zaif', now + 1000).circuit).toBe('open');
+    expect(health.isBackingOff('bitflyer', now)).toBe(false);
+  });
+
+  it('should cap the backoff delay', () => {
+    expect(health.getBackoff(20)).toBe(8000);
+  });
+
+  it('should close the circuit after a successful trial request', () => {
+    const now = 1000000;
+    for (let i = 0; i < 3; i++) {
+      health.recordFailure('gmo', new Error('down'), 10, now);
+    }
+    health.canRequest('gmo', now + 1000);
+    health.recordSuccess('gmo', 50);
+
+    expect(health.getStatus('gmo')).toMatchObject({ status: 'healthy', circuit: 'closed', consecutiveFailures: 0 });
+    expect(health.canRequest('gmo')).toBe(true);
+  });
+
+  it('should report the success rate of recent requests', () => {
+    health = new HealthTracker({ failureThreshold: 3, reliabilityWindow: 4 });
+    expect(health.getReliability('bitflyer')).toBeNull();
+
+    health.recordFailure('bitflyer', new Error('timeout'), 10);
+    health.recordSuccess('bitflyer', 10);
+    expect(health.getReliability('bitflyer')).toBe(0.5);
+
+    // 窓から外れた失敗は数えない
+    for (let i = 0; i < 4; i++) health.recordSuccess('bitflyer', 10);
+    expect(health.getReliability('bitflyer')).toBe(1);
+
+    for (let i = 0; i < 3; i++) health.recordFailure('zaif', new Error('down'), 10);
+    expect(health.getReliability('zaif')).toBe(0);
+  });
+
+  it('should report availability without starting a trial request', () => {
+    const now = 1000000;
+    for (let i = 0; i < 3; i++) {
+      health.recordFailure('zaif', new Error('down'), 10, now);
+    }
+
+    expect(health.isAvailable('zaif')).toBe(false);
+    expect(health.getStatus('zaif').circuit).toBe('open');
+    expect(health.isAvailable('bitflyer')).toBe(true);
+  });
+});
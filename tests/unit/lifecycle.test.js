@@ -0,0 +1,132 @@
+const OpportunityTracker = require('../../server/lifecycle');
+
+describe('OpportunityTracker', () => {
+  let now;
+  let tracker;
+
+  const opportunity = (percentageDifference, netProfit, overrides = {}) => ({
+    exchangeFrom: 'bitFlyer',
+    exchangeTo: 'Coincheck',
+    pair: 'BTC/JPY',
+    percentageDifference,
+    netProfit,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    now = 1700000000000;
+    tracker = new OpportunityTracker({ now: () => now });
+  });
+
+  it('should open an episode for a new route', () => {
+    const events = tracker.update([opportunity(0.5, 1000)]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe('open');
+    expect(events[0].opportunity).toMatchObject({ percentageDifference: 0.5 });
+    expect(events[0].episode).toMatchObject({
+      type: 'cross-exchange',
+      pair: 'BTC/JPY',
+      exchangeFrom: 'bitFlyer',
+      exchangeTo: 'Coincheck',
+      status: 'open',
+      endedAt: null,
+      duration: 0,
+      peakSpread: 0.5,
+      averageSpread: 0.5,
+      peakNetProfit: 1000,
+      observations: 1
+    });
+  });
+
+  it('should report updates only on a new peak', () => {
+    tracker.update([opportunity(0.5, 1000)]);
+
+    now += 5000;
+    expect(tracker.update([opportunity(0.4, 800)])).toEqual([]);
+
+    now += 5000;
+    const events = tracker.update([opportunity(0.4, 1200)]);
+    expect(events.map(event => event.type)).toEqual(['update']);
+    expect(events[0].episode).toMatchObject({ peakSpread: 0.5, peakNetProfit: 1200, lastSpread: 0.4, duration: 10000, observations: 3 });
+    expect(events[0].episode.averageSpread).toBeCloseTo(1.3 / 3);
+  });
+
+  it('should close the episode at its last detection', () => {
+    const opened = tracker.update([opportunity(0.5, 1000)])[0].episode;
+    now += 5000;
+    tracker.update([opportunity(0.7, 1500)]);
+
+    now += 5000;
+    const events = tracker.update([]);
+
+    expect(events.map(event => event.type)).toEqual(['close']);
+    expect(events[0].opportunity).toBeNull();
+    expect(events[0].episode).toMatchObject({
+      id: opened.id,
+      status: 'closed',
+      duration: 5000,
+      peakSpread: 0.7,
+      peakNetProfit: 1500,
+      averageSpread: 0.6,
+      observations: 2
+    });
+    expect(events[0].episode.endedAt).not.toBeNull();
+    expect(tracker.getOpenEpisodes()).toEqual([]);
+  });
+
+  it('should track each route separately', () => {
+    tracker.update([opportunity(0.5, 1000)]);
+
+    now += 5000;
+    const events = tracker.update([
+      opportunity(0.3, 500, { exchangeFrom: 'Coincheck', exchangeTo: 'bitFlyer' }),
+      opportunity(0.3, 500, { pair: 'ETH/JPY' })
+    ]);
+
+    expect(events.map(event => `${event.type}:${event.episode.pair}:${event.episode.exchangeFrom}`)).toEqual([
+      'open:BTC/JPY:Coincheck',
+      'open:ETH/JPY:bitFlyer',
+      'close:BTC/JPY:bitFlyer'
+    ]);
+    expect(new Set(events.map(event => event.episode.id)).size).toBe(3);
+    expect(tracker.getOpenEpisodes('ETH/JPY')).toHaveLength(1);
+  });
+
+  it('should reopen a route as a new episode', () => {
+    const first = tracker.update([opportunity(0.5, 1000)])[0].episode;
+    tracker.update([]);
+
+    const second = tracker.update([opportunity(0.5, 1000)])[0];
+
+    expect(second.type).toBe('open');
+    expect(second.episode.id).not.toBe(first.id);
+  });
+
+  it('should measure how long spreads on a route last', () => {
+    expect(tracker.getPersistence(opportunity(0.5, 1000))).toBe(0);
+
+    tracker.update([opportunity(0.5, 1000)]);
+    now += 20000;
+    tracker.update([opportunity(0.5, 1000)]);
+    now += 5000;
+    tracker.update([]);
+
+    // 新しいエピソードは経路の過去のエピソードの継続時間（中央値）で評価
+    tracker.update([opportunity(0.5, 1000)]);
+    expect(tracker.getPersistence(opportunity(0.5, 1000))).toBe(20000);
+    now += 30000;
+    expect(tracker.getPersistence(opportunity(0.5, 1000))).toBe(30000);
+    expect(tracker.getPersistence(opportunity(0.5, 1000, { pair: 'ETH/JPY' }))).toBe(0);
+  });
+
+  it('should emit every event', () => {
+    const listener = jest.fn();
+    tracker.on('episode', listener);
+
+    tracker.update([opportunity(0.5, 1000)]);
+    tracker.update([]);
+
+    expect(listener.mock.calls.map(([event]) => event.type)).toEqual(['open', 'close']);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MaintenanceCalendar = require('../../server/maintenance');
+
+describe('MaintenanceCalendar', () => {
+  // 日本時間の日時 -> エポックミリ秒
+  const jst = (text) => Date.parse(`${text}+09:00`);
+  const adapters = [
+    { id: 'bitflyer', name: 'bitFlyer', maintenance: [{ start: '04:00', end: '04:10', note: '日次メンテナンス' }] },
+    { id: 'gmo', name: 'GMOコイン' }
+  ];
+
+  it('should apply daily windows from the adapters in JST', () => {
+    const calendar = new MaintenanceCalendar({ adapters, windows: [], enabled: true });
+
+    expect(calendar.isUnderMaintenance('bitflyer', jst('2024-03-01T03:59:59'))).toBe(false);
+    expect(calendar.isUnderMaintenance('bitflyer', jst('2024-03-01T04:05:00'))).toBe(true);
+    expect(calendar.isUnderMaintenance('bitFlyer', jst('2024-03-01T04:05:00'))).toBe(true);
+    expect(calendar.isUnderMaintenance('bitflyer', jst('2024-03-01T04:10:00'))).toBe(false);
+    expect(calendar.isUnderMaintenance('gmo', jst('2024-03-01T04:05:00'))).toBe(false);
+  });
+
+  it('should only apply weekly windows on the listed days, across midnight', () => {
+    const calendar = new MaintenanceCalendar({
+      adapters,
+      windows: [{ exchange: 'gmo', days: ['sat'], start: '23:00', end: '01:00' }],
+      enabled: true
+    });
+
+    // 2024-03-02 は土曜日
+    expect(calendar.isUnderMaintenance('GMOコイン', jst('2024-03-01T23:30:00'))).toBe(false);
+    expect(calendar.isUnderMaintenance('GMOコイン', jst('2024-03-02T23:30:00'))).toBe(true);
+    expect(calendar.isUnderMaintenance('GMOコイン', jst('2024-03-03T00:30:00'))).toBe(true);
+    expect(calendar.isUnderMaintenance('GMOコイン', jst('2024-03-03T01:00:00'))).toBe(false);
+  });
+
+  it('should apply one-off windows', () => {
+    const calendar = new MaintenanceCalendar({
+      windows: [{ exchange: 'zaif', from: '2024-03-10 10:00', to: '2024-03-10 15:00', note: '臨時メンテナンス' }],
+      enabled: true
+    });
+
+    expect(calendar.isUnderMaintenance('zaif', jst('2024-03-10T09:59:00'))).toBe(false);
+    expect(calendar.getStatus('zaif', jst('2024-03-10T12:00:00'))).toEqual({
+      active: true,
+      note: '臨時メンテナンス',
+      endsAt: '2024-03-10T15:00:00',
+      nextStartsAt: null,
+      nextNote: null
+    });
+  });
+
+  it('should report the next window when not under maintenance', () => {
+    const calendar = new MaintenanceCalendar({ adapters, windows: [], enabled: true });
+
+    expect(calendar.getStatus('bitflyer', jst('2024-03-01T05:00:00'))).toEqual({
+      active: false,
+      note: null,
+      endsAt: null,
+      nextStartsAt: '2024-03-02T04:00:00',
+      nextNote: '日次メンテナンス'
+    });
+  });
+
+  it('should read windows from MAINTENANCE_CALENDAR and ignore invalid ones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const originalCalendar = process.env.MAINTENANCE_CALENDAR;
+    const configPath = path.join(os.tmpdir(), `maintenance-${process.pid}.json`);
+    fs.writeFileSync(configPath, JSON.stringify({
+      windows: [
+        { exchange: 'coincheck', days: ['wed'], start: '15:00', end: '16:00' },
+        { exchange: 'coincheck', days: ['someday'], start: '15:00', end: '16:00' },
+        { exchange: 'zaif', start: '25:00', end: '26:00' }
+      ]
+    }));
+
+    try {
+      process.env.MAINTENANCE_CALENDAR = configPath;
+      const calendar = new MaintenanceCalendar({ enabled: true });
+
+      expect(calendar.windows).toHaveLength(1);
+      // 2024-03-06 は水曜日
+      expect(calendar.isUnderMaintenance('coincheck', jst('2024-03-06T15:30:00'))).toBe(true);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    } finally {
+      process.env.MAINTENANCE_CALENDAR = originalCalendar;
+      fs.unlinkSync(configPath);
+      console.warn.mockRestore();
+    }
+  });
+
+  it('should ignore every window when disabled', () => {
+    const calendar = new MaintenanceCalendar({ adapters, enabled: false });
+
+    expect(calendar.isUnderMaintenance('bitflyer', jst('2024-03-01T04:05:00'))).toBe(false);
+  });
+});
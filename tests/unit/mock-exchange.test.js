@@ -0,0 +1,145 @@
+const { loadScenario, MockMarket } = require('../../server/mock-exchange/scenarios');
+
+describe('MockMarket', () => {
+  const scenario = {
+    tickInterval: 1000,
+    volatility: 0.001,
+    spread: 0.0002,
+    exchanges: {
+      bitbank: [
+        { type: 'randomWalk', duration: 2 },
+        { type: 'premium', duration: 2, percent: 1 }
+      ],
+      gmo: [{ type: 'spreadWidening', duration: 10, maxSpread: 0.01 }],
+      zaif: [
+        { type: 'randomWalk', duration: 1 },
+        { type: 'outage', duration: 1, status: 503 }
+      ],
+      coincheck: [{ type: 'crossedBook', duration: 5 }]
+    }
+  };
+
+  const tickTimes = (market, count) => {
+    for (let i = 0; i < count; i++) market.tick();
+  };
+
+  it('should produce the same prices for the same seed', () => {
+    const first = new MockMarket(scenario, { seed: 42 });
+    const second = new MockMarket(scenario, { seed: 42 });
+    tickTimes(first, 5);
+    tickTimes(second, 5);
+
+    expect(first.getQuote('bitflyer', 'BTC/JPY').price).toBe(second.getQuote('bitflyer', 'BTC/JPY').price);
+    expect(first.mids).toEqual(second.mids);
+  });
+
+  it('should not let order book requests change the price path', () => {
+    const first = new MockMarket(scenario, { seed: 7 });
+    const second = new MockMarket(scenario, { seed: 7 });
+    first.getOrderBook('bitflyer', 'BTC/JPY');
+    tickTimes(first, 3);
+    tickTimes(second, 3);
+
+    expect(first.mids).toEqual(second.mids);
+  });
+
+  it('should loop through phases by scenario time', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    expect(market.getPhase('bitbank').type).toBe('randomWalk');
+    tickTimes(market, 2);
+    expect(market.getPhase('bitbank').type).toBe('premium');
+    tickTimes(market, 2);
+    expect(market.getPhase('bitbank').type).toBe('randomWalk');
+    expect(market.getPhase('bitflyer').type).toBe('randomWalk');
+  });
+
+  it('should quote a premium above the other venues', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    tickTimes(market, 2);
+    const premium = market.getQuote('bitbank', 'BTC/JPY');
+    const normal = market.getQuote('bitflyer', 'BTC/JPY');
+
+    expect(premium.price / normal.price).toBeGreaterThan(1.009);
+  });
+
+  it('should widen the spread over the phase', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    const spreadOf = (quote) => (quote.ask - quote.bid) / quote.price;
+    const before = spreadOf(market.getQuote('gmo', 'BTC/JPY'));
+    tickTimes(market, 9);
+    const after = spreadOf(market.getQuote('gmo', 'BTC/JPY'));
+
+    expect(before).toBeLessThan(0.001);
+    expect(after).toBeGreaterThan(0.008);
+  });
+
+  it('should stop quoting during an outage', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    expect(market.getQuote('zaif', 'BTC/JPY')).not.toBeNull();
+    market.tick();
+    expect(market.isDown('zaif')).toBe(true);
+    expect(market.getQuote('zaif', 'BTC/JPY')).toBeNull();
+    expect(market.getOrderBook('zaif', 'BTC/JPY')).toBeNull();
+  });
+
+  it('should cross the book in a crossedBook phase', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    const quote = market.getQuote('coincheck', 'BTC/JPY');
+    expect(quote.bid).toBeGreaterThan(quote.ask);
+  });
+
+  it('should build order books around the quote', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    const quote = market.getQuote('bitflyer', 'ETH/JPY');
+    const book = market.getOrderBook('bitflyer', 'ETH/JPY', 5);
+
+    expect(book.bids).toHaveLength(5);
+    expect(book.asks).toHaveLength(5);
+    expect(book.bids[0][0]).toBe(quote.bid);
+    expect(book.asks[0][0]).toBe(quote.ask);
+    expect(book.bids[1][0]).toBeLessThan(book.bids[0][0]);
+    expect(book.asks[1][0]).toBeGreaterThan(book.asks[0][0]);
+  });
+
+  it('should return the same trades for repeated requests', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    tickTimes(market, 3);
+
+    const trades = market.getTrades('bitflyer', 'BTC/JPY');
+    expect(trades.map(trade => trade.id)).toEqual([1, 2, 3]);
+    expect(market.getTrades('bitflyer', 'BTC/JPY')).toEqual(trades);
+    trades.forEach(trade => {
+      expect(trade.size).toBeGreaterThan(0);
+      expect(['buy', 'sell']).toContain(trade.side);
+    });
+  });
+
+  it('should convert quotes to USD for overseas venues', () => {
+    const market = new MockMarket({ ...scenario, fxRate: 125 }, { seed: 1 });
+    const quote = market.getQuote('binance', 'BTC/JPY');
+
+    expect(market.toUsd(quote)).toMatchObject({
+      price: Math.round(quote.price / 125 * 10000) / 10000,
+      bid: Math.round(quote.bid / 125 * 10000) / 10000,
+      timestamp: quote.timestamp
+    });
+    expect(new MockMarket(scenario, { seed: 1 }).fxRate).toBe(150);
+  });
+
+  it('should return null for unknown pairs', () => {
+    const market = new MockMarket(scenario, { seed: 1 });
+    expect(market.getQuote('bitflyer', 'DOGE/JPY')).toBeNull();
+  });
+});
+
+describe('loadScenario', () => {
+  it('should resolve built-in scenarios by name', () => {
+    expect(loadScenario('calm').exchanges).toEqual({});
+    expect(loadScenario().exchanges.zaif.some(phase => phase.type === 'outage')).toBe(true);
+  });
+
+  it('should pass scenario objects through', () => {
+    const scenario = { exchanges: {} };
+    expect(loadScenario(scenario)).toBe(scenario);
+  });
+});
@@ -0,0 +1,47 @@
+const { calculateJapanPremium } = require('../../server/premium');
+
+describe('calculateJapanPremium', () => {
+  const quote = (exchange, pair, bid, ask, extra = {}) => ({
+    exchange, pair, price: (bid + ask) / 2, bid, ask, ...extra
+  });
+  const overseas = (exchange, pair, bid, ask) => quote(exchange, pair, bid, ask, { isOverseas: true, fxRate: 150 });
+
+  it('should compare the domestic and overseas median mids per pair', () => {
+    const premiums = calculateJapanPremium([
+      quote('bitFlyer', 'BTC/JPY', 10099000, 10101000),
+      quote('Coincheck', 'BTC/JPY', 10199000, 10201000),
+      quote('bitbank', 'BTC/JPY', 10149000, 10151000),
+      overseas('Binance', 'BTC/JPY', 9999000, 10001000),
+      overseas('Coinbase', 'BTC/JPY', 9999000, 10001000),
+      { exchange: 'CoinGecko指数', pair: 'BTC/JPY', price: 20000000, bid: null, ask: null, isReference: true }
+    ], Date.parse('2024-03-01T00:00:00Z'));
+
+    expect(premiums).toHaveLength(1);
+    expect(premiums[0]).toMatchObject({
+      pair: 'BTC/JPY',
+      domesticPrice: 10150000,
+      overseasPrice: 10000000,
+      fxRate: 150,
+      domesticVenues: ['bitFlyer', 'Coincheck', 'bitbank'],
+      overseasVenues: ['Binance', 'Coinbase'],
+      timestamp: '2024-03-01T09:00:00'
+    });
+    expect(premiums[0].premium).toBeCloseTo(1.5);
+  });
+
+  it('should report a discount as a negative premium', () => {
+    const [premium] = calculateJapanPremium([
+      quote('bitFlyer', 'ETH/JPY', 494000, 496000),
+      overseas('Binance', 'ETH/JPY', 499000, 501000)
+    ]);
+
+    expect(premium.premium).toBeCloseTo(-1);
+  });
+
+  it('should skip pairs that only one market quotes', () => {
+    expect(calculateJapanPremium([
+      quote('bitFlyer', 'BTC/JPY', 10099000, 10101000),
+      overseas('Binance', 'XRP/JPY', 89, 91)
+    ])).toEqual([]);
+  });
+});
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const PrivateAPI = require('../../server/private-api');
+const { ApiCredential } = require('../../server/credentials');
+
+const sign = (text) => crypto.createHmac('sha256', 'test-secret').update(text).digest('hex');
+
+describe('PrivateAPI', () => {
+  let now;
+  let http;
+  let privateAPI;
+
+  const respond = (data) => http.request.mockResolvedValueOnce({ data });
+
+  beforeEach(() => {
+    now = 1700000000000;
+    http = { request: jest.fn() };
+    const credential = new ApiCredential('test-key', 'test-secret');
+    privateAPI = new PrivateAPI({
+      enabled: ['bitflyer', 'gmo', 'bitbank', 'coincheck', 'zaif'],
+      credentials: { bitflyer: credential, gmo: credential, bitbank: credential, coincheck: credential },
+      http,
+      now: () => now
+    });
+  });
+
+  it('should only use exchanges with a private API and credentials', () => {
+    expect(privateAPI.getConfiguredAdapters().map(adapter => adapter.id)).toEqual(['bitflyer', 'coincheck', 'gmo', 'bitbank']);
+    expect(privateAPI.isConfigured('zaif')).toBe(false);
+
+    const withoutCredentials = new PrivateAPI({ enabled: ['bitflyer'], credentials: {}, http });
+    expect(withoutCredentials.getConfiguredAdapters()).toEqual([]);
+  });
+
+  describe('signing', () => {
+    it('should sign bitFlyer requests with timestamp, method, path and body', async () => {
+      respond([]);
+      await privateAPI.getBalances('bitflyer');
+
+      expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'GET',
+        url: 'https://api.bitflyer.com/v1/me/getbalance',
+        headers: {
+          'ACCESS-KEY': 'test-key',
+          'ACCESS-TIMESTAMP': String(now),
+          'ACCESS-SIGN': sign(`${now}GET/v1/me/getbalance`)
+        }
+      }));
+    });
+
+    it('should sign GMO requests without the /private prefix or query', async () => {
+      respond({ status: 0, data: {} });
+      await privateAPI.getOpenOrders('gmo', 'BTC/JPY');
+
+      const { url, headers } = http.request.mock.calls[0][0];
+      expect(url).toBe('https://api.coin.z.com/private/v1/activeOrders?symbol=BTC_JPY');
+      expect(headers).toEqual({
+        'API-KEY': 'test-key',
+        'API-TIMESTAMP': String(now),
+        'API-SIGN': sign(`${now}GET/v1/activeOrders`)
+      });
+    });
+
+    it('should sign bitbank GET requests with nonce and path', async () => {
+      respond({ success: 1, data: { assets: [] } });
+      await privateAPI.getBalances('bitbank');
+
+      expect(http.request.mock.calls[0][0].headers).toEqual({
+        'ACCESS-KEY': 'test-key',
+        'ACCESS-NONCE': String(now),
+        'ACCESS-SIGNATURE': sign(`${now}/v1/user/assets`)
+      });
+    });
+
+    it('should sign Coincheck requests with nonce and the full URL', async () => {
+      respond({ success: true });
+      await privateAPI.getBalances('coincheck');
+
+      expect(http.request.mock.calls[0][0].headers).toEqual({
+        'ACCESS-KEY': 'test-key',
+        'ACCESS-NONCE': String(now),
+        'ACCESS-SIGNATURE': sign(`${now}https://coincheck.com/api/accounts/balance`)
+      });
+    });
+
+    it('should sign POST bodies and send them as JSON', async () => {
+      http.request.mockResolvedValueOnce({ data: {} });
+      const adapter = privateAPI.getConfiguredAdapters().find(a => a.id === 'bitbank');
+      await privateAPI.request(adapter, 'POST', '/v1/user/spot/order', { pair: 'btc_jpy' });
+
+      const { headers, data } = http.request.mock.calls[0][0];
+      expect(data).toBe('{"pair":"btc_jpy"}');
+      expect(headers['Content-Type']).toBe('application/json');
+      expect(headers['ACCESS-SIGNATURE']).toBe(sign(`${now}{"pair":"btc_jpy"}`));
+    });
+
+    it('should keep nonces increasing within the same millisecond', () => {
+      expect(privateAPI.nextNonce('bitbank')).toBe(now);
+      expect(privateAPI.nextNonce('bitbank')).toBe(now + 1);
+      expect(privateAPI.nextNonce('coincheck')).toBe(now);
+
+      now += 10;
+      expect(privateAPI.nextNonce('bitbank')).toBe(now);
+    });
+
+    it('should send requests to the same exchange one at a time', async () => {
+      const pending = [];
+      http.request.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+
+      const requests = Promise.all([privateAPI.getOpenOrders('bitbank', 'BTC/JPY'), privateAPI.getOpenOrders('bitbank', 'ETH/JPY')]);
+      await new Promise(resolve => setImmediate(resolve));
+
+      // 2件目は1件目の応答を待ってから署名して送る
+      expect(http.request).toHaveBeenCalledTimes(1);
+      pending.shift()({ data: { success: 1, data: { orders: [] } } });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(http.request).toHaveBeenCalledTimes(2);
+      pending.shift()({ data: { success: 1, data: { orders: [] } } });
+
+      await expect(requests).resolves.toEqual([[], []]);
+      expect(http.request.mock.calls.map(([config]) => config.headers['ACCESS-NONCE'])).toEqual([String(now), String(now + 1)]);
+    });
+
+    it('should send requests through resolveUrl', async () => {
+      privateAPI.resolveUrl = (adapter, url) => url.replace('https://api.bitflyer.com', `http://localhost:3100/${adapter.id}`);
+      respond([]);
+      await privateAPI.getBalances('bitflyer');
+
+      expect(http.request.mock.calls[0][0].url).toBe('http://localhost:3100/bitflyer/v1/me/getbalance');
+      // 署名は取引所本来のパスに対して行う
+      expect(http.request.mock.calls[0][0].headers['ACCESS-SIGN']).toBe(sign(`${now}GET/v1/me/getbalance`));
+    });
+  });
+
+  describe('balances', () => {
+    it('should normalize balances of every venue', async () => {
+      respond([{ currency_code: 'JPY', amount: 1000000, available: 900000 }]);
+      respond({ status: 0, data: [{ symbol: 'BTC', amount: '0.5', available: '0.4' }] });
+      respond({ success: 1, data: { assets: [{ asset: 'jpy', onhand_amount: '2000', free_amount: '1500' }] } });
+      respond({ success: true, jpy: '3000', jpy_reserved: '500', btc: '0.1', btc_reserved: '0', jpy_lend_in_use: '0' });
+
+      expect((await privateAPI.getBalances('bitflyer')).balances).toEqual([{ currency: 'JPY', total: 1000000, available: 900000 }]);
+      expect((await privateAPI.getBalances('gmo')).balances).toEqual([{ currency: 'BTC', total: 0.5, available: 0.4 }]);
+      expect((await privateAPI.getBalances('bitbank')).balances).toEqual([{ currency: 'JPY', total: 2000, available: 1500 }]);
+      expect(await privateAPI.getBalances('coincheck')).toMatchObject({
+        exchangeId: 'coincheck',
+        exchange: 'Coincheck',
+        balances: [
+          { currency: 'JPY', total: 3500, available: 3000 },
+          { currency: 'BTC', total: 0.1, available: 0.1 }
+        ]
+      });
+    });
+
+    it('should return null for exchanges without credentials', async () => {
+      await expect(privateAPI.getBalances('zaif')).resolves.toBeNull();
+      expect(http.request).not.toHaveBeenCalled();
+    });
+
+    it('should treat error envelopes as failures without logging credentials', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      respond({ status: 1, messages: [{ message_code: 'ERR-5010', message_string: 'Invalid signature.' }] });
+      respond({ success: 0, data: { code: 20001 } });
+      http.request.mockRejectedValueOnce(new Error('Request failed with status code 401'));
+      respond([]);
+
+      await expect(privateAPI.getBalances('gmo')).resolves.toBeNull();
+      await expect(privateAPI.getBalances('bitbank')).resolves.toBeNull();
+      await expect(privateAPI.getBalances('bitflyer')).resolves.toBeNull();
+      // 取得できなかった取引所は一覧から除く（bitFlyer 以外は応答なし）
+      expect((await privateAPI.getAllBalances()).map(result => result.exchangeId)).toEqual(['bitflyer']);
+
+      const logged = JSON.stringify(errorSpy.mock.calls);
+      expect(logged).toContain('ERR-5010');
+      expect(logged).toContain('20001');
+      expect(logged).not.toContain('test-key');
+      expect(logged).not.toContain('test-secret');
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('open orders', () => {
+    it('should normalize open orders', async () => {
+      respond([{
+        child_order_acceptance_id: 'JRF20240301-1', side: 'BUY', price: 9000000, size: 0.02,
+        outstanding_size: 0.01, child_order_date: '2024-03-01T00:00:00'
+      }]);
+      respond({ success: 1, data: { orders: [{
+        order_id: 12, side: 'sell', price: '9100000', start_amount: '0.05', remaining_amount: '0.05', ordered_at: 1709251200000
+      }] } });
+
+      expect(await privateAPI.getOpenOrders('bitflyer', 'BTC/JPY')).toEqual([{
+        exchangeId: 'bitflyer', exchange: 'bitFlyer', pair: 'BTC/JPY', id: 'JRF20240301-1', side: 'buy',
+        price: 9000000, size: 0.02, remaining: 0.01, orderedAt: '2024-03-01T00:00:00.000Z'
+      }]);
+      expect(await privateAPI.getOpenOrders('bitbank', 'BTC/JPY')).toEqual([expect.objectContaining({
+        id: '12', side: 'sell', price: 9100000, size: 0.05, remaining: 0.05, orderedAt: '2024-03-01T00:00:00.000Z'
+      })]);
+    });
+
+    it('should only return Coincheck orders for the requested pair', async () => {
+      respond({ success: true, orders: [
+        { id: 1, order_type: 'buy', rate: '9000000', pair: 'btc_jpy', pending_amount: '0.1', created_at: '2024-03-01T00:00:00.000Z' },
+        { id: 2, order_type: 'sell', rate: '30', pair: 'etc_jpy', pending_amount: '10', created_at: '2024-03-01T00:00:00.000Z' }
+      ] });
+
+      const orders = await privateAPI.getOpenOrders('coincheck', 'BTC/JPY');
+
+      expect(orders.map(order => order.id)).toEqual(['1']);
+    });
+
+    it('should treat a GMO response without a list as no orders', async () => {
+      respond({ status: 0, data: {} });
+      await expect(privateAPI.getOpenOrders('gmo', 'BTC/JPY')).resolves.toEqual([]);
+    });
+
+    it('should not request pairs the exchange does not list', async () => {
+      await expect(privateAPI.getOpenOrders('coincheck', 'ETH/JPY')).resolves.toBeNull();
+      expect(http.request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('orders', () => {
+    const order = { pair: 'BTC/JPY', side: 'buy', size: 0.01, price: 10000000 };
+
+    it('should place IOC limit orders on bitFlyer', async () => {
+      respond({ child_order_acceptance_id: 'JRF20240301-2' });
+
+      await expect(privateAPI.placeOrder('bitflyer', order)).resolves.toEqual({ orderId: 'JRF20240301-2', status: 'accepted', error: null });
+      const { method, url, data } = http.request.mock.calls[0][0];
+      expect(method).toBe('POST');
+      expect(url).toBe('https://api.bitflyer.com/v1/me/sendchildorder');
+      expect(JSON.parse(data)).toEqual({
+        product_code: 'BTC_JPY', child_order_type: 'LIMIT', side: 'BUY', price: 10000000, size: 0.01, time_in_force: 'IOC'
+      });
+    });
+
+    it('should report orders the exchange rejects', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      respond({ success: 0, data: { code: 60001 } });
+      http.request.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } }));
+
+      await expect(privateAPI.placeOrder('bitbank', order)).resolves.toMatchObject({ orderId: null, status: 'rejected' });
+      await expect(privateAPI.placeOrder('bitflyer', order)).resolves.toMatchObject({ orderId: null, status: 'rejected' });
+      await expect(privateAPI.placeOrder('zaif', order)).resolves.toMatchObject({ orderId: null, status: 'rejected' });
+      expect(errorSpy).toHaveBeenCalledWith('bitbank Order Error:', expect.stringContaining('60001'));
+      errorSpy.mockRestore();
+    });
+
+    it('should report an unknown outcome when the order may have reached the exchange', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      http.request.mockRejectedValueOnce(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' }));
+      http.request.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }));
+
+      await expect(privateAPI.placeOrder('bitflyer', order)).resolves.toEqual({
+        orderId: null, status: 'unknown', error: 'timeout of 5000ms exceeded'
+      });
+      await expect(privateAPI.placeOrder('gmo', order)).resolves.toMatchObject({ orderId: null, status: 'unknown' });
+      errorSpy.mockRestore();
+    });
+
+    it('should find an order with an unknown outcome among the open orders', async () => {
+      respond({ success: 1, data: { orders: [
+        { order_id: 3, side: 'buy', price: '10000000', start_amount: '0.01', remaining_amount: '0.01', ordered_at: now - 3600000 },
+        { order_id: 4, side: 'buy', price: '10000000', start_amount: '0.01', remaining_amount: '0.006', ordered_at: now + 200 }
+      ] } });
+
+      // 1時間前の同じ条件の注文は対象外
+      await expect(privateAPI.findOrder('bitbank', order, now)).resolves.toBe('4');
+      expect(http.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should find an immediately filled order among the recent fills', async () => {
+      respond([]);
+      respond([
+        { child_order_acceptance_id: 'JRF-OLD', side: 'BUY', price: 9990000, size: 0.01, exec_date: new Date(now - 3600000).toISOString() },
+        { child_order_acceptance_id: 'JRF-SELL', side: 'SELL', price: 9990000, size: 0.01, exec_date: new Date(now + 100).toISOString() },
+        { child_order_acceptance_id: 'JRF-9', side: 'BUY', price: 9995000, size: 0.004, exec_date: new Date(now + 100).toISOString() }
+      ]);
+
+      await expect(privateAPI.findOrder('bitflyer', order, now)).resolves.toBe('JRF-9');
+      expect(http.request.mock.calls[1][0].url).toBe('https://api.bitflyer.com/v1/me/getexecutions?product_code=BTC_JPY&count=100');
+    });
+
+    it('should not find an order that never reached the exchange', async () => {
+      respond({ status: 0, data: {} });
+      respond({ status: 0, data: {} });
+
+      await expect(privateAPI.findOrder('gmo', order, now)).resolves.toBeNull();
+    });
+
+    it('should read Coincheck fills of the pair from the signed amounts', async () => {
+      respond({ success: true, transactions: [
+        { order_id: 7, pair: 'btc_jpy', side: 'sell', rate: '10050000', funds: { btc: '-0.004', jpy: '40200' }, created_at: '2024-03-01T00:00:00.000Z' },
+        { order_id: 8, pair: 'eth_jpy', side: 'buy', rate: '500000', funds: { eth: '0.1', jpy: '-50000' }, created_at: '2024-03-01T00:00:00.000Z' }
+      ] });
+
+      await expect(privateAPI.getFills('coincheck', 'BTC/JPY')).resolves.toEqual([
+        { orderId: '7', side: 'sell', price: 10050000, size: 0.004, executedAt: Date.parse('2024-03-01T00:00:00.000Z') }
+      ]);
+    });
+
+    it('should normalize order states', async () => {
+      respond({ success: 1, data: { order_id: 5, status: 'PARTIALLY_FILLED', executed_amount: '0.004', average_price: '9990000' } });
+      respond({ status: 0, data: { list: [{ orderId: 6, status: 'CANCELED', executedSize: '0.002' }] } });
+      respond({ success: true, id: 7, status: 'FILLED', executed_amount: '0.01' });
+
+      await expect(privateAPI.getOrder('bitbank', 'BTC/JPY', '5')).resolves.toEqual({ status: 'open', filledSize: 0.004, averagePrice: 9990000 });
+      await expect(privateAPI.getOrder('gmo', 'BTC/JPY', '6')).resolves.toEqual({ status: 'canceled', filledSize: 0.002, averagePrice: null });
+      await expect(privateAPI.getOrder('coincheck', 'BTC/JPY', '7')).resolves.toEqual({ status: 'filled', filledSize: 0.01, averagePrice: null });
+      expect(http.request.mock.calls[1][0].url).toBe('https://api.coin.z.com/private/v1/orders?orderId=6');
+    });
+
+    it('should cancel Coincheck orders with DELETE', async () => {
+      respond({ success: true, id: 7 });
+
+      await expect(privateAPI.cancelOrder('coincheck', 'BTC/JPY', '7')).resolves.toBe(true);
+      expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'DELETE',
+        url: 'https://coincheck.com/api/exchange/orders/7'
+      }));
+    });
+  });
+});
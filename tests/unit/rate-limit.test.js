@@ -0,0 +1,103 @@
+const RateLimiter = require('../../server/rate-limit');
+const { parseRateLimits } = require('../../server/utils');
+
+describe('RateLimiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1000000;
+    limiter = new RateLimiter({
+      limits: { bitflyer: { requests: 3, interval: 3000 } },
+      maxWait: 2000,
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    limiter.stop();
+  });
+
+  it('should allow bursts up to the limit and skip beyond it', () => {
+    expect([1, 2, 3, 4].map(() => limiter.tryAcquire('bitflyer'))).toEqual([true, true, true, false]);
+
+    expect(limiter.getStatus('bitflyer')).toMatchObject({
+      limit: 3,
+      interval: 3000,
+      remaining: 0,
+      totalRequests: 3,
+      skipped: 1,
+      lastThrottledAt: new Date(now).toISOString()
+    });
+  });
+
+  it('should refill the budget over the interval', () => {
+    [1, 2, 3].forEach(() => limiter.tryAcquire('bitflyer'));
+
+    now += 1000;
+    expect(limiter.tryAcquire('bitflyer')).toBe(true);
+    expect(limiter.tryAcquire('bitflyer')).toBe(false);
+
+    now += 10000;
+    expect(limiter.getStatus('bitflyer').remaining).toBe(3);
+  });
+
+  it('should keep separate budgets per exchange and fall back to the default limit', () => {
+    [1, 2, 3].forEach(() => limiter.tryAcquire('bitflyer'));
+
+    expect(limiter.tryAcquire('zaif')).toBe(true);
+    expect(limiter.getStatus('zaif')).toMatchObject({ limit: 60, interval: 60000, remaining: 59 });
+  });
+
+  it('should queue requests while the expected wait is short enough', async () => {
+    jest.useFakeTimers();
+    try {
+      [1, 2, 3].forEach(() => limiter.tryAcquire('bitflyer'));
+
+      const first = limiter.acquire('bitflyer');
+      const second = limiter.acquire('bitflyer');
+      const third = limiter.acquire('bitflyer');
+      expect(limiter.getStatus('bitflyer')).toMatchObject({ waiting: 2, queued: 2, skipped: 1 });
+      await expect(third).resolves.toBe(false);
+
+      // 順番待ちがある間は即時取得も追い越さない
+      expect(limiter.tryAcquire('bitflyer')).toBe(false);
+
+      now += 1000;
+      jest.advanceTimersByTime(1000);
+      await expect(first).resolves.toBe(true);
+
+      now += 1000;
+      jest.advanceTimersByTime(1000);
+      await expect(second).resolves.toBe(true);
+      expect(limiter.getStatus('bitflyer').waiting).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should release queued requests when stopped', async () => {
+    [1, 2, 3].forEach(() => limiter.tryAcquire('bitflyer'));
+    const waiting = limiter.acquire('bitflyer');
+
+    limiter.stop();
+
+    await expect(waiting).resolves.toBe(false);
+  });
+});
+
+describe('parseRateLimits', () => {
+  it('should parse <exchange>=<requests>/<seconds> entries', () => {
+    expect(parseRateLimits('bitflyer=500/300, gmo=6/1')).toEqual({
+      bitflyer: { requests: 500, interval: 300000 },
+      gmo: { requests: 6, interval: 1000 }
+    });
+  });
+
+  it('should ignore invalid entries', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseRateLimits('bitflyer=fast,zaif=10/60')).toEqual({ zaif: { requests: 10, interval: 60000 } });
+    expect(parseRateLimits(undefined)).toEqual({});
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseRecorder, ResponseReplayer } = require('../../server/recording');
+
+describe('ResponseRecorder', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should append responses and failures to a timestamped file', async () => {
+    const http = {
+      get: jest.fn()
+        .mockResolvedValueOnce({ status: 200, data: { ltp: 10000000 } })
+        .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }))
+    };
+    const recorder = new ResponseRecorder(directory);
+    const client = recorder.wrap(http);
+
+    await expect(client.get('https://example.com/ticker', { timeout: 5000 })).resolves.toEqual({ status: 200, data: { ltp: 10000000 } });
+    await expect(client.get('https://example.com/ticker')).rejects.toThrow('503');
+    await recorder.close();
+
+    expect(path.basename(recorder.file)).toMatch(/^exchange-responses-\d{4}-\d{2}-\d{2}T.+\.jsonl$/);
+    const lines = fs.readFileSync(recorder.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { time: expect.any(Number), url: 'https://example.com/ticker', status: 200, data: { ltp: 10000000 } },
+      { time: expect.any(Number), url: 'https://example.com/ticker', status: 503, error: 'Request failed with status code 503' }
+    ]);
+    expect(http.get).toHaveBeenCalledWith('https://example.com/ticker', { timeout: 5000 });
+  });
+});
+
+describe('ResponseReplayer', () => {
+  let directory;
+  let file;
+  let realNow;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    file = path.join(directory, 'recording.jsonl');
+    fs.writeFileSync(file, [
+      { time: 1000, url: 'https://example.com/a', status: 200, data: { price: 1 } },
+      { time: 3000, url: 'https://example.com/a', status: 200, data: { price: 2 } },
+      { time: 4000, url: 'https://example.com/a', status: 500, error: 'Server error' }
+    ].map(entry => JSON.stringify(entry)).join('\n'));
+
+    realNow = 50000;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should serve the latest response recorded before the replay clock', async () => {
+    const replayer = new ResponseReplayer(file);
+
+    await expect(replayer.get('https://example.com/a')).resolves.toEqual({ status: 200, data: { price: 1 } });
+    realNow += 2500;
+    await expect(replayer.get('https://example.com/a')).resolves.toEqual({ status: 200, data: { price: 2 } });
+    realNow += 1000;
+    await expect(replayer.get('https://example.com/a')).rejects.toThrow('Server error');
+  });
+
+  it('should advance the replay clock at the configured speed', () => {
+    const replayer = new ResponseReplayer(file, { speed: 4 });
+
+    realNow += 500;
+    expect(replayer.now()).toBe(3000);
+    expect(replayer.isFinished()).toBe(false);
+    realNow += 300;
+    expect(replayer.isFinished()).toBe(true);
+  });
+
+  it('should fail for URLs that were never recorded', async () => {
+    const replayer = new ResponseReplayer(file);
+
+    await expect(replayer.get('https://example.com/b')).rejects.toThrow('No recorded response for https://example.com/b');
+  });
+});
@@ -0,0 +1,76 @@
+const SpreadModel = require('../../server/spread-model');
+
+describe('SpreadModel', () => {
+  // bitFlyer の Ask を基準に、Coincheck の Bid が spreads[i] % 上のスナップショットを作る
+  const history = (spreads) => spreads.flatMap((spread, index) => {
+    const createdAt = `2024-03-01 00:00:${String(index).padStart(2, '0')}`;
+    return [
+      { exchange: 'bitFlyer', pair: 'BTC/JPY', price: 10000000, bid: 9999000, ask: 10000000, is_reference: 0, created_at: createdAt },
+      { exchange: 'Coincheck', pair: 'BTC/JPY', price: 10000000, bid: 10000000 * (1 + spread / 100), ask: 10000000 * (1 + spread / 100) + 1000, is_reference: 0, created_at: createdAt }
+    ];
+  });
+
+  it('should keep the mean and standard deviation of each directional spread', () => {
+    const model = new SpreadModel(null, { minSamples: 2 });
+
+    model.fit(history([0.1, 0.2, 0.3]));
+
+    const stats = model.getStats('BTC/JPY', 'bitFlyer', 'Coincheck');
+    expect(stats).toMatchObject({ samples: 3 });
+    expect(stats.mean).toBeCloseTo(0.2);
+    expect(stats.std).toBeCloseTo(0.1);
+    // 逆方向（Coincheck で買い bitFlyer で売る）は別の経路
+    expect(model.getStats('BTC/JPY', 'Coincheck', 'bitFlyer').mean).toBeLessThan(0);
+    expect(model.getAllStats('ETH/JPY')).toEqual([]);
+  });
+
+  it('should score a spread against the usual spread of its route', () => {
+    const model = new SpreadModel(null, { minSamples: 3 });
+    model.fit(history([0.1, 0.2, 0.3]));
+
+    expect(model.getZScore('BTC/JPY', 'bitFlyer', 'Coincheck', 0.2)).toBeCloseTo(0);
+    expect(model.getZScore('BTC/JPY', 'bitFlyer', 'Coincheck', 0.5)).toBeCloseTo(3);
+  });
+
+  it('should not score routes without enough history or variation', () => {
+    const model = new SpreadModel(null, { minSamples: 4 });
+    model.fit(history([0.1, 0.2, 0.3]));
+    expect(model.getZScore('BTC/JPY', 'bitFlyer', 'Coincheck', 0.5)).toBeNull();
+    expect(model.getZScore('BTC/JPY', 'bitFlyer', 'bitbank', 0.5)).toBeNull();
+
+    model.minSamples = 2;
+    model.fit(history([0.2, 0.2]));
+    expect(model.getZScore('BTC/JPY', 'bitFlyer', 'Coincheck', 0.5)).toBeNull();
+  });
+
+  it('should ignore reference feeds and rows without prices', () => {
+    const model = new SpreadModel(null, { minSamples: 1 });
+    const rows = history([0.1]);
+    rows.push(
+      { exchange: 'IndexFeed', pair: 'BTC/JPY', price: 10100000, bid: null, ask: null, is_reference: 1, created_at: rows[0].created_at },
+      { exchange: 'Zaif', pair: 'BTC/JPY', price: null, bid: null, ask: null, is_reference: 0, created_at: rows[0].created_at }
+    );
+
+    model.fit(rows);
+
+    expect(model.getAllStats().map(stats => `${stats.exchangeFrom}->${stats.exchangeTo}`)).toEqual([
+      'bitFlyer->Coincheck',
+      'Coincheck->bitFlyer'
+    ]);
+  });
+
+  it('should refresh from the price history and keep the last statistics on errors', async () => {
+    const database = { getPriceHistory: jest.fn().mockResolvedValueOnce(history([0.1, 0.3])).mockRejectedValueOnce(new Error('locked')) };
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const model = new SpreadModel(database, { hours: 6 });
+
+    await model.refresh();
+    await model.refresh();
+
+    expect(database.getPriceHistory).toHaveBeenCalledWith(6);
+    expect(model.getStats('BTC/JPY', 'bitFlyer', 'Coincheck').samples).toBe(2);
+    expect(model.updatedAt).not.toBeNull();
+    expect(errorSpy).toHaveBeenCalledWith('Error refreshing spread model:', 'locked');
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+const StreamManager = require('../../server/streams');
+const ExchangeAPI = require('../../server/exchanges');
+
+// Minimal stand-in for the ws client used by StreamManager
+class FakeWebSocket extends EventEmitter {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = FakeWebSocket.OPEN;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(message) {
+    this.sent.push(message);
+  }
+
+  terminate() {
+    this.emit('close');
+  }
+
+  receive(message) {
+    this.emit('message', Buffer.from(typeof message === 'string' ? message : JSON.stringify(message)));
+  }
+}
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.instances = [];
+
+describe('StreamManager', () => {
+  let exchangeAPI;
+  let streamManager;
+
+  const createManager = (enabled) => {
+    exchangeAPI = new ExchangeAPI({ enabled });
+    streamManager = new StreamManager(exchangeAPI, { WebSocket: FakeWebSocket, reconnectDelay: 10 });
+    streamManager.start();
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  };
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+  });
+
+  afterEach(() => {
+    streamManager.stop();
+  });
+
+  it('should subscribe to the bitFlyer ticker channel and emit quotes', () => {
+    const ws = createManager(['bitflyer']);
+    const quotes = [];
+    streamManager.on('quote', quote => quotes.push(quote));
+
+    ws.emit('open');
+    expect(JSON.parse(ws.sent[0])).toMatchObject({
+      method: 'subscribe',
+      params: { channel: 'lightning_ticker_BTC_JPY' }
+    });
+
+    require('../fixtures/streams/bitflyer.json').forEach(message => ws.receive(message));
+
+    // 価格が変化しないメッセージは重複として扱われる
+    expect(quotes).toHaveLength(2);
+    expect(quotes[1]).toEqual({
+      exchange: 'bitFlyer',
+      pair: 'BTC/JPY',
+      price: 10003000,
+      bid: 10002000,
+      ask: 10004000,
+      timestamp: expect.any(String),
+      sourceTimestamp: '2024-03-01T00:00:01.002Z',
+      receivedAt: expect.any(Number)
+    });
+    expect(streamManager.getStreamingExchanges()).toEqual([{ exchangeId: 'bitflyer', pair: 'BTC/JPY' }]);
+  });
+
+  it('should handle the bitbank Socket.IO handshake', () => {
+    const ws = createManager(['bitbank']);
+    const quotes = [];
+    streamManager.on('quote', quote => quotes.push(quote));
+
+    ws.emit('open');
+    ws.receive('0{"sid":"abc","pingInterval":25000,"pingTimeout":20000}');
+    ws.receive('40{"sid":"def"}');
+    ws.receive('2');
+    ws.receive('42["message",{"room_name":"ticker_btc_jpy","message":{"pid":0,"data":{"sell":"10001000","buy":"9999000","last":"10000000","timestamp":1709251200000}}}]');
+
+    expect(ws.sent).toEqual(['40', '42["join-room","ticker_btc_jpy"]', '3']);
+    expect(quotes[0]).toMatchObject({ exchange: 'bitbank', price: 10000000, bid: 9999000, ask: 10001000 });
+  });
+
+  it('should build Coincheck top-of-book from a REST snapshot and diffs', async () => {
+    const ws = createManager(['coincheck']);
+    jest.spyOn(exchangeAPI, 'getOrderBook').mockResolvedValue({
+      exchange: 'Coincheck',
+      bids: [{ price: 9999000, size: 1 }, { price: 9998000, size: 1 }],
+      asks: [{ price: 10001000, size: 1 }, { price: 10002000, size: 1 }]
+    });
+    const quotes = [];
+    streamManager.on('quote', quote => quotes.push(quote));
+
+    ws.emit('open');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(JSON.parse(ws.sent[0])).toEqual({ type: 'subscribe', channel: 'btc_jpy-orderbook' });
+
+    ws.receive(['btc_jpy', { bids: [['9999000', '0']], asks: [['10000500', '0.2']] }]);
+
+    expect(quotes[0]).toMatchObject({ exchange: 'Coincheck', bid: 9998000, ask: 10000500, price: 9999250 });
+  });
+
+  it('should stop reporting an exchange as streaming when the stream drops and reconnect', async () => {
+    const ws = createManager(['gmo']);
+    const disconnected = jest.fn();
+    streamManager.on('disconnect', disconnected);
+
+    ws.emit('open');
+    ws.receive({ channel: 'ticker', symbol: 'BTC_JPY', last: '10000000', bid: '9999000', ask: '10001000' });
+    expect(streamManager.isStreaming('gmo')).toBe(true);
+
+    ws.emit('close');
+
+    expect(disconnected).toHaveBeenCalledWith('gmo');
+    expect(streamManager.isStreaming('gmo')).toBe(false);
+    expect(streamManager.getLatestQuote('gmo')).toBeNull();
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(FakeWebSocket.instances).toHaveLength(2);
+  });
+
+  it('should subscribe to every monitored pair on one connection', () => {
+    exchangeAPI = new ExchangeAPI({ enabled: ['gmo'], pairs: 'BTC/JPY,ETH/JPY' });
+    streamManager = new StreamManager(exchangeAPI, { WebSocket: FakeWebSocket });
+    streamManager.start();
+    const ws = FakeWebSocket.instances[0];
+    const quotes = [];
+    streamManager.on('quote', quote => quotes.push(quote));
+
+    ws.emit('open');
+    expect(ws.sent.map(message => JSON.parse(message).symbol)).toEqual(['BTC_JPY', 'ETH_JPY']);
+
+    ws.receive({ channel: 'ticker', symbol: 'ETH_JPY', last: '500000', bid: '499900', ask: '500100' });
+    ws.receive({ channel: 'ticker', symbol: 'XRP_JPY', last: '90', bid: '89.9', ask: '90.1' });
+
+    expect(quotes).toHaveLength(1);
+    expect(quotes[0]).toMatchObject({ exchange: 'GMOコイン', pair: 'ETH/JPY', price: 500000 });
+    expect(streamManager.isStreaming('gmo', 'ETH/JPY')).toBe(true);
+    expect(streamManager.isStreaming('gmo', 'BTC/JPY')).toBe(false);
+    expect(streamManager.getLatestQuote('gmo', 'ETH/JPY')).toBe(quotes[0]);
+  });
+
+  it('should connect to an overridden URL', () => {
+    exchangeAPI = new ExchangeAPI({ enabled: ['gmo'] });
+    streamManager = new StreamManager(exchangeAPI, {
+      WebSocket: FakeWebSocket,
+      urls: { gmo: 'ws://localhost:9999' }
+    });
+    streamManager.start();
+
+    expect(FakeWebSocket.instances[0].url).toBe('ws://localhost:9999');
+  });
+
+  it('should not connect exchanges without a stream definition', () => {
+    createManager(['zaif', 'coingecko']);
+    expect(FakeWebSocket.instances).toHaveLength(0);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ThresholdConfig, validateThresholdConfig, readThresholdConfig } = require('../../server/thresholds');
+
+describe('ThresholdConfig', () => {
+  const adapters = [
+    { id: 'bitflyer', name: 'bitFlyer' },
+    { id: 'coincheck', name: 'Coincheck' }
+  ];
+  const originalThreshold = process.env.ARBITRAGE_THRESHOLD;
+
+  afterEach(() => {
+    if (originalThreshold === undefined) delete process.env.ARBITRAGE_THRESHOLD;
+    else process.env.ARBITRAGE_THRESHOLD = originalThreshold;
+  });
+
+  it('should default to ARBITRAGE_THRESHOLD percent, or 0.1%', () => {
+    delete process.env.ARBITRAGE_THRESHOLD;
+    expect(new ThresholdConfig({ config: {} }).getThreshold('BTC/JPY', 'bitflyer', 'coincheck')).toEqual({ unit: 'percent', value: 0.1 });
+
+    process.env.ARBITRAGE_THRESHOLD = '0.25';
+    expect(new ThresholdConfig({ config: {} }).defaultThreshold).toEqual({ unit: 'percent', value: 0.25 });
+  });
+
+  it('should match routes by direction, with or without a pair, by id or display name', () => {
+    const thresholds = new ThresholdConfig({
+      adapters,
+      config: {
+        default: { unit: 'percent', value: 0.2 },
+        routes: [
+          { exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'jpy', value: 3000 },
+          { exchangeFrom: 'bitFlyer', exchangeTo: 'Coincheck', pair: 'eth/jpy', unit: 'percent', value: 0.5 }
+        ]
+      }
+    });
+
+    expect(thresholds.getThreshold('BTC/JPY', 'bitFlyer', 'Coincheck')).toEqual({ unit: 'jpy', value: 3000 });
+    expect(thresholds.getThreshold('ETH/JPY', 'bitflyer', 'coincheck')).toEqual({ unit: 'percent', value: 0.5 });
+    expect(thresholds.getThreshold('BTC/JPY', 'Coincheck', 'bitFlyer')).toEqual({ unit: 'percent', value: 0.2 });
+  });
+
+  it('should compare percent thresholds with the spread and JPY thresholds with the net profit', () => {
+    const thresholds = new ThresholdConfig({
+      config: { routes: [{ exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'jpy', value: 3000 }] }
+    });
+
+    expect(thresholds.isMet('BTC/JPY', 'bitflyer', 'coincheck', 0.5, 2999)).toBe(false);
+    expect(thresholds.isMet('BTC/JPY', 'bitflyer', 'coincheck', 0.01, 3000)).toBe(true);
+    expect(thresholds.isMet('BTC/JPY', 'coincheck', 'bitflyer', 0.1, -5000)).toBe(true);
+  });
+
+  it('should skip invalid rules from the configuration file', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const thresholds = new ThresholdConfig({
+      config: {
+        default: { unit: 'bps', value: 10 },
+        routes: [
+          { exchangeFrom: 'bitflyer', unit: 'percent', value: 0.3 },
+          { exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'jpy', value: -1 },
+          { exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'percent', value: 0.3 }
+        ]
+      }
+    });
+
+    expect(thresholds.defaultThreshold).toEqual({ unit: 'percent', value: 0.1 });
+    expect(thresholds.routes).toHaveLength(1);
+    expect(warnSpy).toHaveBeenCalledTimes(3);
+    warnSpy.mockRestore();
+  });
+
+  it('should replace every rule at runtime', () => {
+    const thresholds = new ThresholdConfig({
+      config: { routes: [{ exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'jpy', value: 3000 }] }
+    });
+
+    const active = thresholds.set({ default: { unit: 'jpy', value: 1000 } });
+
+    expect(active).toMatchObject({ default: { unit: 'jpy', value: 1000 }, routes: [] });
+    expect(active.updatedAt).not.toBeNull();
+    expect(thresholds.getThreshold('BTC/JPY', 'bitflyer', 'coincheck')).toEqual({ unit: 'jpy', value: 1000 });
+  });
+
+  it('should describe the first problem of an invalid configuration', () => {
+    expect(validateThresholdConfig({ default: { unit: 'percent', value: 0.2 }, routes: [] })).toBeNull();
+    expect(validateThresholdConfig([])).toMatch(/must be an object/);
+    expect(validateThresholdConfig({ default: { unit: 'percent', value: 'high' } })).toMatch(/default threshold/);
+    expect(validateThresholdConfig({ routes: {} })).toMatch(/routes must be an array/);
+    expect(validateThresholdConfig({ routes: [{ exchangeFrom: 'bitflyer', exchangeTo: 'coincheck', unit: 'percent', value: 0.1 }, null] }))
+      .toMatch(/index 1/);
+  });
+
+  it('should read the JSON file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thresholds-'));
+    const file = path.join(dir, 'thresholds.json');
+    fs.writeFileSync(file, JSON.stringify({ default: { unit: 'percent', value: 0.3 } }));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(readThresholdConfig(file)).toEqual({ default: { unit: 'percent', value: 0.3 } });
+    expect(readThresholdConfig(path.join(dir, 'missing.json'))).toEqual({});
+    expect(readThresholdConfig('')).toEqual({});
+
+    errorSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
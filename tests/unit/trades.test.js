@@ -0,0 +1,70 @@
+const TradeTracker = require('../../server/trades');
+
+describe('TradeTracker', () => {
+  let now;
+  let tracker;
+
+  const trade = (tradeId, price, size, side, secondsAgo, exchange = 'bitFlyer', pair = 'BTC/JPY') => ({
+    exchange,
+    pair,
+    tradeId,
+    price,
+    size,
+    side,
+    executedAt: new Date(now - secondsAgo * 1000).toISOString()
+  });
+
+  beforeEach(() => {
+    now = Date.parse('2024-03-01T00:15:00.000Z');
+    tracker = new TradeTracker({ window: 10 * 60 * 1000, now: () => now });
+  });
+
+  it('should compute rolling volume and VWAP per exchange', () => {
+    tracker.add([
+      trade('1', 5000000, 0.1, 'buy', 60),
+      trade('2', 5010000, 0.3, 'sell', 30),
+      trade('9', 5020000, 2, 'buy', 10, 'Zaif')
+    ]);
+
+    const stats = tracker.getStats('BTC/JPY');
+    const bitflyer = stats.find(stat => stat.exchange === 'bitFlyer');
+
+    expect(bitflyer).toMatchObject({
+      pair: 'BTC/JPY',
+      tradeCount: 2,
+      buyVolume: 0.1,
+      sellVolume: 0.3,
+      lastPrice: 5010000,
+      windowMs: 600000
+    });
+    expect(bitflyer.volume).toBeCloseTo(0.4);
+    expect(bitflyer.vwap).toBeCloseTo(5007500);
+    expect(tracker.getVenueStats('Zaif', 'BTC/JPY').volume).toBe(2);
+  });
+
+  it('should count trades seen in repeated fetches once', () => {
+    const first = tracker.add([trade('1', 5000000, 0.1, 'buy', 60), trade('2', 5000000, 0.1, 'buy', 30)]);
+    const second = tracker.add([trade('2', 5000000, 0.1, 'buy', 30), trade('3', 5000000, 0.1, 'sell', 5)]);
+
+    expect(first).toHaveLength(2);
+    expect(second.map(t => t.tradeId)).toEqual(['3']);
+    expect(tracker.getVenueStats('bitFlyer', 'BTC/JPY').tradeCount).toBe(3);
+  });
+
+  it('should drop trades that leave the window', () => {
+    tracker.add([trade('1', 5000000, 0.1, 'buy', 500), trade('2', 5000000, 0.2, 'buy', 30)]);
+
+    now += 200 * 1000;
+
+    expect(tracker.getVenueStats('bitFlyer', 'BTC/JPY')).toMatchObject({ tradeCount: 1, volume: 0.2 });
+    expect(tracker.add([trade('0', 5000000, 1, 'buy', 700)])).toEqual([]);
+  });
+
+  it('should keep pairs separate', () => {
+    tracker.add([trade('1', 5000000, 0.1, 'buy', 10), trade('1', 500000, 2, 'sell', 10, 'bitFlyer', 'ETH/JPY')]);
+
+    expect(tracker.getStats('ETH/JPY')).toHaveLength(1);
+    expect(tracker.getStats('ETH/JPY')[0]).toMatchObject({ exchange: 'bitFlyer', volume: 2, vwap: 500000 });
+    expect(tracker.getStats()).toHaveLength(2);
+  });
+});
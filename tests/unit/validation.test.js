@@ -0,0 +1,114 @@
+const QuoteValidator = require('../../server/validation');
+
+describe('QuoteValidator', () => {
+  let validator;
+
+  const quote = (exchange, price, overrides = {}) => ({
+    exchange,
+    pair: 'BTC/JPY',
+    price,
+    bid: price - 1000,
+    ask: price + 1000,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    validator = new QuoteValidator({ maxDeviation: 5 });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('should accept well-formed quotes', () => {
+    expect(validator.validate(quote('bitFlyer', 5000000))).toBe(true);
+    expect(validator.getStatus('bitFlyer').total).toBe(0);
+  });
+
+  it('should reject quotes with non-numeric fields', () => {
+    expect(validator.validate(quote('bitFlyer', NaN))).toBe(false);
+    expect(validator.validate(quote('bitFlyer', 5000000, { ask: NaN }))).toBe(false);
+
+    expect(validator.getStatus('bitFlyer')).toMatchObject({
+      total: 2,
+      malformed: 2,
+      lastReason: 'malformed',
+      lastDetail: 'bid=4999000 ask=NaN',
+      lastRejectedAt: expect.any(String)
+    });
+  });
+
+  it('should reject crossed books', () => {
+    expect(validator.validate(quote('Zaif', 5000000, { bid: 5002000, ask: 5001000 }))).toBe(false);
+    expect(validator.getStatus('Zaif')).toMatchObject({ crossed: 1, lastReason: 'crossed' });
+  });
+
+  it('should accept reference feeds without bid/ask', () => {
+    expect(validator.validate({ exchange: 'CoinGecko指数', pair: 'BTC/JPY', price: 5000000, bid: null, ask: null, isReference: true })).toBe(true);
+  });
+
+  it('should reject prices far from the median of the other venues', () => {
+    const prices = [
+      quote('bitFlyer', 5000000),
+      quote('Coincheck', 5010000),
+      quote('Zaif', 5600000),
+      quote('bitbank', 4990000)
+    ];
+
+    const accepted = validator.rejectOutliers(prices);
+
+    expect(accepted.map(p => p.exchange)).toEqual(['bitFlyer', 'Coincheck', 'bitbank']);
+    expect(validator.getStatus('Zaif')).toMatchObject({ total: 1, outlier: 1, lastReason: 'outlier' });
+    expect(validator.getRecentRejections()[0]).toMatchObject({ reason: 'outlier', quote: { exchange: 'Zaif' } });
+  });
+
+  it('should check a single incoming quote against the accepted ones', () => {
+    const accepted = [quote('bitFlyer', 5000000), quote('Coincheck', 5010000), quote('bitbank', 4990000), quote('Zaif', 5005000)];
+
+    expect(validator.isOutlier(quote('Zaif', 5008000), accepted)).toBe(false);
+    expect(validator.isOutlier(quote('Zaif', 6000000), accepted)).toBe(true);
+    expect(validator.isOutlier(quote('bitbank', 4995000), accepted)).toBe(false);
+
+    // 検証済みの価格は数え直さない
+    expect(validator.getStatus('Zaif')).toMatchObject({ total: 1, outlier: 1 });
+    expect(validator.getStatus('bitFlyer').total).toBe(0);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only compare quotes of the same pair', () => {
+    const prices = [
+      quote('bitFlyer', 5000000),
+      quote('Coincheck', 5010000),
+      quote('bitFlyer', 500000, { pair: 'ETH/JPY' })
+    ];
+
+    expect(validator.rejectOutliers(prices)).toHaveLength(3);
+  });
+
+  it('should compare overseas venues only with each other', () => {
+    const prices = [
+      quote('bitFlyer', 5400000),
+      quote('Coincheck', 5410000),
+      quote('bitbank', 5390000),
+      quote('Binance', 5000000, { isOverseas: true }),
+      quote('Coinbase', 5010000, { isOverseas: true }),
+      quote('Kraken', 5005000, { isOverseas: true })
+    ];
+
+    expect(validator.rejectOutliers(prices)).toHaveLength(6);
+  });
+
+  it('should not judge outliers without enough other venues', () => {
+    const prices = [quote('bitFlyer', 5000000), quote('Zaif', 6000000)];
+
+    expect(validator.rejectOutliers(prices)).toHaveLength(2);
+  });
+
+  it('should keep only the most recent rejections', () => {
+    validator = new QuoteValidator({ historySize: 2 });
+    ['a', 'b', 'c'].forEach(name => validator.validate(quote(name, NaN)));
+
+    expect(validator.getRecentRejections().map(r => r.quote.exchange)).toEqual(['c', 'b']);
+  });
+});
@@ -0,0 +1,76 @@
+const VolatilityModel = require('../../server/volatility');
+
+describe('VolatilityModel', () => {
+  // 1分おきの価格（created_at は SQLite の CURRENT_TIMESTAMP 形式、UTC）
+  const history = (prices, options = {}) => prices.map((price, index) => ({
+    exchange: options.exchange || 'bitFlyer',
+    pair: options.pair || 'BTC/JPY',
+    price,
+    is_reference: options.isReference ? 1 : 0,
+    created_at: `2024-03-01 00:${String(index * (options.step || 1)).padStart(2, '0')}:00`
+  }));
+
+  it('should estimate the volatility per minute from log returns', () => {
+    const model = new VolatilityModel(null, { minSamples: 2 });
+
+    model.fit(history([10000000, 10010000, 10000000]));
+
+    const logReturn = Math.log(10010000 / 10000000);
+    expect(model.getVolatility('BTC/JPY')).toBeCloseTo(Math.sqrt((2 * logReturn * logReturn) / 2), 10);
+    expect(model.getAllStats('BTC/JPY')).toEqual([
+      expect.objectContaining({ pair: 'BTC/JPY', samples: 2, minutes: 2 })
+    ]);
+    expect(model.getVolatility('ETH/JPY')).toBeNull();
+  });
+
+  it('should scale returns by the time between prices', () => {
+    const model = new VolatilityModel(null, { minSamples: 1 });
+
+    // 同じ価格変動でも4分かかれば1分あたりの分散は1/4
+    model.fit(history([10000000, 10010000], { step: 4 }));
+
+    expect(model.getVolatility('BTC/JPY')).toBeCloseTo(Math.log(10010000 / 10000000) / 2, 10);
+  });
+
+  it('should pool exchanges of a pair and skip reference feeds and long gaps', () => {
+    const model = new VolatilityModel(null, { minSamples: 1, maxGapMinutes: 10 });
+    const rows = [
+      ...history([10000000, 10010000]),
+      ...history([10000000, 10010000], { exchange: 'Coincheck' }),
+      ...history([10000000, 12000000], { exchange: 'IndexFeed', isReference: true }),
+      // 停止明けの20分ぶりの価格は使わない
+      ...history([10000000, 11000000], { exchange: 'Zaif', step: 20 })
+    ];
+
+    model.fit(rows);
+
+    expect(model.getAllStats()[0]).toMatchObject({ samples: 2, minutes: 2 });
+    expect(model.getVolatility('BTC/JPY')).toBeCloseTo(Math.log(10010000 / 10000000), 10);
+  });
+
+  it('should not estimate pairs with too few returns', () => {
+    const model = new VolatilityModel(null, { minSamples: 3 });
+
+    model.fit(history([10000000, 10010000, 10000000]));
+
+    expect(model.getVolatility('BTC/JPY')).toBeNull();
+  });
+
+  it('should refresh from the price history and keep the last estimate on errors', async () => {
+    const database = {
+      getPriceHistory: jest.fn()
+        .mockResolvedValueOnce(history([10000000, 10010000]))
+        .mockRejectedValueOnce(new Error('locked'))
+    };
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const model = new VolatilityModel(database, { hours: 6, minSamples: 1 });
+
+    await model.refresh();
+    await model.refresh();
+
+    expect(database.getPriceHistory).toHaveBeenCalledWith(6);
+    expect(model.getVolatility('BTC/JPY')).not.toBeNull();
+    expect(errorSpy).toHaveBeenCalledWith('Error refreshing volatility model:', 'locked');
+    errorSpy.mockRestore();
+  });
+});